@@ -0,0 +1,173 @@
+import React, { useState, useMemo, useId } from 'react';
+import {
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TablePagination,
+  TableRow,
+  TableSortLabel,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography
+} from '@mui/material';
+import { GRANULARITES, regrouperEcheancier, trierLignes } from './amortization';
+
+// Colonnes intitulées amortissement.<id> au catalogue
+const COLONNES = [
+  { id: 'soldeOuverture' },
+  { id: 'versements' },
+  { id: 'interets' },
+  { id: 'frais', siPresents: true },
+  { id: 'soldeCloture' }
+];
+
+// Échéancier chiffré, alternative textuelle au graphique ; un clic sur une ligne la repère sur le graphique
+const AmortizationTable = ({ graphData, impots, moisSelectionne, onSelection, colors, i18n }) => {
+  const { t, formaterMontant } = i18n;
+  const [granularite, setGranularite] = useState('annee');
+  const [tri, setTri] = useState({ colonne: 'periode', sens: 'asc' });
+  const [page, setPage] = useState(0);
+  const [lignesParPage, setLignesParPage] = useState(12);
+  // Unique même avec plusieurs simulateurs intégrés sur une page
+  const idTitre = useId();
+
+  const lignes = useMemo(() => regrouperEcheancier(graphData, granularite), [graphData, granularite]);
+  const lignesTriees = useMemo(() => trierLignes(lignes, tri.colonne, tri.sens), [lignes, tri]);
+  const avecFrais = lignes.some(ligne => ligne.frais > 0);
+  const colonnes = [
+    { id: 'periode', label: t(granularite === 'annee' ? 'amortissement.annee' : 'amortissement.mois') },
+    ...COLONNES
+      .filter(c => !c.siPresents || avecFrais)
+      .map(c => ({ ...c, label: t(`amortissement.${c.id}`) }))
+  ];
+  // Une durée raccourcie peut laisser la page courante hors du tableau
+  const pageAffichee = Math.min(page, Math.max(0, Math.ceil(lignes.length / lignesParPage) - 1));
+  const lignesAffichees = lignesTriees.slice(pageAffichee * lignesParPage, (pageAffichee + 1) * lignesParPage);
+
+  const trierPar = (colonne) => {
+    setTri(prev => ({
+      colonne,
+      sens: prev.colonne === colonne && prev.sens === 'asc' ? 'desc' : 'asc'
+    }));
+    setPage(0);
+  };
+
+  const changerGranularite = (_, valeur) => {
+    if (!valeur) return;
+    setGranularite(valeur);
+    setPage(0);
+  };
+
+  const selectionner = (ligne) => {
+    onSelection(moisSelectionne === ligne.moisFin ? null : ligne.moisFin);
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'space-between', alignItems: 'center', gap: 1, mb: 2 }}>
+        <Typography variant="h6" component="h2" id={idTitre}>
+          {t('amortissement.titre')}
+        </Typography>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={granularite}
+          onChange={changerGranularite}
+          aria-label={t('amortissement.regroupement')}
+        >
+          {GRANULARITES.map(g => (
+            <ToggleButton key={g.id} value={g.id}>{t(`amortissement.granularites.${g.id}`)}</ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Box>
+
+      <TableContainer>
+        <Table size="small" aria-labelledby={idTitre}>
+          <caption>
+            {t(granularite === 'annee' ? 'amortissement.legendeAnnuelle' : 'amortissement.legendeMensuelle')}
+          </caption>
+          <TableHead>
+            <TableRow>
+              {colonnes.map(colonne => (
+                <TableCell
+                  key={colonne.id}
+                  align={colonne.id === 'periode' ? 'left' : 'right'}
+                  sortDirection={tri.colonne === colonne.id ? tri.sens : false}
+                >
+                  <TableSortLabel
+                    active={tri.colonne === colonne.id}
+                    direction={tri.colonne === colonne.id ? tri.sens : 'asc'}
+                    onClick={() => trierPar(colonne.id)}
+                  >
+                    {colonne.label}
+                  </TableSortLabel>
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {lignesAffichees.map(ligne => {
+              const selectionnee = moisSelectionne === ligne.moisFin;
+              return (
+                <TableRow
+                  key={ligne.periode}
+                  hover
+                  selected={selectionnee}
+                  aria-selected={selectionnee}
+                  tabIndex={0}
+                  onClick={() => selectionner(ligne)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                      e.preventDefault();
+                      selectionner(ligne);
+                    }
+                  }}
+                  sx={{ cursor: 'pointer' }}
+                >
+                  {colonnes.map(colonne => (
+                    <TableCell
+                      key={colonne.id}
+                      align={colonne.id === 'periode' ? 'left' : 'right'}
+                      component={colonne.id === 'periode' ? 'th' : 'td'}
+                      scope={colonne.id === 'periode' ? 'row' : undefined}
+                      sx={colonne.id === 'frais' && ligne.frais > 0 ? { color: colors.error } : undefined}
+                    >
+                      {colonne.id === 'periode' ? ligne.periode : formaterMontant(ligne[colonne.id])}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <TablePagination
+        component="div"
+        count={lignes.length}
+        page={pageAffichee}
+        onPageChange={(_, nouvellePage) => setPage(nouvellePage)}
+        rowsPerPage={lignesParPage}
+        onRowsPerPageChange={(e) => {
+          setLignesParPage(parseInt(e.target.value, 10));
+          setPage(0);
+        }}
+        rowsPerPageOptions={[12, 24, 60]}
+        labelRowsPerPage={t('amortissement.lignesParPage')}
+        labelDisplayedRows={({ from, to, count }) => t('amortissement.lignesAffichees', { de: from, a: to, total: count })}
+        getItemAriaLabel={(type) => t(type === 'next' ? 'amortissement.pageSuivante' : 'amortissement.pagePrecedente')}
+      />
+
+      {impots > 0 && (
+        <Typography variant="caption" color="textSecondary">
+          {t('amortissement.impots', { montant: impots })}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default AmortizationTable;
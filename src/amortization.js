@@ -0,0 +1,66 @@
+// Tableau d'amortissement : l'échéancier de la simulation regroupé par mois ou par année
+
+import { arrondir } from './simulation-engine';
+
+export const GRANULARITES = [
+  { id: 'mois', duree: 1 },
+  { id: 'annee', duree: 12 }
+];
+
+/**
+ * Ligne du tableau d'amortissement.
+ *
+ * @typedef {Object} LigneAmortissement
+ * @property {number} periode - Numéro du mois ou de l'année, à partir de 1.
+ * @property {number} moisFin - Dernier mois de la période, pour repérer le point du graphique.
+ * @property {number} soldeOuverture - Solde en début de période (€).
+ * @property {number} versements - Versements nets des retraits sur la période (€).
+ * @property {number} interets - Intérêts crédités sur la période (€).
+ * @property {number} frais - Frais prélevés sur la période (€).
+ * @property {number} soldeCloture - Solde en fin de période (€).
+ */
+
+/**
+ * Regroupe l'échéancier par période. Les intérêts sont déduits des soldes pour que
+ * chaque ligne se boucle : ouverture + versements + intérêts - frais = clôture,
+ * y compris quand les intérêts ne sont crédités qu'en fin de trimestre ou d'année.
+ *
+ * @param {import('./simulation-engine').PointSimulation[]} graphData
+ * @param {'mois'|'annee'} granularite
+ * @returns {LigneAmortissement[]}
+ */
+export const regrouperEcheancier = (graphData, granularite) => {
+  const { duree } = GRANULARITES.find(g => g.id === granularite) || GRANULARITES[0];
+  const dernierMois = graphData.length - 1;
+  const lignes = [];
+
+  for (let debut = 0; debut < dernierMois; debut += duree) {
+    const ouverture = graphData[debut];
+    const cloture = graphData[Math.min(debut + duree, dernierMois)];
+    const versements = cloture.investi - ouverture.investi;
+    const frais = cloture.frais - ouverture.frais;
+
+    lignes.push({
+      periode: lignes.length + 1,
+      moisFin: cloture.mois,
+      soldeOuverture: ouverture.total,
+      versements: arrondir(versements),
+      interets: arrondir(cloture.total - ouverture.total - versements + frais),
+      frais: arrondir(frais),
+      soldeCloture: cloture.total
+    });
+  }
+
+  return lignes;
+};
+
+/**
+ * @param {LigneAmortissement[]} lignes
+ * @param {keyof LigneAmortissement} colonne
+ * @param {'asc'|'desc'} sens
+ * @returns {LigneAmortissement[]}
+ */
+export const trierLignes = (lignes, colonne, sens) => {
+  const signe = sens === 'asc' ? 1 : -1;
+  return [...lignes].sort((a, b) => (a[colonne] - b[colonne]) * signe || a.periode - b.periode);
+};
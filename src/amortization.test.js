@@ -0,0 +1,38 @@
+import { regrouperEcheancier, trierLignes } from './amortization';
+import { simulerEpargne } from './simulation-engine';
+
+describe("tableau d'amortissement", () => {
+  const { graphData, montantTotal, frais } = simulerEpargne({
+    sommeInitiale: 1000,
+    mensualite: 100,
+    tauxAnnuel: 4,
+    nombreAnnees: 3,
+    capitalisation: 'annuelle',
+    fraisGestion: 0.5
+  });
+
+  test('chaque ligne se boucle, y compris entre deux crédits d\'intérêts', () => {
+    regrouperEcheancier(graphData, 'mois').forEach(ligne => {
+      const attendu = ligne.soldeOuverture + ligne.versements + ligne.interets - ligne.frais;
+      expect(ligne.soldeCloture).toBeCloseTo(attendu, 2);
+    });
+  });
+
+  test("regroupe par année et couvre toute la durée", () => {
+    const lignes = regrouperEcheancier(graphData, 'annee');
+
+    expect(lignes).toHaveLength(3);
+    expect(lignes.map(l => l.moisFin)).toEqual([12, 24, 36]);
+    expect(lignes[0]).toMatchObject({ periode: 1, soldeOuverture: 1000, versements: 1200 });
+    expect(lignes[2].soldeCloture).toBe(montantTotal);
+    expect(lignes.reduce((somme, l) => somme + l.frais, 0)).toBeCloseTo(frais, 1);
+  });
+
+  test('trie sur une colonne sans modifier les lignes', () => {
+    const lignes = regrouperEcheancier(graphData, 'annee');
+    const triees = trierLignes(lignes, 'interets', 'desc');
+
+    expect(triees.map(l => l.periode)).toEqual([3, 2, 1]);
+    expect(lignes.map(l => l.periode)).toEqual([1, 2, 3]);
+  });
+});
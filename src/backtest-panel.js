@@ -0,0 +1,109 @@
+import React from 'react';
+import {
+  Box,
+  FormControl,
+  FormControlLabel,
+  Grid,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  Typography
+} from '@mui/material';
+import { ACTIFS_HISTORIQUES } from './backtest';
+import { PREMIERE_ANNEE, DERNIERE_ANNEE } from './historical-series';
+
+// Réglages du mode rétrospectif et synthèse des parcours historiques
+const BacktestPanel = ({ inputs, onChange, verrouille, retrospectif, affichageReel, colors, i18n }) => {
+  const { t, formaterMontant } = i18n;
+  const cle = affichageReel ? 'montantFinalReel' : 'montantFinal';
+  const syntheses = retrospectif?.median ? [
+    { id: 'pire', parcours: retrospectif.pire, couleur: colors.error },
+    { id: 'median', parcours: retrospectif.median },
+    { id: 'meilleur', parcours: retrospectif.meilleur, couleur: colors.success }
+  ] : [];
+
+  return (
+    <Grid container spacing={3} alignItems="center">
+      <Grid item xs={12}>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={inputs.modeHistorique}
+              onChange={(e) => onChange('modeHistorique', e.target.checked)}
+              disabled={verrouille('modeHistorique')}
+            />
+          }
+          label={t('historique.activer')}
+        />
+        <Typography variant="body2" color="textSecondary">
+          {t('historique.explication', { premiere: String(PREMIERE_ANNEE), derniere: String(DERNIERE_ANNEE) })}
+        </Typography>
+      </Grid>
+
+      {inputs.modeHistorique && (
+        <>
+          <Grid item xs={12} md={6}>
+            <FormControl fullWidth disabled={verrouille('actifHistorique')}>
+              <InputLabel>{t('historique.placement')}</InputLabel>
+              <Select
+                value={inputs.actifHistorique}
+                label={t('historique.placement')}
+                onChange={(e) => onChange('actifHistorique', e.target.value)}
+              >
+                {ACTIFS_HISTORIQUES.map(actif => (
+                  <MenuItem key={actif.id} value={actif.id}>{t(`historique.actifs.${actif.id}`)}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <FormControl fullWidth disabled={!retrospectif?.parcours.length || verrouille('anneeDepartHistorique')}>
+              <InputLabel>{t('historique.anneeAffichee')}</InputLabel>
+              <Select
+                value={retrospectif?.anneeAffichee ?? ''}
+                label={t('historique.anneeAffichee')}
+                onChange={(e) => onChange('anneeDepartHistorique', e.target.value)}
+              >
+                {(retrospectif?.parcours || []).map(parcours => (
+                  <MenuItem key={parcours.anneeDepart} value={parcours.anneeDepart}>
+                    {t('historique.parcours', { annee: String(parcours.anneeDepart), montant: parcours[cle] })}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+
+          <Grid item xs={12}>
+            {retrospectif && retrospectif.parcours.length === 0 ? (
+              <Typography sx={{ color: colors.error }}>
+                {t('historique.dureeTropLongue', { annees: DERNIERE_ANNEE - PREMIERE_ANNEE + 1 })}
+              </Typography>
+            ) : (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+                {syntheses.map(({ id, parcours, couleur }) => (
+                  <Box key={id}>
+                    <Typography variant="subtitle2" color="textSecondary">
+                      {t('historique.synthese', { synthese: t(`historique.${id}`), annee: String(parcours.anneeDepart) })}
+                    </Typography>
+                    <Typography variant="h6" sx={couleur ? { color: couleur } : undefined}>
+                      {formaterMontant(parcours[cle])}
+                    </Typography>
+                  </Box>
+                ))}
+              </Box>
+            )}
+            {retrospectif?.median && (
+              <Typography variant="caption" color="textSecondary">
+                {t(affichageReel ? 'historique.periodeReelle' : 'historique.periode', { nombre: retrospectif.parcours.length })}
+              </Typography>
+            )}
+          </Grid>
+        </>
+      )}
+    </Grid>
+  );
+};
+
+export default BacktestPanel;
@@ -0,0 +1,113 @@
+// Mode rétrospectif : rejoue le plan de versements sur chaque date de départ historique
+
+import { arrondir } from './simulation-engine';
+import { mouvementsDuMois } from './contribution-schedule';
+import { LIVRET_A, ACTIONS, INFLATION, PREMIERE_ANNEE, DERNIERE_ANNEE, valeurAnnee } from './historical-series';
+
+export const ACTIFS_HISTORIQUES = [
+  { id: 'livret-a', serie: LIVRET_A },
+  { id: 'actions', serie: ACTIONS }
+];
+
+export const trouverActif = (actifId) =>
+  ACTIFS_HISTORIQUES.find(a => a.id === actifId) || ACTIFS_HISTORIQUES[0];
+
+/**
+ * Parcours historique pour une année de départ.
+ *
+ * @typedef {Object} ParcoursHistorique
+ * @property {number} anneeDepart
+ * @property {number} montantFinal - Solde final (€).
+ * @property {number} montantFinalReel - Solde final en euros de l'année de départ.
+ * @property {Object[]} graphData - Points { mois, total, totalReel, investi }.
+ */
+
+/**
+ * Rejoue le plan en appliquant mois par mois le rendement de l'année civile en cours,
+ * réparti géométriquement sur les douze mois. Plafonds, frais et fiscalité ne sont pas
+ * appliqués, comme pour le mode Monte-Carlo.
+ *
+ * @param {import('./simulation-engine').ParametresSimulation} params
+ * @param {string} actifId
+ * @param {number} anneeDepart - Année civile du premier versement, en janvier.
+ * @returns {ParcoursHistorique}
+ */
+export const rejouerPlan = (params, actifId, anneeDepart) => {
+  const { sommeInitiale, nombreAnnees } = params;
+  const { serie } = trouverActif(actifId);
+  let solde = sommeInitiale;
+  let investi = sommeInitiale;
+  let deflateur = 1;
+  const graphData = [{ mois: 0, total: arrondir(solde), totalReel: arrondir(solde), investi: arrondir(investi) }];
+
+  for (let mois = 1; mois <= nombreAnnees * 12; mois++) {
+    const annee = anneeDepart + Math.floor((mois - 1) / 12);
+    const tauxMensuel = Math.pow(1 + valeurAnnee(serie, annee) / 100, 1 / 12) - 1;
+    const inflationMensuelle = Math.pow(1 + valeurAnnee(INFLATION, annee) / 100, 1 / 12) - 1;
+    const { versement, retrait } = mouvementsDuMois(params, mois);
+    const retire = Math.min(retrait, solde + versement);
+
+    solde = (solde + versement - retire) * (1 + tauxMensuel);
+    investi += versement - retire;
+    deflateur *= 1 + inflationMensuelle;
+    graphData.push({
+      mois,
+      total: arrondir(solde),
+      totalReel: arrondir(solde / deflateur),
+      investi: arrondir(investi)
+    });
+  }
+
+  const dernier = graphData[graphData.length - 1];
+  return { anneeDepart, montantFinal: dernier.total, montantFinalReel: dernier.totalReel, graphData };
+};
+
+/**
+ * Années de départ dont toute la durée est couverte par les séries.
+ *
+ * @param {number} nombreAnnees
+ * @returns {number[]}
+ */
+export const anneesDepartPossibles = (nombreAnnees) => {
+  const annees = [];
+  for (let annee = PREMIERE_ANNEE; annee + nombreAnnees - 1 <= DERNIERE_ANNEE; annee++) {
+    annees.push(annee);
+  }
+  return annees;
+};
+
+/**
+ * Résultat du mode rétrospectif.
+ *
+ * @typedef {Object} ResultatRetrospectif
+ * @property {{ anneeDepart: number, montantFinal: number, montantFinalReel: number }[]} parcours
+ *   Un parcours par année de départ, dans l'ordre chronologique.
+ * @property {?Object} meilleur - Parcours au solde final le plus élevé (idem pire, median).
+ * @property {?Object} pire
+ * @property {?Object} median
+ */
+
+/**
+ * Rejoue le plan sur toutes les années de départ possibles.
+ *
+ * @param {import('./simulation-engine').ParametresSimulation} params
+ * @param {string} actifId
+ * @returns {ResultatRetrospectif}
+ */
+export const backtester = (params, actifId) => {
+  const parcours = anneesDepartPossibles(params.nombreAnnees).map(annee => {
+    const { graphData, ...synthese } = rejouerPlan(params, actifId, annee);
+    return synthese;
+  });
+  if (parcours.length === 0) {
+    return { parcours, meilleur: null, pire: null, median: null };
+  }
+
+  const tries = [...parcours].sort((a, b) => a.montantFinal - b.montantFinal);
+  return {
+    parcours,
+    meilleur: tries[tries.length - 1],
+    pire: tries[0],
+    median: tries[Math.floor((tries.length - 1) / 2)]
+  };
+};
@@ -0,0 +1,43 @@
+import { rejouerPlan, backtester, anneesDepartPossibles } from './backtest';
+import { LIVRET_A, ACTIONS, INFLATION, PREMIERE_ANNEE, DERNIERE_ANNEE } from './historical-series';
+
+const PLAN = { sommeInitiale: 1000, mensualite: 0, nombreAnnees: 1 };
+
+describe('séries historiques', () => {
+  test('couvrent les mêmes années', () => {
+    expect(LIVRET_A).toHaveLength(INFLATION.length);
+    expect(ACTIONS).toHaveLength(INFLATION.length);
+  });
+});
+
+describe('mode rétrospectif', () => {
+  test("applique le rendement et l'inflation de l'année", () => {
+    const parcours = rejouerPlan(PLAN, 'livret-a', PREMIERE_ANNEE);
+
+    expect(parcours.montantFinal).toBeCloseTo(1000 * (1 + LIVRET_A[0] / 100), 1);
+    expect(parcours.montantFinalReel).toBeCloseTo(parcours.montantFinal / (1 + INFLATION[0] / 100), 1);
+    expect(parcours.graphData).toHaveLength(13);
+  });
+
+  test('rejoue les versements de l\'échéancier', () => {
+    const parcours = rejouerPlan({ sommeInitiale: 0, mensualite: 100, nombreAnnees: 1 }, 'actions', 2008);
+    expect(parcours.graphData[12].investi).toBe(1200);
+    expect(parcours.montantFinal).toBeLessThan(1200);
+  });
+
+  test('ne retient que les départs entièrement couverts par les séries', () => {
+    const annees = anneesDepartPossibles(10);
+    expect(annees[0]).toBe(PREMIERE_ANNEE);
+    expect(annees[annees.length - 1]).toBe(DERNIERE_ANNEE - 9);
+    expect(anneesDepartPossibles(DERNIERE_ANNEE - PREMIERE_ANNEE + 2)).toEqual([]);
+  });
+
+  test('classe les départs du pire au meilleur', () => {
+    const resultat = backtester({ ...PLAN, mensualite: 100, nombreAnnees: 10 }, 'actions');
+
+    expect(resultat.parcours).toHaveLength(anneesDepartPossibles(10).length);
+    expect(resultat.pire.montantFinal).toBeLessThanOrEqual(resultat.median.montantFinal);
+    expect(resultat.median.montantFinal).toBeLessThanOrEqual(resultat.meilleur.montantFinal);
+    expect(backtester({ ...PLAN, nombreAnnees: 50 }, 'actions').median).toBeNull();
+  });
+});
@@ -0,0 +1,266 @@
+// Lecture des relevés de compte exportés par les banques : CSV ou OFX
+
+/**
+ * Une opération du relevé.
+ *
+ * @typedef {Object} Operation
+ * @property {string} date - Date de l'opération, AAAA-MM-JJ.
+ * @property {number} montant - Montant signé, négatif pour un débit (€).
+ * @property {?number} solde - Solde du compte après l'opération, si le relevé le donne (€).
+ */
+
+/**
+ * Colonnes d'un CSV : index de chaque information, null si absente. Le montant est
+ * soit dans une colonne signée, soit réparti entre une colonne débit et une colonne crédit.
+ *
+ * @typedef {Object} Correspondance
+ * @property {?number} date
+ * @property {?number} montant
+ * @property {?number} debit
+ * @property {?number} credit
+ * @property {?number} solde
+ */
+
+export const CHAMPS_CORRESPONDANCE = ['date', 'montant', 'debit', 'credit', 'solde'];
+
+// En-têtes des exports CSV des principales banques françaises, sans accents ni casse
+export const FORMATS_BANQUE = [
+  { id: 'boursobank', colonnes: { date: 'dateop', montant: 'amount', solde: 'accountbalance' } },
+  { id: 'creditAgricole', colonnes: { date: 'date', debit: 'debit euros', credit: 'credit euros' } },
+  { id: 'societeGenerale', colonnes: { date: "date de l'operation", montant: "montant de l'operation" } },
+  { id: 'bnpParibas', colonnes: { date: 'date operation', montant: 'montant operation' } },
+  { id: 'banquePostale', colonnes: { date: 'date', montant: 'montant(euros)' } },
+  { id: 'caisseEpargne', colonnes: { date: 'date', debit: 'debit', credit: 'credit' } }
+];
+
+// Mots qui désignent chaque information dans un en-tête inconnu
+const INDICES_COLONNES = {
+  date: ['date'],
+  montant: ['montant', 'amount'],
+  debit: ['debit'],
+  credit: ['credit'],
+  solde: ['solde', 'balance']
+};
+
+// Lignes de présentation (titulaire, numéro de compte…) tolérées avant l'en-tête
+const LIGNES_PREAMBULE = 20;
+
+const normaliserEntete = (texte) => texte
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Convertit un montant écrit à la française ou à l'anglaise : « 1 234,56 », « -12,5 € »,
+ * « 1,234.56 ». Le séparateur le plus à droite est la virgule décimale.
+ *
+ * @param {string} texte
+ * @returns {?number} null si le texte n'est pas un montant.
+ */
+export const lireMontant = (texte) => {
+  if (typeof texte !== 'string') return null;
+  let nettoye = texte.replace(/[\s\u00a0\u202f€]|EUR/g, '').replace(/^\+/, '');
+  const virgule = nettoye.lastIndexOf(',');
+  const point = nettoye.lastIndexOf('.');
+  if (virgule > point) {
+    nettoye = nettoye.replace(/\./g, '').replace(',', '.');
+  } else if (point > virgule) {
+    nettoye = nettoye.replace(/,/g, '');
+  }
+  if (!/^-?\d+(\.\d+)?$/.test(nettoye)) return null;
+  return Number(nettoye);
+};
+
+/**
+ * Convertit une date JJ/MM/AAAA, JJ-MM-AA, AAAA-MM-JJ ou AAAAMMJJ (OFX).
+ *
+ * @param {string} texte
+ * @returns {?string} Date AAAA-MM-JJ, null si le texte n'est pas une date.
+ */
+export const lireDate = (texte) => {
+  if (typeof texte !== 'string') return null;
+  const valeur = texte.trim();
+  let jour;
+  let mois;
+  let annee;
+  let correspondance = valeur.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (correspondance) {
+    [, jour, mois, annee] = correspondance;
+    if (annee.length === 2) annee = `20${annee}`;
+  } else {
+    correspondance = valeur.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    if (!correspondance) return null;
+    [, annee, mois, jour] = correspondance;
+  }
+  if (Number(mois) < 1 || Number(mois) > 12 || Number(jour) < 1 || Number(jour) > 31) return null;
+  return `${annee}-${String(mois).padStart(2, '0')}-${String(jour).padStart(2, '0')}`;
+};
+
+// Découpe une ligne CSV : champs entre guillemets, guillemets doublés à l'intérieur
+const decouperLigne = (ligne, separateur) => {
+  const cellules = [];
+  let cellule = '';
+  let entreGuillemets = false;
+  for (let i = 0; i < ligne.length; i++) {
+    const caractere = ligne[i];
+    if (entreGuillemets) {
+      if (caractere === '"' && ligne[i + 1] === '"') {
+        cellule += '"';
+        i++;
+      } else if (caractere === '"') {
+        entreGuillemets = false;
+      } else {
+        cellule += caractere;
+      }
+    } else if (caractere === '"') {
+      entreGuillemets = true;
+    } else if (caractere === separateur) {
+      cellules.push(cellule.trim());
+      cellule = '';
+    } else {
+      cellule += caractere;
+    }
+  }
+  cellules.push(cellule.trim());
+  return cellules;
+};
+
+// Les exports français séparent par des points-virgules, la virgule étant décimale
+const detecterSeparateur = (lignes) => {
+  const echantillon = lignes.slice(0, LIGNES_PREAMBULE).join('\n');
+  if (echantillon.includes(';')) return ';';
+  if (echantillon.includes('\t')) return '\t';
+  return ',';
+};
+
+const correspondanceVide = () => Object.fromEntries(CHAMPS_CORRESPONDANCE.map(champ => [champ, null]));
+
+// En-tête d'un format connu : toutes ses colonnes sont présentes
+const reconnaitreFormat = (entetes) => FORMATS_BANQUE.find(format =>
+  Object.values(format.colonnes).every(nom => entetes.includes(nom))
+);
+
+// En-tête inconnu : première colonne dont le nom contient un mot attendu
+const devinerCorrespondance = (entetes) => {
+  const correspondance = correspondanceVide();
+  Object.entries(INDICES_COLONNES).forEach(([champ, mots]) => {
+    const index = entetes.findIndex(entete => mots.some(mot => entete.includes(mot)));
+    if (index >= 0) correspondance[champ] = index;
+  });
+  // Une colonne « Montant crédit » ne fait pas une colonne de montants signés
+  if (correspondance.montant !== null &&
+      [correspondance.debit, correspondance.credit].includes(correspondance.montant)) {
+    correspondance.montant = null;
+  }
+  return correspondance;
+};
+
+/**
+ * Analyse un CSV : repère la ligne d'en-tête après un éventuel préambule, reconnaît
+ * le format de la banque ou devine les colonnes d'après leur nom.
+ *
+ * @param {string} texte
+ * @returns {{ colonnes: string[], lignes: string[][], format: ?string, correspondance: Correspondance }}
+ */
+export const analyserCsv = (texte) => {
+  const lignesTexte = texte.replace(/^\ufeff/, '').split(/\r?\n/).filter(ligne => ligne.trim() !== '');
+  const separateur = detecterSeparateur(lignesTexte);
+  const lignes = lignesTexte.map(ligne => decouperLigne(ligne, separateur));
+
+  const indexEntete = lignes
+    .slice(0, LIGNES_PREAMBULE)
+    .findIndex(cellules => cellules.some(contenu => normaliserEntete(contenu).includes('date')));
+  if (indexEntete < 0) {
+    return { colonnes: [], lignes: [], format: null, correspondance: correspondanceVide() };
+  }
+
+  const colonnes = lignes[indexEntete];
+  const entetes = colonnes.map(normaliserEntete);
+  const format = reconnaitreFormat(entetes);
+  const correspondance = format
+    ? { ...correspondanceVide(), ...Object.fromEntries(Object.entries(format.colonnes).map(([champ, nom]) => [champ, entetes.indexOf(nom)])) }
+    : devinerCorrespondance(entetes);
+
+  return {
+    colonnes,
+    lignes: lignes.slice(indexEntete + 1),
+    format: format?.id ?? null,
+    correspondance
+  };
+};
+
+const cellule = (ligne, index) => (index === null || index === undefined ? undefined : ligne[index]);
+
+/**
+ * Opérations d'un CSV analysé, selon la correspondance des colonnes. Les lignes sans
+ * date ou sans montant lisible (totaux, soldes reportés) sont ignorées.
+ *
+ * @param {string[][]} lignes
+ * @param {Correspondance} correspondance
+ * @returns {Operation[]} Opérations triées par date, dans l'ordre du fichier à date égale.
+ */
+export const extraireOperations = (lignes, correspondance) => {
+  const operations = [];
+  lignes.forEach(ligne => {
+    const date = lireDate(cellule(ligne, correspondance.date));
+    if (!date) return;
+    let montant = lireMontant(cellule(ligne, correspondance.montant));
+    if (montant === null) {
+      const debit = lireMontant(cellule(ligne, correspondance.debit));
+      const credit = lireMontant(cellule(ligne, correspondance.credit));
+      if (debit === null && credit === null) return;
+      // Débit écrit en positif ou en négatif selon la banque
+      montant = (credit ?? 0) - Math.abs(debit ?? 0);
+    }
+    operations.push({ date, montant, solde: lireMontant(cellule(ligne, correspondance.solde)) });
+  });
+  return trierOperations(operations);
+};
+
+// Les relevés listent souvent les opérations de la plus récente à la plus ancienne
+const trierOperations = (operations) => {
+  const chronologique = operations.length > 1 && operations[0].date > operations[operations.length - 1].date
+    ? [...operations].reverse()
+    : operations;
+  return chronologique
+    .map((operation, index) => ({ operation, index }))
+    .sort((a, b) => (a.operation.date < b.operation.date ? -1 : a.operation.date > b.operation.date ? 1 : a.index - b.index))
+    .map(({ operation }) => operation);
+};
+
+// Valeur d'une balise OFX, en SGML (sans fermeture) comme en XML
+const baliseOfx = (bloc, nom) => bloc.match(new RegExp(`<${nom}>([^<\\r\\n]*)`, 'i'))?.[1].trim();
+
+/**
+ * Lit un relevé OFX (ou QFX) : opérations STMTTRN et solde comptable LEDGERBAL.
+ *
+ * @param {string} texte
+ * @returns {{ operations: Operation[], soldeFinal: ?{ date: string, montant: number } }}
+ */
+export const lireOfx = (texte) => {
+  const operations = [];
+  (texte.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || []).forEach(bloc => {
+    const date = lireDate(baliseOfx(bloc, 'DTPOSTED'));
+    const montant = lireMontant(baliseOfx(bloc, 'TRNAMT'));
+    if (date && montant !== null) operations.push({ date, montant, solde: null });
+  });
+
+  const bilan = texte.match(/<LEDGERBAL>[\s\S]*?(?=<\/LEDGERBAL>|<AVAILBAL>|<\/STMTRS>)/i)?.[0];
+  const montantFinal = bilan ? lireMontant(baliseOfx(bilan, 'BALAMT')) : null;
+  const dateFinale = bilan ? lireDate(baliseOfx(bilan, 'DTASOF')) : null;
+
+  return {
+    operations: trierOperations(operations),
+    soldeFinal: montantFinal !== null ? { date: dateFinale, montant: montantFinal } : null
+  };
+};
+
+/**
+ * Vrai si le texte est un relevé OFX plutôt qu'un CSV.
+ *
+ * @param {string} texte
+ * @returns {boolean}
+ */
+export const estOfx = (texte) => /OFXHEADER|<OFX>/i.test(texte.slice(0, 1000));
@@ -0,0 +1,113 @@
+import { lireMontant, lireDate, analyserCsv, extraireOperations, lireOfx, estOfx } from './bank-statement';
+
+const depuisCsv = (texte) => {
+  const { lignes, correspondance } = analyserCsv(texte);
+  return extraireOperations(lignes, correspondance);
+};
+
+describe('lireMontant', () => {
+  test('lit les montants écrits à la française et à l\'anglaise', () => {
+    expect(lireMontant('1 234,56')).toBe(1234.56);
+    expect(lireMontant('-12,5 €')).toBe(-12.5);
+    expect(lireMontant('+1.234,00')).toBe(1234);
+    expect(lireMontant('1,234.56')).toBe(1234.56);
+    expect(lireMontant('-0.5')).toBe(-0.5);
+  });
+
+  test('refuse ce qui n\'est pas un montant', () => {
+    expect(lireMontant('')).toBeNull();
+    expect(lireMontant('Solde')).toBeNull();
+    expect(lireMontant(undefined)).toBeNull();
+  });
+});
+
+describe('lireDate', () => {
+  test('lit les dates françaises, ISO et OFX', () => {
+    expect(lireDate('05/03/2024')).toBe('2024-03-05');
+    expect(lireDate('5-3-24')).toBe('2024-03-05');
+    expect(lireDate('2024-03-05')).toBe('2024-03-05');
+    expect(lireDate('20240305120000[+1:CET]')).toBe('2024-03-05');
+  });
+
+  test('refuse une date impossible', () => {
+    expect(lireDate('31/13/2024')).toBeNull();
+    expect(lireDate('Date')).toBeNull();
+  });
+});
+
+describe('analyserCsv', () => {
+  test('reconnaît un export BoursoBank avec son solde', () => {
+    const analyse = analyserCsv([
+      'dateOp;dateVal;label;category;categoryParent;supplierFound;amount;comment;accountNum;accountLabel;accountbalance',
+      '2024-02-01;2024-02-01;"VIR EPARGNE";Virement;Épargne;;200,00;;123;Livret;1 200,00',
+      '2024-01-15;2024-01-15;"VIR EPARGNE";Virement;Épargne;;"1 000,00";;123;Livret;1 000,00'
+    ].join('\n'));
+
+    expect(analyse.format).toBe('boursobank');
+    expect(extraireOperations(analyse.lignes, analyse.correspondance)).toEqual([
+      { date: '2024-01-15', montant: 1000, solde: 1000 },
+      { date: '2024-02-01', montant: 200, solde: 1200 }
+    ]);
+  });
+
+  test('saute le préambule et combine débit et crédit (Crédit Agricole)', () => {
+    const operations = depuisCsv([
+      'Téléchargement du 01/03/2024;',
+      'Compte de dépôt n° 123;',
+      '',
+      'Date;Libellé;Débit euros;Crédit euros;',
+      '12/02/2024;"RETRAIT";50,00;;',
+      '05/01/2024;"VIREMENT";;300,00;'
+    ].join('\r\n'));
+
+    expect(operations).toEqual([
+      { date: '2024-01-05', montant: 300, solde: null },
+      { date: '2024-02-12', montant: -50, solde: null }
+    ]);
+  });
+
+  test('devine les colonnes d\'un en-tête inconnu', () => {
+    const analyse = analyserCsv('Date valeur,Opération,Montant,Solde après\n2024-01-31,Intérêts,1.25,501.25');
+
+    expect(analyse.format).toBeNull();
+    expect(analyse.correspondance).toEqual({ date: 0, montant: 2, debit: null, credit: null, solde: 3 });
+  });
+
+  test('suit une correspondance choisie par l\'utilisateur', () => {
+    const { lignes } = analyserCsv('Date;Libellé;Valeur\n01/01/2024;Dépôt;100');
+
+    expect(extraireOperations(lignes, { date: 0, montant: 2, debit: null, credit: null, solde: null }))
+      .toEqual([{ date: '2024-01-01', montant: 100, solde: null }]);
+  });
+
+  test('renvoie un relevé vide sans ligne d\'en-tête', () => {
+    expect(analyserCsv('a;b\n1;2').lignes).toEqual([]);
+  });
+});
+
+describe('lireOfx', () => {
+  const OFX = `OFXHEADER:100
+DATA:OFXSGML
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240110<TRNAMT>500.00<NAME>VIR
+</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240220<TRNAMT>-20,00<NAME>FRAIS
+</STMTTRN>
+</BANKTRANLIST><LEDGERBAL><BALAMT>1480.00<DTASOF>20240229</LEDGERBAL>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+  test('lit les opérations et le solde comptable', () => {
+    expect(estOfx(OFX)).toBe(true);
+    expect(lireOfx(OFX)).toEqual({
+      operations: [
+        { date: '2024-01-10', montant: 500, solde: null },
+        { date: '2024-02-20', montant: -20, solde: null }
+      ],
+      soldeFinal: { date: '2024-02-29', montant: 1480 }
+    });
+  });
+
+  test('distingue un CSV', () => {
+    expect(estOfx('Date;Montant\n01/01/2024;10')).toBe(false);
+  });
+});
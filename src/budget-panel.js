@@ -0,0 +1,117 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  Grid,
+  InputAdornment,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Check } from '@mui/icons-material';
+
+// Montants du budget, intitulés budget.<id> au catalogue
+const CHAMPS_MONTANTS = ['revenuNet', 'loyer', 'credits', 'autresCharges'];
+
+// Budget du foyer et recommandation d'épargne qui en découle
+const BudgetPanel = ({ inputs, errors, onChange, verrouille, recommandation, onAppliquer, colors, i18n: { t, symbole, formaterMontant } }) => (
+  <Grid container spacing={3}>
+    <Grid item xs={12}>
+      <Typography variant="h6">{t('budget.titre')}</Typography>
+    </Grid>
+
+    {CHAMPS_MONTANTS.map(champ => (
+      <Grid item xs={12} sm={6} md={3} key={champ}>
+        <TextField
+          fullWidth
+          label={t(`budget.${champ}`, { symbole })}
+          type="number"
+          value={inputs[champ]}
+          onChange={(e) => onChange(champ, parseFloat(e.target.value))}
+          disabled={verrouille(champ)}
+          error={!!errors[champ]}
+          helperText={errors[champ]}
+          InputProps={{
+            startAdornment: <InputAdornment position="start">{symbole}</InputAdornment>,
+            inputProps: { min: 0 }
+          }}
+        />
+      </Grid>
+    ))}
+
+    <Grid item xs={12} sm={4}>
+      <TextField
+        fullWidth
+        label={t('budget.tailleFoyer')}
+        type="number"
+        value={inputs.tailleFoyer}
+        onChange={(e) => onChange('tailleFoyer', parseInt(e.target.value))}
+        disabled={verrouille('tailleFoyer')}
+        error={!!errors.tailleFoyer}
+        helperText={errors.tailleFoyer}
+        inputProps={{ min: 1, max: 10 }}
+      />
+    </Grid>
+    <Grid item xs={12} sm={4}>
+      <TextField
+        fullWidth
+        label={t('budget.moisPrecaution')}
+        type="number"
+        value={inputs.moisPrecaution}
+        onChange={(e) => onChange('moisPrecaution', parseInt(e.target.value))}
+        disabled={verrouille('moisPrecaution')}
+        error={!!errors.moisPrecaution}
+        helperText={errors.moisPrecaution}
+        inputProps={{ min: 0, max: 24 }}
+      />
+    </Grid>
+    <Grid item xs={12} sm={4}>
+      <TextField
+        fullWidth
+        label={t('budget.epargneDePrecaution', { symbole })}
+        type="number"
+        value={inputs.epargneDePrecaution}
+        onChange={(e) => onChange('epargneDePrecaution', parseFloat(e.target.value))}
+        disabled={verrouille('epargneDePrecaution')}
+        error={!!errors.epargneDePrecaution}
+        helperText={errors.epargneDePrecaution}
+        InputProps={{
+          startAdornment: <InputAdornment position="start">{symbole}</InputAdornment>,
+          inputProps: { min: 0 }
+        }}
+      />
+    </Grid>
+
+    <Grid item xs={12}>
+      <Typography variant="h6" gutterBottom>
+        {t('budget.recommandation')}
+      </Typography>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 2, mb: 1 }}>
+        <Typography sx={{ color: 'text.secondary' }}>
+          {t('budget.recommandationAvant')}{' '}
+          <Box component="span" sx={{ fontWeight: 600, color: colors.success }}>
+            {formaterMontant(recommandation.montantRecommande)}
+          </Box>{' '}
+          {t('budget.recommandationApres', { pourcentage: recommandation.pourcentageRevenu })}
+        </Typography>
+        <Button
+          size="small"
+          variant="outlined"
+          startIcon={<Check />}
+          onClick={onAppliquer}
+          disabled={recommandation.montantRecommande === inputs.mensualite || verrouille('mensualite')}
+        >
+          {t('budget.appliquer')}
+        </Button>
+      </Box>
+      <Box component="ol" sx={{ m: 0, pl: 3, color: 'text.secondary' }}>
+        {recommandation.explication.map(etape => (
+          <Typography component="li" variant="body2" key={etape.cle}>
+            {t(etape)}
+          </Typography>
+        ))}
+      </Box>
+    </Grid>
+  </Grid>
+);
+
+export default BudgetPanel;
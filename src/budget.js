@@ -0,0 +1,125 @@
+// Recommandation d'épargne à partir du budget du foyer, selon la règle 50/30/20
+
+import { arrondir } from './simulation-engine';
+
+/**
+ * Règle 50/30/20 : 50 % du revenu net pour les besoins (logement, crédits, dépenses
+ * courantes), 30 % pour les envies, 20 % pour l'épargne.
+ */
+export const REGLE_BUDGET = { besoins: 0.5, envies: 0.3, epargne: 0.2 };
+
+// Dépenses courantes (alimentation, transport, énergie) estimées par unité de consommation
+export const DEPENSES_COURANTES_PAR_UC = 500;
+
+/**
+ * Unités de consommation de l'échelle OCDE modifiée, utilisée par l'Insee :
+ * 1 pour le premier adulte, 0,5 par personne supplémentaire (comptée comme adulte).
+ *
+ * @param {number} tailleFoyer
+ * @returns {number}
+ */
+export const unitesConsommation = (tailleFoyer) => 1 + 0.5 * Math.max(0, tailleFoyer - 1);
+
+/**
+ * Budget du foyer.
+ *
+ * @typedef {Object} Budget
+ * @property {number} revenuNet - Revenu net mensuel du foyer (€).
+ * @property {number} loyer - Loyer ou mensualité de résidence principale (€).
+ * @property {number} credits - Autres mensualités de crédit (€).
+ * @property {number} autresCharges - Autres charges fixes : assurances, abonnements… (€).
+ * @property {number} tailleFoyer - Nombre de personnes du foyer.
+ * @property {number} moisPrecaution - Mois de dépenses à garder en épargne de précaution.
+ * @property {number} epargneDePrecaution - Épargne de précaution déjà constituée (€).
+ */
+
+/**
+ * Recommandation d'épargne.
+ *
+ * @typedef {Object} Recommandation
+ * @property {number} montantRecommande - Épargne mensuelle recommandée (€).
+ * @property {number} pourcentageRevenu - Part du revenu net qu'elle représente (%).
+ * @property {number} besoins - Charges fixes et dépenses courantes estimées (€ par mois).
+ * @property {number} envies - Budget restant pour les envies (€ par mois).
+ * @property {{ cible: number, manquant: number, moisPourConstituer: ?number }} precaution
+ *   Épargne de précaution visée, reste à constituer et nombre de mois pour y parvenir
+ *   au rythme recommandé (null si l'épargne recommandée est nulle).
+ * @property {import('./i18n').Message[]} explication - Étapes du calcul, dans l'ordre.
+ */
+
+// Montants arrondis à l'euro et parts en pourcentage entier, formatés à l'affichage
+const euros = (montant) => Math.round(montant);
+const pourcent = (taux) => Math.round(taux * 100);
+
+/**
+ * L'épargne visée est de 20 % du revenu net. Quand les besoins dépassent 50 %, le
+ * dépassement est pris sur les envies ; au-delà de 80 %, l'épargne est limitée à ce
+ * qui reste une fois les besoins couverts.
+ *
+ * @param {Budget} budget
+ * @returns {Recommandation}
+ */
+export const calculerRecommandation = ({
+  revenuNet,
+  loyer = 0,
+  credits = 0,
+  autresCharges = 0,
+  tailleFoyer = 1,
+  moisPrecaution = 3,
+  epargneDePrecaution = 0
+}) => {
+  const uc = unitesConsommation(tailleFoyer);
+  const chargesFixes = loyer + credits + autresCharges;
+  const depensesCourantes = DEPENSES_COURANTES_PAR_UC * uc;
+  const besoins = chargesFixes + depensesCourantes;
+  const reste = Math.max(0, revenuNet - besoins);
+  const epargne = Math.min(revenuNet * REGLE_BUDGET.epargne, reste);
+  const partBesoins = revenuNet > 0 ? besoins / revenuNet : 1;
+
+  const cible = besoins * moisPrecaution;
+  const manquant = Math.max(0, cible - epargneDePrecaution);
+  const montantRecommande = Math.round(epargne);
+
+  const explication = [
+    {
+      cle: 'budget.chargesFixes',
+      valeurs: { loyer: euros(loyer), credits: euros(credits), autresCharges: euros(autresCharges), chargesFixes: euros(chargesFixes) }
+    },
+    {
+      cle: 'budget.depensesCourantes',
+      valeurs: { parUc: euros(DEPENSES_COURANTES_PAR_UC), uc, tailleFoyer, depensesCourantes: euros(depensesCourantes) }
+    },
+    {
+      cle: 'budget.besoins',
+      valeurs: { besoins: euros(besoins), part: pourcent(partBesoins), partPrevue: pourcent(REGLE_BUDGET.besoins) }
+    }
+  ];
+
+  const valeursEpargne = { part: pourcent(REGLE_BUDGET.epargne), epargne: euros(epargne) };
+  if (partBesoins <= REGLE_BUDGET.besoins) {
+    explication.push({ cle: 'budget.epargne', valeurs: valeursEpargne });
+  } else if (partBesoins <= REGLE_BUDGET.besoins + REGLE_BUDGET.envies) {
+    explication.push({ cle: 'budget.epargneSurEnvies', valeurs: valeursEpargne });
+  } else {
+    explication.push({ cle: 'budget.epargneLimitee', valeurs: valeursEpargne });
+  }
+
+  const moisPourConstituer = manquant > 0 && montantRecommande > 0 ? Math.ceil(manquant / montantRecommande) : null;
+  if (moisPrecaution > 0) {
+    const valeurs = { moisPrecaution, cible: euros(cible), manquant: euros(manquant), moisPourConstituer };
+    if (manquant === 0) {
+      explication.push({ cle: 'budget.precautionConstituee', valeurs });
+    } else {
+      explication.push({ cle: moisPourConstituer ? 'budget.precautionAConstituer' : 'budget.precautionManquante', valeurs });
+    }
+  }
+
+  return {
+    montantRecommande,
+    pourcentageRevenu: revenuNet > 0 ? arrondir(montantRecommande / revenuNet * 100) : 0,
+    besoins: arrondir(besoins),
+    envies: arrondir(Math.max(0, revenuNet - besoins - epargne)),
+    precaution: { cible: arrondir(cible), manquant: arrondir(manquant), moisPourConstituer },
+    explication
+  };
+};
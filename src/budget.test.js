@@ -0,0 +1,58 @@
+import { calculerRecommandation, unitesConsommation } from './budget';
+
+const BUDGET = {
+  revenuNet: 3000,
+  loyer: 700,
+  credits: 0,
+  autresCharges: 100,
+  tailleFoyer: 1,
+  moisPrecaution: 3,
+  epargneDePrecaution: 0
+};
+
+describe('recommandation budgétaire', () => {
+  test("épargne 20 % du revenu quand les besoins tiennent dans 50 %", () => {
+    const recommandation = calculerRecommandation({ ...BUDGET, loyer: 500, autresCharges: 0 });
+
+    expect(recommandation.besoins).toBe(1000);
+    expect(recommandation.montantRecommande).toBe(600);
+    expect(recommandation.pourcentageRevenu).toBe(20);
+    expect(recommandation.envies).toBe(1400);
+  });
+
+  test('prend le dépassement des besoins sur les envies', () => {
+    const recommandation = calculerRecommandation({ ...BUDGET, tailleFoyer: 3 });
+
+    // 800 € de charges fixes + 2 UC de dépenses courantes
+    expect(recommandation.besoins).toBe(1800);
+    expect(recommandation.montantRecommande).toBe(600);
+    expect(recommandation.envies).toBe(600);
+  });
+
+  test("limite l'épargne à ce qui reste après les besoins", () => {
+    const recommandation = calculerRecommandation({ ...BUDGET, revenuNet: 1500 });
+
+    expect(recommandation.montantRecommande).toBe(200);
+    expect(recommandation.envies).toBe(0);
+    expect(calculerRecommandation({ ...BUDGET, revenuNet: 1000 }).montantRecommande).toBe(0);
+  });
+
+  test("ne recommande plus 13 500 € par mois pour un haut revenu", () => {
+    expect(calculerRecommandation({ ...BUDGET, revenuNet: 9000 }).montantRecommande).toBe(1800);
+  });
+
+  test("calcule l'épargne de précaution restant à constituer", () => {
+    const { precaution, explication } = calculerRecommandation({ ...BUDGET, epargneDePrecaution: 1000 });
+
+    expect(precaution).toEqual({ cible: 3900, manquant: 2900, moisPourConstituer: 5 });
+    expect(explication[explication.length - 1]).toEqual({
+      cle: 'budget.precautionAConstituer',
+      valeurs: expect.objectContaining({ manquant: 2900, moisPourConstituer: 5 })
+    });
+  });
+
+  test("applique l'échelle OCDE modifiée", () => {
+    expect(unitesConsommation(1)).toBe(1);
+    expect(unitesConsommation(4)).toBe(2.5);
+  });
+});
@@ -0,0 +1,56 @@
+// Échéancier des versements : indexation annuelle, versements exceptionnels, retraits et pauses
+
+export const TYPES_EVENEMENTS = [
+  { id: 'versement', icone: '➕' },
+  { id: 'retrait', icone: '➖' },
+  { id: 'pause', icone: '⏸' }
+];
+
+/**
+ * Événement de l'échéancier.
+ *
+ * @typedef {Object} Evenement
+ * @property {number} id
+ * @property {'versement'|'retrait'|'pause'} type
+ * @property {number} mois - Mois de l'événement (1 = premier mois), début de la pause.
+ * @property {number} [moisFin] - Dernier mois de la pause, inclus.
+ * @property {number} [montant] - Montant du versement ou du retrait (€).
+ */
+
+export const iconeEvenement = (type) =>
+  (TYPES_EVENEMENTS.find(t => t.id === type) || { icone: '•' }).icone;
+
+export const creerEvenement = (evenements, type, mois) => ({
+  id: Math.max(0, ...evenements.map(e => e.id)) + 1,
+  type,
+  mois,
+  ...(type === 'pause' ? { moisFin: mois + 11 } : { montant: 1000 })
+});
+
+/**
+ * Mouvements prévus pour un mois donné.
+ *
+ * @param {Object} params
+ * @param {number} params.mensualite - Versement mensuel de la première année (€).
+ * @param {number} [params.indexationAnnuelle] - Revalorisation du versement chaque année (%).
+ * @param {Evenement[]} [params.evenements]
+ * @param {number} [params.moisIndexationEcoules] - Mois déjà écoulés dans l'année d'indexation
+ *   en cours au départ, pour un plan repris en cours de route.
+ * @param {number} mois - Mois concerné, à partir de 1.
+ * @returns {{ versement: number, retrait: number }}
+ */
+export const mouvementsDuMois = ({ mensualite, indexationAnnuelle = 0, evenements = [], moisIndexationEcoules = 0 }, mois) => {
+  const annee = Math.floor((mois - 1 + moisIndexationEcoules) / 12);
+  const enPause = evenements.some(e => e.type === 'pause' && mois >= e.mois && mois <= (e.moisFin ?? e.mois));
+  let versement = enPause ? 0 : mensualite * Math.pow(1 + indexationAnnuelle / 100, annee);
+  let retrait = 0;
+
+  evenements
+    .filter(e => e.mois === mois)
+    .forEach(e => {
+      if (e.type === 'versement') versement += e.montant || 0;
+      if (e.type === 'retrait') retrait += e.montant || 0;
+    });
+
+  return { versement, retrait };
+};
@@ -0,0 +1,172 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  Grid,
+  IconButton,
+  MenuItem,
+  Select,
+  TextField,
+  Tooltip,
+  Typography,
+  InputAdornment
+} from '@mui/material';
+import { Delete } from '@mui/icons-material';
+import { TYPES_EVENEMENTS, creerEvenement, iconeEvenement } from './contribution-schedule';
+
+const borner = (valeur, min, max) => Math.min(max, Math.max(min, valeur || min));
+
+// Frise des versements exceptionnels, retraits et pauses, avec leur édition ; en lecture
+// seule quand l'échéancier est verrouillé
+const ContributionTimeline = ({ evenements, nombreMois, onChange, lectureSeule = false, formatMois, colors, i18n }) => {
+  const { t, symbole } = i18n;
+  const position = (mois) => `${(mois / nombreMois) * 100}%`;
+  const couleurs = { versement: colors.success, retrait: colors.error, pause: colors.mediumGray };
+
+  const ajouter = (type) => {
+    onChange([...evenements, creerEvenement(evenements, type, Math.min(12, nombreMois))]);
+  };
+
+  const modifier = (id, champ, valeur) => {
+    onChange(evenements.map(e => {
+      if (e.id !== id) return e;
+      const maj = { ...e, [champ]: valeur };
+      if (maj.type === 'pause') {
+        maj.mois = borner(maj.mois, 1, nombreMois);
+        maj.moisFin = borner(maj.moisFin ?? maj.mois, maj.mois, nombreMois);
+        delete maj.montant;
+      } else {
+        maj.mois = borner(maj.mois, 1, nombreMois);
+        maj.montant = Math.max(0, maj.montant || 0);
+        delete maj.moisFin;
+      }
+      return maj;
+    }));
+  };
+
+  const supprimer = (id) => onChange(evenements.filter(e => e.id !== id));
+
+  return (
+    <Box>
+      {/* Frise */}
+      <Box
+        role="img"
+        aria-label={t('echeancier.frise', { mois: nombreMois, nombre: evenements.length })}
+        sx={{ position: 'relative', height: 32, mb: 1, borderRadius: 1, backgroundColor: 'action.hover' }}
+      >
+        {evenements.filter(e => e.mois <= nombreMois).map(e => e.type === 'pause' ? (
+          <Tooltip key={e.id} title={t('echeancier.pause', { debut: formatMois(e.mois), fin: formatMois(e.moisFin) })}>
+            <Box sx={{
+              position: 'absolute',
+              top: 0,
+              bottom: 0,
+              left: position(e.mois - 1),
+              width: position(Math.min(e.moisFin, nombreMois) - e.mois + 1),
+              backgroundColor: couleurs.pause,
+              opacity: 0.5,
+              borderRadius: 1
+            }} />
+          </Tooltip>
+        ) : (
+          <Tooltip key={e.id} title={t('echeancier.mouvement', { mois: formatMois(e.mois), signe: e.type === 'retrait' ? '-' : '+', montant: e.montant })}>
+            <Box sx={{
+              position: 'absolute',
+              top: 4,
+              left: position(e.mois),
+              transform: 'translateX(-50%)',
+              width: 24,
+              height: 24,
+              lineHeight: '24px',
+              textAlign: 'center',
+              borderRadius: '50%',
+              fontSize: '0.75rem',
+              backgroundColor: couleurs[e.type],
+              color: '#fff'
+            }}>
+              {iconeEvenement(e.type)}
+            </Box>
+          </Tooltip>
+        ))}
+      </Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
+        <Typography variant="caption" color="textSecondary">{formatMois(0)}</Typography>
+        <Typography variant="caption" color="textSecondary">{formatMois(nombreMois)}</Typography>
+      </Box>
+
+      {/* Édition */}
+      {evenements.map(e => (
+        <Grid container spacing={2} alignItems="center" key={e.id} sx={{ mb: 1 }}>
+          <Grid item xs={12} md={4}>
+            <Select
+              fullWidth
+              size="small"
+              value={e.type}
+              onChange={(ev) => modifier(e.id, 'type', ev.target.value)}
+              disabled={lectureSeule}
+              inputProps={{ 'aria-label': t('echeancier.type') }}
+            >
+              {TYPES_EVENEMENTS.map(type => (
+                <MenuItem key={type.id} value={type.id}>{type.icone} {t(`echeancier.types.${type.id}`)}</MenuItem>
+              ))}
+            </Select>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              fullWidth
+              size="small"
+              type="number"
+              label={t(e.type === 'pause' ? 'echeancier.duMois' : 'echeancier.mois')}
+              value={e.mois}
+              onChange={(ev) => modifier(e.id, 'mois', parseInt(ev.target.value))}
+              disabled={lectureSeule}
+              inputProps={{ min: 1, max: nombreMois }}
+            />
+          </Grid>
+          <Grid item xs={6} md={4}>
+            {e.type === 'pause' ? (
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label={t('echeancier.auMois')}
+                value={e.moisFin}
+                onChange={(ev) => modifier(e.id, 'moisFin', parseInt(ev.target.value))}
+                disabled={lectureSeule}
+                inputProps={{ min: e.mois, max: nombreMois }}
+              />
+            ) : (
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label={t('echeancier.montant', { symbole })}
+                value={e.montant}
+                onChange={(ev) => modifier(e.id, 'montant', parseFloat(ev.target.value))}
+                disabled={lectureSeule}
+                InputProps={{
+                  startAdornment: <InputAdornment position="start">{symbole}</InputAdornment>,
+                  inputProps: { min: 0 }
+                }}
+              />
+            )}
+          </Grid>
+          <Grid item xs={12} md={1}>
+            <IconButton aria-label={t('echeancier.supprimer')} disabled={lectureSeule} onClick={() => supprimer(e.id)}>
+              <Delete />
+            </IconButton>
+          </Grid>
+        </Grid>
+      ))}
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+        {TYPES_EVENEMENTS.map(type => (
+          <Button key={type.id} size="small" variant="outlined" disabled={lectureSeule} onClick={() => ajouter(type.id)}>
+            {type.icone} {t(`echeancier.types.${type.id}`)}
+          </Button>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default ContributionTimeline;
@@ -0,0 +1,182 @@
+import React from 'react';
+import {
+  Box,
+  FormControl,
+  FormControlLabel,
+  Grid,
+  InputAdornment,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  TextField,
+  Typography
+} from '@mui/material';
+import { MODES_RETRAIT } from './decumulation';
+
+const formaterDuree = (mois, t) => {
+  const annees = Math.floor(mois / 12);
+  const reste = mois % 12;
+  if (annees > 0 && reste > 0) {
+    return t('duree.anneesEtMois', { annees: t('duree.annees', { annees }), mois: t('duree.mois', { mois: reste }) });
+  }
+  return annees > 0 ? t('duree.annees', { annees }) : t('duree.mois', { mois: reste });
+};
+
+// Réglages de la phase de retraits et synthèse de la durée de vie du capital
+const DecumulationPanel = ({ inputs, errors, onChange, verrouille, capitalDepart, retraits, colors, i18n: { t, symbole, formaterMontant } }) => (
+  <Grid container spacing={3} alignItems="center">
+    <Grid item xs={12}>
+      <FormControlLabel
+        control={
+          <Switch
+            checked={inputs.phaseRetrait}
+            onChange={(e) => onChange('phaseRetrait', e.target.checked)}
+            disabled={verrouille('phaseRetrait')}
+          />
+        }
+        label={t('retraits.activer')}
+      />
+    </Grid>
+
+    {inputs.phaseRetrait && (
+      <>
+        <Grid item xs={12} md={4}>
+          <FormControl fullWidth disabled={verrouille('modeRetrait')}>
+            <InputLabel>{t('retraits.mode')}</InputLabel>
+            <Select
+              value={inputs.modeRetrait}
+              label={t('retraits.mode')}
+              onChange={(e) => onChange('modeRetrait', e.target.value)}
+            >
+              {MODES_RETRAIT.map(mode => (
+                <MenuItem key={mode.id} value={mode.id}>{t(`retraits.modes.${mode.id}`)}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+
+        <Grid item xs={12} md={4}>
+          {inputs.modeRetrait === 'montant' ? (
+            <TextField
+              fullWidth
+              label={t('retraits.retraitMensuel', { symbole })}
+              type="number"
+              value={inputs.retraitMensuel}
+              onChange={(e) => onChange('retraitMensuel', parseFloat(e.target.value))}
+              disabled={verrouille('retraitMensuel')}
+              error={!!errors.retraitMensuel}
+              helperText={errors.retraitMensuel}
+              InputProps={{
+                startAdornment: <InputAdornment position="start">{symbole}</InputAdornment>,
+                inputProps: { min: 0 }
+              }}
+            />
+          ) : (
+            <TextField
+              fullWidth
+              label={t('retraits.tauxRetrait')}
+              type="number"
+              value={inputs.tauxRetrait}
+              onChange={(e) => onChange('tauxRetrait', parseFloat(e.target.value))}
+              disabled={verrouille('tauxRetrait')}
+              error={!!errors.tauxRetrait}
+              helperText={errors.tauxRetrait}
+              InputProps={{
+                endAdornment: <InputAdornment position="end">%</InputAdornment>,
+                inputProps: { min: 0, max: 100, step: "0.1" }
+              }}
+            />
+          )}
+        </Grid>
+
+        <Grid item xs={12} md={4}>
+          <TextField
+            fullWidth
+            label={t('retraits.tauxRendement')}
+            type="number"
+            value={inputs.tauxRendementRetrait}
+            onChange={(e) => onChange('tauxRendementRetrait', parseFloat(e.target.value))}
+            disabled={verrouille('tauxRendementRetrait')}
+            error={!!errors.tauxRendementRetrait}
+            helperText={errors.tauxRendementRetrait}
+            InputProps={{
+              endAdornment: <InputAdornment position="end">%</InputAdornment>,
+              inputProps: { min: 0, max: 100, step: "0.1" }
+            }}
+          />
+        </Grid>
+
+        <Grid item xs={12} md={4}>
+          <TextField
+            fullWidth
+            label={t('retraits.duree')}
+            type="number"
+            value={inputs.dureeRetrait}
+            onChange={(e) => onChange('dureeRetrait', parseInt(e.target.value))}
+            disabled={verrouille('dureeRetrait')}
+            error={!!errors.dureeRetrait}
+            helperText={errors.dureeRetrait}
+            inputProps={{ min: 1, max: 50 }}
+          />
+        </Grid>
+
+        {inputs.modeRetrait === 'montant' && (
+          <Grid item xs={12} md={8}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={inputs.indexerRetraits}
+                  onChange={(e) => onChange('indexerRetraits', e.target.checked)}
+                  disabled={verrouille('indexerRetraits')}
+                />
+              }
+              label={t('retraits.indexer')}
+            />
+          </Grid>
+        )}
+
+        {retraits && (
+          <Grid item xs={12}>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+              <Box>
+                <Typography variant="subtitle2" color="textSecondary">{t('retraits.capitalDepart')}</Typography>
+                <Typography variant="h6">{formaterMontant(capitalDepart)}</Typography>
+              </Box>
+              <Box>
+                <Typography variant="subtitle2" color="textSecondary">{t('retraits.dureeDeVie')}</Typography>
+                <Typography variant="h6" sx={{ color: retraits.dureeMois === null ? colors.success : colors.error }}>
+                  {retraits.dureeMois === null
+                    ? t('duree.plusDe', { annees: inputs.dureeRetrait })
+                    : formaterDuree(retraits.dureeMois, t)}
+                </Typography>
+              </Box>
+              <Box>
+                <Typography variant="subtitle2" color="textSecondary">
+                  {t('retraits.revenuDurable', { annees: inputs.dureeRetrait })}
+                </Typography>
+                <Typography variant="h6" sx={{ color: colors.success }}>
+                  {formaterMontant(retraits.revenuDurable)}
+                </Typography>
+              </Box>
+              <Box>
+                <Typography variant="subtitle2" color="textSecondary">{t('retraits.totalRetire')}</Typography>
+                <Typography variant="h6">{formaterMontant(retraits.retraitsCumules)}</Typography>
+              </Box>
+            </Box>
+            <Typography variant="caption" color="textSecondary">
+              {inputs.modeRetrait === 'taux'
+                ? `${t('retraits.premierRetrait', { montant: retraits.premierRetrait })} `
+                : ''}
+              {retraits.dureeMois === null
+                ? t('retraits.capitalRestant', { annees: inputs.dureeRetrait, montant: retraits.capitalFinal })
+                : t('retraits.capitalEpuise')}
+            </Typography>
+          </Grid>
+        )}
+      </>
+    )}
+  </Grid>
+);
+
+export default DecumulationPanel;
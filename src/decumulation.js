@@ -0,0 +1,118 @@
+// Phase de retraits : consommation du capital constitué après la période d'épargne
+
+import { arrondir } from './simulation-engine';
+
+export const MODES_RETRAIT = [
+  { id: 'montant' },
+  { id: 'taux' }
+];
+
+const ITERATIONS_MAX = 100;
+
+/**
+ * Paramètres de la phase de retraits.
+ *
+ * @typedef {Object} ParametresRetrait
+ * @property {number} capitalInitial - Capital disponible au début des retraits (€).
+ * @property {'montant'|'taux'} modeRetrait
+ * @property {number} retraitMensuel - Retrait de la première année en mode montant (€).
+ * @property {number} tauxRetrait - Part du capital retirée chaque année en mode taux (%).
+ * @property {number} tauxRendement - Rendement annuel pendant les retraits (%).
+ * @property {number} dureeRetrait - Horizon de la phase en années.
+ * @property {boolean} [indexerRetraits] - Revaloriser le retrait mensuel de l'inflation chaque année.
+ * @property {number} [tauxInflation] - Inflation annuelle (%).
+ * @property {number} [moisDebut] - Mois de la projection globale où commence la phase, pour la continuité du graphique.
+ */
+
+/**
+ * Résultat de la phase de retraits.
+ *
+ * @typedef {Object} ResultatRetrait
+ * @property {Object[]} graphData - Points { mois, total, totalReel, retrait, retraitsCumules } après moisDebut.
+ * @property {?number} dureeMois - Nombre de mois avant épuisement du capital, null s'il tient tout l'horizon.
+ * @property {number} revenuDurable - Retrait mensuel de départ qui épuise le capital à la fin de l'horizon (€).
+ * @property {number} premierRetrait - Retrait du premier mois (€).
+ * @property {number} retraitsCumules - Total retiré sur la phase (€).
+ * @property {number} capitalFinal - Capital restant à l'horizon (€).
+ */
+
+// Déroulé mois par mois : retrait en début de mois puis intérêts sur le solde
+const derouler = ({
+  capitalInitial,
+  modeRetrait,
+  retraitMensuel,
+  tauxRetrait,
+  tauxRendement,
+  dureeRetrait,
+  indexerRetraits = false,
+  tauxInflation = 0,
+  moisDebut = 0
+}) => {
+  const nombreMois = dureeRetrait * 12;
+  const tauxMensuel = tauxRendement / 100 / 12;
+  let capital = capitalInitial;
+  let capitalDebutAnnee = capitalInitial;
+  let retraitsCumules = 0;
+  let dureeMois = null;
+  const graphData = [];
+
+  for (let mois = 1; mois <= nombreMois; mois++) {
+    const annee = Math.floor((mois - 1) / 12);
+    if ((mois - 1) % 12 === 0) capitalDebutAnnee = capital;
+
+    const prevu = modeRetrait === 'taux'
+      ? capitalDebutAnnee * tauxRetrait / 100 / 12
+      : retraitMensuel * (indexerRetraits ? Math.pow(1 + tauxInflation / 100, annee) : 1);
+    const retrait = Math.min(prevu, capital);
+    capital = (capital - retrait) * (1 + tauxMensuel);
+    retraitsCumules += retrait;
+
+    // Capital épuisé : le dernier retrait, partiel, compte encore
+    if (dureeMois === null && retrait < prevu) {
+      dureeMois = retrait > 0 ? mois : mois - 1;
+    }
+
+    const moisGlobal = moisDebut + mois;
+    graphData.push({
+      mois: moisGlobal,
+      total: arrondir(capital),
+      totalReel: arrondir(capital / Math.pow(1 + tauxInflation / 100, moisGlobal / 12)),
+      retrait: arrondir(retrait),
+      retraitsCumules: arrondir(retraitsCumules)
+    });
+  }
+
+  return { graphData, dureeMois, retraitsCumules, capitalFinal: capital };
+};
+
+/**
+ * Simule la phase de retraits et calcule le revenu mensuel soutenable sur l'horizon.
+ *
+ * @param {ParametresRetrait} params
+ * @returns {ResultatRetrait}
+ */
+export const simulerRetraits = (params) => {
+  const { graphData, dureeMois, retraitsCumules, capitalFinal } = derouler(params);
+
+  // Plus grand retrait fixe (éventuellement indexé) qui tient jusqu'à l'horizon
+  let bas = 0;
+  let haut = params.capitalInitial;
+  for (let i = 0; i < ITERATIONS_MAX && haut - bas > 0.001; i++) {
+    const milieu = (bas + haut) / 2;
+    const essai = derouler({ ...params, modeRetrait: 'montant', retraitMensuel: milieu });
+    if (essai.dureeMois === null) {
+      bas = milieu;
+    } else {
+      haut = milieu;
+    }
+  }
+
+  return {
+    graphData,
+    dureeMois,
+    revenuDurable: Math.floor(bas * 100) / 100,
+    premierRetrait: graphData.length ? graphData[0].retrait : 0,
+    retraitsCumules: arrondir(retraitsCumules),
+    capitalFinal: arrondir(capitalFinal)
+  };
+};
@@ -0,0 +1,62 @@
+import { simulerRetraits } from './decumulation';
+
+const base = {
+  capitalInitial: 100000,
+  modeRetrait: 'montant',
+  retraitMensuel: 1000,
+  tauxRetrait: 4,
+  tauxRendement: 0,
+  dureeRetrait: 30
+};
+
+describe('simulerRetraits', () => {
+  test('sans rendement, un retrait fixe épuise le capital en capital / retrait mois', () => {
+    const { dureeMois, retraitsCumules, capitalFinal } = simulerRetraits(base);
+
+    expect(dureeMois).toBe(100);
+    expect(retraitsCumules).toBe(100000);
+    expect(capitalFinal).toBe(0);
+  });
+
+  test('compte le dernier retrait partiel', () => {
+    expect(simulerRetraits({ ...base, retraitMensuel: 3000 }).dureeMois).toBe(34);
+  });
+
+  test("le revenu durable suit la formule d'annuité", () => {
+    const params = { ...base, tauxRendement: 3, dureeRetrait: 20 };
+    const r = 0.03 / 12;
+    const n = 240;
+    // Retrait en début de mois : annuité de début de période
+    const attendu = 100000 * r / (1 - Math.pow(1 + r, -n)) / (1 + r);
+
+    expect(simulerRetraits(params).revenuDurable).toBeCloseTo(attendu, 1);
+  });
+
+  test("le capital tient tout l'horizon quand le retrait est soutenable", () => {
+    const { dureeMois, capitalFinal } = simulerRetraits({ ...base, tauxRendement: 5, retraitMensuel: 300 });
+
+    expect(dureeMois).toBeNull();
+    expect(capitalFinal).toBeGreaterThan(100000);
+  });
+
+  test('un retrait en pourcentage ne vide jamais le capital', () => {
+    const { dureeMois, premierRetrait, graphData } = simulerRetraits({ ...base, modeRetrait: 'taux', tauxRendement: 2 });
+
+    expect(dureeMois).toBeNull();
+    expect(premierRetrait).toBeCloseTo(100000 * 0.04 / 12, 2);
+    expect(graphData[12].retrait).not.toBe(premierRetrait);
+  });
+
+  test("l'indexation réduit la durée de vie du capital", () => {
+    const fixe = simulerRetraits({ ...base, tauxRendement: 2, tauxInflation: 2 });
+    const indexe = simulerRetraits({ ...base, tauxRendement: 2, tauxInflation: 2, indexerRetraits: true });
+
+    expect(indexe.dureeMois).toBeLessThan(fixe.dureeMois);
+    expect(indexe.revenuDurable).toBeLessThan(fixe.revenuDurable);
+  });
+
+  test('prolonge la numérotation des mois de la phase d\'épargne', () => {
+    const { graphData } = simulerRetraits({ ...base, moisDebut: 120 });
+    expect(graphData[0].mois).toBe(121);
+  });
+});
@@ -0,0 +1,138 @@
+// Configuration du simulateur intégré sur une page partenaire (élément personnalisé ou iframe)
+
+// Événements émis vers la page hôte
+export const EVENEMENT_CHANGEMENT = 'simulateur-changement';
+export const EVENEMENT_RESULTAT = 'simulateur-resultat';
+
+// Parties du simulateur qui peuvent être masquées, en plus des champs de saisie
+export const SECTIONS = [
+  'entete',
+  'scenarios',
+  'bibliotheque',
+  'enveloppe',
+  'budget',
+  'objectif',
+  'monteCarlo',
+  'portefeuille',
+  'foyer',
+  'credit',
+  'suivi',
+  'historique',
+  'retraits',
+  'echeancier',
+  'resultats',
+  'graphique',
+  'export',
+  'amortissement',
+  'comparaison'
+];
+
+/**
+ * Configuration d'une intégration.
+ *
+ * @typedef {Object} Configuration
+ * @property {Object} valeurs - Saisies par défaut, normalisées ensuite selon le type de chaque champ.
+ * @property {string[]} masques - Sections (voir SECTIONS) et champs de saisie à ne pas afficher.
+ * @property {string[]} verrouilles - Champs affichés mais non modifiables.
+ * @property {Object} palette - Couleurs remplaçant celles du thème, mêmes clés que la palette par défaut.
+ * @property {string} [langue]
+ * @property {string} [devise]
+ * @property {boolean} [modeSombre]
+ * @property {boolean} integre - Vrai hors de la page complète : l'URL n'est plus synchronisée.
+ */
+
+// Attributs réservés ; tous les autres sont lus comme des saisies
+const ATTRIBUTS = ['config', 'langue', 'devise', 'theme', 'masquer', 'verrouiller', 'couleurs', 'integration'];
+
+// Les attributs HTML sont insensibles à la casse : somme-initiale désigne sommeInitiale
+const enCamelCase = (nom) => nom.replace(/^data-/, '').replace(/-([a-z])/g, (_, lettre) => lettre.toUpperCase());
+
+const lireJson = (texte, defaut) => {
+  if (typeof texte !== 'string') return texte ?? defaut;
+  try {
+    return JSON.parse(texte);
+  } catch {
+    return defaut;
+  }
+};
+
+const lireListe = (valeur) => {
+  if (Array.isArray(valeur)) return valeur.map(String);
+  if (typeof valeur !== 'string') return [];
+  return valeur.split(',').map(element => element.trim()).filter(Boolean);
+};
+
+const lireTheme = (theme) => {
+  if (theme === 'sombre' || theme === 'dark') return true;
+  if (theme === 'clair' || theme === 'light') return false;
+  return undefined;
+};
+
+/**
+ * Lit la configuration depuis les attributs d'un élément ou les paramètres d'une URL.
+ * L'attribut config peut porter un objet JSON complet ({ valeurs, masquer, verrouiller,
+ * couleurs, langue, devise, theme }) ; les attributs séparés le complètent ou le remplacent.
+ *
+ * @param {Object<string, string>} attributs
+ * @returns {Configuration}
+ */
+export const lireConfiguration = (attributs) => {
+  const objet = lireJson(attributs.config, {}) || {};
+  const valeurs = { ...(objet.valeurs || {}) };
+  Object.entries(attributs).forEach(([nom, valeur]) => {
+    if (!ATTRIBUTS.includes(nom)) valeurs[enCamelCase(nom)] = valeur;
+  });
+
+  const palette = { ...(objet.couleurs || {}), ...(lireJson(attributs.couleurs, {}) || {}) };
+
+  return {
+    valeurs,
+    masques: [...lireListe(objet.masquer), ...lireListe(attributs.masquer)],
+    verrouilles: [...lireListe(objet.verrouiller), ...lireListe(attributs.verrouiller)],
+    palette,
+    langue: attributs.langue ?? objet.langue,
+    devise: attributs.devise ?? objet.devise,
+    modeSombre: lireTheme(attributs.theme ?? objet.theme),
+    integre: true
+  };
+};
+
+/**
+ * Couleurs de la palette par défaut remplacées par celles de l'intégration. Seules
+ * les clés connues et les valeurs textuelles sont reprises.
+ *
+ * @param {Object} base
+ * @param {Object} [palette]
+ * @returns {Object}
+ */
+export const fusionnerPalette = (base, palette = {}) => {
+  const resultat = { ...base };
+  Object.entries(palette).forEach(([cle, valeur]) => {
+    if (!(cle in base)) return;
+    if (typeof base[cle] === 'object' && valeur && typeof valeur === 'object') {
+      resultat[cle] = fusionnerPalette(base[cle], valeur);
+    } else if (typeof base[cle] === 'string' && typeof valeur === 'string') {
+      resultat[cle] = valeur;
+    }
+  });
+  return resultat;
+};
+
+/**
+ * Résultats transmis à la page hôte : les montants principaux, sans l'échéancier.
+ *
+ * @param {import('./simulation-engine').ResultatSimulation & { objectif: ?Object }} results
+ * @returns {Object}
+ */
+export const resumerResultat = (results) => ({
+  montantTotal: results.montantTotal,
+  montantInvesti: results.montantInvesti,
+  gains: results.gains,
+  impots: results.impots,
+  montantNet: results.montantNet,
+  montantTotalReel: results.montantTotalReel,
+  frais: results.frais,
+  objectif: results.objectif
+    ? { atteignable: results.objectif.atteignable, valeur: results.objectif.valeur, moisAtteint: results.objectif.moisAtteint }
+    : null
+});
@@ -0,0 +1,97 @@
+import { lireConfiguration, fusionnerPalette, resumerResultat } from './embed-config';
+
+const PALETTE = {
+  success: '#34D399',
+  error: '#DD4425',
+  darkMode: {
+    paper: '#323238',
+    border: 'rgba(255, 255, 255, 0.08)'
+  }
+};
+
+describe('lireConfiguration', () => {
+  test('lit les saisies dans les attributs libres, en camelCase', () => {
+    const configuration = lireConfiguration({ 'somme-initiale': '5000', 'data-mensualite': '150', langue: 'en' });
+
+    expect(configuration.valeurs).toEqual({ sommeInitiale: '5000', mensualite: '150' });
+    expect(configuration.langue).toBe('en');
+    expect(configuration.integre).toBe(true);
+  });
+
+  test('découpe les listes de sections masquées et de champs verrouillés', () => {
+    const configuration = lireConfiguration({ masquer: 'entete, export,', verrouiller: 'enveloppe' });
+
+    expect(configuration.masques).toEqual(['entete', 'export']);
+    expect(configuration.verrouilles).toEqual(['enveloppe']);
+  });
+
+  test("complète l'objet config par les attributs séparés", () => {
+    const configuration = lireConfiguration({
+      config: JSON.stringify({
+        valeurs: { mensualite: 200, tauxAnnuel: 4 },
+        masquer: ['bibliotheque'],
+        couleurs: { success: '#000' },
+        devise: 'USD',
+        theme: 'light'
+      }),
+      mensualite: '300',
+      masquer: 'export',
+      couleurs: '{"error":"#F00"}'
+    });
+
+    expect(configuration.valeurs).toEqual({ mensualite: '300', tauxAnnuel: 4 });
+    expect(configuration.masques).toEqual(['bibliotheque', 'export']);
+    expect(configuration.palette).toEqual({ success: '#000', error: '#F00' });
+    expect(configuration.devise).toBe('USD');
+    expect(configuration.modeSombre).toBe(false);
+  });
+
+  test('ignore un JSON invalide et un thème inconnu', () => {
+    const configuration = lireConfiguration({ config: '{', couleurs: 'rouge', theme: 'bleu' });
+
+    expect(configuration.valeurs).toEqual({});
+    expect(configuration.palette).toEqual({});
+    expect(configuration.modeSombre).toBeUndefined();
+  });
+});
+
+describe('fusionnerPalette', () => {
+  test('remplace les couleurs connues, y compris imbriquées', () => {
+    const palette = fusionnerPalette(PALETTE, { success: '#0A7D45', darkMode: { paper: '#111' } });
+
+    expect(palette.success).toBe('#0A7D45');
+    expect(palette.darkMode).toEqual({ paper: '#111', border: PALETTE.darkMode.border });
+    expect(PALETTE.success).toBe('#34D399');
+  });
+
+  test('ignore les clés inconnues et les valeurs non textuelles', () => {
+    expect(fusionnerPalette(PALETTE, { inconnue: '#fff', error: 12, darkMode: '#000' })).toEqual(PALETTE);
+  });
+});
+
+describe('resumerResultat', () => {
+  test("ne transmet que les montants principaux et l'état de l'objectif", () => {
+    const resume = resumerResultat({
+      montantTotal: 12000,
+      montantInvesti: 10000,
+      gains: 2000,
+      impots: 600,
+      montantNet: 11400,
+      montantTotalReel: 10500,
+      frais: 50,
+      graphData: [{ mois: 0 }],
+      objectif: { atteignable: true, valeur: 150, moisAtteint: 48, message: 'objectif.atteint' }
+    });
+
+    expect(resume).toEqual({
+      montantTotal: 12000,
+      montantInvesti: 10000,
+      gains: 2000,
+      impots: 600,
+      montantNet: 11400,
+      montantTotalReel: 10500,
+      frais: 50,
+      objectif: { atteignable: true, valeur: 150, moisAtteint: 48 }
+    });
+  });
+});
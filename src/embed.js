@@ -0,0 +1,136 @@
+// Intégration du simulateur sur une page partenaire : élément personnalisé ou iframe
+//
+// Élément personnalisé, une fois le bundle chargé :
+//   <simulateur-epargne somme-initiale="5000" mensualite="150" langue="en"
+//     masquer="bibliotheque,export" verrouiller="enveloppe"
+//     couleurs='{"success":"#0A7D45"}'></simulateur-epargne>
+//   element.addEventListener('simulateur-resultat', (e) => console.log(e.detail.montantNet));
+//
+// Iframe :
+//   <iframe src="https://…/?integration&mensualite=150&masquer=entete"></iframe>
+//   window.addEventListener('message', (e) => {
+//     if (e.data.source === 'simulateur-epargne') console.log(e.data.type, e.data.detail);
+//   });
+
+import React, { useMemo } from 'react';
+import { createRoot } from 'react-dom/client';
+import InvestmentCalculator from './investment-calculator';
+import { EVENEMENT_CHANGEMENT, EVENEMENT_RESULTAT, lireConfiguration } from './embed-config';
+
+export const NOM_ELEMENT = 'simulateur-epargne';
+
+// Paramètre d'URL qui active le mode iframe
+export const PARAMETRE_INTEGRATION = 'integration';
+
+// Attribut du conteneur de public/index.html, où l'application elle-même est rendue
+export const ATTRIBUT_APPLICATION = 'data-simulateur-application';
+
+const lireAttributs = (element) =>
+  Object.fromEntries(Array.from(element.attributes, ({ name, value }) => [name, value]));
+
+/**
+ * Déclare l'élément personnalisé. Le rendu se fait dans l'élément lui-même, sans
+ * shadow DOM, pour que les styles du thème injectés dans le document s'appliquent.
+ *
+ * @param {string} [nom]
+ */
+export const definirElementSimulateur = (nom = NOM_ELEMENT) => {
+  if (typeof window === 'undefined' || !window.customElements || window.customElements.get(nom)) return;
+
+  class ElementSimulateur extends HTMLElement {
+    constructor() {
+      super();
+      this.racine = null;
+      this.observateur = null;
+      this.configurationFournie = null;
+      this.version = 0;
+      // Références stables : le simulateur ne réémet pas à chaque rendu
+      this.emettreChangement = (inputs) => this.emettre(EVENEMENT_CHANGEMENT, inputs);
+      this.emettreResultat = (resultat) => this.emettre(EVENEMENT_RESULTAT, resultat);
+    }
+
+    // Objet de configuration, prioritaire sur les attributs (mêmes clés que l'attribut config)
+    get configuration() {
+      return this.configurationFournie;
+    }
+
+    set configuration(valeur) {
+      this.configurationFournie = valeur;
+      this.rendre();
+    }
+
+    connectedCallback() {
+      this.racine = createRoot(this);
+      // Les saisies sont des attributs libres : on observe tous les attributs plutôt
+      // qu'une liste observedAttributes figée
+      this.observateur = new MutationObserver(() => this.rendre());
+      this.observateur.observe(this, { attributes: true });
+      this.rendre();
+    }
+
+    disconnectedCallback() {
+      this.observateur?.disconnect();
+      this.observateur = null;
+      // Démontage différé : React refuse de démonter une racine pendant un rendu
+      const racine = this.racine;
+      this.racine = null;
+      setTimeout(() => racine?.unmount());
+    }
+
+    emettre(type, detail) {
+      this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+
+    // Toute nouvelle configuration repart d'un simulateur neuf, initialisé avec elle
+    rendre() {
+      if (!this.racine) return;
+      const attributs = lireAttributs(this);
+      if (this.configurationFournie) attributs.config = JSON.stringify(this.configurationFournie);
+      this.version += 1;
+      this.racine.render(
+        <InvestmentCalculator
+          key={this.version}
+          configuration={lireConfiguration(attributs)}
+          onChangement={this.emettreChangement}
+          onResultat={this.emettreResultat}
+        />
+      );
+    }
+  }
+
+  window.customElements.define(nom, ElementSimulateur);
+};
+
+/**
+ * Vrai si la page est chargée dans une iframe d'intégration.
+ *
+ * @param {string} recherche - window.location.search
+ * @returns {boolean}
+ */
+export const estModeIntegration = (recherche) => new URLSearchParams(recherche).has(PARAMETRE_INTEGRATION);
+
+const envoyerAuParent = (type, detail) => {
+  if (window.parent === window) return;
+  window.parent.postMessage({ source: NOM_ELEMENT, type, detail }, '*');
+};
+
+const transmettreChangement = (inputs) => envoyerAuParent(EVENEMENT_CHANGEMENT, inputs);
+const transmettreResultat = (resultat) => envoyerAuParent(EVENEMENT_RESULTAT, resultat);
+
+/**
+ * Simulateur en iframe : configuration lue dans les paramètres d'URL, événements
+ * transmis à la page parente par postMessage.
+ */
+export const SimulateurIntegre = ({ recherche }) => {
+  const configuration = useMemo(
+    () => lireConfiguration(Object.fromEntries(new URLSearchParams(recherche))),
+    [recherche]
+  );
+  return (
+    <InvestmentCalculator
+      configuration={configuration}
+      onChangement={transmettreChangement}
+      onResultat={transmettreResultat}
+    />
+  );
+};
@@ -0,0 +1,101 @@
+// Enveloppes d'épargne françaises : plafonds de versement et fiscalité des gains
+
+// Prélèvements sociaux et prélèvement forfaitaire unique (flat tax)
+export const PRELEVEMENTS_SOCIAUX = 0.172;
+export const IMPOT_PFU = 0.128;
+export const TAUX_PFU = IMPOT_PFU + PRELEVEMENTS_SOCIAUX;
+
+// Assurance-vie après 8 ans : taux réduit d'impôt et abattement annuel (personne seule)
+export const IMPOT_ASSURANCE_VIE_8_ANS = 0.075;
+export const ABATTEMENT_ASSURANCE_VIE = 4600;
+
+/**
+ * Description d'une enveloppe.
+ *
+ * @typedef {Object} Enveloppe
+ * @property {string} id - Son nom est au catalogue sous enveloppes.<id>.
+ * @property {?number} plafond - Plafond des versements (€), null si illimité.
+ * @property {?number} tauxReglemente - Taux en vigueur proposé par défaut (%), null si libre.
+ * @property {'aucune'|'exoneree'|'pea'|'assurance-vie'|'pfu'|'per'} fiscalite
+ * @property {string} [capitalisation] - Mode de calcul des intérêts propre à l'enveloppe.
+ */
+
+/** @type {Enveloppe[]} */
+export const ENVELOPPES = [
+  { id: 'libre', plafond: null, tauxReglemente: null, fiscalite: 'aucune' },
+  // Taux réglementés en vigueur au 1er août 2025
+  { id: 'livret-a', plafond: 22950, tauxReglemente: 1.7, fiscalite: 'exoneree', capitalisation: 'quinzaine' },
+  { id: 'ldds', plafond: 12000, tauxReglemente: 1.7, fiscalite: 'exoneree', capitalisation: 'quinzaine' },
+  { id: 'lep', plafond: 10000, tauxReglemente: 2.7, fiscalite: 'exoneree', capitalisation: 'quinzaine' },
+  { id: 'pea', plafond: 150000, tauxReglemente: null, fiscalite: 'pea' },
+  { id: 'assurance-vie', plafond: null, tauxReglemente: null, fiscalite: 'assurance-vie' },
+  { id: 'cto', plafond: null, tauxReglemente: null, fiscalite: 'pfu' },
+  { id: 'per', plafond: null, tauxReglemente: null, fiscalite: 'per' }
+];
+
+export const trouverEnveloppe = (enveloppeId) =>
+  ENVELOPPES.find(e => e.id === enveloppeId) || ENVELOPPES[0];
+
+/**
+ * Impôts dus sur les gains à la sortie de l'enveloppe, après nombreAnnees de détention.
+ *
+ * @param {string} enveloppeId
+ * @param {number} gains - Gains bruts (€).
+ * @param {number} nombreAnnees - Durée de détention.
+ * @returns {{ impots: number, gainsNets: number, regime: import('./i18n').Message }}
+ */
+export const calculerFiscalite = (enveloppeId, gains, nombreAnnees) => {
+  const enveloppe = trouverEnveloppe(enveloppeId);
+  const base = Math.max(0, gains);
+  let impots = 0;
+  let regime;
+
+  switch (enveloppe.fiscalite) {
+    case 'exoneree':
+      regime = { cle: 'fiscalite.exoneree' };
+      break;
+
+    case 'pea':
+      if (nombreAnnees >= 5) {
+        impots = base * PRELEVEMENTS_SOCIAUX;
+        regime = { cle: 'fiscalite.peaPlusDe5Ans' };
+      } else {
+        impots = base * TAUX_PFU;
+        regime = { cle: 'fiscalite.peaMoinsDe5Ans' };
+      }
+      break;
+
+    case 'assurance-vie':
+      if (nombreAnnees >= 8) {
+        const baseImposable = Math.max(0, base - ABATTEMENT_ASSURANCE_VIE);
+        impots = base * PRELEVEMENTS_SOCIAUX + baseImposable * IMPOT_ASSURANCE_VIE_8_ANS;
+        regime = { cle: 'fiscalite.assuranceViePlusDe8Ans', valeurs: { abattement: ABATTEMENT_ASSURANCE_VIE } };
+      } else {
+        impots = base * TAUX_PFU;
+        regime = { cle: 'fiscalite.assuranceVieMoinsDe8Ans' };
+      }
+      break;
+
+    case 'pfu':
+      impots = base * TAUX_PFU;
+      regime = { cle: 'fiscalite.pfu' };
+      break;
+
+    // Sortie en capital : seuls les gains sont comptés ici, l'impôt sur les versements
+    // déduits dépend du taux marginal à la retraite (voir retirement-plan)
+    case 'per':
+      impots = base * TAUX_PFU;
+      regime = { cle: 'fiscalite.per' };
+      break;
+
+    default:
+      regime = { cle: 'fiscalite.aucune' };
+  }
+
+  impots = parseFloat(impots.toFixed(2));
+  return {
+    impots,
+    gainsNets: parseFloat((gains - impots).toFixed(2)),
+    regime
+  };
+};
@@ -0,0 +1,29 @@
+import { calculerFiscalite, ABATTEMENT_ASSURANCE_VIE } from './enveloppes';
+
+describe('calculerFiscalite', () => {
+  test('les livrets réglementés sont exonérés', () => {
+    expect(calculerFiscalite('livret-a', 1000, 3)).toMatchObject({ impots: 0, gainsNets: 1000 });
+  });
+
+  test('le PEA passe de la flat tax aux seuls prélèvements sociaux après 5 ans', () => {
+    expect(calculerFiscalite('pea', 1000, 4).impots).toBe(300);
+    expect(calculerFiscalite('pea', 1000, 5).impots).toBe(172);
+  });
+
+  test("l'assurance-vie applique l'abattement après 8 ans", () => {
+    expect(calculerFiscalite('assurance-vie', 10000, 7).impots).toBe(3000);
+    // 17,2 % sur tout + 7,5 % au-delà de l'abattement
+    const attendu = 10000 * 0.172 + (10000 - ABATTEMENT_ASSURANCE_VIE) * 0.075;
+    expect(calculerFiscalite('assurance-vie', 10000, 8).impots).toBeCloseTo(attendu, 2);
+    expect(calculerFiscalite('assurance-vie', 4000, 8).impots).toBe(688);
+  });
+
+  test("le CTO est soumis à la flat tax, les pertes ne sont pas imposées", () => {
+    expect(calculerFiscalite('cto', 2000, 20).gainsNets).toBe(1400);
+    expect(calculerFiscalite('cto', -500, 2)).toMatchObject({ impots: 0, gainsNets: -500 });
+  });
+
+  test('le PER impose ici les seuls gains à la flat tax', () => {
+    expect(calculerFiscalite('per', 1000, 20)).toMatchObject({ impots: 300, regime: { cle: 'fiscalite.per' } });
+  });
+});
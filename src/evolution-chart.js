@@ -0,0 +1,129 @@
+// Préparation du graphique d'évolution : composition empilée, échelle logarithmique,
+// unité des graduations et jalons remarquables de la projection
+
+import { arrondir } from './simulation-engine';
+
+/**
+ * Unité commune à toutes les graduations d'un axe.
+ *
+ * @typedef {Object} UniteAxe
+ * @property {number} diviseur - 1, 1 000 ou 1 000 000.
+ * @property {?('milliers'|'millions')} suffixe - Abréviation affichée (k, M), null en unités.
+ * @property {number} decimales - Chiffres après la virgule pour distinguer deux graduations.
+ */
+
+/**
+ * Jalon de la projection.
+ *
+ * @typedef {Object} Jalon
+ * @property {'seuil'|'interetsVersements'|'interetsMensuels'} id
+ * @property {number} mois - Premier mois où le jalon est atteint.
+ * @property {number} [seuil] - Montant franchi, pour un jalon de type seuil (€).
+ */
+
+// Paliers de solde signalés sur la courbe
+export const SEUILS_JALONS = [10000, 50000, 100000];
+
+// Nombre de graduations visées par recharts sur l'axe des montants
+const GRADUATIONS = 5;
+
+/**
+ * Unité des graduations : les milliers à partir de 10 000, les millions à partir d'un
+ * million, avec assez de décimales pour que l'écart entre deux graduations soit lisible.
+ *
+ * @param {number} maximum - Plus grande valeur affichée.
+ * @returns {UniteAxe}
+ */
+export const uniteAxe = (maximum) => {
+  const valeur = Math.abs(maximum);
+  const [diviseur, suffixe] = valeur >= 1e6
+    ? [1e6, 'millions']
+    : valeur >= 1e4 ? [1e3, 'milliers'] : [1, null];
+  const pas = valeur / GRADUATIONS / diviseur;
+  const decimales = pas === 0 || pas >= 1 || diviseur === 1 ? 0 : Math.min(2, Math.ceil(-Math.log10(pas)));
+  return { diviseur, suffixe, decimales };
+};
+
+/**
+ * Plus grande valeur numérique des points, hors numéro de mois ; les bandes
+ * [bas, haut] comptent par leur borne haute.
+ *
+ * @param {Object[]} points
+ * @returns {number}
+ */
+export const valeurMaximale = (points) => points.reduce((maximum, point) =>
+  Object.entries(point).reduce((max, [cle, valeur]) => {
+    if (cle === 'mois') return max;
+    const haut = Array.isArray(valeur) ? valeur[1] : valeur;
+    return typeof haut === 'number' && Number.isFinite(haut) ? Math.max(max, haut) : max;
+  }, maximum), 0);
+
+/**
+ * Ajoute la décomposition du solde en versements et en gains cumulés, que le graphique
+ * empile : leur somme redonne le solde. Les gains sont nets des frais, donc négatifs
+ * tant que les frais dépassent les intérêts.
+ *
+ * @param {Object[]} points - Points du graphique, avec total et investi (ou leurs variantes Reel).
+ * @param {string} [suffixe] - 'Reel' pour les euros constants.
+ * @returns {Object[]} Points avec versementsEmpiles et gainsEmpiles.
+ */
+export const ajouterComposition = (points, suffixe = '') => points.map(point => {
+  const total = point[`total${suffixe}`];
+  const investi = point[`investi${suffixe}`];
+  if (typeof total !== 'number' || typeof investi !== 'number') return point;
+  return {
+    ...point,
+    versementsEmpiles: investi,
+    gainsEmpiles: arrondir(total - investi)
+  };
+});
+
+/**
+ * Retire les valeurs nulles ou négatives, qu'une échelle logarithmique ne peut pas placer.
+ *
+ * @param {Object[]} points
+ * @returns {Object[]}
+ */
+export const pourEchelleLog = (points) => points.map(point => Object.fromEntries(
+  Object.entries(point).map(([cle, valeur]) => {
+    if (cle === 'mois') return [cle, valeur];
+    if (typeof valeur === 'number') return [cle, valeur > 0 ? valeur : null];
+    if (Array.isArray(valeur)) return [cle, valeur[1] > 0 ? [Math.max(valeur[0], 1), valeur[1]] : null];
+    return [cle, valeur];
+  })
+));
+
+/**
+ * Jalons de la projection : premiers paliers de solde franchis, mois où les gains
+ * cumulés dépassent les versements, et mois où les intérêts d'un mois dépassent la
+ * mensualité. Un palier déjà atteint au départ n'est pas un jalon.
+ *
+ * @param {import('./simulation-engine').PointSimulation[]} graphData
+ * @param {Object} options
+ * @param {number} options.mensualite
+ * @param {string} [options.suffixe] - 'Reel' pour repérer les paliers en euros constants.
+ * @param {number[]} [options.seuils]
+ * @returns {Jalon[]} Jalons dans l'ordre chronologique.
+ */
+export const detecterJalons = (graphData, { mensualite, suffixe = '', seuils = SEUILS_JALONS }) => {
+  if (graphData.length === 0) return [];
+  const total = (point) => point[`total${suffixe}`];
+  const investi = (point) => point[`investi${suffixe}`];
+  const jalons = [];
+
+  seuils.forEach(seuil => {
+    if (total(graphData[0]) >= seuil) return;
+    const point = graphData.find(p => total(p) >= seuil);
+    if (point) jalons.push({ id: 'seuil', mois: point.mois, seuil });
+  });
+
+  const croisement = graphData.find(p => p.mois > 0 && investi(p) > 0 && total(p) - investi(p) > investi(p));
+  if (croisement) jalons.push({ id: 'interetsVersements', mois: croisement.mois });
+
+  if (mensualite > 0) {
+    const rente = graphData.find(p => p.mois > 0 && p.interets >= mensualite);
+    if (rente) jalons.push({ id: 'interetsMensuels', mois: rente.mois });
+  }
+
+  return jalons.sort((a, b) => a.mois - b.mois);
+};
@@ -0,0 +1,79 @@
+import { uniteAxe, valeurMaximale, ajouterComposition, pourEchelleLog, detecterJalons } from './evolution-chart';
+import { simulerEpargne } from './simulation-engine';
+import { creerI18n } from './i18n';
+
+const sansInsecables = (texte) => texte.replace(/[\u00a0\u202f]/g, ' ');
+
+describe('uniteAxe', () => {
+  test('garde les euros sous 10 000 €', () => {
+    expect(uniteAxe(850)).toEqual({ diviseur: 1, suffixe: null, decimales: 0 });
+    expect(uniteAxe(9999)).toEqual({ diviseur: 1, suffixe: null, decimales: 0 });
+  });
+
+  test('passe aux milliers puis aux millions avec les décimales utiles', () => {
+    expect(uniteAxe(12000)).toEqual({ diviseur: 1e3, suffixe: 'milliers', decimales: 0 });
+    expect(uniteAxe(2500000)).toEqual({ diviseur: 1e6, suffixe: 'millions', decimales: 1 });
+    expect(uniteAxe(1200000)).toEqual({ diviseur: 1e6, suffixe: 'millions', decimales: 1 });
+  });
+
+  test('formate toutes les graduations dans la même unité', () => {
+    const unite = uniteAxe(2500000);
+
+    expect(sansInsecables(creerI18n('fr', 'EUR').formaterMontantAxe(500000, unite))).toBe('0,5 M€');
+    expect(creerI18n('en', 'USD').formaterMontantAxe(1500000, unite)).toBe('$1.5M');
+    expect(sansInsecables(creerI18n('fr', 'EUR').formaterMontantAxe(750, uniteAxe(850)))).toBe('750 €');
+    expect(sansInsecables(creerI18n('fr', 'EUR').formaterMontantAxe(12000, uniteAxe(50000)))).toBe('12 k€');
+  });
+});
+
+describe('valeurMaximale', () => {
+  test('ignore le mois et lit la borne haute des bandes', () => {
+    expect(valeurMaximale([
+      { mois: 600, total: 100, bande: [50, 300] },
+      { mois: 601, total: null, investi: 200 }
+    ])).toBe(300);
+  });
+});
+
+describe('ajouterComposition', () => {
+  test('décompose le solde en versements et gains cumulés', () => {
+    expect(ajouterComposition([{ mois: 1, total: 1050.5, investi: 1000, totalReel: 1000, investiReel: 990 }]))
+      .toEqual([{ mois: 1, total: 1050.5, investi: 1000, totalReel: 1000, investiReel: 990, versementsEmpiles: 1000, gainsEmpiles: 50.5 }]);
+    expect(ajouterComposition([{ mois: 1, totalReel: 1000, investiReel: 990 }], 'Reel')[0].gainsEmpiles).toBe(10);
+  });
+});
+
+describe('pourEchelleLog', () => {
+  test('retire les valeurs que le logarithme ne peut placer', () => {
+    expect(pourEchelleLog([{ mois: 0, total: 0, investi: -5, bande: [0, 10], nom: 'a' }]))
+      .toEqual([{ mois: 0, total: null, investi: null, bande: [1, 10], nom: 'a' }]);
+  });
+});
+
+describe('detecterJalons', () => {
+  const graphData = simulerEpargne({ sommeInitiale: 0, mensualite: 500, tauxAnnuel: 8, nombreAnnees: 40 }).graphData;
+  const jalons = detecterJalons(graphData, { mensualite: 500 });
+
+  test('repère les paliers, le croisement des gains et des versements et la rente', () => {
+    // 500 € d'intérêts par mois à 8 % : 75 000 € placés, avant le palier de 100 000 €
+    expect(jalons.map(j => j.id)).toEqual(['seuil', 'seuil', 'interetsMensuels', 'seuil', 'interetsVersements']);
+    expect(jalons.map(j => j.seuil).filter(Boolean)).toEqual([10000, 50000, 100000]);
+    expect(jalons.map(j => j.mois)).toEqual(jalons.map(j => j.mois).sort((a, b) => a - b));
+  });
+
+  test('date chaque jalon au premier mois où il est atteint', () => {
+    const croisement = jalons.find(j => j.id === 'interetsVersements').mois;
+    const point = graphData[croisement];
+    const precedent = graphData[croisement - 1];
+
+    expect(point.total - point.investi).toBeGreaterThan(point.investi);
+    expect(precedent.total - precedent.investi).toBeLessThanOrEqual(precedent.investi);
+    expect(graphData[jalons.find(j => j.id === 'interetsMensuels').mois].interets).toBeGreaterThanOrEqual(500);
+  });
+
+  test('ignore un palier déjà atteint au départ et la rente sans mensualité', () => {
+    const depart = simulerEpargne({ sommeInitiale: 20000, mensualite: 0, tauxAnnuel: 0, nombreAnnees: 1 }).graphData;
+
+    expect(detecterJalons(depart, { mensualite: 0 })).toEqual([]);
+  });
+});
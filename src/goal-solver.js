@@ -0,0 +1,141 @@
+// Recherche d'objectif : retrouve le versement, la durée ou le taux qui mène à un montant cible
+// en s'appuyant sur la même capitalisation mensuelle que simulerEpargne.
+
+import { simulerEpargne } from './simulation-engine';
+
+// Bornes identiques à celles de validateInput
+export const LIMITES = {
+  tauxAnnuel: { min: 0, max: 100 },
+  nombreAnnees: { min: 1, max: 50 }
+};
+
+export const INCONNUES = [
+  { id: 'mensualite' },
+  { id: 'nombreAnnees' },
+  { id: 'tauxAnnuel' }
+];
+
+const ITERATIONS_MAX = 100;
+
+/**
+ * Solution d'une recherche d'objectif.
+ *
+ * @typedef {Object} SolutionObjectif
+ * @property {boolean} atteignable - Faux si aucune valeur dans les limites n'atteint la cible.
+ * @property {?number} valeur - Valeur trouvée pour l'inconnue, null si inatteignable.
+ * @property {?number} moisAtteint - Premier mois où le solde dépasse la cible, null si jamais.
+ * @property {import('./i18n').Message} message - Explication à afficher.
+ */
+
+const montantFinal = (params) => simulerEpargne(params).montantTotal;
+
+// Dichotomie sur une fonction croissante : plus petite valeur de [min, max] qui atteint la cible
+const dichotomie = (evaluer, cible, min, max, precision) => {
+  let bas = min;
+  let haut = max;
+  for (let i = 0; i < ITERATIONS_MAX && haut - bas > precision; i++) {
+    const milieu = (bas + haut) / 2;
+    if (evaluer(milieu) >= cible) {
+      haut = milieu;
+    } else {
+      bas = milieu;
+    }
+  }
+  return haut;
+};
+
+export const premierMoisAtteint = (graphData, cible) => {
+  const point = graphData.find(p => p.total >= cible);
+  return point ? point.mois : null;
+};
+
+/**
+ * Résout l'inconnue choisie pour que le montant final atteigne montantCible.
+ *
+ * @param {import('./simulation-engine').ParametresSimulation} params - Les autres paramètres de la simulation.
+ * @param {number} montantCible - Montant final visé (€).
+ * @param {'mensualite'|'nombreAnnees'|'tauxAnnuel'} inconnue
+ * @returns {SolutionObjectif}
+ */
+export const resoudreObjectif = (params, montantCible, inconnue) => {
+  const avec = (valeur) => ({ ...params, [inconnue]: valeur });
+  const solution = (valeur) => ({
+    atteignable: true,
+    valeur,
+    moisAtteint: premierMoisAtteint(simulerEpargne(avec(valeur)).graphData, montantCible)
+  });
+  const inatteignable = (message) => ({ atteignable: false, valeur: null, moisAtteint: null, message });
+
+  switch (inconnue) {
+    case 'mensualite': {
+      if (montantFinal(avec(0)) >= montantCible) {
+        return { ...solution(0), message: { cle: 'objectif.capitalSuffisant' } };
+      }
+      // Verser la cible chaque mois l'atteint, sauf si pauses, retraits ou frais l'empêchent
+      if (montantFinal(avec(montantCible)) < montantCible) {
+        return inatteignable({ cle: 'objectif.versementInsuffisant' });
+      }
+      const mensualite = Math.ceil(dichotomie(
+        (m) => montantFinal(avec(m)), montantCible, 0, montantCible, 0.001
+      ) * 100) / 100;
+      return {
+        ...solution(mensualite),
+        message: { cle: 'objectif.versement', valeurs: { mensualite } }
+      };
+    }
+
+    case 'nombreAnnees': {
+      const { max } = LIMITES.nombreAnnees;
+      const mois = premierMoisAtteint(simulerEpargne(avec(max)).graphData, montantCible);
+      if (mois === null) {
+        return inatteignable({ cle: 'objectif.dureeInsuffisante', valeurs: { max } });
+      }
+      const nombreAnnees = Math.max(LIMITES.nombreAnnees.min, Math.ceil(mois / 12));
+      return {
+        ...solution(nombreAnnees),
+        message: { cle: 'objectif.duree', valeurs: { nombreAnnees, mois } }
+      };
+    }
+
+    case 'tauxAnnuel': {
+      const { min, max } = LIMITES.tauxAnnuel;
+      if (montantFinal(avec(min)) >= montantCible) {
+        return { ...solution(min), message: { cle: 'objectif.sansRendement' } };
+      }
+      if (montantFinal(avec(max)) < montantCible) {
+        return inatteignable({ cle: 'objectif.tauxInsuffisant', valeurs: { max } });
+      }
+      const taux = Math.ceil(dichotomie(
+        (t) => montantFinal(avec(t)), montantCible, min, max, 0.0001
+      ) * 100) / 100;
+      return {
+        ...solution(taux),
+        message: { cle: 'objectif.taux', valeurs: { taux } }
+      };
+    }
+
+    default:
+      return inatteignable({ cle: 'objectif.inconnueNonGeree', valeurs: { inconnue } });
+  }
+};
+
+/**
+ * Simulation complète d'un jeu de saisies : en mode objectif, l'inconnue est résolue
+ * puis la projection utilise la valeur trouvée.
+ *
+ * @param {Object} inputs - Saisies du formulaire (paramètres de simulation et réglages d'objectif).
+ * @returns {import('./simulation-engine').ResultatSimulation & { objectif: ?SolutionObjectif, parametres: Object }}
+ *   parametres reprend les saisies, inconnue résolue.
+ */
+export const simulerAvecObjectif = (inputs) => {
+  let parametres = inputs;
+  let objectif = null;
+  if (inputs.modeObjectif && inputs.montantCible > 0) {
+    objectif = resoudreObjectif(inputs, inputs.montantCible, inputs.inconnue);
+    if (objectif.atteignable) {
+      parametres = { ...inputs, [inputs.inconnue]: objectif.valeur };
+    }
+  }
+
+  return { ...simulerEpargne(parametres), objectif, parametres };
+};
@@ -0,0 +1,51 @@
+import { resoudreObjectif } from './goal-solver';
+import { simulerEpargne } from './simulation-engine';
+
+const base = { sommeInitiale: 0, mensualite: 200, tauxAnnuel: 3, nombreAnnees: 5 };
+
+describe('resoudreObjectif', () => {
+  test('trouve le versement mensuel qui atteint la cible', () => {
+    const { atteignable, valeur } = resoudreObjectif(base, 30000, 'mensualite');
+
+    expect(atteignable).toBe(true);
+    expect(simulerEpargne({ ...base, mensualite: valeur }).montantTotal).toBeGreaterThanOrEqual(30000);
+    expect(simulerEpargne({ ...base, mensualite: valeur - 0.01 }).montantTotal).toBeLessThan(30000);
+  });
+
+  test('un capital initial suffisant ne demande aucun versement', () => {
+    expect(resoudreObjectif({ ...base, sommeInitiale: 40000 }, 30000, 'mensualite').valeur).toBe(0);
+  });
+
+  test('trouve la durée minimale en années entières', () => {
+    const { valeur, moisAtteint } = resoudreObjectif(base, 30000, 'nombreAnnees');
+
+    expect(valeur).toBe(Math.ceil(moisAtteint / 12));
+    expect(simulerEpargne({ ...base, nombreAnnees: valeur }).montantTotal).toBeGreaterThanOrEqual(30000);
+    expect(simulerEpargne({ ...base, nombreAnnees: valeur - 1 }).montantTotal).toBeLessThan(30000);
+  });
+
+  test('trouve le taux nécessaire', () => {
+    const { atteignable, valeur } = resoudreObjectif(base, 14000, 'tauxAnnuel');
+
+    expect(atteignable).toBe(true);
+    expect(simulerEpargne({ ...base, tauxAnnuel: valeur }).montantTotal).toBeGreaterThanOrEqual(14000);
+    expect(simulerEpargne({ ...base, tauxAnnuel: valeur - 0.01 }).montantTotal).toBeLessThan(14000);
+  });
+
+  test('signale un objectif inatteignable dans les limites de saisie', () => {
+    expect(resoudreObjectif({ ...base, mensualite: 0 }, 1000, 'nombreAnnees').atteignable).toBe(false);
+    expect(resoudreObjectif({ ...base, mensualite: 1, nombreAnnees: 1 }, 1e9, 'tauxAnnuel')).toMatchObject({
+      atteignable: false,
+      valeur: null
+    });
+  });
+
+  test("signale qu'aucun versement n'atteint la cible si une pause couvre toute la durée", () => {
+    const evenements = [{ id: 1, type: 'pause', mois: 1, moisFin: 60 }];
+    expect(resoudreObjectif({ ...base, evenements }, 30000, 'mensualite')).toMatchObject({
+      atteignable: false,
+      valeur: null,
+      message: { cle: 'objectif.versementInsuffisant' }
+    });
+  });
+});
@@ -0,0 +1,43 @@
+// Séries historiques annuelles embarquées pour le mode rétrospectif (aucun appel réseau).
+// Valeurs arrondies au dixième, données à titre indicatif :
+// - Livret A : taux moyen de l'année, pondéré par les mois de validité de chaque taux (Banque de France) ;
+// - inflation : glissement annuel moyen de l'indice des prix à la consommation (Insee) ;
+// - actions : performance annuelle du CAC 40 dividendes réinvestis (CAC 40 GR, Euronext).
+
+export const PREMIERE_ANNEE = 1990;
+
+// Une valeur par année civile à partir de PREMIERE_ANNEE, en pourcentage
+export const LIVRET_A = [
+  4.5, 4.5, 4.5, 4.5, 4.5, 4.5, 3.7, 3.5, 3.2, 2.7,
+  2.6, 3.0, 3.0, 2.8, 2.3, 2.1, 2.4, 2.9, 3.7, 1.9,
+  1.5, 2.1, 2.3, 1.6, 1.1, 0.9, 0.8, 0.8, 0.8, 0.8,
+  0.5, 0.5, 1.4, 2.9, 3.0
+];
+
+export const INFLATION = [
+  3.4, 3.2, 2.4, 2.1, 1.7, 1.8, 2.0, 1.2, 0.7, 0.5,
+  1.7, 1.6, 1.9, 2.1, 2.1, 1.7, 1.7, 1.5, 2.8, 0.1,
+  1.5, 2.1, 2.0, 0.9, 0.5, 0.0, 0.2, 1.0, 1.8, 1.1,
+  0.5, 1.6, 5.2, 4.9, 2.0
+];
+
+export const ACTIONS = [
+  -21.7, 19.5, 8.6, 25.5, -14.8, 2.7, 26.6, 32.1, 33.6, 53.1,
+  1.3, -20.5, -32.2, 19.1, 10.1, 26.5, 21.1, 4.4, -40.3, 27.6,
+  -0.4, -14.6, 20.1, 22.3, 2.7, 11.7, 8.9, 12.7, -8.9, 29.2,
+  -5.6, 31.9, -7.4, 20.1, 0.9
+];
+
+export const DERNIERE_ANNEE = PREMIERE_ANNEE + INFLATION.length - 1;
+
+/**
+ * Valeur d'une série pour une année civile, null hors de la période couverte.
+ *
+ * @param {number[]} serie
+ * @param {number} annee
+ * @returns {?number}
+ */
+export const valeurAnnee = (serie, annee) => {
+  const index = annee - PREMIERE_ANNEE;
+  return index >= 0 && index < serie.length ? serie[index] : null;
+};
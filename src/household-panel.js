@@ -0,0 +1,239 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  FormControl,
+  FormControlLabel,
+  Grid,
+  IconButton,
+  InputAdornment,
+  InputLabel,
+  LinearProgress,
+  MenuItem,
+  Select,
+  Switch,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { Add, Delete } from '@mui/icons-material';
+import { ENVELOPPES } from './enveloppes';
+import { REPARTITIONS_OBJECTIF, creerMembre, couleurMembre } from './household';
+
+const borner = (valeur, min, max) => Math.min(max, Math.max(min, valeur || 0));
+
+// Membres du foyer, leurs comptes, leur part du total et de l'objectif commun
+const HouseholdPanel = ({ inputs, errors, onChange, verrouille, foyer, colors, i18n }) => {
+  const { t, symbole, formaterMontant } = i18n;
+  const { membres } = inputs;
+  const membresVerrouilles = verrouille('membres');
+
+  const modifier = (id, champ, valeur) => {
+    onChange('membres', membres.map(m => m.id === id ? { ...m, [champ]: valeur } : m));
+  };
+
+  const champMontant = (membre, champ, max) => (
+    <TextField
+      fullWidth
+      size="small"
+      label={t(`foyer.${champ}`)}
+      type="number"
+      value={membre[champ]}
+      onChange={(e) => modifier(membre.id, champ, borner(parseFloat(e.target.value), 0, max))}
+      disabled={membresVerrouilles}
+      InputProps={{ startAdornment: <InputAdornment position="start">{symbole}</InputAdornment> }}
+    />
+  );
+
+  return (
+    <Grid container spacing={2} alignItems="center">
+      <Grid item xs={12}>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={inputs.modeFoyer}
+              onChange={(e) => onChange('modeFoyer', e.target.checked)}
+              disabled={verrouille('modeFoyer')}
+            />
+          }
+          label={t('foyer.activer')}
+        />
+      </Grid>
+
+      {inputs.modeFoyer && (
+        <>
+          {membres.map(membre => (
+            <React.Fragment key={membre.id}>
+              <Grid item xs={12} md={2}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Box sx={{ width: 12, height: 12, flexShrink: 0, borderRadius: '50%', backgroundColor: couleurMembre(membres, membre.id) }} />
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label={t('foyer.nom')}
+                    value={membre.nom}
+                    onChange={(e) => modifier(membre.id, 'nom', e.target.value)}
+                    disabled={membresVerrouilles}
+                  />
+                </Box>
+              </Grid>
+              <Grid item xs={6} md={2}>
+                {champMontant(membre, 'revenuNet', 1000000)}
+              </Grid>
+              <Grid item xs={6} md={2}>
+                {champMontant(membre, 'sommeInitiale', 10000000)}
+              </Grid>
+              <Grid item xs={6} md={2}>
+                {champMontant(membre, 'mensualite', 100000)}
+              </Grid>
+              <Grid item xs={6} md={1}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label={t('foyer.tauxAnnuel')}
+                  type="number"
+                  value={membre.tauxAnnuel}
+                  onChange={(e) => modifier(membre.id, 'tauxAnnuel', borner(parseFloat(e.target.value), -50, 100))}
+                  disabled={membresVerrouilles}
+                  InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+                  inputProps={{ step: "0.1" }}
+                />
+              </Grid>
+              <Grid item xs={10} md={2}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>{t('enveloppes.titre')}</InputLabel>
+                  <Select
+                    value={membre.enveloppe}
+                    label={t('enveloppes.titre')}
+                    onChange={(e) => modifier(membre.id, 'enveloppe', e.target.value)}
+                    disabled={membresVerrouilles}
+                  >
+                    {ENVELOPPES.map(enveloppe => (
+                      <MenuItem key={enveloppe.id} value={enveloppe.id}>
+                        {t(`enveloppes.${enveloppe.id}`)}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={2} md={1}>
+                <Tooltip title={t('foyer.retirer')}>
+                  <span>
+                    <IconButton
+                      aria-label={t('foyer.retirerNom', { nom: membre.nom })}
+                      disabled={membres.length <= 1 || membresVerrouilles}
+                      onClick={() => onChange('membres', membres.filter(m => m.id !== membre.id))}
+                    >
+                      <Delete />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              </Grid>
+            </React.Fragment>
+          ))}
+
+          <Grid item xs={12}>
+            <Button size="small" startIcon={<Add />} disabled={membresVerrouilles} onClick={() => onChange('membres', [...membres, creerMembre(membres, (numero) => t('foyer.nomMembre', { numero }))])}>
+              {t('foyer.ajouter')}
+            </Button>
+          </Grid>
+
+          {foyer && (
+            <>
+              <Grid item xs={12}>
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+                  {foyer.membres.map((bilan, i) => (
+                    <Box key={bilan.id}>
+                      <Typography variant="subtitle2" color="textSecondary">{bilan.nom}</Typography>
+                      <Typography variant="h6" sx={{ color: couleurMembre(membres, bilan.id) }}>
+                        {formaterMontant(bilan.montantTotal)}
+                      </Typography>
+                      <Typography variant="caption" color="textSecondary" component="div">
+                        {t('foyer.part', { part: bilan.part })}
+                      </Typography>
+                      <Typography variant="caption" color="textSecondary" component="div">
+                        {t('foyer.recommande', { montant: foyer.recommandation.parMembre[i].montantRecommande })}
+                      </Typography>
+                    </Box>
+                  ))}
+                  <Box>
+                    <Typography variant="subtitle2" color="textSecondary">{t('foyer.total')}</Typography>
+                    <Typography variant="h6">{formaterMontant(foyer.montantTotal)}</Typography>
+                    <Typography variant="caption" color="textSecondary" component="div">
+                      {t('foyer.investi', { montant: foyer.montantInvesti })}
+                    </Typography>
+                    <Typography variant="caption" color="textSecondary" component="div">
+                      {t('foyer.recommande', { montant: foyer.recommandation.foyer.montantRecommande })}
+                    </Typography>
+                  </Box>
+                </Box>
+                <Typography variant="caption" color="textSecondary">
+                  {t('foyer.hypotheses')}
+                </Typography>
+              </Grid>
+
+              <Grid item xs={12} md={4}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label={t('foyer.objectifCommun', { symbole })}
+                  type="number"
+                  value={inputs.montantCible}
+                  onChange={(e) => onChange('montantCible', parseFloat(e.target.value))}
+                  disabled={verrouille('montantCible')}
+                  error={!!errors.montantCible}
+                  helperText={errors.montantCible}
+                />
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <FormControl fullWidth size="small" disabled={verrouille('repartitionObjectif')}>
+                  <InputLabel>{t('foyer.repartition')}</InputLabel>
+                  <Select
+                    value={inputs.repartitionObjectif}
+                    label={t('foyer.repartition')}
+                    onChange={(e) => onChange('repartitionObjectif', e.target.value)}
+                  >
+                    {REPARTITIONS_OBJECTIF.map(r => (
+                      <MenuItem key={r.id} value={r.id}>{t(`foyer.repartitions.${r.id}`)}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <Typography sx={{ color: foyer.objectif.atteint ? colors.success : colors.error }}>
+                  {t(foyer.objectif.atteint ? 'foyer.objectifAtteint' : 'foyer.objectifManque', {
+                    montant: Math.max(0, inputs.montantCible - foyer.montantTotal)
+                  })}
+                </Typography>
+              </Grid>
+              {foyer.objectif.parts.map(part => (
+                <Grid item xs={12} key={part.id}>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', gap: 2 }}>
+                    <Typography variant="body2">
+                      {t('foyer.partObjectif', { nom: part.nom, cible: part.cible })}
+                    </Typography>
+                    <Typography variant="body2" sx={{ color: part.ecart < 0 ? colors.error : colors.success }}>
+                      {part.ecart > 0 && '+'}{formaterMontant(part.ecart)}
+                    </Typography>
+                  </Box>
+                  <LinearProgress
+                    variant="determinate"
+                    value={part.cible > 0 ? Math.min(100, part.projete / part.cible * 100) : 100}
+                    aria-label={t('foyer.progression', { nom: part.nom })}
+                    sx={{
+                      height: 8,
+                      borderRadius: 4,
+                      '& .MuiLinearProgress-bar': { backgroundColor: couleurMembre(membres, part.id) }
+                    }}
+                  />
+                </Grid>
+              ))}
+            </>
+          )}
+        </>
+      )}
+    </Grid>
+  );
+};
+
+export default HouseholdPanel;
@@ -0,0 +1,183 @@
+// Mode foyer : plusieurs épargnants, chacun avec son revenu, ses versements et son compte
+
+import { simulerEpargne, totaliserProjection, arrondir } from './simulation-engine';
+import { calculerRecommandation } from './budget';
+
+export const COULEURS_MEMBRES = ['#F59E0B', '#A78BFA', '#2DD4BF', '#F472B6', '#60A5FA', '#34D399'];
+
+// Répartition de l'objectif commun entre les membres
+export const REPARTITIONS_OBJECTIF = [
+  { id: 'solde' },
+  { id: 'revenu' },
+  { id: 'egale' }
+];
+
+/**
+ * Membre du foyer et son compte d'épargne.
+ *
+ * @typedef {Object} Membre
+ * @property {number} id
+ * @property {string} nom
+ * @property {number} revenuNet - Revenu net mensuel (€).
+ * @property {number} sommeInitiale - Capital déjà placé (€).
+ * @property {number} mensualite - Versement mensuel (€).
+ * @property {number} tauxAnnuel - Rendement annuel du compte (%).
+ * @property {string} enveloppe - Identifiant d'enveloppe (voir ENVELOPPES).
+ */
+
+/**
+ * Foyer proposé au départ.
+ *
+ * @param {function(number): string} [nommer] - Nom affiché d'après le numéro du membre.
+ * @returns {Membre[]}
+ */
+export const membresParDefaut = (nommer = (numero) => `Personne ${numero}`) => [
+  { id: 1, nom: nommer(1), revenuNet: 2500, sommeInitiale: 0, mensualite: 150, tauxAnnuel: 3, enveloppe: 'libre' },
+  { id: 2, nom: nommer(2), revenuNet: 2000, sommeInitiale: 0, mensualite: 100, tauxAnnuel: 3, enveloppe: 'libre' }
+];
+
+export const creerMembre = (membres, nommer = (numero) => `Personne ${numero}`) => ({
+  id: Math.max(0, ...membres.map(m => m.id)) + 1,
+  nom: nommer(membres.length + 1),
+  revenuNet: 2000,
+  sommeInitiale: 0,
+  mensualite: 100,
+  tauxAnnuel: 3,
+  enveloppe: 'libre'
+});
+
+export const couleurMembre = (membres, id) =>
+  COULEURS_MEMBRES[membres.findIndex(m => m.id === id) % COULEURS_MEMBRES.length];
+
+// Clé du solde d'un membre dans les points du graphique
+export const cleMembre = (id) => `membre${id}`;
+
+// Parts proportionnelles aux valeurs, égales si elles sont toutes nulles
+const parts = (valeurs) => {
+  const total = valeurs.reduce((somme, v) => somme + Math.max(0, v), 0);
+  return valeurs.map(v => (total > 0 ? Math.max(0, v) / total : 1 / valeurs.length));
+};
+
+/**
+ * Recommandation d'épargne du foyer, calculée sur la somme des revenus avec les charges
+ * communes du budget, puis répartie entre les membres au prorata de leur revenu.
+ *
+ * @param {import('./budget').Budget} budget - Charges du foyer ; son revenu est ignoré.
+ * @param {Membre[]} membres
+ * @returns {{ foyer: import('./budget').Recommandation, parMembre: { id: number, montantRecommande: number }[] }}
+ */
+export const recommanderFoyer = (budget, membres) => {
+  const revenuNet = membres.reduce((somme, m) => somme + m.revenuNet, 0);
+  const foyer = calculerRecommandation({ ...budget, revenuNet });
+  const repartition = parts(membres.map(m => m.revenuNet));
+  return {
+    foyer,
+    parMembre: membres.map((m, i) => ({ id: m.id, montantRecommande: Math.round(foyer.montantRecommande * repartition[i]) }))
+  };
+};
+
+/**
+ * Bilan d'un membre à l'horizon.
+ *
+ * @typedef {Object} BilanMembre
+ * @property {number} id
+ * @property {string} nom
+ * @property {number} montantTotal
+ * @property {number} montantInvesti
+ * @property {number} impots
+ * @property {number} montantNet
+ * @property {number} part - Part du solde final du foyer (%).
+ */
+
+/**
+ * Projette le compte de chaque membre avec les réglages communs de la simulation (durée,
+ * capitalisation, frais, inflation), puis additionne les soldes du foyer. L'échéancier
+ * de versements exceptionnels reste propre à la simulation principale.
+ *
+ * @param {import('./simulation-engine').ParametresSimulation} params
+ * @param {Membre[]} membres
+ * @returns {import('./simulation-engine').ResultatSimulation & { membres: BilanMembre[] }}
+ *   Totaux du foyer ; graphData : points de simulerEpargne additionnés, complétés de
+ *   membre<id> et membre<id>Reel.
+ */
+export const simulerFoyer = (params, membres) => {
+  const simulations = membres.map(m => simulerEpargne({
+    ...params,
+    sommeInitiale: m.sommeInitiale,
+    mensualite: m.mensualite,
+    tauxAnnuel: m.tauxAnnuel,
+    enveloppe: m.enveloppe,
+    evenements: []
+  }));
+
+  const somme = (cle, mois) => arrondir(simulations.reduce((total, s) => total + s.graphData[mois][cle], 0));
+  const graphData = simulations[0].graphData.map(({ mois }) => {
+    const point = {
+      mois,
+      total: somme('total', mois),
+      investi: somme('investi', mois),
+      interets: somme('interets', mois),
+      interetsCumules: somme('interetsCumules', mois),
+      excedent: somme('excedent', mois),
+      totalReel: somme('totalReel', mois),
+      investiReel: somme('investiReel', mois),
+      frais: somme('frais', mois)
+    };
+    membres.forEach((m, i) => {
+      point[cleMembre(m.id)] = simulations[i].graphData[mois].total;
+      point[`${cleMembre(m.id)}Reel`] = simulations[i].graphData[mois].totalReel;
+    });
+    return point;
+  });
+
+  const total = (lire) => arrondir(simulations.reduce((somme, s) => somme + lire(s), 0));
+  const montantTotal = total(s => s.montantTotal);
+  return {
+    ...totaliserProjection(graphData, {
+      impots: total(s => s.impots),
+      regimeFiscal: { cle: 'fiscalite.foyer' },
+      detailFrais: {
+        entree: total(s => s.detailFrais.entree),
+        gestion: total(s => s.detailFrais.gestion),
+        fixes: total(s => s.detailFrais.fixes)
+      }
+    }, params.tauxInflation),
+    membres: membres.map((m, i) => ({
+      id: m.id,
+      nom: m.nom,
+      montantTotal: simulations[i].montantTotal,
+      montantInvesti: simulations[i].montantInvesti,
+      impots: simulations[i].impots,
+      montantNet: simulations[i].montantNet,
+      part: montantTotal > 0 ? arrondir(simulations[i].montantTotal / montantTotal * 100) : 0
+    }))
+  };
+};
+
+/**
+ * Part de chaque membre dans l'objectif commun, au prorata des soldes projetés, des
+ * revenus ou à parts égales, comparée au solde que son compte atteint à l'horizon.
+ *
+ * @param {BilanMembre[]} bilans
+ * @param {Membre[]} membres
+ * @param {number} montantCible
+ * @param {'solde'|'revenu'|'egale'} [repartition]
+ * @returns {{ atteint: boolean, parts: { id: number, nom: string, cible: number, projete: number, ecart: number }[] }}
+ */
+export const partagerObjectif = (bilans, membres, montantCible, repartition = 'solde') => {
+  const ponderations = {
+    solde: () => bilans.map(b => b.montantTotal),
+    revenu: () => membres.map(m => m.revenuNet),
+    egale: () => membres.map(() => 1)
+  }[repartition] || (() => membres.map(() => 1));
+  const repartitionCible = parts(ponderations());
+
+  const partsMembres = bilans.map((bilan, i) => {
+    const cible = arrondir(montantCible * repartitionCible[i]);
+    return { id: bilan.id, nom: bilan.nom, cible, projete: bilan.montantTotal, ecart: arrondir(bilan.montantTotal - cible) };
+  });
+  return {
+    atteint: bilans.reduce((somme, b) => somme + b.montantTotal, 0) >= montantCible,
+    parts: partsMembres
+  };
+};
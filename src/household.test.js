@@ -0,0 +1,85 @@
+import { recommanderFoyer, simulerFoyer, partagerObjectif, cleMembre, creerMembre, membresParDefaut } from './household';
+import { simulerEpargne, remplacerProjection } from './simulation-engine';
+import { calculerRecommandation } from './budget';
+
+const PARAMS = { sommeInitiale: 0, mensualite: 0, tauxAnnuel: 0, nombreAnnees: 10 };
+
+const membre = (id, revenuNet, mensualite, tauxAnnuel = 3, sommeInitiale = 0) =>
+  ({ id, nom: `Personne ${id}`, revenuNet, sommeInitiale, mensualite, tauxAnnuel, enveloppe: 'libre' });
+
+describe('mode foyer', () => {
+  test('la recommandation porte sur les revenus cumulés, répartie au prorata', () => {
+    const membres = [membre(1, 3000, 100), membre(2, 1000, 100)];
+    const { foyer, parMembre } = recommanderFoyer({ loyer: 800, tailleFoyer: 2 }, membres);
+
+    expect(foyer).toEqual(calculerRecommandation({ revenuNet: 4000, loyer: 800, tailleFoyer: 2 }));
+    expect(parMembre[0].montantRecommande).toBe(Math.round(foyer.montantRecommande * 0.75));
+    expect(parMembre[1].montantRecommande).toBe(Math.round(foyer.montantRecommande * 0.25));
+  });
+
+  test('chaque compte suit sa propre projection et le foyer les additionne', () => {
+    const membres = [membre(1, 2500, 200, 5, 1000), membre(2, 2000, 50, 1.7)];
+    const foyer = simulerFoyer(PARAMS, membres);
+    const premier = simulerEpargne({ ...PARAMS, sommeInitiale: 1000, mensualite: 200, tauxAnnuel: 5 });
+    const second = simulerEpargne({ ...PARAMS, mensualite: 50, tauxAnnuel: 1.7 });
+
+    expect(foyer.membres[0].montantTotal).toBe(premier.montantTotal);
+    expect(foyer.membres[1].montantTotal).toBe(second.montantTotal);
+    expect(foyer.montantTotal).toBeCloseTo(premier.montantTotal + second.montantTotal, 2);
+    expect(foyer.montantInvesti).toBeCloseTo(premier.montantInvesti + second.montantInvesti, 2);
+
+    const point = foyer.graphData[60];
+    expect(point[cleMembre(1)]).toBe(premier.graphData[60].total);
+    expect(point[`${cleMembre(2)}Reel`]).toBe(second.graphData[60].totalReel);
+    expect(point.total).toBeCloseTo(point[cleMembre(1)] + point[cleMembre(2)], 2);
+    expect(foyer.membres[0].part + foyer.membres[1].part).toBeCloseTo(100, 1);
+  });
+
+  test('les cartes et la courbe du total affichent le foyer', () => {
+    const membres = [membre(1, 2500, 200, 5, 1000), membre(2, 2000, 50, 1.7)];
+    const foyer = simulerFoyer({ ...PARAMS, tauxInflation: 2 }, membres);
+    const affiche = remplacerProjection(simulerEpargne({ ...PARAMS, mensualite: 120, tauxAnnuel: 3 }), foyer);
+
+    affiche.graphData.forEach(point =>
+      expect(point.total).toBeCloseTo(point[cleMembre(1)] + point[cleMembre(2)], 1));
+    expect(affiche.montantTotal).toBe(foyer.montantTotal);
+    expect(affiche.montantInvesti).toBeCloseTo(1000 + 250 * 120, 2);
+    expect(affiche.montantNet).toBeCloseTo(foyer.membres[0].montantNet + foyer.membres[1].montantNet, 1);
+    expect(affiche.regimeFiscal).toEqual({ cle: 'fiscalite.foyer' });
+  });
+
+  test("l'échéancier de la simulation principale ne s'applique pas aux membres", () => {
+    const evenements = [{ id: 1, type: 'versement', mois: 12, montant: 5000 }];
+    const foyer = simulerFoyer({ ...PARAMS, evenements }, [membre(1, 2000, 100)]);
+
+    expect(foyer.montantInvesti).toBe(100 * 120);
+  });
+
+  test("l'objectif commun se partage selon les soldes, les revenus ou à parts égales", () => {
+    const membres = [membre(1, 3000, 300, 0), membre(2, 1000, 100, 0)];
+    const { membres: bilans } = simulerFoyer(PARAMS, membres);
+
+    const selonSoldes = partagerObjectif(bilans, membres, 40000, 'solde');
+    expect(selonSoldes.parts.map(p => p.cible)).toEqual([30000, 10000]);
+    expect(selonSoldes.parts.map(p => p.ecart)).toEqual([6000, 2000]);
+    expect(selonSoldes.atteint).toBe(true);
+
+    expect(partagerObjectif(bilans, membres, 40000, 'revenu').parts.map(p => p.cible)).toEqual([30000, 10000]);
+
+    const egale = partagerObjectif(bilans, membres, 60000, 'egale');
+    expect(egale.parts.map(p => p.cible)).toEqual([30000, 30000]);
+    expect(egale.parts.map(p => p.ecart)).toEqual([6000, -18000]);
+    expect(egale.atteint).toBe(false);
+  });
+
+  test('un nouveau membre reçoit un identifiant libre', () => {
+    const nouveau = creerMembre([membre(1, 2000, 0), membre(4, 2000, 0)], (numero) => `Membre ${numero}`);
+
+    expect(nouveau.id).toBe(5);
+    expect(nouveau.nom).toBe('Membre 3');
+  });
+
+  test('le foyer proposé au départ est nommé par le catalogue', () => {
+    expect(membresParDefaut((numero) => `Person ${numero}`).map(m => m.nom)).toEqual(['Person 1', 'Person 2']);
+  });
+});
@@ -0,0 +1,122 @@
+// Internationalisation : catalogues de messages, langue d'affichage et devise des montants
+
+import fr from './messages-fr';
+import en from './messages-en';
+
+// Chaque langue est présentée dans sa propre langue
+export const LANGUES = [
+  { id: 'fr', label: 'Français' },
+  { id: 'en', label: 'English' }
+];
+
+// Pays dont les conventions d'écriture des nombres accompagnent chaque devise
+export const DEVISES = [
+  { id: 'EUR', pays: 'FR' },
+  { id: 'CHF', pays: 'CH' },
+  { id: 'USD', pays: 'US' },
+  { id: 'GBP', pays: 'GB' }
+];
+
+export const CATALOGUES = { fr, en };
+
+export const LANGUE_PAR_DEFAUT = 'fr';
+export const DEVISE_PAR_DEFAUT = 'EUR';
+
+/**
+ * Message à traduire au moment de l'affichage, renvoyé par les modules de calcul.
+ *
+ * @typedef {Object} Message
+ * @property {string} cle - Clé du catalogue.
+ * @property {Object} [valeurs] - Valeurs insérées dans le message.
+ */
+
+/**
+ * Outils de traduction et de formatage pour une langue et une devise.
+ *
+ * @typedef {Object} I18n
+ * @property {string} langue
+ * @property {string} devise - Code ISO 4217.
+ * @property {string} locale - Langue et pays de la devise, par exemple fr-CH.
+ * @property {string} symbole - Symbole de la devise, pour les champs de saisie.
+ * @property {(cle: string|Message, valeurs?: Object) => string} t
+ * @property {(montant: number) => string} formaterMontant
+ * @property {(montant: number) => string} formaterMontantCompact - Montants abrégés.
+ * @property {(montant: number, unite: import('./evolution-chart').UniteAxe) => string} formaterMontantAxe
+ *   Graduation d'un axe, toutes exprimées dans la même unité.
+ * @property {(nombre: number) => string} formaterNombre
+ * @property {(date: Date|string) => string} formaterDate
+ * @property {string[]} nomsMois - De janvier à décembre.
+ */
+
+// {nom} insère une valeur, {nom:montant} un montant dans la devise,
+// {nom:singulier|pluriel} le mot accordé à la valeur
+const EXPRESSION = /\{(\w+)(?::([^}]*))?\}/g;
+
+/**
+ * @param {string} [langue]
+ * @param {string} [devise]
+ * @returns {I18n}
+ */
+export const creerI18n = (langue = LANGUE_PAR_DEFAUT, devise = DEVISE_PAR_DEFAUT) => {
+  const catalogue = CATALOGUES[langue] || CATALOGUES[LANGUE_PAR_DEFAUT];
+  const { pays } = DEVISES.find(d => d.id === devise) || DEVISES[0];
+  const locale = `${langue}-${pays}`;
+
+  const monnaie = { style: 'currency', currency: devise, currencyDisplay: 'narrowSymbol' };
+  const montantsEntiers = new Intl.NumberFormat(locale, { ...monnaie, minimumFractionDigits: 0, maximumFractionDigits: 0 });
+  const montantsDecimaux = new Intl.NumberFormat(locale, { ...monnaie, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const montantsCompacts = new Intl.NumberFormat(locale, { ...monnaie, notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 });
+  const nombres = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+  const dates = new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'short', year: 'numeric' });
+  const pluriels = new Intl.PluralRules(langue);
+
+  const formaterMontant = (montant) =>
+    (Number.isInteger(montant) ? montantsEntiers : montantsDecimaux).format(montant);
+
+  // L'unité (k, M) se place entre le nombre et le symbole : 12,5 k€, €12.5K
+  const formaterMontantAxe = (montant, { diviseur, suffixe, decimales }) => {
+    const parties = new Intl.NumberFormat(locale, { ...monnaie, minimumFractionDigits: decimales, maximumFractionDigits: decimales })
+      .formatToParts(montant / diviseur);
+    if (!suffixe) return parties.map(p => p.value).join('');
+    const unite = catalogue[`unites.${suffixe}`] ?? CATALOGUES[LANGUE_PAR_DEFAUT][`unites.${suffixe}`];
+    const dernierChiffre = parties.map(p => p.type).lastIndexOf(parties.some(p => p.type === 'fraction') ? 'fraction' : 'integer');
+    const symboleApres = parties.findIndex(p => p.type === 'currency') > dernierChiffre;
+    return parties.map((partie, index) => {
+      if (symboleApres && partie.type === 'currency') return `${unite}${partie.value}`;
+      if (!symboleApres && index === dernierChiffre) return `${partie.value}${unite}`;
+      return partie.value;
+    }).join('');
+  };
+
+  const inserer = (valeurs) => (_, nom, format) => {
+    const valeur = valeurs[nom];
+    if (valeur === undefined || valeur === null) return '';
+    if (format === 'montant') return formaterMontant(valeur);
+    if (format) {
+      const [singulier, pluriel = singulier] = format.split('|');
+      return pluriels.select(valeur) === 'one' ? singulier : pluriel;
+    }
+    return typeof valeur === 'number' ? nombres.format(valeur) : String(valeur);
+  };
+
+  const t = (cle, valeurs = {}) => {
+    if (cle && typeof cle === 'object') return t(cle.cle, cle.valeurs);
+    const modele = catalogue[cle] ?? CATALOGUES[LANGUE_PAR_DEFAUT][cle] ?? cle;
+    return modele.replace(EXPRESSION, inserer(valeurs));
+  };
+
+  return {
+    langue,
+    devise,
+    locale,
+    symbole: montantsEntiers.formatToParts(0).find(p => p.type === 'currency').value,
+    t,
+    formaterMontant,
+    formaterMontantCompact: (montant) => montantsCompacts.format(montant),
+    formaterMontantAxe,
+    formaterNombre: (nombre) => nombres.format(nombre),
+    formaterDate: (date) => dates.format(new Date(date)),
+    nomsMois: Array.from({ length: 12 }, (_, mois) =>
+      new Date(Date.UTC(2000, mois, 15)).toLocaleDateString(locale, { month: 'long', timeZone: 'UTC' }))
+  };
+};
@@ -0,0 +1,42 @@
+import { creerI18n, CATALOGUES } from './i18n';
+
+// Les espaces insécables des formats français sont ramenées à des espaces simples
+const sansInsecables = (texte) => texte.replace(/[\u00a0\u202f]/g, ' ');
+
+describe('internationalisation', () => {
+  test('les catalogues couvrent les mêmes clés', () => {
+    expect(Object.keys(CATALOGUES.en).sort()).toEqual(Object.keys(CATALOGUES.fr).sort());
+  });
+
+  test('insère les valeurs, les montants et les accords', () => {
+    const { t } = creerI18n('fr', 'EUR');
+
+    expect(t('scenarios.nom', { id: 2 })).toBe('Scénario 2');
+    expect(sansInsecables(t('objectif.versement', { mensualite: 1234.5 })))
+      .toBe('Versez 1 234,50 € par mois pour atteindre votre objectif.');
+    expect(t('duree.annees', { annees: 1 })).toBe('1 an');
+    expect(t('duree.annees', { annees: 3 })).toBe('3 ans');
+    expect(creerI18n('en').t('duree.annees', { annees: 1 })).toBe('1 year');
+  });
+
+  test('traduit les messages renvoyés par les calculs', () => {
+    const { t } = creerI18n('en', 'USD');
+
+    expect(t({ cle: 'objectif.duree', valeurs: { nombreAnnees: 2, mois: 18 } })).toBe('Goal reached in 2 years (month 18).');
+  });
+
+  test('formate les montants selon la devise', () => {
+    expect(sansInsecables(creerI18n('fr', 'EUR').formaterMontant(1500))).toBe('1 500 €');
+    expect(creerI18n('en', 'USD').formaterMontant(1500.5)).toBe('$1,500.50');
+    expect(creerI18n('en', 'GBP').formaterMontantCompact(25000)).toBe('£25K');
+    expect(creerI18n('fr', 'CHF').symbole).toBe('CHF');
+    expect(creerI18n('en', 'USD').symbole).toBe('$');
+  });
+
+  test("reprend le français puis la clé quand la traduction manque", () => {
+    const { t } = creerI18n('de');
+
+    expect(t('scenarios.nouveau')).toBe('Nouveau');
+    expect(t('cle.inconnue')).toBe('cle.inconnue');
+  });
+});
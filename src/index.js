@@ -4,14 +4,32 @@ import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
 import { SpeedInsights } from "@vercel/speed-insights/react"
+import { ATTRIBUT_APPLICATION, definirElementSimulateur, estModeIntegration, SimulateurIntegre } from './embed';
+import { enregistrerServiceWorker } from './service-worker-registration';
 
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-    <SpeedInsights/>
-  </React.StrictMode>
-);
+// <simulateur-epargne> utilisable dès que le bundle est chargé sur une page hôte
+definirElementSimulateur();
+
+// Seul notre index.html porte ce marqueur : sur une page hôte, même dotée d'un #root,
+// seul l'élément personnalisé est rendu
+const conteneur = document.querySelector(`[${ATTRIBUT_APPLICATION}]`);
+if (conteneur) {
+  const root = ReactDOM.createRoot(conteneur);
+  root.render(
+    <React.StrictMode>
+      {estModeIntegration(window.location.search)
+        ? <SimulateurIntegre recherche={window.location.search} />
+        : (
+          <>
+            <App />
+            <SpeedInsights/>
+          </>
+        )}
+    </React.StrictMode>
+  );
+  // Application installable et hors ligne ; jamais sur la page d'un hôte
+  enregistrerServiceWorker();
+}
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef, useId } from 'react';
 import { debounce } from 'lodash';
 import { 
   TextField, 
@@ -16,19 +16,102 @@ import {
   InputAdornment,
   ThemeProvider,
   createTheme,
+  useMediaQuery,
   Switch,
-  FormControlLabel
+  FormControlLabel,
+  Button,
+  Chip
 } from '@mui/material';
-import { EuroSymbol } from '@mui/icons-material';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Add, ContentCopy, DarkMode, FileDownload, LightMode, PictureAsPdf } from '@mui/icons-material';
+import {
+  ComposedChart,
+  Line,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine,
+  ReferenceArea,
+  ReferenceDot,
+  Brush
+} from 'recharts';
+import {
+  CAPITALISATIONS,
+  MOMENTS_VERSEMENT,
+  simulerEpargne,
+  remplacerProjection,
+  arrondir
+} from './simulation-engine';
+import { calculerRecommandation } from './budget';
+import BudgetPanel from './budget-panel';
+import { ENVELOPPES, trouverEnveloppe } from './enveloppes';
+import { INCONNUES, simulerAvecObjectif } from './goal-solver';
+import {
+  creerScenario,
+  dupliquerScenario,
+  couleurScenario,
+  cleCourbe,
+  fusionnerCourbes,
+  comparerScenarios,
+  INDICATEURS_NOMINAUX,
+  INDICATEURS_REELS
+} from './scenarios';
+import ScenarioComparison from './scenario-comparison';
+import AmortizationTable from './amortization-table';
+import ContributionTimeline from './contribution-timeline';
+import { iconeEvenement } from './contribution-schedule';
+import { lancerMonteCarlo } from './monte-carlo-client';
+import MonteCarloPanel from './monte-carlo-panel';
+import { simulerRetraits } from './decumulation';
+import DecumulationPanel from './decumulation-panel';
+import { backtester, rejouerPlan } from './backtest';
+import BacktestPanel from './backtest-panel';
+import { actifsParDefaut, simulerPortefeuille, cleActif, couleurActif, caracteristiquesPortefeuille } from './portfolio';
+import { membresParDefaut, simulerFoyer, recommanderFoyer, partagerObjectif, cleMembre, couleurMembre } from './household';
+import PortfolioPanel from './portfolio-panel';
+import HouseholdPanel from './household-panel';
+import { comparerPer, resultatsNetsPer, estimerRevenuImposable } from './retirement-plan';
+import RetirementPlanPanel from './retirement-plan-panel';
+import { comparerRemboursement } from './loan-prepayment';
+import LoanPrepaymentPanel from './loan-prepayment-panel';
+import { analyserCsv, extraireOperations, lireOfx, estOfx } from './bank-statement';
+import { soldesMensuels, comparerAuPlan, actualiserPrevision } from './plan-tracking';
+import PlanTrackingPanel from './plan-tracking-panel';
+import { uniteAxe, valeurMaximale, ajouterComposition, pourEchelleLog, detecterJalons } from './evolution-chart';
+import {
+  encoderInputs,
+  decoderInputs,
+  lireBibliotheque,
+  ecrireBibliotheque,
+  ajouterSimulation,
+  renommerSimulation,
+  supprimerSimulation,
+  inputsEnregistres,
+  normaliserInputs,
+  lireDernieresSaisies,
+  ecrireDernieresSaisies,
+  lirePreferences,
+  ecrirePreferences,
+  stockageLocal,
+  THEMES
+} from './simulation-storage';
+import SimulationLibrary from './simulation-library';
+import { exporterCsv, exporterXlsx, exporterPdf } from './projection-export';
+import { REGLES_ARRONDI, MOMENTS_ARRONDI } from './money';
+import { LANGUES, DEVISES, LANGUE_PAR_DEFAUT, DEVISE_PAR_DEFAUT, creerI18n } from './i18n';
+import { fusionnerPalette, resumerResultat } from './embed-config';
 
 // Configuration des couleurs et styles
-const colors = {
+const COULEURS = {
   darkGray: '#27272A',
   mediumGray: '#52525B',
   lightGray: '#F8FAFC',
   success: '#34D399',
   error: '#DD4425',
+  info: '#60A5FA',
   darkMode: {
     paper: '#323238',
     input: '#2A2A2F',
@@ -37,47 +120,197 @@ const colors = {
   }
 };
 
-// Configuration des tranches de revenus
-const TRANCHES = [
-  { id: 'moins-2000', label: 'Moins de 2000€', min: 0, max: 2000, tauxEpargneRecommande: 0.05 },
-  { id: '2000-4000', label: 'Entre 2000€ et 4000€', min: 2000, max: 4000, tauxEpargneRecommande: 0.10 },
-  { id: '4000-6000', label: 'Entre 4000€ et 6000€', min: 4000, max: 6000, tauxEpargneRecommande: 0.15 },
-  { id: '6000-8000', label: 'Entre 6000€ et 8000€', min: 6000, max: 8000, tauxEpargneRecommande: 0.20 },
-  { id: 'plus-8000', label: 'Plus de 8000€', min: 8000, max: 100000, tauxEpargneRecommande: 0.25 }
-];
+// Saisies d'un nouveau scénario ; les actifs et membres proposés, nommés dans la langue
+// de l'interface, sont ajoutés par le simulateur
+const INPUTS_PAR_DEFAUT = {
+  sommeInitiale: 0,
+  mensualite: 120,
+  tauxAnnuel: 3,
+  nombreAnnees: 3,
+  revenuNet: 2500,
+  loyer: 800,
+  credits: 0,
+  autresCharges: 200,
+  tailleFoyer: 1,
+  moisPrecaution: 3,
+  epargneDePrecaution: 0,
+  enveloppe: 'libre',
+  revenuImposable: 27000,
+  partsFiscales: 1,
+  tauxMarginalRetraite: 11,
+  tauxInflation: 2,
+  modeObjectif: false,
+  montantCible: 30000,
+  inconnue: 'mensualite',
+  indexationAnnuelle: 0,
+  evenements: [],
+  modeMonteCarlo: false,
+  volatilite: 15,
+  nombreTirages: 2000,
+  capitalisation: 'mensuelle',
+  momentVersement: 'debut',
+  moisDepart: new Date().getMonth() + 1,
+  fraisEntree: 0,
+  fraisGestion: 0,
+  fraisFixesAnnuels: 0,
+  regleArrondi: 'demi-haut',
+  momentArrondi: 'periode',
+  phaseRetrait: false,
+  modeRetrait: 'montant',
+  retraitMensuel: 500,
+  tauxRetrait: 4,
+  tauxRendementRetrait: 2,
+  dureeRetrait: 25,
+  indexerRetraits: true,
+  modeHistorique: false,
+  actifHistorique: 'actions',
+  // 0 : année de départ médiane
+  anneeDepartHistorique: 0,
+  modePortefeuille: false,
+  repartitionVersements: 'poids',
+  reequilibrage: false,
+  modeFoyer: false,
+  repartitionObjectif: 'solde',
+  modeCredit: false,
+  capitalRestant: 150000,
+  tauxCredit: 3.5,
+  moisRestants: 240,
+  indemniteRemboursement: 3
+};
+
+// Page complète : rien de masqué ni de verrouillé, l'URL suit les saisies
+const CONFIGURATION_PAGE = { valeurs: {}, masques: [], verrouilles: [], palette: {}, integre: false };
+
+/**
+ * Simulateur d'épargne.
+ *
+ * @param {Object} props
+ * @param {import('./embed-config').Configuration} [props.configuration] - Réglages d'une intégration.
+ * @param {function(Object): void} [props.onChangement] - Appelée avec les saisies à chaque modification.
+ * @param {function(Object): void} [props.onResultat] - Appelée avec le résumé de chaque nouveau résultat.
+ */
+const InvestmentCalculator = ({ configuration = CONFIGURATION_PAGE, onChangement, onResultat }) => {
+  // Couleurs, éventuellement fixées par la page hôte
+  const colors = useMemo(() => fusionnerPalette(COULEURS, configuration.palette), [configuration.palette]);
+  const estAffiche = (id) => !configuration.masques.includes(id);
+  const verrouille = (name) => configuration.verrouilles.includes(name);
+
+  // Thème imposé par la page hôte, sinon choisi et retenu, sinon celui du système
+  const prefereSombre = useMediaQuery('(prefers-color-scheme: dark)', { noSsr: true });
+  const [choixTheme, setChoixTheme] = useState(() => {
+    if (configuration.modeSombre !== undefined) return configuration.modeSombre ? 'sombre' : 'clair';
+    return configuration.integre ? 'systeme' : lirePreferences(stockageLocal()).theme;
+  });
+  const isDarkMode = choixTheme === 'systeme' ? prefereSombre : choixTheme === 'sombre';
+  // Identifiants uniques même avec plusieurs simulateurs sur une page hôte
+  const idLibelles = useId();
 
-const InvestmentCalculator = () => {
   // États
-  const [isDarkMode, setIsDarkMode] = useState(true);
+  // Les erreurs sont des clés du catalogue, traduites à l'affichage
   const [errors, setErrors] = useState({});
+
+  // Langue des textes et devise des montants
+  const [langue, setLangue] = useState(() =>
+    LANGUES.some(l => l.id === configuration.langue) ? configuration.langue : LANGUE_PAR_DEFAUT
+  );
+  const [devise, setDevise] = useState(() =>
+    DEVISES.some(d => d.id === configuration.devise) ? configuration.devise : DEVISE_PAR_DEFAUT
+  );
+  const i18n = useMemo(() => creerI18n(langue, devise), [langue, devise]);
+  const { t, symbole, formaterMontant } = i18n;
+
+  // Saisies par défaut, éventuellement fixées par la page hôte
+  const inputsParDefaut = useMemo(() => normaliserInputs(configuration.valeurs, {
+    ...INPUTS_PAR_DEFAUT,
+    actifs: actifsParDefaut((type) => t(`portefeuille.actifsParDefaut.${type}`)),
+    membres: membresParDefaut((numero) => t('foyer.nomMembre', { numero }))
+  }), [configuration.valeurs, t]);
   
-  const [inputs, setInputs] = useState({
-    sommeInitiale: 0,
-    mensualite: 120,
-    tauxAnnuel: 3,
-    nombreAnnees: 3,
-    trancheRevenu: 'moins-2000'
-  });
+  // Scénarios : le formulaire édite les saisies du scénario actif
+  const [scenarios, setScenarios] = useState(() => [{
+    id: 1,
+    nom: creerI18n(langue).t('scenarios.nom', { id: 1 }),
+    inputs: inputsParDefaut
+  }]);
+  const [scenarioActifId, setScenarioActifId] = useState(1);
+  const scenarioActif = scenarios.find(s => s.id === scenarioActifId) || scenarios[0];
+  const inputs = scenarioActif.inputs;
+
+  const setInputs = (miseAJour) => {
+    setScenarios(prev => prev.map(s => s.id === scenarioActif.id
+      ? { ...s, inputs: typeof miseAJour === 'function' ? miseAJour(s.inputs) : miseAJour }
+      : s
+    ));
+  };
+
+  // Affichage en euros constants et superposition des courbes nominales et réelles
+  const [affichageReel, setAffichageReel] = useState(false);
+  const [comparerNominalReel, setComparerNominalReel] = useState(false);
+  // Soldes du portefeuille empilés par placement sur le graphique
+  const [vueParActif, setVueParActif] = useState(true);
+  // Versements et gains empilés, échelle logarithmique pour les longues durées, jalons
+  const [vueEmpilee, setVueEmpilee] = useState(false);
+  const [echelleLog, setEchelleLog] = useState(false);
+  const [afficherJalons, setAfficherJalons] = useState(true);
+
+  // Trajectoires Monte-Carlo, calculées dans un Web Worker
+  const [monteCarlo, setMonteCarlo] = useState(null);
 
   const [results, setResults] = useState({
     montantTotal: 0,
     montantInvesti: 0,
     gains: 0,
+    excedent: 0,
+    impots: 0,
+    gainsNets: 0,
+    montantNet: 0,
+    regimeFiscal: null,
+    montantTotalReel: 0,
+    montantInvestiReel: 0,
+    gainsReels: 0,
+    montantNetReel: 0,
+    objectif: null,
+    parametres: null,
+    reference: null,
+    frais: 0,
+    detailFrais: { entree: 0, gestion: 0, fixes: 0 },
+    sansFrais: null,
+    retraits: null,
+    retrospectif: null,
+    portefeuille: null,
+    foyer: null,
+    per: null,
+    credit: null,
     graphData: [],
-    recommandation: {
-      montantRecommande: 0,
-      pourcentageRevenu: 0
-    }
+    recommandation: calculerRecommandation(inputsParDefaut)
   });
 
+  // Simulations enregistrées sur l'appareil
+  // Une intégration n'a pas de bibliothèque : le stockage est celui du site hôte
+  const [bibliotheque, setBibliotheque] = useState(() =>
+    configuration.integre ? [] : lireBibliotheque(stockageLocal())
+  );
+  const [lienCopie, setLienCopie] = useState(false);
+
+  // Graphique affiché, repris dans le rapport PDF
+  const conteneurGraphique = useRef(null);
+  const [exportEnCours, setExportEnCours] = useState(false);
+
+  // Relevé de compte importé pour suivre le plan, gardé en mémoire seulement
+  const [releve, setReleve] = useState(null);
+  const [erreurReleve, setErreurReleve] = useState(null);
+
+  // Mois choisi dans le tableau d'amortissement, repéré sur le graphique
+  const [moisSelectionne, setMoisSelectionne] = useState(null);
+
   // Validation des entrées
-  const validateInput = (name, value) => {
-    const newErrors = { ...errors };
+  const validateInput = (name, value, erreursCourantes = errors) => {
+    const newErrors = { ...erreursCourantes };
     
     switch (name) {
       case 'sommeInitiale':
         if (value < 0) {
-          newErrors.sommeInitiale = "Le montant doit être positif";
+          newErrors.sommeInitiale = 'erreurs.montantPositif';
         } else {
           delete newErrors.sommeInitiale;
         }
@@ -85,7 +318,7 @@ const InvestmentCalculator = () => {
         
       case 'mensualite':
         if (value < 0) {
-          newErrors.mensualite = "Le versement doit être positif";
+          newErrors.mensualite = 'erreurs.versementPositif';
         } else {
           delete newErrors.mensualite;
         }
@@ -93,7 +326,7 @@ const InvestmentCalculator = () => {
         
       case 'tauxAnnuel':
         if (value < 0 || value > 100) {
-          newErrors.tauxAnnuel = "Le taux doit être entre 0 et 100%";
+          newErrors.tauxAnnuel = 'erreurs.taux';
         } else {
           delete newErrors.tauxAnnuel;
         }
@@ -101,11 +334,170 @@ const InvestmentCalculator = () => {
         
       case 'nombreAnnees':
         if (value < 1 || value > 50) {
-          newErrors.nombreAnnees = "La durée doit être entre 1 et 50 ans";
+          newErrors.nombreAnnees = 'erreurs.duree';
         } else {
           delete newErrors.nombreAnnees;
         }
         return { value: Math.min(50, Math.max(1, value)), errors: newErrors };
+
+      case 'tauxInflation':
+        if (value < 0 || value > 20) {
+          newErrors.tauxInflation = 'erreurs.inflation';
+        } else {
+          delete newErrors.tauxInflation;
+        }
+        return { value: Math.min(20, Math.max(0, value)), errors: newErrors };
+
+      case 'indexationAnnuelle':
+        if (value < 0 || value > 20) {
+          newErrors.indexationAnnuelle = 'erreurs.indexation';
+        } else {
+          delete newErrors.indexationAnnuelle;
+        }
+        return { value: Math.min(20, Math.max(0, value)), errors: newErrors };
+
+      case 'volatilite':
+        if (value < 0 || value > 100) {
+          newErrors.volatilite = 'erreurs.volatilite';
+        } else {
+          delete newErrors.volatilite;
+        }
+        return { value: Math.min(100, Math.max(0, value || 0)), errors: newErrors };
+
+      case 'nombreTirages':
+        if (!(value >= 100 && value <= 10000)) {
+          newErrors.nombreTirages = 'erreurs.nombreTirages';
+        } else {
+          delete newErrors.nombreTirages;
+        }
+        // Valeur gardée telle quelle pour pouvoir taper 5000 chiffre par chiffre ; bornée au lancement
+        return { value, errors: newErrors };
+
+      case 'fraisEntree':
+      case 'fraisGestion':
+        if (value < 0 || value > 10) {
+          newErrors[name] = 'erreurs.fraisPourcentage';
+        } else {
+          delete newErrors[name];
+        }
+        return { value: Math.min(10, Math.max(0, value || 0)), errors: newErrors };
+
+      case 'fraisFixesAnnuels':
+        if (value < 0) {
+          newErrors.fraisFixesAnnuels = 'erreurs.fraisPositifs';
+        } else {
+          delete newErrors.fraisFixesAnnuels;
+        }
+        return { value: Math.max(0, value || 0), errors: newErrors };
+
+      case 'retraitMensuel':
+        if (value < 0) {
+          newErrors.retraitMensuel = 'erreurs.retraitPositif';
+        } else {
+          delete newErrors.retraitMensuel;
+        }
+        return { value: Math.max(0, value || 0), errors: newErrors };
+
+      case 'tauxRetrait':
+      case 'tauxRendementRetrait':
+        if (value < 0 || value > 100) {
+          newErrors[name] = 'erreurs.taux';
+        } else {
+          delete newErrors[name];
+        }
+        return { value: Math.min(100, Math.max(0, value || 0)), errors: newErrors };
+
+      case 'dureeRetrait':
+        if (value < 1 || value > 50) {
+          newErrors.dureeRetrait = 'erreurs.duree';
+        } else {
+          delete newErrors.dureeRetrait;
+        }
+        return { value: Math.min(50, Math.max(1, value || 1)), errors: newErrors };
+
+      case 'revenuNet':
+      case 'loyer':
+      case 'credits':
+      case 'autresCharges':
+      case 'epargneDePrecaution':
+        if (value < 0) {
+          newErrors[name] = 'erreurs.montantPositif';
+        } else {
+          delete newErrors[name];
+        }
+        return { value: Math.max(0, value || 0), errors: newErrors };
+
+      case 'revenuImposable':
+        if (value < 0) {
+          newErrors.revenuImposable = 'erreurs.montantPositif';
+        } else {
+          delete newErrors.revenuImposable;
+        }
+        return { value: Math.max(0, value || 0), errors: newErrors };
+
+      case 'partsFiscales':
+        if (!(value >= 1 && value <= 10)) {
+          newErrors.partsFiscales = 'erreurs.partsFiscales';
+        } else {
+          delete newErrors.partsFiscales;
+        }
+        return { value: Math.min(10, Math.max(1, value || 1)), errors: newErrors };
+
+      case 'capitalRestant':
+        if (value < 0) {
+          newErrors.capitalRestant = 'erreurs.montantPositif';
+        } else {
+          delete newErrors.capitalRestant;
+        }
+        return { value: Math.max(0, value || 0), errors: newErrors };
+
+      case 'tauxCredit':
+        if (value < 0 || value > 100) {
+          newErrors.tauxCredit = 'erreurs.taux';
+        } else {
+          delete newErrors.tauxCredit;
+        }
+        return { value: Math.min(100, Math.max(0, value || 0)), errors: newErrors };
+
+      case 'moisRestants':
+        if (!(value >= 1 && value <= 600)) {
+          newErrors.moisRestants = 'erreurs.moisRestants';
+        } else {
+          delete newErrors.moisRestants;
+        }
+        return { value: Math.min(600, Math.max(1, Math.round(value) || 1)), errors: newErrors };
+
+      case 'indemniteRemboursement':
+        if (value < 0 || value > 10) {
+          newErrors.indemniteRemboursement = 'erreurs.fraisPourcentage';
+        } else {
+          delete newErrors.indemniteRemboursement;
+        }
+        return { value: Math.min(10, Math.max(0, value || 0)), errors: newErrors };
+
+      case 'tailleFoyer':
+        if (!(value >= 1 && value <= 10)) {
+          newErrors.tailleFoyer = 'erreurs.tailleFoyer';
+        } else {
+          delete newErrors.tailleFoyer;
+        }
+        return { value: Math.min(10, Math.max(1, value || 1)), errors: newErrors };
+
+      case 'moisPrecaution':
+        if (value < 0 || value > 24) {
+          newErrors.moisPrecaution = 'erreurs.moisPrecaution';
+        } else {
+          delete newErrors.moisPrecaution;
+        }
+        return { value: Math.min(24, Math.max(0, value || 0)), errors: newErrors };
+
+      case 'montantCible':
+        if (!(value > 0)) {
+          newErrors.montantCible = 'erreurs.montantCible';
+        } else {
+          delete newErrors.montantCible;
+        }
+        return { value: Math.max(0, value || 0), errors: newErrors };
         
       default:
         return { value, errors: newErrors };
@@ -165,6 +557,18 @@ const InvestmentCalculator = () => {
       borderRadius: 2,
       transition: 'background-color 0.3s ease'
     },
+    // Lu par les lecteurs d'écran sans être affiché
+    masque: {
+      position: 'absolute',
+      width: 1,
+      height: 1,
+      margin: '-1px',
+      padding: 0,
+      overflow: 'hidden',
+      clip: 'rect(0 0 0 0)',
+      whiteSpace: 'nowrap',
+      border: 0
+    },
     resultCard: {
       height: '100%',
       transition: 'all 0.3s ease',
@@ -177,22 +581,12 @@ const InvestmentCalculator = () => {
   };
 
   // Calcul des recommandations
-  const calculateRecommendation = useCallback((trancheId) => {
+  const calculateRecommendation = useCallback((budget) => {
     try {
-      const tranche = TRANCHES.find(t => t.id === trancheId);
-      if (!tranche) {
-        console.warn(`Tranche non trouvée: ${trancheId}`);
-        return { montantRecommande: 0, pourcentageRevenu: 0 };
-      }
-
-      const revenuMoyen = (tranche.min + tranche.max) / 2;
-      return {
-        montantRecommande: Math.round(revenuMoyen * tranche.tauxEpargneRecommande),
-        pourcentageRevenu: tranche.tauxEpargneRecommande * 100
-      };
+      return calculerRecommandation(budget);
     } catch (error) {
       console.error('Erreur dans le calcul de recommandation:', error);
-      return { montantRecommande: 0, pourcentageRevenu: 0 };
+      return { montantRecommande: 0, pourcentageRevenu: 0, explication: [] };
     }
   }, []);
 
@@ -200,36 +594,102 @@ const InvestmentCalculator = () => {
   const calculateInvestment = useCallback(
     debounce(() => {
       try {
-        const nombreMois = inputs.nombreAnnees * 12;
-        const tauxMensuel = inputs.tauxAnnuel / 100 / 12;
-        let montantTotal = inputs.sommeInitiale;
-        const graphData = [{
-          mois: 0,
-          total: montantTotal,
-          investi: montantTotal
-        }];
-
-        for (let mois = 1; mois <= nombreMois; mois++) {
-          montantTotal += inputs.mensualite;
-          montantTotal *= (1 + tauxMensuel);
-          
-          graphData.push({
-            mois: mois,
-            total: parseFloat(montantTotal.toFixed(2)),
-            investi: inputs.sommeInitiale + (inputs.mensualite * mois)
-          });
+        const simulation = simulerAvecObjectif(inputs);
+        const recommandation = calculateRecommendation(inputs);
+
+        // Référence : capitalisation mensuelle, versements en début de mois
+        const conventionParDefaut = inputs.capitalisation === 'mensuelle' && inputs.momentVersement === 'debut';
+        const reference = conventionParDefaut ? null : simulerEpargne({
+          ...simulation.parametres,
+          capitalisation: 'mensuelle',
+          momentVersement: 'debut'
+        });
+
+        // Même projection sans aucun frais, pour mesurer leur coût
+        const avecFrais = inputs.fraisEntree > 0 || inputs.fraisGestion > 0 || inputs.fraisFixesAnnuels > 0;
+        const sansFrais = avecFrais ? simulerEpargne({
+          ...simulation.parametres,
+          fraisEntree: 0,
+          fraisGestion: 0,
+          fraisFixesAnnuels: 0
+        }) : null;
+
+        const portefeuille = inputs.modePortefeuille ? simulerPortefeuille(simulation.parametres, inputs.actifs, {
+          repartition: inputs.repartitionVersements,
+          reequilibrage: inputs.reequilibrage
+        }) : null;
+
+        // Comptes des membres du foyer, projetés avec les réglages communs
+        let foyer = null;
+        if (inputs.modeFoyer && inputs.membres.length > 0) {
+          const projection = simulerFoyer(simulation.parametres, inputs.membres);
+          foyer = {
+            ...projection,
+            recommandation: recommanderFoyer(inputs, inputs.membres),
+            objectif: partagerObjectif(projection.membres, inputs.membres, inputs.montantCible, inputs.repartitionObjectif)
+          };
+        }
+
+        // Le foyer, sinon le portefeuille, remplace alors la projection du taux unique :
+        // cartes, courbe du total, PER et retraits en découlent
+        const plan = remplacerProjection(simulation, foyer || portefeuille);
+
+        // Économie d'impôt du PER et comparaison avec un compte-titres ; son net tient
+        // compte de l'impôt sur les versements déduits. Les membres du foyer ont chacun
+        // leur enveloppe
+        const per = inputs.enveloppe === 'per' && !foyer ? comparerPer(plan, inputs) : null;
+        const nets = per ? resultatsNetsPer(plan, per) : {};
+
+        // Phase de retraits à partir du capital net de fiscalité
+        const retraits = inputs.phaseRetrait ? simulerRetraits({
+          capitalInitial: per ? nets.montantNet : plan.montantNet,
+          modeRetrait: inputs.modeRetrait,
+          retraitMensuel: inputs.retraitMensuel,
+          tauxRetrait: inputs.tauxRetrait,
+          tauxRendement: inputs.tauxRendementRetrait,
+          dureeRetrait: inputs.dureeRetrait,
+          indexerRetraits: inputs.indexerRetraits,
+          tauxInflation: inputs.tauxInflation,
+          moisDebut: simulation.parametres.nombreAnnees * 12
+        }) : null;
+
+        // Plan rejoué sur l'historique ; le parcours tracé est celui de l'année choisie
+        let retrospectif = null;
+        if (inputs.modeHistorique) {
+          const synthese = backtester(simulation.parametres, inputs.actifHistorique);
+          const anneeAffichee = synthese.parcours.some(p => p.anneeDepart === inputs.anneeDepartHistorique)
+            ? inputs.anneeDepartHistorique
+            : synthese.median?.anneeDepart ?? null;
+          retrospectif = {
+            ...synthese,
+            anneeAffichee,
+            graphData: anneeAffichee !== null
+              ? rejouerPlan(simulation.parametres, inputs.actifHistorique, anneeAffichee).graphData
+              : null
+          };
         }
 
-        const montantInvesti = inputs.sommeInitiale + (inputs.mensualite * nombreMois);
-        const gains = montantTotal - montantInvesti;
-        const recommandation = calculateRecommendation(inputs.trancheRevenu);
+        // Même mensualité consacrée au remboursement anticipé du crédit en cours
+        const credit = inputs.modeCredit ? comparerRemboursement({
+          ...simulation.parametres,
+          capitalRestant: inputs.capitalRestant,
+          tauxCredit: inputs.tauxCredit,
+          moisRestants: inputs.moisRestants,
+          indemniteRemboursement: inputs.indemniteRemboursement
+        }) : null;
 
         setResults({
-          montantTotal: parseFloat(montantTotal.toFixed(2)),
-          montantInvesti: montantInvesti,
-          gains: parseFloat(gains.toFixed(2)),
-          graphData,
-          recommandation
+          ...plan,
+          ...nets,
+          recommandation,
+          reference,
+          sansFrais,
+          retraits,
+          retrospectif,
+          portefeuille,
+          foyer,
+          per,
+          credit
         });
       } catch (error) {
         console.error('Erreur dans le calcul:', error);
@@ -245,319 +705,1737 @@ const InvestmentCalculator = () => {
     };
   }, [calculateInvestment]);
 
+  // Actions sur les scénarios
+  const activerScenario = (id) => {
+    setScenarioActifId(id);
+    setErrors({});
+  };
+
+  const ajouterScenario = () => {
+    const scenario = creerScenario(scenarios, inputsParDefaut, (id) => t('scenarios.nom', { id }));
+    setScenarios(prev => [...prev, scenario]);
+    activerScenario(scenario.id);
+  };
+
+  const copierScenario = () => {
+    const scenario = dupliquerScenario(scenarios, scenarioActif, (nom) => t('scenarios.copie', { nom }));
+    setScenarios(prev => [...prev, scenario]);
+    activerScenario(scenario.id);
+  };
+
+  const supprimerScenario = (id) => {
+    const restants = scenarios.filter(s => s.id !== id);
+    setScenarios(restants);
+    if (id === scenarioActif.id) {
+      activerScenario(restants[0].id);
+    }
+  };
+
+  const renommerScenario = (nom) => {
+    setScenarios(prev => prev.map(s => s.id === scenarioActif.id ? { ...s, nom } : s));
+  };
+
+  // Les scénarios inactifs ne sont pas édités : pas besoin de debounce
+  const autresSimulations = useMemo(
+    () => scenarios
+      .filter(s => s.id !== scenarioActif.id)
+      .map(s => ({ id: s.id, nom: s.nom, resultat: simulerAvecObjectif(s.inputs) })),
+    [scenarios, scenarioActif.id]
+  );
+
+  const couleursScenarios = Object.fromEntries(scenarios.map(s => [
+    s.id,
+    s.id === scenarioActif.id ? colors.success : couleurScenario(scenarios, s.id)
+  ]));
+
+  // Montants affichés selon le mode nominal ou euros constants
+  const affiches = affichageReel
+    ? {
+        montantInvesti: results.montantInvestiReel,
+        gains: results.gainsReels,
+        montantTotal: results.montantTotalReel,
+        montantNet: results.montantNetReel,
+        cleTotal: 'totalReel',
+        cleInvesti: 'investiReel',
+        cleComparaison: 'total'
+      }
+    : {
+        montantInvesti: results.montantInvesti,
+        gains: results.gains,
+        montantTotal: results.montantTotal,
+        montantNet: results.montantNet,
+        cleTotal: 'total',
+        cleInvesti: 'investi',
+        cleComparaison: 'totalReel'
+      };
+
+  const libellesCourbes = {
+    total: t(affichageReel ? 'graphique.totalReel' : 'graphique.total'),
+    investi: t(affichageReel ? 'graphique.investiReel' : 'graphique.investi'),
+    comparaison: t(affichageReel ? 'graphique.totalNominal' : 'graphique.totalReel'),
+    reference: t('graphique.reference'),
+    sansFrais: t('graphique.sansFrais'),
+    bandeMonteCarlo: t('graphique.bandeMonteCarlo'),
+    medianeMonteCarlo: t('graphique.medianeMonteCarlo'),
+    historique: t('graphique.historique', { annee: String(results.retrospectif?.anneeAffichee) }),
+    patrimoineRemboursement: t('graphique.patrimoineRemboursement'),
+    patrimoinePlacement: t('graphique.patrimoinePlacement'),
+    versementsEmpiles: t(affichageReel ? 'graphique.investiReel' : 'graphique.investi'),
+    gainsEmpiles: t(affichageReel ? 'graphique.gainsCumulesReels' : 'graphique.gainsCumules'),
+    soldeReel: t('graphique.soldeReel'),
+    previsionActualisee: t('graphique.previsionActualisee'),
+    ...Object.fromEntries(inputs.actifs.map(a => [cleActif(a.id), `🧺 ${a.nom}`])),
+    ...Object.fromEntries(inputs.membres.map(m => [cleMembre(m.id), `👤 ${m.nom}`])),
+    ...Object.fromEntries(autresSimulations.map(s => [`scenario${s.id}`, `📊 ${s.nom}`]))
+  };
+
+  // Soldes réels du relevé face à la projection, et projection relancée depuis le dernier
+  const suiviPlan = useMemo(() => {
+    if (!releve || !results.parametres) return null;
+    const operations = releve.type === 'ofx'
+      ? releve.operations
+      : extraireOperations(releve.lignes, releve.correspondance);
+    const soldes = soldesMensuels(operations, {
+      debut: releve.debut || undefined,
+      soldeFinal: releve.soldeFinal,
+      soldeInitial: results.parametres.sommeInitiale
+    });
+    const comparaison = comparerAuPlan(soldes, results.graphData);
+    return {
+      operations: operations.length,
+      soldes,
+      comparaison,
+      prevision: comparaison ? actualiserPrevision(results.parametres, comparaison.mois, comparaison.solde) : null
+    };
+  }, [releve, results.parametres, results.graphData]);
+
+  const bandesMonteCarlo = monteCarlo?.resultat?.bandes;
+  const donneesGraphique = useMemo(() => {
+    // La phase de retraits prolonge la courbe du scénario actif
+    const points = fusionnerCourbes(
+      results.retraits ? [...results.graphData, ...results.retraits.graphData] : results.graphData,
+      autresSimulations.map(s => ({ id: s.id, graphData: s.resultat.graphData })),
+      ['total', 'totalReel']
+    );
+    const suffixe = affichageReel ? 'Reel' : '';
+    const referencePoints = results.reference?.graphData;
+    const sansFraisPoints = results.sansFrais?.graphData;
+    const historiquePoints = results.retrospectif?.graphData;
+    const portefeuillePoints = results.portefeuille?.graphData;
+    const foyerPoints = results.foyer?.graphData;
+    const remboursementPoints = results.credit?.remboursement.graphData;
+    const placementPoints = results.credit?.placement.graphData;
+    const soldesReels = suiviPlan?.soldes;
+    const previsionPoints = suiviPlan?.prevision?.graphData;
+    if (!bandesMonteCarlo && !referencePoints && !sansFraisPoints && !historiquePoints && !portefeuillePoints && !foyerPoints && !remboursementPoints && !soldesReels) {
+      return points;
+    }
+    // Le relevé est en euros courants : ramenés en euros constants comme la projection
+    const deflateur = (mois) => (affichageReel ? Math.pow(1 + inputs.tauxInflation / 100, mois / 12) : 1);
+
+    return points.map(point => {
+      const enrichi = { ...point };
+      // Même projection avec la convention de capitalisation par défaut
+      const pointReference = referencePoints?.[point.mois];
+      if (pointReference) {
+        enrichi.reference = pointReference[`total${suffixe}`];
+      }
+      const pointSansFrais = sansFraisPoints?.[point.mois];
+      if (pointSansFrais) {
+        enrichi.sansFrais = pointSansFrais[`total${suffixe}`];
+      }
+      const pointHistorique = historiquePoints?.[point.mois];
+      if (pointHistorique) {
+        enrichi.historique = pointHistorique[`total${suffixe}`];
+      }
+      const pointPortefeuille = portefeuillePoints?.[point.mois];
+      if (pointPortefeuille) {
+        results.portefeuille.soldes.forEach(({ id }) => {
+          enrichi[cleActif(id)] = pointPortefeuille[`${cleActif(id)}${suffixe}`];
+        });
+      }
+      const pointFoyer = foyerPoints?.[point.mois];
+      if (pointFoyer) {
+        results.foyer.membres.forEach(({ id }) => {
+          enrichi[cleMembre(id)] = pointFoyer[`${cleMembre(id)}${suffixe}`];
+        });
+      }
+      // Patrimoine net du crédit restant dû, selon l'usage de la mensualité
+      if (remboursementPoints?.[point.mois]) {
+        enrichi.patrimoineRemboursement = remboursementPoints[point.mois][`patrimoine${suffixe}`];
+        enrichi.patrimoinePlacement = placementPoints[point.mois][`patrimoine${suffixe}`];
+      }
+      // Soldes réels du relevé et prévision actualisée à partir du dernier
+      const soldeReel = soldesReels?.[point.mois];
+      if (soldeReel) {
+        enrichi.soldeReel = arrondir(soldeReel.solde / deflateur(point.mois));
+      }
+      const pointPrevision = previsionPoints?.[point.mois - previsionPoints[0].mois];
+      if (pointPrevision) {
+        enrichi.previsionActualisee = arrondir(pointPrevision.total / deflateur(point.mois));
+      }
+      // Bande p10–p90 et médiane des trajectoires aléatoires
+      const bande = bandesMonteCarlo?.[point.mois];
+      if (bande) {
+        enrichi.bandeMonteCarlo = [bande[`p10${suffixe}`], bande[`p90${suffixe}`]];
+        enrichi.medianeMonteCarlo = bande[`p50${suffixe}`];
+      }
+      return enrichi;
+    });
+  }, [
+    results.graphData,
+    results.retraits,
+    results.reference,
+    results.sansFrais,
+    results.retrospectif,
+    results.portefeuille,
+    results.foyer,
+    results.credit,
+    suiviPlan,
+    autresSimulations,
+    bandesMonteCarlo,
+    affichageReel,
+    inputs.tauxInflation
+  ]);
+  // Un empilement n'a pas de sens en échelle logarithmique : la base zéro n'y figure pas
+  const empiler = vueEmpilee && !echelleLog;
+  const donneesAffichees = useMemo(() => {
+    const points = empiler ? ajouterComposition(donneesGraphique, affichageReel ? 'Reel' : '') : donneesGraphique;
+    return echelleLog ? pourEchelleLog(points) : points;
+  }, [donneesGraphique, empiler, echelleLog, affichageReel]);
+  // Toutes les graduations dans la même unité ; en échelle log, chacune dans la sienne
+  const uniteGraduations = useMemo(() => uniteAxe(valeurMaximale(donneesAffichees)), [donneesAffichees]);
+  const formaterGraduation = echelleLog
+    ? i18n.formaterMontantCompact
+    : (montant) => i18n.formaterMontantAxe(montant, uniteGraduations);
+  const jalons = useMemo(() => (afficherJalons
+    ? detecterJalons(results.graphData, {
+        mensualite: results.parametres?.mensualite ?? 0,
+        suffixe: affichageReel ? 'Reel' : ''
+      })
+    : []), [afficherJalons, results.graphData, results.parametres, affichageReel]);
+  // Libellé court sur la courbe, phrase complète datée sous le graphique
+  const libelleJalon = ({ id, seuil, mois }, court) => {
+    if (court) return id === 'seuil' ? i18n.formaterMontantCompact(seuil) : t(`jalons.court.${id}`);
+    const annees = Math.floor(mois / 12);
+    const date = annees > 0 && mois % 12 > 0
+      ? t('duree.anneesEtMois', { annees: t('duree.annees', { annees }), mois: t('duree.mois', { mois: mois % 12 }) })
+      : formatMois(mois);
+    return t(`jalons.${id}`, { montant: seuil, date });
+  };
+
+  const debutRetraits = results.retraits ? results.graphData.length - 1 : null;
+  const afficherMonteCarlo = inputs.modeMonteCarlo && !!bandesMonteCarlo;
+  const pointSelectionne = moisSelectionne !== null ? donneesGraphique[moisSelectionne] : null;
+
+  const lignesComparaison = comparerScenarios(
+    scenarios.map(s => s.id === scenarioActif.id
+      ? { id: s.id, nom: s.nom, resultat: results }
+      : autresSimulations.find(autre => autre.id === s.id)
+    ),
+    scenarioActif.id,
+    affichageReel ? INDICATEURS_REELS : INDICATEURS_NOMINAUX
+  );
+
+  const erreursAffichees = Object.fromEntries(Object.entries(errors).map(([champ, cle]) => [champ, t(cle)]));
+
+  // Valeur affichée d'un champ : la solution de l'objectif remplace la saisie
+  const estResolu = (name) => inputs.modeObjectif && inputs.inconnue === name;
+  const valeurChamp = (name) =>
+    estResolu(name) && results.objectif?.atteignable ? results.objectif.valeur : inputs[name];
+
+  // Simulation Monte-Carlo relancée à chaque nouvelle projection, l'ancienne est abandonnée
+  useEffect(() => {
+    const parametres = results.parametres;
+    if (!parametres || !parametres.modeMonteCarlo) {
+      setMonteCarlo(null);
+      return undefined;
+    }
+
+    // En mode portefeuille, les trajectoires suivent le rendement et la volatilité combinés des actifs
+    const { tauxAnnuel, volatilite } = parametres.modePortefeuille
+      ? caracteristiquesPortefeuille(parametres.actifs)
+      : parametres;
+    let actif = true;
+    setMonteCarlo(prev => ({ ...prev, enCours: true, erreur: null }));
+    const { promesse, annuler } = lancerMonteCarlo({ ...parametres, tauxAnnuel }, {
+      volatilite,
+      nombreTirages: Math.min(10000, Math.max(100, Math.round(parametres.nombreTirages) || 100)),
+      montantCible: parametres.montantCible
+    });
+    promesse
+      .then(resultat => {
+        if (actif) setMonteCarlo({ enCours: false, resultat, erreur: null });
+      })
+      .catch(error => {
+        if (!actif) return;
+        console.error('Erreur dans la simulation Monte-Carlo:', error);
+        setMonteCarlo({ enCours: false, resultat: null, erreur: error.message });
+      });
+
+    return () => {
+      actif = false;
+      annuler();
+    };
+  }, [results.parametres]);
+
+  const formaterEcart = (ecart) =>
+    `${ecart > 0 ? '+' : ''}${formaterMontant(parseFloat(ecart.toFixed(2)))}`;
+
   // Formatage des mois pour le graphique
   const formatMois = (mois) => {
-    if (mois === 0) return 'Début';
-    if (mois % 12 === 0) return `${mois/12} an${mois > 12 ? 's' : ''}`;
-    return `${mois} mois`;
+    if (mois === 0) return t('duree.debut');
+    if (mois % 12 === 0) return t('duree.annees', { annees: mois / 12 });
+    return t('duree.mois', { mois });
+  };
+
+  // Saisies venues de l'URL ou de la bibliothèque : chaque champ repasse par la validation
+  const appliquerInputs = (brutes) => {
+    let nouvellesErreurs = {};
+    const validees = {};
+    Object.entries(brutes).forEach(([name, value]) => {
+      const resultat = validateInput(name, value, nouvellesErreurs);
+      validees[name] = resultat.value;
+      nouvellesErreurs = resultat.errors;
+    });
+    setInputs(validees);
+    setErrors(nouvellesErreurs);
+  };
+
+  // Restauration de la simulation partagée par lien, au premier affichage seulement ; une
+  // intégration part de ses propres valeurs, validées comme une saisie
+  const restaurationFaite = useRef(false);
+  useEffect(() => {
+    if (restaurationFaite.current) return;
+    restaurationFaite.current = true;
+    if (configuration.integre) {
+      appliquerInputs(inputsParDefaut);
+      return;
+    }
+    // Sans lien partagé, on reprend là où la dernière visite s'était arrêtée
+    const restaurees = decoderInputs(window.location.search, inputsParDefaut)
+      || lireDernieresSaisies(stockageLocal(), inputsParDefaut);
+    if (restaurees) appliquerInputs(restaurees);
+  });
+
+  // Langue du document, pour la synthèse vocale et la césure
+  // Le document d'une page hôte garde la sienne ; le simulateur porte alors seul la sienne
+  useEffect(() => {
+    if (!configuration.integre) document.documentElement.lang = langue;
+  }, [langue, configuration.integre]);
+
+  // L'URL suit les saisies du scénario actif pour pouvoir être partagée à tout moment,
+  // sauf dans une page hôte dont l'adresse ne nous appartient pas
+  useEffect(() => {
+    if (configuration.integre) return;
+    window.history.replaceState(null, '', `${window.location.pathname}?${encoderInputs(inputs)}`);
+  }, [inputs, configuration.integre]);
+
+  // Dernières saisies et thème retrouvés à la prochaine visite ; une page hôte gère les siens
+  useEffect(() => {
+    if (configuration.integre) return;
+    try {
+      ecrireDernieresSaisies(stockageLocal(), inputs);
+    } catch (error) {
+      console.error("Erreur lors de l'enregistrement des saisies:", error);
+    }
+  }, [inputs, configuration.integre]);
+
+  useEffect(() => {
+    if (configuration.integre) return;
+    try {
+      ecrirePreferences(stockageLocal(), { theme: choixTheme });
+    } catch (error) {
+      console.error("Erreur lors de l'enregistrement des préférences:", error);
+    }
+    // Barre d'adresse et fenêtre de l'application installée aux couleurs du thème
+    document.querySelector('meta[name="theme-color"]')
+      ?.setAttribute('content', isDarkMode ? colors.darkGray : colors.lightGray);
+  }, [choixTheme, isDarkMode, colors, configuration.integre]);
+
+  // Événements transmis à la page hôte
+  useEffect(() => {
+    onChangement?.(inputs);
+  }, [inputs, onChangement]);
+
+  useEffect(() => {
+    if (results.parametres) onResultat?.(resumerResultat(results));
+  }, [results, onResultat]);
+
+  useEffect(() => {
+    if (configuration.integre) return;
+    try {
+      ecrireBibliotheque(stockageLocal(), bibliotheque);
+    } catch (error) {
+      console.error("Erreur lors de l'enregistrement des simulations:", error);
+    }
+  }, [bibliotheque, configuration.integre]);
+
+  const chargerSimulation = (simulation) => {
+    appliquerInputs(inputsEnregistres(simulation, inputsParDefaut));
+    renommerScenario(simulation.nom);
+  };
+
+  const copierLien = () => {
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(window.location.href)
+      .then(() => {
+        setLienCopie(true);
+        setTimeout(() => setLienCopie(false), 2000);
+      })
+      .catch(error => console.error('Erreur lors de la copie du lien:', error));
+  };
+
+  const exporter = async (format) => {
+    setExportEnCours(true);
+    try {
+      if (format === 'csv') exporterCsv(results.graphData, i18n);
+      if (format === 'xlsx') await exporterXlsx(results.graphData, i18n);
+      if (format === 'pdf') {
+        await exporterPdf({
+          inputs,
+          results,
+          graphique: conteneurGraphique.current?.querySelector('svg.recharts-surface'),
+          fondGraphique: isDarkMode ? colors.darkMode.paper : '#fff',
+          i18n
+        });
+      }
+    } catch (error) {
+      console.error("Erreur lors de l'export:", error);
+    } finally {
+      setExportEnCours(false);
+    }
+  };
+
+  // Les exports des banques françaises sont souvent en Windows-1252 plutôt qu'en UTF-8
+  const importerReleve = async (fichier) => {
+    try {
+      const octets = await fichier.arrayBuffer();
+      let texte;
+      try {
+        texte = new TextDecoder('utf-8', { fatal: true }).decode(octets);
+      } catch {
+        texte = new TextDecoder('windows-1252').decode(octets);
+      }
+      const nouveau = estOfx(texte)
+        ? { type: 'ofx', format: 'ofx', ...lireOfx(texte) }
+        : { type: 'csv', ...analyserCsv(texte) };
+      setReleve({ ...nouveau, nom: fichier.name, debut: '' });
+      setErreurReleve(null);
+    } catch (error) {
+      console.error("Erreur lors de l'import du relevé:", error);
+      setErreurReleve('suivi.fichierIllisible');
+    }
   };
 
   const handleInputChange = (name, value) => {
+    if (verrouille(name)) return;
     const { value: validatedValue, errors: newErrors } = validateInput(name, value);
     setInputs(prev => ({ ...prev, [name]: validatedValue }));
     setErrors(newErrors);
   };
 
+  // Le choix d'un livret réglementé reprend son taux en vigueur et sa règle de calcul
+  // des intérêts ; les champs changent ensemble pour que leurs erreurs se cumulent
+  const handleEnveloppeChange = (enveloppeId) => {
+    if (verrouille('enveloppe')) return;
+    const { tauxReglemente, capitalisation } = trouverEnveloppe(enveloppeId);
+    const modifications = { enveloppe: enveloppeId };
+    if (tauxReglemente !== null && !verrouille('tauxAnnuel')) {
+      modifications.tauxAnnuel = tauxReglemente;
+    }
+    if (capitalisation && !verrouille('capitalisation')) {
+      modifications.capitalisation = capitalisation;
+    }
+    const valider = (erreursCourantes) => Object.entries(modifications).reduce(
+      ({ validees, erreurs }, [name, value]) => {
+        const resultat = validateInput(name, value, erreurs);
+        return { validees: { ...validees, [name]: resultat.value }, erreurs: resultat.errors };
+      },
+      { validees: {}, erreurs: erreursCourantes }
+    );
+    setInputs(prev => ({ ...prev, ...valider(errors).validees }));
+    setErrors(prev => valider(prev).erreurs);
+  };
+
   return (
     <ThemeProvider theme={theme}>
-      <Box sx={customStyles.container}>
+      <Box lang={langue} sx={customStyles.container}>
         <Container maxWidth="lg">
           {/* En-tête */}
-          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4 }}>
-            <Typography variant="h4" sx={{ 
-              fontWeight: 600,
-              color: isDarkMode ? '#fff' : colors.darkGray
-            }}>
-              Simulateur d'Investissement
-            </Typography>
-            <Box 
-              component="span" 
-              onClick={() => setIsDarkMode(!isDarkMode)}
-              sx={{
-                fontSize: '1.5rem',
-                cursor: 'pointer',
-                transition: 'transform 0.3s ease',
-                display: 'inline-block',
-                '&:hover': {
-                  transform: 'scale(1.1)'
-                }
-              }}
-              title={isDarkMode ? "Passer en mode clair" : "Passer en mode sombre"}
-            >
-              {isDarkMode ? "☀️" : "🌙"}
-            </Box>
-          </Box>
-
-          <Grid container spacing={3}>
-            {/* Sélection de la tranche de revenus */}
-            <Grid item xs={12}>
-              <Paper sx={customStyles.paper}>
-                <FormControl fullWidth>
-                  <InputLabel>Tranche de revenus</InputLabel>
+          {estAffiche('entete') && (
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'space-between', alignItems: 'center', gap: 2, mb: 4 }}>
+              <Typography variant="h4" sx={{ 
+                fontWeight: 600,
+                color: isDarkMode ? '#fff' : colors.darkGray
+              }}>
+                {t('application.titre')}
+              </Typography>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                <FormControl size="small">
+                  <InputLabel id={`${idLibelles}-langue`}>{t('application.langue')}</InputLabel>
                   <Select
-                    value={inputs.trancheRevenu}
-                    label="Tranche de revenus"
-                    onChange={(e) => handleInputChange('trancheRevenu', e.target.value)}
+                    labelId={`${idLibelles}-langue`}
+                    value={langue}
+                    label={t('application.langue')}
+                    onChange={(e) => setLangue(e.target.value)}
                   >
-                    {TRANCHES.map(tranche => (
-                      <MenuItem key={tranche.id} value={tranche.id}>
-                        {tranche.label}
-                      </MenuItem>
+                    {LANGUES.map(l => (
+                      <MenuItem key={l.id} value={l.id} lang={l.id}>{l.label}</MenuItem>
                     ))}
                   </Select>
                 </FormControl>
-              </Paper>
-            </Grid>
+                <FormControl size="small">
+                  <InputLabel id={`${idLibelles}-devise`}>{t('application.devise')}</InputLabel>
+                  <Select
+                    labelId={`${idLibelles}-devise`}
+                    value={devise}
+                    label={t('application.devise')}
+                    onChange={(e) => setDevise(e.target.value)}
+                  >
+                    {DEVISES.map(d => (
+                      <MenuItem key={d.id} value={d.id}>{d.id} – {t(`devises.${d.id}`)}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <FormControl size="small">
+                  <InputLabel id={`${idLibelles}-theme`}>{t('application.theme')}</InputLabel>
+                  <Select
+                    labelId={`${idLibelles}-theme`}
+                    value={choixTheme}
+                    label={t('application.theme')}
+                    onChange={(e) => setChoixTheme(e.target.value)}
+                    startAdornment={
+                      <InputAdornment position="start" aria-hidden="true">
+                        {isDarkMode ? <DarkMode fontSize="small" /> : <LightMode fontSize="small" />}
+                      </InputAdornment>
+                    }
+                  >
+                    {THEMES.map(id => (
+                      <MenuItem key={id} value={id}>{t(`application.themes.${id}`)}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Box>
+            </Box>
+          )}
 
-            {/* Recommandation personnalisée */}
-            <Grid item xs={12}>
-              <Paper sx={customStyles.paper}>
-                <Typography variant="h6" gutterBottom>
-                  Recommandation personnalisée
-                </Typography>
-                <Typography sx={{ color: 'text.secondary' }}>
-                  Pour votre niveau de revenus, nous vous recommandons d'épargner environ{' '}
-                  <Box component="span" sx={{ fontWeight: 600, color: colors.success }}>
-                    {results.recommandation.montantRecommande}€
-                  </Box>{' '}
-                  par mois ({results.recommandation.pourcentageRevenu}% de vos revenus).
-                </Typography>
-              </Paper>
-            </Grid>
+          <Grid container spacing={3}>
+            {/* Scénarios */}
+            {estAffiche('scenarios') && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1, mb: 2 }}>
+                    {scenarios.map(scenario => (
+                      <Chip
+                        key={scenario.id}
+                        label={scenario.nom}
+                        onClick={() => activerScenario(scenario.id)}
+                        onDelete={scenarios.length > 1 ? () => supprimerScenario(scenario.id) : undefined}
+                        variant={scenario.id === scenarioActif.id ? 'filled' : 'outlined'}
+                        sx={{ borderColor: couleursScenarios[scenario.id] }}
+                      />
+                    ))}
+                    <Button size="small" startIcon={<Add />} onClick={ajouterScenario}>
+                      {t('scenarios.nouveau')}
+                    </Button>
+                    <Button size="small" startIcon={<ContentCopy />} onClick={copierScenario}>
+                      {t('scenarios.dupliquer')}
+                    </Button>
+                  </Box>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label={t('scenarios.nomDuScenario')}
+                    value={scenarioActif.nom}
+                    onChange={(e) => renommerScenario(e.target.value)}
+                  />
+                </Paper>
+              </Grid>
+            )}
 
-            {/* Champs de saisie */}
-            <Grid item xs={12} container spacing={3}>
-              <Grid item xs={12} md={3}>
-                <TextField
-                  fullWidth
-                  label="Capital initial (€)"
-                  type="number"
-                  value={inputs.sommeInitiale}
-                  onChange={(e) => handleInputChange('sommeInitiale', parseFloat(e.target.value))}
-                  error={!!errors.sommeInitiale}
-                  helperText={errors.sommeInitiale}
-                  InputProps={{
-                    startAdornment: <InputAdornment position="start"><EuroSymbol /></InputAdornment>,
-                    inputProps: { min: 0 }
-                  }}
-                />
+            {/* Simulations enregistrées et lien partageable */}
+            {estAffiche('bibliotheque') && !configuration.integre && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <SimulationLibrary
+                    simulations={bibliotheque}
+                    nomParDefaut={scenarioActif.nom}
+                    onEnregistrer={(nom) => setBibliotheque(prev => ajouterSimulation(prev, nom, inputs))}
+                    onCharger={chargerSimulation}
+                    onRenommer={(id, nom) => setBibliotheque(prev => renommerSimulation(prev, id, nom))}
+                    onSupprimer={(id) => setBibliotheque(prev => supprimerSimulation(prev, id))}
+                    onCopierLien={copierLien}
+                    lienCopie={lienCopie}
+                    i18n={i18n}
+                  />
+                </Paper>
               </Grid>
+            )}
 
-              <Grid item xs={12} md={3}>
-                <TextField
-                  fullWidth
-                  label="Versement mensuel (€)"
-                  type="number"
-                  value={inputs.mensualite}
-                  onChange={(e) => handleInputChange('mensualite', parseFloat(e.target.value))}
-                  error={!!errors.mensualite}
-                  helperText={errors.mensualite}
-                  InputProps={{
-                    startAdornment: <InputAdornment position="start"><EuroSymbol /></InputAdornment>,
-                    inputProps: { min: 0 }
-                  }}
-                />
+            {/* Sélection de l'enveloppe d'épargne */}
+            {estAffiche('enveloppe') && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <FormControl fullWidth disabled={verrouille('enveloppe')}>
+                    <InputLabel>{t('enveloppes.titre')}</InputLabel>
+                    <Select
+                      value={inputs.enveloppe}
+                      label={t('enveloppes.titre')}
+                      onChange={(e) => handleEnveloppeChange(e.target.value)}
+                    >
+                      {ENVELOPPES.map(enveloppe => (
+                        <MenuItem key={enveloppe.id} value={enveloppe.id}>
+                          {t(`enveloppes.${enveloppe.id}`)}
+                          {enveloppe.plafond !== null && ` ${t('enveloppes.plafond', { plafond: enveloppe.plafond })}`}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                  {inputs.enveloppe === 'per' && (
+                    <Box sx={{ mt: 3 }}>
+                      <RetirementPlanPanel
+                        inputs={inputs}
+                        errors={erreursAffichees}
+                        onChange={handleInputChange}
+                        verrouille={verrouille}
+                        onEstimer={() => handleInputChange('revenuImposable', estimerRevenuImposable(inputs.revenuNet))}
+                        per={results.per}
+                        colors={colors}
+                        i18n={i18n}
+                      />
+                    </Box>
+                  )}
+                </Paper>
               </Grid>
+            )}
 
-              <Grid item xs={12} md={3}>
-                <TextField
-                  fullWidth
-                  label="Taux annuel (%)"
-                  type="number"
-                  value={inputs.tauxAnnuel}
-                  onChange={(e) => handleInputChange('tauxAnnuel', parseFloat(e.target.value))}
-                  error={!!errors.tauxAnnuel}
-                  helperText={errors.tauxAnnuel}
-                  InputProps={{
-                    endAdornment: <InputAdornment position="end">%</InputAdornment>,
-                    inputProps: { min: 0, max: 100, step: "0.1" }
-                  }}
-                />
+            {/* Budget et recommandation personnalisée */}
+            {estAffiche('budget') && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <BudgetPanel
+                    inputs={inputs}
+                    errors={erreursAffichees}
+                    onChange={handleInputChange}
+                    verrouille={verrouille}
+                    recommandation={results.recommandation}
+                    onAppliquer={() => handleInputChange('mensualite', results.recommandation.montantRecommande)}
+                    colors={colors}
+                    i18n={i18n}
+                  />
+                </Paper>
               </Grid>
+            )}
+
+            {/* Objectif d'épargne */}
+            {estAffiche('objectif') && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <Grid container spacing={3} alignItems="center">
+                    <Grid item xs={12} md={4}>
+                      <FormControlLabel
+                        control={
+                          <Switch
+                            checked={inputs.modeObjectif}
+                            onChange={(e) => handleInputChange('modeObjectif', e.target.checked)}
+                            disabled={verrouille('modeObjectif')}
+                          />
+                        }
+                        label={t('objectif.partir')}
+                      />
+                    </Grid>
+                    {inputs.modeObjectif && (
+                      <>
+                        <Grid item xs={12} md={4}>
+                          <TextField
+                            fullWidth
+                            label={t('objectif.montantCible', { symbole })}
+                            type="number"
+                            value={inputs.montantCible}
+                            onChange={(e) => handleInputChange('montantCible', parseFloat(e.target.value))}
+                            disabled={verrouille('montantCible')}
+                            error={!!errors.montantCible}
+                            helperText={erreursAffichees.montantCible}
+                            InputProps={{
+                              startAdornment: <InputAdornment position="start">{symbole}</InputAdornment>,
+                              inputProps: { min: 0 }
+                            }}
+                          />
+                        </Grid>
+                        <Grid item xs={12} md={4}>
+                          <FormControl fullWidth disabled={verrouille('inconnue')}>
+                            <InputLabel>{t('objectif.calculer')}</InputLabel>
+                            <Select
+                              value={inputs.inconnue}
+                              label={t('objectif.calculer')}
+                              onChange={(e) => handleInputChange('inconnue', e.target.value)}
+                            >
+                              {INCONNUES.map(inconnue => (
+                                <MenuItem key={inconnue.id} value={inconnue.id}>
+                                  {t(`objectif.inconnues.${inconnue.id}`)}
+                                </MenuItem>
+                              ))}
+                            </Select>
+                          </FormControl>
+                        </Grid>
+                        {results.objectif && (
+                          <Grid item xs={12}>
+                            <Typography sx={{
+                              fontWeight: 600,
+                              color: results.objectif.atteignable ? colors.success : colors.error
+                            }}>
+                              {t(results.objectif.message)}
+                            </Typography>
+                          </Grid>
+                        )}
+                      </>
+                    )}
+                  </Grid>
+                </Paper>
+              </Grid>
+            )}
+
+            {/* Champs de saisie */}
+            <Grid item xs={12} container spacing={3}>
+              {estAffiche('sommeInitiale') && (
+                <Grid item xs={12} md={3}>
+                  <TextField
+                    fullWidth
+                    label={t('champs.sommeInitiale', { symbole })}
+                    type="number"
+                    value={inputs.sommeInitiale}
+                    onChange={(e) => handleInputChange('sommeInitiale', parseFloat(e.target.value))}
+                    disabled={verrouille('sommeInitiale')}
+                    error={!!errors.sommeInitiale}
+                    helperText={erreursAffichees.sommeInitiale}
+                    InputProps={{
+                      startAdornment: <InputAdornment position="start">{symbole}</InputAdornment>,
+                      inputProps: { min: 0 }
+                    }}
+                  />
+                </Grid>
+              )}
+
+              {estAffiche('mensualite') && (
+                <Grid item xs={12} md={3}>
+                  <TextField
+                    fullWidth
+                    label={t('champs.mensualite', { symbole })}
+                    type="number"
+                    value={valeurChamp('mensualite')}
+                    onChange={(e) => handleInputChange('mensualite', parseFloat(e.target.value))}
+                    disabled={estResolu('mensualite') || verrouille('mensualite')}
+                    error={!!errors.mensualite}
+                    helperText={erreursAffichees.mensualite}
+                    InputProps={{
+                      startAdornment: <InputAdornment position="start">{symbole}</InputAdornment>,
+                      inputProps: { min: 0 }
+                    }}
+                  />
+                </Grid>
+              )}
 
-              <Grid item xs={12} md={3}>
-                <TextField
-                  fullWidth
-                  label="Durée (années)"
-                  type="number"
-                  value={inputs.nombreAnnees}
-                  onChange={(e) => handleInputChange('nombreAnnees', parseInt(e.target.value))}
-                  error={!!errors.nombreAnnees}
-                  helperText={errors.nombreAnnees}
-                  inputProps={{ min: 1, max: 50 }}
+              {estAffiche('tauxAnnuel') && (
+                <Grid item xs={12} md={3}>
+                  <TextField
+                    fullWidth
+                    label={t('champs.tauxAnnuel')}
+                    type="number"
+                    value={valeurChamp('tauxAnnuel')}
+                    onChange={(e) => handleInputChange('tauxAnnuel', parseFloat(e.target.value))}
+                    disabled={estResolu('tauxAnnuel') || verrouille('tauxAnnuel')}
+                    error={!!errors.tauxAnnuel}
+                    helperText={erreursAffichees.tauxAnnuel}
+                    InputProps={{
+                      endAdornment: <InputAdornment position="end">%</InputAdornment>,
+                      inputProps: { min: 0, max: 100, step: "0.1" }
+                    }}
+                  />
+                </Grid>
+              )}
+
+              {estAffiche('nombreAnnees') && (
+                <Grid item xs={12} md={3}>
+                  <TextField
+                    fullWidth
+                    label={t('champs.nombreAnnees')}
+                    type="number"
+                    value={valeurChamp('nombreAnnees')}
+                    onChange={(e) => handleInputChange('nombreAnnees', parseInt(e.target.value))}
+                    disabled={estResolu('nombreAnnees') || verrouille('nombreAnnees')}
+                    error={!!errors.nombreAnnees}
+                    helperText={erreursAffichees.nombreAnnees}
+                    inputProps={{ min: 1, max: 50 }}
+                  />
+                </Grid>
+              )}
+
+              {estAffiche('tauxInflation') && (
+                <Grid item xs={12} md={3}>
+                  <TextField
+                    fullWidth
+                    label={t('champs.tauxInflation')}
+                    type="number"
+                    value={inputs.tauxInflation}
+                    onChange={(e) => handleInputChange('tauxInflation', parseFloat(e.target.value))}
+                    disabled={verrouille('tauxInflation')}
+                    error={!!errors.tauxInflation}
+                    helperText={erreursAffichees.tauxInflation}
+                    InputProps={{
+                      endAdornment: <InputAdornment position="end">%</InputAdornment>,
+                      inputProps: { min: 0, max: 20, step: "0.1" }
+                    }}
+                  />
+                </Grid>
+              )}
+
+              {estAffiche('indexationAnnuelle') && (
+                <Grid item xs={12} md={3}>
+                  <TextField
+                    fullWidth
+                    label={t('champs.indexationAnnuelle')}
+                    type="number"
+                    value={inputs.indexationAnnuelle}
+                    onChange={(e) => handleInputChange('indexationAnnuelle', parseFloat(e.target.value))}
+                    disabled={verrouille('indexationAnnuelle')}
+                    error={!!errors.indexationAnnuelle}
+                    helperText={erreursAffichees.indexationAnnuelle}
+                    InputProps={{
+                      endAdornment: <InputAdornment position="end">%</InputAdornment>,
+                      inputProps: { min: 0, max: 20, step: "0.5" }
+                    }}
+                  />
+                </Grid>
+              )}
+
+              <Grid item xs={12} md={6} sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap' }}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={affichageReel}
+                      onChange={(e) => setAffichageReel(e.target.checked)}
+                    />
+                  }
+                  label={t('champs.affichageReel')}
+                />
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={comparerNominalReel}
+                      onChange={(e) => setComparerNominalReel(e.target.checked)}
+                    />
+                  }
+                  label={t('champs.comparerNominalReel')}
                 />
               </Grid>
-            </Grid>
 
-            {/* Résultats */}
-            <Grid item xs={12}>
-              <Grid container spacing={3}>
+              {estAffiche('capitalisation') && (
                 <Grid item xs={12} md={4}>
-                  <Card sx={customStyles.resultCard}>
-                    <CardContent>
-                      <Typography variant="subtitle2" color="textSecondary">
-                        Montant investi
-                      </Typography>
-                      <Typography variant="h4" sx={{ my: 1 }}>
-                        {results.montantInvesti.toLocaleString('fr-FR')} €
-                      </Typography>
-                      <Typography variant="body2" color="textSecondary">
-                        dont {inputs.sommeInitiale.toLocaleString('fr-FR')}€ de capital initial
-                      </Typography>
-                    </CardContent>
-                  </Card>
+                  <FormControl fullWidth disabled={verrouille('capitalisation')}>
+                    <InputLabel>{t('champs.capitalisation')}</InputLabel>
+                    <Select
+                      value={inputs.capitalisation}
+                      label={t('champs.capitalisation')}
+                      onChange={(e) => handleInputChange('capitalisation', e.target.value)}
+                    >
+                      {CAPITALISATIONS.map(capitalisation => (
+                        <MenuItem key={capitalisation.id} value={capitalisation.id}>
+                          {t(`capitalisations.${capitalisation.id}`)}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
                 </Grid>
+              )}
 
+              {estAffiche('momentVersement') && (
                 <Grid item xs={12} md={4}>
-                  <Card sx={{ ...customStyles.resultCard, borderLeft: `4px solid ${colors.success}` }}>
-                    <CardContent>
-                      <Typography variant="subtitle2" color="textSecondary">
-                        Gains en intérêts
-                      </Typography>
-                      <Typography variant="h4" sx={{ my: 1, color: colors.success }}>
-                        {results.gains.toLocaleString('fr-FR')} €
-                      </Typography>
-                    </CardContent>
-                  </Card>
+                  <FormControl fullWidth disabled={verrouille('momentVersement')}>
+                    <InputLabel>{t('champs.momentVersement')}</InputLabel>
+                    <Select
+                      value={inputs.momentVersement}
+                      label={t('champs.momentVersement')}
+                      onChange={(e) => handleInputChange('momentVersement', e.target.value)}
+                    >
+                      {MOMENTS_VERSEMENT.map(moment => (
+                        <MenuItem key={moment.id} value={moment.id}>
+                          {t(`moments.${moment.id}`)}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
                 </Grid>
+              )}
 
+              {estAffiche('momentArrondi') && (
                 <Grid item xs={12} md={4}>
-                  <Card sx={customStyles.resultCard}>
-                    <CardContent>
-                      <Typography variant="subtitle2" color="textSecondary">
-                        Montant final
-                      </Typography>
-                      <Typography variant="h4" sx={{ my: 1 }}>
-                        {results.montantTotal.toLocaleString('fr-FR')} €
-                      </Typography>
-                    </CardContent>
-                  </Card>
+                  <FormControl fullWidth disabled={verrouille('momentArrondi')}>
+                    <InputLabel>{t('champs.momentArrondi')}</InputLabel>
+                    <Select
+                      value={inputs.momentArrondi}
+                      label={t('champs.momentArrondi')}
+                      onChange={(e) => handleInputChange('momentArrondi', e.target.value)}
+                    >
+                      {MOMENTS_ARRONDI.map(moment => (
+                        <MenuItem key={moment.id} value={moment.id}>
+                          {t(`arrondis.moments.${moment.id}`)}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
                 </Grid>
-              </Grid>
+              )}
+
+              {estAffiche('regleArrondi') && (
+                <Grid item xs={12} md={4}>
+                  <FormControl fullWidth disabled={verrouille('regleArrondi')}>
+                    <InputLabel>{t('champs.regleArrondi')}</InputLabel>
+                    <Select
+                      value={inputs.regleArrondi}
+                      label={t('champs.regleArrondi')}
+                      onChange={(e) => handleInputChange('regleArrondi', e.target.value)}
+                    >
+                      {REGLES_ARRONDI.map(regle => (
+                        <MenuItem key={regle.id} value={regle.id}>
+                          {t(`arrondis.regles.${regle.id}`)}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+              )}
+
+              {estAffiche('moisDepart') && inputs.capitalisation === 'quinzaine' && (
+                <Grid item xs={12} md={4}>
+                  <FormControl fullWidth disabled={verrouille('moisDepart')}>
+                    <InputLabel>{t('champs.moisDepart')}</InputLabel>
+                    <Select
+                      value={inputs.moisDepart}
+                      label={t('champs.moisDepart')}
+                      onChange={(e) => handleInputChange('moisDepart', e.target.value)}
+                    >
+                      {i18n.nomsMois.map((nom, index) => (
+                        <MenuItem key={nom} value={index + 1}>
+                          {nom}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+              )}
+
+              {estAffiche('fraisEntree') && (
+                <Grid item xs={12} md={4}>
+                  <TextField
+                    fullWidth
+                    label={t('champs.fraisEntree')}
+                    type="number"
+                    value={inputs.fraisEntree}
+                    onChange={(e) => handleInputChange('fraisEntree', parseFloat(e.target.value))}
+                    disabled={verrouille('fraisEntree')}
+                    error={!!errors.fraisEntree}
+                    helperText={erreursAffichees.fraisEntree}
+                    InputProps={{
+                      endAdornment: <InputAdornment position="end">%</InputAdornment>,
+                      inputProps: { min: 0, max: 10, step: "0.1" }
+                    }}
+                  />
+                </Grid>
+              )}
+
+              {estAffiche('fraisGestion') && (
+                <Grid item xs={12} md={4}>
+                  <TextField
+                    fullWidth
+                    label={t('champs.fraisGestion')}
+                    type="number"
+                    value={inputs.fraisGestion}
+                    onChange={(e) => handleInputChange('fraisGestion', parseFloat(e.target.value))}
+                    disabled={verrouille('fraisGestion')}
+                    error={!!errors.fraisGestion}
+                    helperText={erreursAffichees.fraisGestion}
+                    InputProps={{
+                      endAdornment: <InputAdornment position="end">%</InputAdornment>,
+                      inputProps: { min: 0, max: 10, step: "0.05" }
+                    }}
+                  />
+                </Grid>
+              )}
+
+              {estAffiche('fraisFixesAnnuels') && (
+                <Grid item xs={12} md={4}>
+                  <TextField
+                    fullWidth
+                    label={t('champs.fraisFixesAnnuels', { symbole })}
+                    type="number"
+                    value={inputs.fraisFixesAnnuels}
+                    onChange={(e) => handleInputChange('fraisFixesAnnuels', parseFloat(e.target.value))}
+                    disabled={verrouille('fraisFixesAnnuels')}
+                    error={!!errors.fraisFixesAnnuels}
+                    helperText={erreursAffichees.fraisFixesAnnuels}
+                    InputProps={{
+                      startAdornment: <InputAdornment position="start">{symbole}</InputAdornment>,
+                      inputProps: { min: 0 }
+                    }}
+                  />
+                </Grid>
+              )}
             </Grid>
 
+            {/* Mode Monte-Carlo */}
+            {estAffiche('monteCarlo') && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <MonteCarloPanel
+                    inputs={inputs}
+                    errors={erreursAffichees}
+                    onChange={handleInputChange}
+                    verrouille={verrouille}
+                    monteCarlo={monteCarlo}
+                    colors={colors}
+                    i18n={i18n}
+                  />
+                </Paper>
+              </Grid>
+            )}
+
+            {/* Portefeuille multi-actifs */}
+            {estAffiche('portefeuille') && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <PortfolioPanel
+                    inputs={inputs}
+                    onChange={handleInputChange}
+                    verrouille={verrouille}
+                    portefeuille={results.portefeuille}
+                    colors={colors}
+                    i18n={i18n}
+                  />
+                </Paper>
+              </Grid>
+            )}
+
+            {/* Mode foyer */}
+            {estAffiche('foyer') && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <HouseholdPanel
+                    inputs={inputs}
+                    errors={erreursAffichees}
+                    onChange={handleInputChange}
+                    verrouille={verrouille}
+                    foyer={results.foyer}
+                    colors={colors}
+                    i18n={i18n}
+                  />
+                </Paper>
+              </Grid>
+            )}
+
+            {/* Remboursement anticipé d'un crédit */}
+            {estAffiche('credit') && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <LoanPrepaymentPanel
+                    inputs={inputs}
+                    errors={erreursAffichees}
+                    onChange={handleInputChange}
+                    verrouille={verrouille}
+                    credit={results.credit}
+                    colors={colors}
+                    i18n={i18n}
+                  />
+                </Paper>
+              </Grid>
+            )}
+
+            {/* Suivi du plan à partir d'un relevé de compte */}
+            {estAffiche('suivi') && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <PlanTrackingPanel
+                    releve={releve}
+                    suivi={suiviPlan}
+                    erreur={erreurReleve}
+                    onImporter={importerReleve}
+                    onModifier={(modifications) => setReleve(prev => ({ ...prev, ...modifications }))}
+                    onRetirer={() => setReleve(null)}
+                    montantPrevu={results.montantTotal}
+                    colors={colors}
+                    i18n={i18n}
+                  />
+                </Paper>
+              </Grid>
+            )}
+
+            {/* Mode rétrospectif */}
+            {estAffiche('historique') && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <BacktestPanel
+                    inputs={inputs}
+                    onChange={handleInputChange}
+                    verrouille={verrouille}
+                    retrospectif={results.retrospectif}
+                    affichageReel={affichageReel}
+                    colors={colors}
+                    i18n={i18n}
+                  />
+                </Paper>
+              </Grid>
+            )}
+
+            {/* Phase de retraits */}
+            {estAffiche('retraits') && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <DecumulationPanel
+                    inputs={inputs}
+                    errors={erreursAffichees}
+                    onChange={handleInputChange}
+                    verrouille={verrouille}
+                    capitalDepart={results.montantNet}
+                    retraits={results.retraits}
+                    colors={colors}
+                    i18n={i18n}
+                  />
+                </Paper>
+              </Grid>
+            )}
+
+            {/* Échéancier des versements */}
+            {estAffiche('echeancier') && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <Typography variant="h6" gutterBottom>
+                    {t('echeancier.titre')}
+                  </Typography>
+                  <ContributionTimeline
+                    evenements={inputs.evenements}
+                    nombreMois={valeurChamp('nombreAnnees') * 12}
+                    onChange={(evenements) => handleInputChange('evenements', evenements)}
+                    lectureSeule={verrouille('evenements')}
+                    formatMois={formatMois}
+                    colors={colors}
+                    i18n={i18n}
+                  />
+                </Paper>
+              </Grid>
+            )}
+
+            {/* Résultats */}
+            {estAffiche('resultats') && (
+              <Grid item xs={12}>
+                {/* Nouveau résultat annoncé une fois le calcul terminé, sans déplacer le focus */}
+                <Box role="status" aria-live="polite" aria-atomic="true" sx={customStyles.masque}>
+                  {results.parametres && t('resultats.annonce', {
+                    total: affiches.montantTotal,
+                    gains: affiches.gains,
+                    investi: affiches.montantInvesti
+                  })}
+                </Box>
+                <Grid container spacing={3}>
+                  <Grid item xs={12} sm={6} md={3}>
+                    <Card component="section" aria-labelledby={`${idLibelles}-investi`} sx={customStyles.resultCard}>
+                      <CardContent>
+                        <Typography id={`${idLibelles}-investi`} variant="subtitle2" color="textSecondary">
+                          {t('resultats.montantInvesti')}
+                        </Typography>
+                        <Typography variant="h4" sx={{ my: 1 }}>
+                          {formaterMontant(affiches.montantInvesti)}
+                        </Typography>
+                        <Typography variant="body2" color="textSecondary">
+                          {t('resultats.dontCapitalInitial', { montant: inputs.sommeInitiale })}
+                        </Typography>
+                        {results.excedent > 0 && (
+                          <Typography variant="body2" sx={{ color: colors.error }}>
+                            {t('resultats.excedent', { montant: results.excedent })}
+                          </Typography>
+                        )}
+                      </CardContent>
+                    </Card>
+                  </Grid>
+
+                  <Grid item xs={12} sm={6} md={3}>
+                    <Card component="section" aria-labelledby={`${idLibelles}-gains`} sx={{ ...customStyles.resultCard, borderLeft: `4px solid ${colors.success}` }}>
+                      <CardContent>
+                        <Typography id={`${idLibelles}-gains`} variant="subtitle2" color="textSecondary">
+                          {t('resultats.gains')}
+                        </Typography>
+                        <Typography variant="h4" sx={{ my: 1, color: colors.success }}>
+                          {formaterMontant(affiches.gains)}
+                        </Typography>
+                        <Typography variant="body2" color="textSecondary">
+                          {t('resultats.gainsNets', { montant: results.gainsNets })}
+                          {results.impots > 0 && ` ${t('resultats.fiscalite', { montant: results.impots })}`}
+                        </Typography>
+                        <Typography variant="caption" color="textSecondary" component="div">
+                          {results.regimeFiscal && t(results.regimeFiscal)}
+                        </Typography>
+                        {results.reference && (
+                          <Typography variant="caption" color="textSecondary" component="div">
+                            {formaterEcart(results.gains - results.reference.gains)} {t('resultats.ecartReference')}
+                          </Typography>
+                        )}
+                      </CardContent>
+                    </Card>
+                  </Grid>
+
+                  <Grid item xs={12} sm={6} md={3}>
+                    <Card component="section" aria-labelledby={`${idLibelles}-final`} sx={customStyles.resultCard}>
+                      <CardContent>
+                        <Typography id={`${idLibelles}-final`} variant="subtitle2" color="textSecondary">
+                          {t('resultats.montantFinal')}
+                        </Typography>
+                        <Typography variant="h4" sx={{ my: 1 }}>
+                          {formaterMontant(affiches.montantTotal)}
+                        </Typography>
+                        <Typography variant="body2" color="textSecondary">
+                          {t('resultats.montantNet', { montant: affiches.montantNet })}
+                        </Typography>
+                        {affichageReel && (
+                          <Typography variant="caption" color="textSecondary">
+                            {t('resultats.valeurNominale', { montant: results.montantTotal })}
+                          </Typography>
+                        )}
+                      </CardContent>
+                    </Card>
+                  </Grid>
+
+                  <Grid item xs={12} sm={6} md={3}>
+                    <Card component="section" aria-labelledby={`${idLibelles}-frais`} sx={{ ...customStyles.resultCard, borderLeft: `4px solid ${colors.error}` }}>
+                      <CardContent>
+                        <Typography id={`${idLibelles}-frais`} variant="subtitle2" color="textSecondary">
+                          {t('resultats.frais')}
+                        </Typography>
+                        <Typography variant="h4" sx={{ my: 1, color: results.frais > 0 ? colors.error : 'inherit' }}>
+                          {formaterMontant(results.frais)}
+                        </Typography>
+                        <Typography variant="body2" color="textSecondary">
+                          {t('resultats.detailFrais', results.detailFrais)}
+                        </Typography>
+                        {results.sansFrais && (
+                          <Typography variant="caption" color="textSecondary">
+                            {t('resultats.sansFrais', { montant: results.sansFrais.montantTotal })}
+                          </Typography>
+                        )}
+                      </CardContent>
+                    </Card>
+                  </Grid>
+                </Grid>
+              </Grid>
+            )}
+
             {/* Graphique */}
-            <Grid item xs={12}>
-              <Paper sx={{ 
-                ...customStyles.paper,
-                '& .recharts-responsive-container': {
-                  minHeight: {
-                    xs: 300, // hauteur pour mobile
-                    sm: 400  // hauteur pour desktop
-                  }
-                }
-              }}>
-                <Typography variant="h6" gutterBottom sx={{ mb: 3 }}>
-                  Évolution de votre investissement
-                </Typography>
-                
-                <Box sx={{ 
-                  width: '100%',
-                  '& .recharts-tooltip-wrapper': {
-                    outline: 'none'
+            {estAffiche('graphique') && (
+              <Grid item xs={12}>
+                <Paper sx={{ 
+                  ...customStyles.paper,
+                  '& .recharts-responsive-container': {
+                    minHeight: {
+                      xs: 300, // hauteur pour mobile
+                      sm: 400  // hauteur pour desktop
+                    }
                   }
                 }}>
-                  <ResponsiveContainer width="100%" height={350}>
-                    <LineChart 
-                      data={results.graphData}
-                      margin={{ 
-                        top: 5, 
-                        right: 10, 
-                        left: 0, 
-                        bottom: 5 
-                      }}
-                      onMouseMove={(e) => {
-                        if (e && e.isTooltipActive) {
-                          // Logique pour le suivi tactile si nécessaire
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'space-between', alignItems: 'center', gap: 1, mb: 3 }}>
+                    <Typography variant="h6">
+                      {t('graphique.titre')}
+                    </Typography>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1 }}>
+                      <FormControlLabel
+                        control={
+                          <Switch
+                            size="small"
+                            checked={empiler}
+                            disabled={echelleLog}
+                            onChange={(e) => setVueEmpilee(e.target.checked)}
+                          />
                         }
-                      }}
-                    >
-                      <CartesianGrid 
-                        strokeDasharray="3 3" 
-                        stroke={isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)'} 
-                      />
-                      <XAxis
-                        dataKey="mois"
-                        tickFormatter={formatMois}
-                        stroke={isDarkMode ? '#fff' : '#666'}
-                        tick={{ fontSize: '0.75rem' }}
-                        interval="preserveStartEnd"
+                        label={t('graphique.vueEmpilee')}
                       />
-                      <YAxis
-                        tickFormatter={(value) => `${(value/1000).toFixed(0)}k€`}
-                        stroke={isDarkMode ? '#fff' : '#666'}
-                        tick={{ fontSize: '0.75rem' }}
-                        width={45}
-                      />
-                      <Tooltip
-                        formatter={(value, name) => [
-                          `${value.toLocaleString('fr-FR')} €`,
-                          name === 'total' ? '💰 Total' : '💶 Capital'
-                        ]}
-                        labelFormatter={(mois) => formatMois(mois)}
-                        contentStyle={{
-                          backgroundColor: isDarkMode ? colors.darkMode.paper : '#fff',
-                          border: `1px solid ${isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)'}`,
-                          borderRadius: '8px',
-                          padding: '12px',
-                          fontSize: '0.875rem',
-                          boxShadow: '0 2px 8px rgba(0,0,0,0.15)'
-                        }}
-                        wrapperStyle={{
-                          outline: 'none',
-                          zIndex: 100
-                        }}
-                        cursor={{ strokeWidth: 1 }}
-                        active
+                      <FormControlLabel
+                        control={
+                          <Switch
+                            size="small"
+                            checked={echelleLog}
+                            onChange={(e) => setEchelleLog(e.target.checked)}
+                          />
+                        }
+                        label={t('graphique.echelleLog')}
                       />
-                      <Legend 
-                        verticalAlign="top"
-                        height={36}
-                        formatter={(value) => {
-                          const labels = {
-                            total: "💰 Total avec intérêts",
-                            investi: "💶 Capital investi"
-                          };
-                          return labels[value] || value;
-                        }}
-                        wrapperStyle={{
-                          fontSize: '0.875rem',
-                          paddingBottom: '10px'
-                        }}
+                      <FormControlLabel
+                        control={
+                          <Switch
+                            size="small"
+                            checked={afficherJalons}
+                            onChange={(e) => setAfficherJalons(e.target.checked)}
+                          />
+                        }
+                        label={t('graphique.jalons')}
                       />
-                      <Line
-                        type="monotone"
-                        dataKey="total"
-                        name="total"
-                        stroke={colors.success}
-                        strokeWidth={3}
-                        dot={false}
-                        activeDot={{ 
-                          r: 6, 
-                          fill: colors.success,
-                          strokeWidth: 0 
+                      {results.portefeuille && (
+                        <FormControlLabel
+                          control={
+                            <Switch
+                              size="small"
+                              checked={vueParActif}
+                              onChange={(e) => setVueParActif(e.target.checked)}
+                            />
+                          }
+                          label={t('graphique.vueParActif')}
+                        />
+                      )}
+                      {estAffiche('export') && (
+                        <>
+                          <Button size="small" startIcon={<FileDownload />} disabled={exportEnCours} onClick={() => exporter('csv')}>
+                            CSV
+                          </Button>
+                          <Button size="small" startIcon={<FileDownload />} disabled={exportEnCours} onClick={() => exporter('xlsx')}>
+                            Excel
+                          </Button>
+                          <Button size="small" startIcon={<PictureAsPdf />} disabled={exportEnCours} onClick={() => exporter('pdf')}>
+                            {t('graphique.rapportPdf')}
+                          </Button>
+                        </>
+                      )}
+                    </Box>
+                  </Box>
+                
+                  <Box
+                    ref={conteneurGraphique}
+                    role="img"
+                    aria-label={t('graphique.description')}
+                    sx={{ 
+                    width: '100%',
+                    '& .recharts-tooltip-wrapper': {
+                      outline: 'none'
+                    }
+                  }}>
+                    <ResponsiveContainer width="100%" height={350}>
+                      <ComposedChart 
+                        data={donneesAffichees}
+                        margin={{ 
+                          top: 5, 
+                          right: 10, 
+                          left: 0, 
+                          bottom: 5 
                         }}
-                        isAnimationActive={false} // Améliore les performances sur mobile
-                      />
-                      <Line
-                        type="monotone"
-                        dataKey="investi"
-                        name="investi"
-                        stroke={colors.error}
-                        strokeWidth={3}
-                        dot={false}
-                        activeDot={{ 
-                          r: 6, 
-                          fill: colors.error,
-                          strokeWidth: 0 
+                        onMouseMove={(e) => {
+                          if (e && e.isTooltipActive) {
+                            // Logique pour le suivi tactile si nécessaire
+                          }
                         }}
-                        isAnimationActive={false} // Améliore les performances sur mobile
-                      />
-                    </LineChart>
-                  </ResponsiveContainer>
-                </Box>
-              </Paper>
-            </Grid>
+                      >
+                        <CartesianGrid 
+                          strokeDasharray="3 3" 
+                          stroke={isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)'} 
+                        />
+                        <XAxis
+                          dataKey="mois"
+                          tickFormatter={formatMois}
+                          stroke={isDarkMode ? '#fff' : '#666'}
+                          tick={{ fontSize: '0.75rem' }}
+                          interval="preserveStartEnd"
+                        />
+                        <YAxis
+                          tickFormatter={formaterGraduation}
+                          scale={echelleLog ? 'log' : 'auto'}
+                          domain={echelleLog ? ['auto', 'auto'] : [0, 'auto']}
+                          allowDataOverflow={echelleLog}
+                          stroke={isDarkMode ? '#fff' : '#666'}
+                          tick={{ fontSize: '0.75rem' }}
+                          width={64}
+                        />
+                        <Tooltip
+                          formatter={(value, name) => [
+                            Array.isArray(value)
+                              ? t('graphique.intervalle', { bas: value[0], haut: value[1] })
+                              : formaterMontant(value),
+                            libellesCourbes[name] || name
+                          ]}
+                          labelFormatter={(mois) => formatMois(mois)}
+                          contentStyle={{
+                            backgroundColor: isDarkMode ? colors.darkMode.paper : '#fff',
+                            border: `1px solid ${isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)'}`,
+                            borderRadius: '8px',
+                            padding: '12px',
+                            fontSize: '0.875rem',
+                            boxShadow: '0 2px 8px rgba(0,0,0,0.15)'
+                          }}
+                          wrapperStyle={{
+                            outline: 'none',
+                            zIndex: 100
+                          }}
+                          cursor={{ strokeWidth: 1 }}
+                          active
+                        />
+                        <Legend 
+                          verticalAlign="top"
+                          height={36}
+                          formatter={(value) => libellesCourbes[value] || value}
+                          wrapperStyle={{
+                            fontSize: '0.875rem',
+                            paddingBottom: '10px'
+                          }}
+                        />
+                        {results.portefeuille && vueParActif && results.portefeuille.soldes.map(({ id }) => (
+                          <Area
+                            key={id}
+                            type="monotone"
+                            dataKey={cleActif(id)}
+                            name={cleActif(id)}
+                            stackId="portefeuille"
+                            stroke={couleurActif(inputs.actifs, id)}
+                            fill={couleurActif(inputs.actifs, id)}
+                            fillOpacity={0.35}
+                            isAnimationActive={false}
+                          />
+                        ))}
+                        {results.foyer && results.foyer.membres.map(({ id }) => (
+                          <Area
+                            key={id}
+                            type="monotone"
+                            dataKey={cleMembre(id)}
+                            name={cleMembre(id)}
+                            stackId="foyer"
+                            stroke={couleurMembre(inputs.membres, id)}
+                            fill={couleurMembre(inputs.membres, id)}
+                            fillOpacity={0.25}
+                            isAnimationActive={false}
+                          />
+                        ))}
+                        {afficherMonteCarlo && (
+                          <>
+                            <Area
+                              type="monotone"
+                              dataKey="bandeMonteCarlo"
+                              name="bandeMonteCarlo"
+                              stroke="none"
+                              fill={colors.success}
+                              fillOpacity={0.2}
+                              isAnimationActive={false}
+                            />
+                            <Line
+                              type="monotone"
+                              dataKey="medianeMonteCarlo"
+                              name="medianeMonteCarlo"
+                              stroke={colors.success}
+                              strokeWidth={3}
+                              dot={false}
+                              isAnimationActive={false}
+                            />
+                          </>
+                        )}
+                        {empiler ? (
+                          <>
+                            <Area
+                              type="monotone"
+                              dataKey="versementsEmpiles"
+                              name="versementsEmpiles"
+                              stackId="composition"
+                              stroke={colors.error}
+                              fill={colors.error}
+                              fillOpacity={0.35}
+                              isAnimationActive={false}
+                            />
+                            <Area
+                              type="monotone"
+                              dataKey="gainsEmpiles"
+                              name="gainsEmpiles"
+                              stackId="composition"
+                              stroke={colors.success}
+                              fill={colors.success}
+                              fillOpacity={0.35}
+                              isAnimationActive={false}
+                            />
+                          </>
+                        ) : (
+                          <>
+                            {!afficherMonteCarlo && (
+                              <Line
+                                type="monotone"
+                                dataKey={affiches.cleTotal}
+                                name="total"
+                                stroke={colors.success}
+                                strokeWidth={3}
+                                dot={false}
+                                activeDot={{ 
+                                  r: 6, 
+                                  fill: colors.success,
+                                  strokeWidth: 0 
+                                }}
+                                isAnimationActive={false} // Améliore les performances sur mobile
+                              />
+                            )}
+                            <Line
+                              type="monotone"
+                              dataKey={affiches.cleInvesti}
+                              name="investi"
+                              stroke={colors.error}
+                              strokeWidth={3}
+                              dot={false}
+                              activeDot={{ 
+                                r: 6, 
+                                fill: colors.error,
+                                strokeWidth: 0 
+                              }}
+                              isAnimationActive={false} // Améliore les performances sur mobile
+                            />
+                          </>
+                        )}
+                        {debutRetraits !== null && (
+                          <ReferenceArea
+                            x1={debutRetraits}
+                            x2={donneesAffichees.length - 1}
+                            fill={colors.info}
+                            fillOpacity={0.06}
+                          />
+                        )}
+                        {debutRetraits !== null && (
+                          <ReferenceLine
+                            x={debutRetraits}
+                            stroke={colors.info}
+                            strokeWidth={2}
+                            label={{ value: t('graphique.debutRetraits'), position: 'insideTopRight', fill: colors.info, fontSize: 12 }}
+                          />
+                        )}
+                        {results.objectif && !affichageReel && (
+                          <ReferenceLine
+                            y={inputs.montantCible}
+                            stroke={colors.info}
+                            strokeDasharray="3 3"
+                            label={{ value: t('graphique.objectif'), position: 'insideTopLeft', fill: colors.info, fontSize: 12 }}
+                          />
+                        )}
+                        {results.objectif?.moisAtteint && !affichageReel && (
+                          <ReferenceLine
+                            x={results.objectif.moisAtteint}
+                            stroke={colors.info}
+                            strokeDasharray="3 3"
+                          />
+                        )}
+                        {inputs.evenements.map(e => e.type === 'pause' ? (
+                          <ReferenceArea
+                            key={`evenement${e.id}`}
+                            x1={e.mois}
+                            x2={e.moisFin}
+                            fill={colors.mediumGray}
+                            fillOpacity={0.15}
+                            ifOverflow="hidden"
+                          />
+                        ) : (
+                          <ReferenceLine
+                            key={`evenement${e.id}`}
+                            x={e.mois}
+                            stroke={e.type === 'retrait' ? colors.error : colors.success}
+                            strokeDasharray="2 4"
+                            ifOverflow="hidden"
+                            label={{ value: iconeEvenement(e.type), position: 'top', fontSize: 12 }}
+                          />
+                        ))}
+                        {autresSimulations.map(s => (
+                          <Line
+                            key={s.id}
+                            type="monotone"
+                            dataKey={cleCourbe(s.id, affiches.cleTotal)}
+                            name={`scenario${s.id}`}
+                            stroke={couleursScenarios[s.id]}
+                            strokeWidth={2}
+                            dot={false}
+                            connectNulls
+                            isAnimationActive={false}
+                          />
+                        ))}
+                        {results.retrospectif?.graphData && (
+                          <Line
+                            type="monotone"
+                            dataKey="historique"
+                            name="historique"
+                            stroke={colors.info}
+                            strokeWidth={2}
+                            dot={false}
+                            isAnimationActive={false}
+                          />
+                        )}
+                        {suiviPlan?.comparaison && (
+                          <>
+                            <Line
+                              type="monotone"
+                              dataKey="soldeReel"
+                              name="soldeReel"
+                              stroke={colors.error}
+                              strokeWidth={2}
+                              dot={{ r: 2 }}
+                              isAnimationActive={false}
+                            />
+                            {suiviPlan.prevision && (
+                              <Line
+                                type="monotone"
+                                dataKey="previsionActualisee"
+                                name="previsionActualisee"
+                                stroke={colors.error}
+                                strokeWidth={2}
+                                strokeDasharray="4 4"
+                                dot={false}
+                                isAnimationActive={false}
+                              />
+                            )}
+                          </>
+                        )}
+                        {results.credit && (
+                          <>
+                            <Line
+                              type="monotone"
+                              dataKey="patrimoineRemboursement"
+                              name="patrimoineRemboursement"
+                              stroke={colors.info}
+                              strokeWidth={2}
+                              dot={false}
+                              isAnimationActive={false}
+                            />
+                            <Line
+                              type="monotone"
+                              dataKey="patrimoinePlacement"
+                              name="patrimoinePlacement"
+                              stroke={colors.success}
+                              strokeWidth={2}
+                              strokeDasharray="6 3"
+                              dot={false}
+                              isAnimationActive={false}
+                            />
+                          </>
+                        )}
+                        {results.sansFrais && (
+                          <Line
+                            type="monotone"
+                            dataKey="sansFrais"
+                            name="sansFrais"
+                            stroke={colors.success}
+                            strokeOpacity={0.5}
+                            strokeWidth={2}
+                            strokeDasharray="8 4"
+                            dot={false}
+                            isAnimationActive={false}
+                          />
+                        )}
+                        {results.reference && (
+                          <Line
+                            type="stepAfter"
+                            dataKey="reference"
+                            name="reference"
+                            stroke={colors.mediumGray}
+                            strokeWidth={2}
+                            strokeDasharray="4 4"
+                            dot={false}
+                            isAnimationActive={false}
+                          />
+                        )}
+                        {comparerNominalReel && (
+                          <Line
+                            type="monotone"
+                            dataKey={affiches.cleComparaison}
+                            name="comparaison"
+                            stroke={colors.info}
+                            strokeWidth={2}
+                            strokeDasharray="6 4"
+                            dot={false}
+                            isAnimationActive={false}
+                          />
+                        )}
+                        {jalons.map(jalon => (
+                          <ReferenceDot
+                            key={`jalon${jalon.id}${jalon.seuil ?? ''}`}
+                            x={jalon.mois}
+                            y={results.graphData[jalon.mois][affiches.cleTotal]}
+                            r={5}
+                            fill={colors.info}
+                            stroke={isDarkMode ? colors.darkMode.paper : '#fff'}
+                            strokeWidth={2}
+                            ifOverflow="hidden"
+                            label={{ value: libelleJalon(jalon, true), position: 'top', fill: colors.info, fontSize: 11 }}
+                          />
+                        ))}
+                        {pointSelectionne && (
+                          <ReferenceLine
+                            x={pointSelectionne.mois}
+                            stroke={isDarkMode ? '#fff' : colors.darkGray}
+                            strokeDasharray="2 2"
+                          />
+                        )}
+                        {pointSelectionne && (
+                          <ReferenceDot
+                            x={pointSelectionne.mois}
+                            y={pointSelectionne[affiches.cleTotal]}
+                            r={7}
+                            fill={colors.success}
+                            stroke={isDarkMode ? '#fff' : colors.darkGray}
+                            strokeWidth={2}
+                          />
+                        )}
+                        {/* Zoom sur une période ; réinitialisé quand la durée change */}
+                        <Brush
+                          key={donneesAffichees.length}
+                          dataKey="mois"
+                          height={24}
+                          travellerWidth={8}
+                          tickFormatter={formatMois}
+                          stroke={colors.info}
+                          fill={isDarkMode ? colors.darkMode.paper : '#fff'}
+                        />
+                      </ComposedChart>
+                    </ResponsiveContainer>
+                  </Box>
+                  {jalons.length > 0 && (
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 2 }}>
+                      {jalons.map(jalon => (
+                        <Chip
+                          key={`jalon${jalon.id}${jalon.seuil ?? ''}`}
+                          size="small"
+                          variant="outlined"
+                          label={libelleJalon(jalon, false)}
+                          onClick={() => setMoisSelectionne(jalon.mois)}
+                        />
+                      ))}
+                    </Box>
+                  )}
+                </Paper>
+              </Grid>
+            )}
+
+            {/* Tableau d'amortissement */}
+            {estAffiche('amortissement') && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <AmortizationTable
+                    graphData={results.graphData}
+                    impots={results.impots}
+                    moisSelectionne={moisSelectionne}
+                    onSelection={setMoisSelectionne}
+                    colors={colors}
+                    i18n={i18n}
+                  />
+                </Paper>
+              </Grid>
+            )}
+
+            {/* Comparaison des scénarios */}
+            {estAffiche('comparaison') && autresSimulations.length > 0 && (
+              <Grid item xs={12}>
+                <Paper sx={customStyles.paper}>
+                  <Typography variant="h6" gutterBottom>
+                    {t('scenarios.comparaison')}
+                  </Typography>
+                  <ScenarioComparison
+                    lignes={lignesComparaison}
+                    couleurs={couleursScenarios}
+                    colors={colors}
+                    i18n={i18n}
+                  />
+                </Paper>
+              </Grid>
+            )}
           </Grid>
         </Container>
       </Box>
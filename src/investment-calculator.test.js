@@ -0,0 +1,19 @@
+import { render, screen } from '@testing-library/react';
+import InvestmentCalculator from './investment-calculator';
+
+const integration = (reglages) => ({ valeurs: {}, masques: [], verrouilles: [], palette: {}, integre: true, ...reglages });
+
+describe('champs verrouillés par la page hôte', () => {
+  test('les champs des panneaux sont affichés désactivés', () => {
+    render(<InvestmentCalculator configuration={integration({
+      valeurs: { modePortefeuille: true, capitalisation: 'quinzaine' },
+      verrouilles: ['loyer', 'actifs', 'moisDepart']
+    })} />);
+
+    expect(screen.getByLabelText(/Loyer ou crédit immobilier/)).toBeDisabled();
+    expect(screen.getByLabelText(/Revenu net/)).toBeEnabled();
+    screen.getAllByLabelText('Placement').forEach(champ => expect(champ).toBeDisabled());
+    expect(screen.getByRole('button', { name: /Ajouter un placement/ })).toBeDisabled();
+    expect(screen.getByText('Premier mois', { selector: 'label' })).toHaveClass('Mui-disabled');
+  });
+});
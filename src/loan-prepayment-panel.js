@@ -0,0 +1,114 @@
+import React from 'react';
+import {
+  Box,
+  FormControlLabel,
+  Grid,
+  InputAdornment,
+  Switch,
+  TextField,
+  Typography
+} from '@mui/material';
+
+// Caractéristiques du crédit en cours, en euros ou en pourcentage
+const CHAMPS = [
+  { id: 'capitalRestant', montant: true },
+  { id: 'tauxCredit', step: '0.05' },
+  { id: 'moisRestants' },
+  { id: 'indemniteRemboursement', step: '0.5' }
+];
+
+// Crédit en cours : rembourser par anticipation ou placer la mensualité
+const LoanPrepaymentPanel = ({ inputs, errors, onChange, verrouille, credit, colors, i18n: { t, symbole, formaterMontant } }) => (
+  <Grid container spacing={3} alignItems="center">
+    <Grid item xs={12}>
+      <FormControlLabel
+        control={
+          <Switch
+            checked={inputs.modeCredit}
+            onChange={(e) => onChange('modeCredit', e.target.checked)}
+            disabled={verrouille('modeCredit')}
+          />
+        }
+        label={t('credit.activer')}
+      />
+    </Grid>
+
+    {inputs.modeCredit && (
+      <>
+        {CHAMPS.map(({ id, montant, step }) => (
+          <Grid item xs={12} sm={6} md={3} key={id}>
+            <TextField
+              fullWidth
+              label={t(`credit.${id}`, { symbole })}
+              type="number"
+              value={inputs[id]}
+              onChange={(e) => onChange(id, parseFloat(e.target.value))}
+              disabled={verrouille(id)}
+              error={!!errors[id]}
+              helperText={errors[id]}
+              InputProps={{
+                ...(montant
+                  ? { startAdornment: <InputAdornment position="start">{symbole}</InputAdornment> }
+                  : step && { endAdornment: <InputAdornment position="end">%</InputAdornment> }),
+                inputProps: { min: 0, step }
+              }}
+            />
+          </Grid>
+        ))}
+
+        {credit && (
+          <Grid item xs={12}>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+              <Box>
+                <Typography variant="subtitle2" color="textSecondary">{t('credit.echeance')}</Typography>
+                <Typography variant="h6">{formaterMontant(credit.echeance)}</Typography>
+              </Box>
+              <Box>
+                <Typography variant="subtitle2" color="textSecondary">{t('credit.interetsEconomises')}</Typography>
+                <Typography variant="h6" sx={{ color: colors.success }}>
+                  {formaterMontant(credit.interetsEconomises)}
+                </Typography>
+                <Typography variant="caption" color="textSecondary">
+                  {credit.remboursement.indemnites > 0 && t('credit.indemnitesPayees', { montant: credit.remboursement.indemnites })}
+                </Typography>
+              </Box>
+              <Box>
+                <Typography variant="subtitle2" color="textSecondary">{t('credit.gainsPlacement')}</Typography>
+                <Typography variant="h6" sx={{ color: colors.success }}>
+                  {formaterMontant(credit.placement.gains)}
+                </Typography>
+                <Typography variant="caption" color="textSecondary">
+                  {credit.placement.impots > 0 && t('resultats.fiscalite', { montant: credit.placement.impots })}
+                </Typography>
+              </Box>
+              <Box>
+                <Typography variant="subtitle2" color="textSecondary">{t('credit.patrimoineRemboursement')}</Typography>
+                <Typography variant="h6">{formaterMontant(credit.remboursement.patrimoineNet)}</Typography>
+              </Box>
+              <Box>
+                <Typography variant="subtitle2" color="textSecondary">{t('credit.patrimoinePlacement')}</Typography>
+                <Typography variant="h6">{formaterMontant(credit.placement.patrimoineNet)}</Typography>
+              </Box>
+            </Box>
+            {credit.moisGagnes > 0 && (
+              <Typography variant="body2" color="textSecondary">
+                {t('credit.moisGagnes', { mois: credit.moisGagnes })}
+              </Typography>
+            )}
+            <Typography variant="body2" sx={{ fontWeight: 600, color: colors.info }}>
+              {t(credit.ecart >= 0 ? 'credit.verdictRemboursement' : 'credit.verdictPlacement', {
+                montant: Math.abs(credit.ecart),
+                annees: (credit.remboursement.graphData.length - 1) / 12
+              })}
+            </Typography>
+            <Typography variant="caption" color="textSecondary">
+              {t('credit.hypotheses')}
+            </Typography>
+          </Grid>
+        )}
+      </>
+    )}
+  </Grid>
+);
+
+export default LoanPrepaymentPanel;
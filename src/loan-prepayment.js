@@ -0,0 +1,164 @@
+// Remboursement anticipé d'un crédit en cours ou placement de la même somme
+
+import { arrondir } from './simulation-engine';
+import { calculerFiscalite } from './enveloppes';
+
+// Plafonds légaux des indemnités de remboursement anticipé (crédit immobilier) :
+// 3 % du capital remboursé et 6 mois d'intérêts sur ce capital
+export const PLAFOND_INDEMNITE = 3;
+export const PLAFOND_INDEMNITE_MOIS = 6;
+
+/**
+ * Échéance constante d'un prêt amortissable.
+ *
+ * @param {number} capital - Capital restant dû (€).
+ * @param {number} tauxAnnuel - Taux nominal annuel (%).
+ * @param {number} nombreMois - Nombre d'échéances restantes.
+ * @returns {number}
+ */
+export const calculerEcheance = (capital, tauxAnnuel, nombreMois) => {
+  if (nombreMois <= 0) return capital;
+  const tauxMensuel = tauxAnnuel / 100 / 12;
+  return tauxMensuel === 0
+    ? capital / nombreMois
+    : capital * tauxMensuel / (1 - Math.pow(1 + tauxMensuel, -nombreMois));
+};
+
+/**
+ * Indemnité effective en pourcentage du capital remboursé, bornée par les plafonds légaux.
+ *
+ * @param {number} indemnite - Indemnité prévue au contrat (%).
+ * @param {number} tauxCredit - Taux du crédit (%).
+ * @returns {number}
+ */
+export const tauxIndemnite = (indemnite, tauxCredit) =>
+  Math.max(0, Math.min(indemnite, PLAFOND_INDEMNITE, tauxCredit / 12 * PLAFOND_INDEMNITE_MOIS));
+
+/**
+ * Paramètres de la comparaison.
+ *
+ * @typedef {Object} ParametresCredit
+ * @property {number} capitalRestant - Capital restant dû (€).
+ * @property {number} tauxCredit - Taux nominal du crédit (%).
+ * @property {number} moisRestants - Nombre d'échéances restantes.
+ * @property {number} indemniteRemboursement - Indemnité de remboursement anticipé prévue au contrat (%).
+ * @property {number} mensualite - Somme disponible chaque mois (€).
+ * @property {number} tauxAnnuel - Rendement annuel du placement (%).
+ * @property {number} nombreAnnees - Horizon de la comparaison.
+ * @property {number} [tauxInflation] - Inflation annuelle (%), pour les montants en valeur constante.
+ * @property {string} [enveloppe] - Enveloppe du placement, pour l'impôt sur les gains à l'horizon.
+ */
+
+/**
+ * Bilan d'une stratégie à l'horizon.
+ *
+ * @typedef {Object} Strategie
+ * @property {Object[]} graphData - Points { mois, capitalDu, placement, patrimoine, patrimoineReel }.
+ * @property {?number} moisSolde - Mois où le crédit est soldé, null au-delà de sa durée restante.
+ * @property {number} interetsPayes - Intérêts du crédit payés jusqu'à l'horizon (€).
+ * @property {number} indemnites - Indemnités de remboursement anticipé payées (€).
+ * @property {number} gains - Gains du placement jusqu'à l'horizon, avant impôt (€).
+ * @property {number} impots - Impôt dû sur ces gains à l'horizon (€).
+ * @property {number} patrimoineNet - Placement net d'impôt moins capital restant dû (€).
+ */
+
+// Déroulé mois par mois, échéance puis remboursement anticipé en fin de mois. Les deux
+// stratégies consacrent chaque mois la même somme au crédit et au placement : l'échéance
+// plus la mensualité. Une fois le crédit soldé, l'échéance libérée est placée.
+const derouler = ({ capitalRestant, tauxCredit, moisRestants, indemniteRemboursement, mensualite, tauxAnnuel, tauxInflation = 0 }, nombreMois, rembourser) => {
+  const echeance = calculerEcheance(capitalRestant, tauxCredit, moisRestants);
+  const tauxCreditMensuel = tauxCredit / 100 / 12;
+  const tauxPlacementMensuel = tauxAnnuel / 100 / 12;
+  const penalite = tauxIndemnite(indemniteRemboursement, tauxCredit) / 100;
+
+  let capitalDu = capitalRestant;
+  let placement = 0;
+  let interetsPayes = 0;
+  let indemnites = 0;
+  let versements = 0;
+  let moisSolde = capitalDu > 0 ? null : 0;
+
+  const point = (mois) => ({
+    mois,
+    capitalDu: arrondir(capitalDu),
+    placement: arrondir(placement),
+    patrimoine: arrondir(placement - capitalDu),
+    patrimoineReel: arrondir((placement - capitalDu) / Math.pow(1 + tauxInflation / 100, mois / 12)),
+    interetsPayes: arrondir(interetsPayes),
+    indemnites: arrondir(indemnites),
+    versements: arrondir(versements)
+  });
+  const graphData = [point(0)];
+
+  for (let mois = 1; mois <= nombreMois; mois++) {
+    let disponible = mensualite + echeance;
+
+    if (capitalDu > 0) {
+      const interets = capitalDu * tauxCreditMensuel;
+      const paye = Math.min(echeance, capitalDu + interets);
+      capitalDu += interets - paye;
+      interetsPayes += interets;
+      disponible -= paye;
+
+      // Le remboursement et son indemnité sont pris sur la somme disponible
+      if (rembourser && capitalDu > 0) {
+        const rembourse = Math.min(capitalDu, disponible / (1 + penalite));
+        capitalDu -= rembourse;
+        indemnites += rembourse * penalite;
+        disponible -= rembourse * (1 + penalite);
+      }
+
+      if (capitalDu < 0.01) {
+        capitalDu = 0;
+        moisSolde = mois;
+      }
+    }
+
+    placement = (placement + disponible) * (1 + tauxPlacementMensuel);
+    versements += disponible;
+    graphData.push(point(mois));
+  }
+
+  return { graphData, moisSolde };
+};
+
+const bilan = ({ graphData, moisSolde }, nombreMois, { nombreAnnees, enveloppe = 'libre' }) => {
+  const final = graphData[nombreMois];
+  const gains = final.placement - final.versements;
+  const { impots } = calculerFiscalite(enveloppe, arrondir(gains), nombreAnnees);
+  return {
+    graphData: graphData.slice(0, nombreMois + 1),
+    moisSolde,
+    interetsPayes: final.interetsPayes,
+    indemnites: final.indemnites,
+    gains: arrondir(gains),
+    impots,
+    patrimoineNet: arrondir(final.patrimoine - impots)
+  };
+};
+
+/**
+ * Compare le remboursement anticipé du crédit avec le placement de la même mensualité.
+ * Le déroulé couvre toute la durée restante du crédit pour dater la fin de chaque
+ * stratégie ; le bilan est arrêté à l'horizon de la simulation.
+ *
+ * @param {ParametresCredit} params
+ * @returns {{ echeance: number, remboursement: Strategie, placement: Strategie,
+ *   interetsEconomises: number, moisGagnes: number, ecart: number }}
+ *   ecart : patrimoine net du remboursement moins celui du placement (€).
+ */
+export const comparerRemboursement = (params) => {
+  const nombreMois = params.nombreAnnees * 12;
+  const duree = Math.max(nombreMois, params.moisRestants);
+  const remboursement = bilan(derouler(params, duree, true), nombreMois, params);
+  const placement = bilan(derouler(params, duree, false), nombreMois, params);
+
+  return {
+    echeance: arrondir(calculerEcheance(params.capitalRestant, params.tauxCredit, params.moisRestants)),
+    remboursement,
+    placement,
+    interetsEconomises: arrondir(placement.interetsPayes - remboursement.interetsPayes),
+    moisGagnes: (placement.moisSolde ?? duree) - (remboursement.moisSolde ?? duree),
+    ecart: arrondir(remboursement.patrimoineNet - placement.patrimoineNet)
+  };
+};
@@ -0,0 +1,67 @@
+import { calculerEcheance, tauxIndemnite, comparerRemboursement } from './loan-prepayment';
+
+const CREDIT = {
+  capitalRestant: 100000,
+  tauxCredit: 4,
+  moisRestants: 120,
+  indemniteRemboursement: 0,
+  mensualite: 500,
+  tauxAnnuel: 2,
+  nombreAnnees: 10
+};
+
+describe('calculerEcheance', () => {
+  test('calcule la mensualité constante du prêt', () => {
+    expect(calculerEcheance(100000, 4, 120)).toBeCloseTo(1012.45, 2);
+    expect(calculerEcheance(12000, 0, 120)).toBe(100);
+  });
+});
+
+describe('tauxIndemnite', () => {
+  test('borne les indemnités à 3 % et à 6 mois d\'intérêts', () => {
+    expect(tauxIndemnite(5, 8)).toBe(3);
+    expect(tauxIndemnite(3, 4)).toBe(2);
+    expect(tauxIndemnite(1, 4)).toBe(1);
+  });
+});
+
+describe('comparerRemboursement', () => {
+  test('sans intérêts ni rendement, les deux stratégies se valent', () => {
+    const comparaison = comparerRemboursement({ ...CREDIT, tauxCredit: 0, tauxAnnuel: 0 });
+
+    expect(comparaison.ecart).toBeCloseTo(0, 2);
+    expect(comparaison.interetsEconomises).toBe(0);
+    expect(comparaison.moisGagnes).toBeGreaterThan(0);
+  });
+
+  test('rembourser rapporte plus quand le crédit coûte plus que le placement', () => {
+    const comparaison = comparerRemboursement(CREDIT);
+
+    expect(comparaison.interetsEconomises).toBeGreaterThan(0);
+    expect(comparaison.remboursement.moisSolde).toBeLessThan(120);
+    expect(comparaison.placement.moisSolde).toBe(120);
+    expect(comparaison.ecart).toBeGreaterThan(0);
+    // Crédit soldé à l'horizon dans les deux cas : le patrimoine est le seul placement
+    expect(comparaison.placement.graphData[120].capitalDu).toBe(0);
+  });
+
+  test('placer rapporte plus quand le rendement dépasse le taux du crédit', () => {
+    expect(comparerRemboursement({ ...CREDIT, tauxCredit: 1, tauxAnnuel: 6 }).ecart).toBeLessThan(0);
+  });
+
+  test('les indemnités réduisent le capital remboursé', () => {
+    const sansIndemnite = comparerRemboursement(CREDIT);
+    const avecIndemnite = comparerRemboursement({ ...CREDIT, indemniteRemboursement: 3 });
+
+    expect(avecIndemnite.remboursement.indemnites).toBeGreaterThan(0);
+    expect(avecIndemnite.placement.indemnites).toBe(0);
+    expect(avecIndemnite.ecart).toBeLessThan(sansIndemnite.ecart);
+  });
+
+  test("arrête le bilan à l'horizon même si le crédit court au-delà", () => {
+    const comparaison = comparerRemboursement({ ...CREDIT, nombreAnnees: 5 });
+
+    expect(comparaison.remboursement.graphData).toHaveLength(61);
+    expect(comparaison.placement.graphData[60].capitalDu).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,445 @@
+// English catalogue. Same keys as messages-fr.js, which remains the fallback.
+
+const messages = {
+  // Application
+  'application.titre': 'Investment Simulator',
+  'application.langue': 'Language',
+  'application.devise': 'Currency',
+  'application.theme': 'Theme',
+  'application.themes.systeme': 'System',
+  'application.themes.clair': 'Light',
+  'application.themes.sombre': 'Dark',
+  'devises.EUR': 'Euro',
+  'devises.CHF': 'Swiss franc',
+  'devises.USD': 'US dollar',
+  'devises.GBP': 'Pound sterling',
+
+  // Durations
+  'duree.debut': 'Start',
+  'duree.annees': '{annees} {annees:year|years}',
+  'duree.mois': '{mois} {mois:month|months}',
+  'unites.milliers': 'K',
+  'unites.millions': 'M',
+  'duree.anneesEtMois': '{annees} and {mois}',
+  'duree.plusDe': 'More than {annees} {annees:year|years}',
+
+  // Scenarios
+  'scenarios.nom': 'Scenario {id}',
+  'scenarios.copie': '{nom} (copy)',
+  'scenarios.nouveau': 'New',
+  'scenarios.dupliquer': 'Duplicate',
+  'scenarios.nomDuScenario': 'Scenario name',
+  'scenarios.comparaison': 'Scenario comparison',
+  'scenarios.scenario': 'Scenario',
+  'portefeuille.nomActif': 'Asset {numero}',
+  'portefeuille.actifsParDefaut.livretA': 'Livret A',
+  'portefeuille.actifsParDefaut.actionsMonde': 'Global equity ETF',
+  'portefeuille.actifsParDefaut.fondsEuros': 'Euro fund',
+  'foyer.nomMembre': 'Person {numero}',
+
+  // Saved simulations
+  'bibliotheque.nom': 'Simulation name',
+  'bibliotheque.enregistrer': 'Save',
+  'bibliotheque.copierLien': 'Copy link',
+  'bibliotheque.lienCopie': 'Link copied',
+  'bibliotheque.aucune': 'No simulation saved on this device.',
+  'bibliotheque.charger': 'Load',
+  'bibliotheque.renommer': 'Rename',
+  'bibliotheque.supprimer': 'Delete',
+  'bibliotheque.chargerNom': 'Load {nom}',
+  'bibliotheque.renommerNom': 'Rename {nom}',
+  'bibliotheque.supprimerNom': 'Delete {nom}',
+  'bibliotheque.enregistreeLe': 'Saved on {date}',
+
+  // Savings wrappers and tax
+  'enveloppes.titre': 'Savings wrapper',
+  'enveloppes.plafond': '(cap {plafond:montant})',
+  'enveloppes.libre': 'None (gross rate)',
+  'enveloppes.livret-a': 'Livret A (regulated savings account)',
+  'enveloppes.ldds': 'LDDS (regulated savings account)',
+  'enveloppes.lep': 'LEP (low-income savings account)',
+  'enveloppes.pea': 'PEA (equity savings plan)',
+  'enveloppes.assurance-vie': 'Life insurance (assurance-vie)',
+  'enveloppes.cto': 'Ordinary brokerage account (CTO)',
+  'enveloppes.per': 'PER (French retirement savings plan)',
+  'fiscalite.exoneree': 'Interest exempt from income tax and social charges',
+  'fiscalite.peaPlusDe5Ans': 'Over 5 years: 17.2% social charges only',
+  'fiscalite.peaMoinsDe5Ans': 'Under 5 years: 30% flat tax',
+  'fiscalite.assuranceViePlusDe8Ans': 'Over 8 years: 17.2% social charges, 7.5% income tax after a {abattement:montant} allowance',
+  'fiscalite.assuranceVieMoinsDe8Ans': 'Under 8 years: 30% flat tax',
+  'fiscalite.pfu': '30% flat tax on gains',
+  'fiscalite.per': 'Lump-sum exit: 30% flat tax on gains, plus income tax on deducted contributions (see the PER summary)',
+  'fiscalite.aucune': 'Tax not taken into account',
+  'fiscalite.foyer': "Each member's account is taxed under its own wrapper",
+
+  // Budget and recommendation
+  'budget.titre': 'Your budget',
+  'budget.revenuNet': 'Monthly net household income ({symbole})',
+  'budget.loyer': 'Rent or mortgage ({symbole})',
+  'budget.credits': 'Other loans ({symbole})',
+  'budget.autresCharges': 'Other fixed costs ({symbole})',
+  'budget.tailleFoyer': 'People in the household',
+  'budget.moisPrecaution': 'Target emergency fund (months)',
+  'budget.epargneDePrecaution': 'Emergency fund already saved ({symbole})',
+  'budget.recommandation': 'Personalised recommendation',
+  'budget.recommandationAvant': 'We recommend saving about',
+  'budget.recommandationApres': 'per month ({pourcentage}% of your income).',
+  'budget.appliquer': 'Use as monthly contribution',
+  'budget.chargesFixes': 'Fixed costs: {loyer:montant} for housing, {credits:montant} for loans and {autresCharges:montant} of other costs, {chargesFixes:montant} in total.',
+  'budget.depensesCourantes': 'Day-to-day spending estimated at {parUc:montant} per consumption unit: {uc} {uc:unit|units} for {tailleFoyer} {tailleFoyer:person|people}, {depensesCourantes:montant} in total.',
+  'budget.besoins': 'Needs: {besoins:montant}, {part}% of net income against the {partPrevue}% allowed by the 50/30/20 rule.',
+  'budget.epargne': 'Savings: {part}% of net income, {epargne:montant} per month.',
+  'budget.epargneSurEnvies': 'The extra needs are taken from wants; savings stay at {part}% of net income, {epargne:montant} per month.',
+  'budget.epargneLimitee': 'Needs leave less than {part}% of income: savings are limited to what remains, {epargne:montant} per month.',
+  'budget.precautionAConstituer': 'Emergency fund: {moisPrecaution} months of needs, {cible:montant}. {manquant:montant} is missing, to be built up over {moisPourConstituer} months in an instant-access account before investing.',
+  'budget.precautionManquante': 'Emergency fund: {moisPrecaution} months of needs, {cible:montant}. {manquant:montant} is missing.',
+  'budget.precautionConstituee': 'Emergency fund of {moisPrecaution} months of needs ({cible:montant}) already in place.',
+
+  // Savings goal
+  'objectif.partir': 'Start from a goal',
+  'objectif.montantCible': 'Target amount ({symbole})',
+  'objectif.calculer': 'Solve for',
+  'objectif.inconnues.mensualite': 'Monthly contribution',
+  'objectif.inconnues.nombreAnnees': 'Duration',
+  'objectif.inconnues.tauxAnnuel': 'Annual rate',
+  'objectif.capitalSuffisant': 'The initial capital is enough to reach your goal.',
+  'objectif.versement': 'Save {mensualite:montant} per month to reach your goal.',
+  'objectif.versementInsuffisant': 'Goal out of reach whatever the contribution: pauses, withdrawals or fees prevent it.',
+  'objectif.dureeInsuffisante': 'Goal out of reach within {max} years with these contributions.',
+  'objectif.duree': 'Goal reached in {nombreAnnees} {nombreAnnees:year|years} (month {mois}).',
+  'objectif.sansRendement': 'Your contributions are enough without any return.',
+  'objectif.tauxInsuffisant': 'Goal out of reach even at {max}% a year.',
+  'objectif.taux': 'A return of {taux}% a year is required.',
+  'objectif.inconnueNonGeree': 'Unsupported unknown: {inconnue}',
+
+  // Simulation settings
+  'champs.sommeInitiale': 'Initial capital ({symbole})',
+  'champs.mensualite': 'Monthly contribution ({symbole})',
+  'champs.tauxAnnuel': 'Annual rate (%)',
+  'champs.nombreAnnees': 'Duration (years)',
+  'champs.tauxInflation': 'Annual inflation (%)',
+  'champs.indexationAnnuelle': 'Yearly contribution increase (%)',
+  'champs.affichageReel': "Show in constant value (today's purchasing power)",
+  'champs.comparerNominalReel': 'Overlay nominal and real',
+  'champs.capitalisation': 'Interest compounding',
+  'champs.momentVersement': 'Contributions',
+  'champs.moisDepart': 'First month',
+  'champs.fraisEntree': 'Entry fees (%)',
+  'champs.fraisGestion': 'Annual management fees (%)',
+  'champs.fraisFixesAnnuels': 'Annual account fees ({symbole})',
+  'champs.momentArrondi': 'Rounding interest to the cent',
+  'champs.regleArrondi': 'Rounding rule',
+  'capitalisations.quotidienne': 'Daily',
+  'capitalisations.mensuelle': 'Monthly',
+  'capitalisations.trimestrielle': 'Quarterly',
+  'capitalisations.annuelle': 'Yearly',
+  'capitalisations.quinzaine': 'Fortnightly (regulated accounts)',
+  'moments.debut': 'At the start of the month',
+  'moments.fin': 'At the end of the month',
+  'arrondis.moments.periode': 'At each credit, like a statement',
+  'arrondis.moments.fin': 'On final amounts only',
+  'arrondis.regles.demi-haut': 'Nearest, halves up',
+  'arrondis.regles.demi-pair': "Nearest, halves to even (banker's)",
+
+  // Input errors
+  'erreurs.montantPositif': 'The amount must be positive',
+  'erreurs.versementPositif': 'The contribution must be positive',
+  'erreurs.taux': 'The rate must be between 0 and 100%',
+  'erreurs.duree': 'The duration must be between 1 and 50 years',
+  'erreurs.inflation': 'Inflation must be between 0 and 20%',
+  'erreurs.indexation': 'The increase must be between 0 and 20%',
+  'erreurs.volatilite': 'Volatility must be between 0 and 100%',
+  'erreurs.nombreTirages': 'Between 100 and 10,000 simulations',
+  'erreurs.fraisPourcentage': 'Fees must be between 0 and 10%',
+  'erreurs.fraisPositifs': 'Fees must be positive',
+  'erreurs.retraitPositif': 'The withdrawal must be positive',
+  'erreurs.tailleFoyer': 'Between 1 and 10 people',
+  'erreurs.moisPrecaution': 'Between 0 and 24 months',
+  'erreurs.montantCible': 'The target amount must be positive',
+  'erreurs.partsFiscales': 'Between 1 and 10 shares',
+  'erreurs.moisRestants': 'Between 1 and 600 months',
+
+  // Monte Carlo mode
+  'monteCarlo.activer': 'Random mode (Monte Carlo)',
+  'monteCarlo.explication': 'The annual rate entered is used as the expected return; volatility measures how much returns vary from one year to the next.',
+  'monteCarlo.volatilite': 'Annual volatility (%)',
+  'monteCarlo.volatilitePortefeuille': "The portfolio's, around its expected {tauxAnnuel}%",
+  'monteCarlo.nombreTirages': 'Number of simulations',
+  'monteCarlo.montantVise': 'Target amount ({symbole})',
+  'monteCarlo.echec': 'The simulation failed: {erreur}',
+  'monteCarlo.pessimiste': 'Pessimistic case (10%)',
+  'monteCarlo.mediane': 'Median',
+  'monteCarlo.optimiste': 'Optimistic case (90%)',
+  'monteCarlo.probabilite': 'Probability of reaching {montant:montant}',
+  'monteCarlo.pourcentage': '{pourcentage}%',
+  'monteCarlo.synthese': 'Over {nombreTirages} simulated paths, excluding caps and tax.',
+
+  // Multi-asset portfolio
+  'portefeuille.activer': 'Split savings across several investments',
+  'portefeuille.placement': 'Investment',
+  'portefeuille.tauxAnnuel': 'Annual rate',
+  'portefeuille.volatilite': 'Volatility',
+  'portefeuille.poids': 'Target weight',
+  'portefeuille.retirer': 'Remove this investment',
+  'portefeuille.retirerNom': 'Remove {nom}',
+  'portefeuille.ajouter': 'Add an investment',
+  'portefeuille.poidsAjustes': 'Target weights add up to {total}%: they are scaled to 100% for the simulation.',
+  'portefeuille.repartition': 'Contribution split',
+  'portefeuille.repartitions.poids': 'By target weight',
+  'portefeuille.repartitions.ecarts': 'To underweight assets',
+  'portefeuille.reequilibrage': 'Rebalance every year',
+  'portefeuille.part': '{part}% of the portfolio',
+  'portefeuille.portefeuille': 'Portfolio',
+  'portefeuille.caracteristiques': '{tauxAnnuel}% expected, {volatilite}% volatility',
+  'portefeuille.avertissement': 'Expected returns, excluding caps, fees and tax; volatility assumes independent investments.',
+
+  // Household mode
+  'foyer.activer': 'Save together as a household',
+  'foyer.nom': 'Member',
+  'foyer.revenuNet': 'Monthly net income',
+  'foyer.sommeInitiale': 'Invested capital',
+  'foyer.mensualite': 'Monthly contribution',
+  'foyer.tauxAnnuel': 'Rate',
+  'foyer.retirer': 'Remove this member',
+  'foyer.retirerNom': 'Remove {nom}',
+  'foyer.ajouter': 'Add a member',
+  'foyer.part': '{part}% of the household',
+  'foyer.recommande': 'Suggested savings: {montant:montant} per month',
+  'foyer.total': 'Household total',
+  'foyer.investi': '{montant:montant} contributed',
+  'foyer.hypotheses': "Each account uses the simulation's duration, compounding, fees and inflation; budget expenses are the household's and the schedule stays with the main simulation.",
+  'foyer.objectifCommun': 'Shared goal ({symbole})',
+  'foyer.repartition': "Each member's share of the goal",
+  'foyer.repartitions.solde': 'In proportion to projected balances',
+  'foyer.repartitions.revenu': 'In proportion to incomes',
+  'foyer.repartitions.egale': 'In equal shares',
+  'foyer.objectifAtteint': 'The household reaches its shared goal.',
+  'foyer.objectifManque': 'The household is {montant:montant} short of the goal.',
+  'foyer.partObjectif': '{nom}: share of {cible:montant}',
+  'foyer.progression': "{nom}'s progress towards their share of the goal",
+
+  // Historical backtest
+  'historique.activer': 'Replay the plan on historical data',
+  'historique.explication': 'The contribution plan is replayed from every year between {premiere} and {derniere}, using the returns and inflation actually observed.',
+  'historique.placement': 'Investment',
+  'historique.actifs.livret-a': 'Livret A',
+  'historique.actifs.actions': 'French equities (CAC 40 gross total return)',
+  'historique.anneeAffichee': 'Start year shown',
+  'historique.parcours': '{annee}: {montant:montant}',
+  'historique.dureeTropLongue': 'The history covers {annees} years: shorten the duration to replay it.',
+  'historique.pire': 'Worst start',
+  'historique.median': 'Median start',
+  'historique.meilleur': 'Best start',
+  'historique.synthese': '{synthese} ({annee})',
+  'historique.periode': 'Over {nombre} start dates, excluding caps, fees and tax.',
+  'historique.periodeReelle': 'Over {nombre} start dates, excluding caps, fees and tax, in start-year value.',
+
+  // Withdrawal phase
+  'retraits.activer': 'Simulate a withdrawal phase after saving',
+  'retraits.mode': 'Withdrawal mode',
+  'retraits.modes.montant': 'Fixed monthly withdrawal',
+  'retraits.modes.taux': 'Annual percentage of capital',
+  'retraits.retraitMensuel': 'Monthly withdrawal ({symbole})',
+  'retraits.tauxRetrait': 'Annual withdrawal (% of capital)',
+  'retraits.tauxRendement': 'Return during withdrawals (%)',
+  'retraits.duree': 'Withdrawal horizon (years)',
+  'retraits.indexer': 'Increase withdrawals with inflation every year',
+  'retraits.capitalDepart': 'Net capital at start',
+  'retraits.dureeDeVie': 'Capital lifetime',
+  'retraits.revenuDurable': 'Sustainable monthly income over {annees} years',
+  'retraits.totalRetire': 'Total withdrawn',
+  'retraits.premierRetrait': 'First withdrawal: {montant:montant} per month, recomputed every year on the remaining capital.',
+  'retraits.capitalRestant': 'Capital left after {annees} years: {montant:montant}.',
+  'retraits.capitalEpuise': 'After that, the capital is exhausted.',
+
+  // Retirement savings plan
+  'per.titre': 'PER tax deduction',
+  'per.revenuImposable': 'Annual household taxable income ({symbole})',
+  'per.partsFiscales': 'Tax shares (quotient familial)',
+  'per.tauxMarginalRetraite': 'Marginal tax rate in retirement',
+  'per.tranche': '{taux}%',
+  'per.estimer': 'Estimate from budget',
+  'per.tauxMarginal': 'Marginal tax rate',
+  'per.plafond': 'Annual deduction ceiling',
+  'per.economieAnnuelle': 'Tax saved in the first year',
+  'per.economieTotale': 'Tax saved over {annees} {annees:year|years}',
+  'per.depassement': 'Contributions above the ceiling are not deductible: {montant:montant} over the period.',
+  'per.comparaison': 'Same monthly contribution',
+  'per.per': 'PER',
+  'per.compteTitres': 'Brokerage account',
+  'per.effortNet': 'Savings effort net of tax saved',
+  'per.impotsSortie': 'Tax on lump-sum exit',
+  'per.montantNet': 'Net capital',
+  'per.enrichissement': 'Net gain',
+  'per.avantage': 'The PER yields {montant:montant} more than the brokerage account, tax savings included.',
+  'per.desavantage': 'The PER yields {montant:montant} less than the brokerage account, tax savings included.',
+  'per.hypotheses': 'Constant income while saving, 2025 tax scale without the family quotient cap or tax reduction, unused ceilings not carried forward.',
+
+  // Loan prepayment
+  'credit.activer': 'Compare with prepaying a loan',
+  'credit.capitalRestant': 'Remaining principal ({symbole})',
+  'credit.tauxCredit': 'Loan rate (%)',
+  'credit.moisRestants': 'Remaining payments (months)',
+  'credit.indemniteRemboursement': 'Prepayment penalty (%)',
+  'credit.echeance': 'Loan payment',
+  'credit.interetsEconomises': 'Interest saved by prepaying',
+  'credit.indemnitesPayees': 'After {montant:montant} of penalties',
+  'credit.gainsPlacement': 'Gains by investing',
+  'credit.patrimoineRemboursement': 'Net worth when prepaying',
+  'credit.patrimoinePlacement': 'Net worth when investing',
+  'credit.moisGagnes': 'The loan is paid off {mois} {mois:month|months} earlier.',
+  'credit.verdictRemboursement': 'Prepaying leaves {montant:montant} more after {annees} {annees:year|years}.',
+  'credit.verdictPlacement': 'Investing the contribution leaves {montant:montant} more after {annees} {annees:year|years}.',
+  'credit.hypotheses': 'Unchanged loan payment, prepayments shorten the loan; the freed-up payment is then invested. Net worth: investments after tax minus remaining principal. Penalties capped at 3% of the prepaid principal and 6 months of interest.',
+
+  // Plan tracking
+  'suivi.titre': 'Plan tracking',
+  'suivi.explication': 'Import the account history (CSV or OFX) to compare actual balances with the projection. The file stays on this device.',
+  'suivi.importer': 'Import a statement',
+  'suivi.fichier': '{nom}: {format} format, {nombre} {nombre:transaction|transactions}',
+  'suivi.retirer': 'Remove',
+  'suivi.fichierIllisible': 'This file cannot be read.',
+  'suivi.aucuneOperation': 'No transactions read: check the date and amount columns.',
+  'suivi.horsPlan': 'The transactions start after the end of the plan: check its first month.',
+  'suivi.debut': 'First month of the plan',
+  'suivi.colonnes.date': 'Date column',
+  'suivi.colonnes.montant': 'Amount column',
+  'suivi.colonnes.debit': 'Debit column',
+  'suivi.colonnes.credit': 'Credit column',
+  'suivi.colonnes.solde': 'Balance column',
+  'suivi.colonnes.aucune': 'None',
+  'suivi.formats.boursobank': 'BoursoBank',
+  'suivi.formats.creditAgricole': 'Crédit Agricole',
+  'suivi.formats.societeGenerale': 'Société Générale',
+  'suivi.formats.bnpParibas': 'BNP Paribas',
+  'suivi.formats.banquePostale': 'La Banque Postale',
+  'suivi.formats.caisseEpargne': "Caisse d'Épargne",
+  'suivi.formats.ofx': 'OFX',
+  'suivi.formats.inconnu': 'unrecognised',
+  'suivi.soldeReel': 'Actual balance, end of {periode}',
+  'suivi.soldePrevu': 'Planned balance',
+  'suivi.ecart': 'Gap',
+  'suivi.retard': '{mois} {mois:month|months} behind plan',
+  'suivi.avance': '{mois} {mois:month|months} ahead of plan',
+  'suivi.avanceHorizon': 'Beyond what the plan expected at its end',
+  'suivi.dansLesTemps': 'On track',
+  'suivi.prevision': 'Updated forecast',
+  'suivi.prevuInitialement': '{montant:montant} originally planned',
+  'suivi.hypotheses': "Month-end balances; the last month may be incomplete. Without a balance column, balances are accumulated from the initial amount. The forecast applies the plan's contributions, rate and fees from the latest actual balance.",
+
+  // Contribution schedule
+  'echeancier.titre': 'Contribution schedule',
+  'echeancier.types.versement': 'One-off contribution',
+  'echeancier.types.retrait': 'Withdrawal',
+  'echeancier.types.pause': 'Contribution pause',
+  'echeancier.frise': 'Timeline of {mois} months with {nombre} event(s)',
+  'echeancier.pause': 'Pause: {debut} → {fin}',
+  'echeancier.mouvement': '{mois}: {signe}{montant:montant}',
+  'echeancier.type': 'Event type',
+  'echeancier.duMois': 'From month',
+  'echeancier.mois': 'Month',
+  'echeancier.auMois': 'To month',
+  'echeancier.montant': 'Amount ({symbole})',
+  'echeancier.supprimer': 'Delete the event',
+
+  // Results
+  'resultats.montantInvesti': 'Amount invested',
+  'resultats.dontCapitalInitial': 'including {montant:montant} of initial capital',
+  'resultats.excedent': '{montant:montant} above the cap, earning no interest',
+  'resultats.gains': 'Interest earned',
+  'resultats.gainsNets': 'that is {montant:montant} after tax',
+  'resultats.fiscalite': '({montant:montant} of tax)',
+  'resultats.ecartReference': 'compared with monthly compounding and contributions at the start of the month',
+  'resultats.montantFinal': 'Final amount',
+  'resultats.montantNet': 'that is {montant:montant} net of tax',
+  'resultats.valeurNominale': '{montant:montant} in nominal value',
+  'resultats.annonce': 'Final balance: {total:montant}, including {gains:montant} of gains on {investi:montant} contributed.',
+  'resultats.frais': 'Fees paid',
+  'resultats.detailFrais': 'entry {entree:montant}, management {gestion:montant}, account {fixes:montant}',
+  'resultats.sansFrais': 'Without fees: {montant:montant} at the end',
+
+  // Chart
+  'graphique.titre': 'How your investment grows',
+  'graphique.vueParActif': 'View by investment',
+  'graphique.vueEmpilee': 'Stack contributions and gains',
+  'graphique.echelleLog': 'Logarithmic scale',
+  'graphique.jalons': 'Milestones',
+  'graphique.gainsCumules': '📈 Cumulative gains',
+  'graphique.gainsCumulesReels': '📈 Cumulative gains in constant value',
+  'graphique.rapportPdf': 'PDF report',
+  'graphique.description': 'Chart of the balance over time; the amortization table below gives the figures',
+  'graphique.totalReel': '💰 Total in constant value',
+  'graphique.total': '💰 Total with interest',
+  'graphique.investiReel': '💶 Capital invested in constant value',
+  'graphique.investi': '💶 Capital invested',
+  'graphique.totalNominal': '💰 Nominal total',
+  'graphique.reference': '📐 Monthly compounding',
+  'graphique.sansFrais': '🧾 Total without fees',
+  'graphique.bandeMonteCarlo': '🎲 80% of paths',
+  'graphique.medianeMonteCarlo': '🎲 Median path',
+  'graphique.historique': '🏛️ Historical, starting in {annee}',
+  'graphique.patrimoineRemboursement': '🏠 Net worth when prepaying the loan',
+  'graphique.patrimoinePlacement': '🏠 Net worth when investing',
+  'graphique.soldeReel': '🏦 Actual balance',
+  'graphique.previsionActualisee': '🏦 Updated forecast',
+  'graphique.debutRetraits': 'Withdrawals start',
+  'graphique.objectif': '🎯 Goal',
+  'graphique.intervalle': '{bas:montant} – {haut:montant}',
+
+  // Projection milestones
+  'jalons.seuil': 'First {montant:montant}: {date}',
+  'jalons.interetsVersements': 'Gains exceed contributions: {date}',
+  'jalons.interetsMensuels': "The month's interest exceeds the monthly contribution: {date}",
+  'jalons.court.interetsVersements': 'Gains > contributions',
+  'jalons.court.interetsMensuels': 'Interest > contribution',
+
+  // Amortization table
+  'amortissement.titre': 'Amortization table',
+  'amortissement.regroupement': 'Row grouping',
+  'amortissement.granularites.mois': 'Monthly',
+  'amortissement.granularites.annee': 'Yearly',
+  'amortissement.annee': 'Year',
+  'amortissement.mois': 'Month',
+  'amortissement.soldeOuverture': 'Opening balance',
+  'amortissement.versements': 'Contributions',
+  'amortissement.interets': 'Interest',
+  'amortissement.frais': 'Fees',
+  'amortissement.soldeCloture': 'Closing balance',
+  'amortissement.legendeAnnuelle': 'Balance year by year, in nominal value. Select a row to highlight it on the chart.',
+  'amortissement.legendeMensuelle': 'Balance month by month, in nominal value. Select a row to highlight it on the chart.',
+  'amortissement.lignesParPage': 'Rows per page',
+  'amortissement.lignesAffichees': '{de}–{a} of {total}',
+  'amortissement.pageSuivante': 'Next page',
+  'amortissement.pagePrecedente': 'Previous page',
+  'amortissement.impots': '{montant:montant} of tax and social charges due on exit, not deducted from the closing balance.',
+
+  // Exports
+  'export.mois': 'Month',
+  'export.investi': 'Cumulative contributions ({symbole})',
+  'export.interets': 'Interest for the month ({symbole})',
+  'export.interetsCumules': 'Cumulative interest ({symbole})',
+  'export.total': 'Balance ({symbole})',
+  'export.feuille': 'Schedule',
+  'export.titre': 'Savings simulation',
+  'export.date': 'Prepared on {date}',
+  'export.parametres': 'Settings',
+  'export.recommandation': 'Recommendation',
+  'export.epargneRecommandee': 'Recommended savings: {montant:montant} per month ({pourcentage}% of net income).',
+  'export.resultats': 'Results',
+  'export.graphique': 'How the investment grows',
+  'export.capitalInitial': 'Initial capital',
+  'export.versementMensuel': 'Monthly contribution',
+  'export.tauxAnnuel': 'Annual rate',
+  'export.duree': 'Duration',
+  'export.enveloppe': 'Savings wrapper',
+  'export.revenuNet': 'Monthly net income',
+  'export.chargesFixes': 'Fixed costs',
+  'export.inflation': 'Annual inflation',
+  'export.indexation': 'Contribution increase',
+  'export.fraisEntree': 'Entry fees',
+  'export.fraisGestion': 'Annual management fees',
+  'export.pourcentage': '{taux}%',
+  'export.imageImpossible': 'The chart could not be converted to an image'
+};
+
+export default messages;
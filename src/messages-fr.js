@@ -0,0 +1,447 @@
+// Catalogue français, langue de référence : toute clé absente d'un autre catalogue y est reprise.
+// {nom} insère une valeur, {nom:montant} un montant dans la devise choisie,
+// {nom:singulier|pluriel} le mot accordé à la valeur.
+
+const messages = {
+  // Application
+  'application.titre': "Simulateur d'Investissement",
+  'application.langue': 'Langue',
+  'application.devise': 'Devise',
+  'application.theme': 'Thème',
+  'application.themes.systeme': 'Système',
+  'application.themes.clair': 'Clair',
+  'application.themes.sombre': 'Sombre',
+  'devises.EUR': 'Euro',
+  'devises.CHF': 'Franc suisse',
+  'devises.USD': 'Dollar américain',
+  'devises.GBP': 'Livre sterling',
+
+  // Durées
+  'duree.debut': 'Début',
+  'duree.annees': '{annees} {annees:an|ans}',
+  'duree.mois': '{mois} mois',
+  'unites.milliers': 'k',
+  'unites.millions': 'M',
+  'duree.anneesEtMois': '{annees} et {mois}',
+  'duree.plusDe': 'Plus de {annees} {annees:an|ans}',
+
+  // Scénarios
+  'scenarios.nom': 'Scénario {id}',
+  'scenarios.copie': '{nom} (copie)',
+  'scenarios.nouveau': 'Nouveau',
+  'scenarios.dupliquer': 'Dupliquer',
+  'scenarios.nomDuScenario': 'Nom du scénario',
+  'scenarios.comparaison': 'Comparaison des scénarios',
+  'scenarios.scenario': 'Scénario',
+  'portefeuille.nomActif': 'Actif {numero}',
+  'portefeuille.actifsParDefaut.livretA': 'Livret A',
+  'portefeuille.actifsParDefaut.actionsMonde': 'ETF actions monde',
+  'portefeuille.actifsParDefaut.fondsEuros': 'Fonds euros',
+  'foyer.nomMembre': 'Personne {numero}',
+
+  // Bibliothèque des simulations
+  'bibliotheque.nom': 'Nom de la simulation',
+  'bibliotheque.enregistrer': 'Enregistrer',
+  'bibliotheque.copierLien': 'Copier le lien',
+  'bibliotheque.lienCopie': 'Lien copié',
+  'bibliotheque.aucune': 'Aucune simulation enregistrée sur cet appareil.',
+  'bibliotheque.charger': 'Charger',
+  'bibliotheque.renommer': 'Renommer',
+  'bibliotheque.supprimer': 'Supprimer',
+  'bibliotheque.chargerNom': 'Charger {nom}',
+  'bibliotheque.renommerNom': 'Renommer {nom}',
+  'bibliotheque.supprimerNom': 'Supprimer {nom}',
+  'bibliotheque.enregistreeLe': 'Enregistrée le {date}',
+
+  // Enveloppes et fiscalité
+  'enveloppes.titre': 'Enveloppe',
+  'enveloppes.plafond': '(plafond {plafond:montant})',
+  'enveloppes.libre': 'Aucune (taux brut)',
+  'enveloppes.livret-a': 'Livret A',
+  'enveloppes.ldds': 'LDDS',
+  'enveloppes.lep': 'LEP',
+  'enveloppes.pea': 'PEA',
+  'enveloppes.assurance-vie': 'Assurance-vie',
+  'enveloppes.cto': 'Compte-titres ordinaire (CTO)',
+  'enveloppes.per': "PER (Plan d'épargne retraite)",
+  'fiscalite.exoneree': "Intérêts exonérés d'impôt et de prélèvements sociaux",
+  'fiscalite.peaPlusDe5Ans': 'Plus de 5 ans : prélèvements sociaux de 17,2 % uniquement',
+  'fiscalite.peaMoinsDe5Ans': 'Moins de 5 ans : flat tax de 30 %',
+  'fiscalite.assuranceViePlusDe8Ans': "Plus de 8 ans : 17,2 % de prélèvements sociaux, 7,5 % d'impôt après abattement de {abattement:montant}",
+  'fiscalite.assuranceVieMoinsDe8Ans': 'Moins de 8 ans : flat tax de 30 %',
+  'fiscalite.pfu': 'Flat tax de 30 % sur les gains',
+  'fiscalite.per': 'Sortie en capital : flat tax de 30 % sur les gains, versements déduits imposés au barème en plus (voir le bilan du PER)',
+  'fiscalite.aucune': 'Fiscalité non prise en compte',
+  'fiscalite.foyer': "Chaque compte est imposé selon l'enveloppe de son titulaire",
+
+  // Budget et recommandation
+  'budget.titre': 'Votre budget',
+  'budget.revenuNet': 'Revenu net mensuel du foyer ({symbole})',
+  'budget.loyer': 'Loyer ou crédit immobilier ({symbole})',
+  'budget.credits': 'Autres crédits ({symbole})',
+  'budget.autresCharges': 'Autres charges fixes ({symbole})',
+  'budget.tailleFoyer': 'Personnes dans le foyer',
+  'budget.moisPrecaution': 'Épargne de précaution visée (mois)',
+  'budget.epargneDePrecaution': 'Épargne de précaution déjà constituée ({symbole})',
+  'budget.recommandation': 'Recommandation personnalisée',
+  'budget.recommandationAvant': "Nous vous recommandons d'épargner environ",
+  'budget.recommandationApres': 'par mois ({pourcentage} % de vos revenus).',
+  'budget.appliquer': 'Appliquer comme versement mensuel',
+  'budget.chargesFixes': "Charges fixes : {loyer:montant} de logement, {credits:montant} de crédits et {autresCharges:montant} d'autres charges, soit {chargesFixes:montant}.",
+  'budget.depensesCourantes': 'Dépenses courantes estimées à {parUc:montant} par unité de consommation : {uc} UC pour {tailleFoyer} {tailleFoyer:personne|personnes}, soit {depensesCourantes:montant}.',
+  'budget.besoins': 'Besoins : {besoins:montant}, soit {part} % du revenu net pour {partPrevue} % prévus par la règle 50/30/20.',
+  'budget.epargne': 'Épargne : {part} % du revenu net, soit {epargne:montant} par mois.',
+  'budget.epargneSurEnvies': "Le dépassement des besoins est pris sur les envies ; l'épargne reste à {part} % du revenu net, soit {epargne:montant} par mois.",
+  'budget.epargneLimitee': "Les besoins laissent moins de {part} % du revenu : l'épargne est limitée au reste, soit {epargne:montant} par mois.",
+  'budget.precautionAConstituer': "Épargne de précaution : {moisPrecaution} mois de besoins, soit {cible:montant}. Il manque {manquant:montant}, à constituer en {moisPourConstituer} mois sur un livret disponible avant d'investir.",
+  'budget.precautionManquante': 'Épargne de précaution : {moisPrecaution} mois de besoins, soit {cible:montant}. Il manque {manquant:montant}.',
+  'budget.precautionConstituee': 'Épargne de précaution de {moisPrecaution} mois de besoins ({cible:montant}) déjà constituée.',
+
+  // Objectif d'épargne
+  'objectif.partir': "Partir d'un objectif",
+  'objectif.montantCible': 'Montant cible ({symbole})',
+  'objectif.calculer': 'Calculer',
+  'objectif.inconnues.mensualite': 'Versement mensuel',
+  'objectif.inconnues.nombreAnnees': 'Durée',
+  'objectif.inconnues.tauxAnnuel': 'Taux annuel',
+  'objectif.capitalSuffisant': 'Le capital initial suffit à atteindre votre objectif.',
+  'objectif.versement': 'Versez {mensualite:montant} par mois pour atteindre votre objectif.',
+  'objectif.versementInsuffisant': "Objectif hors d'atteinte quel que soit le versement : les pauses, retraits ou frais l'en empêchent.",
+  'objectif.dureeInsuffisante': "Objectif hors d'atteinte en {max} ans avec ces versements.",
+  'objectif.duree': 'Objectif atteint en {nombreAnnees} {nombreAnnees:an|ans} (au mois {mois}).',
+  'objectif.sansRendement': 'Vos versements suffisent sans rendement.',
+  'objectif.tauxInsuffisant': "Objectif hors d'atteinte même à {max} % par an.",
+  'objectif.taux': 'Un rendement de {taux} % par an est nécessaire.',
+  'objectif.inconnueNonGeree': 'Inconnue non gérée : {inconnue}',
+
+  // Paramètres de la simulation
+  'champs.sommeInitiale': 'Capital initial ({symbole})',
+  'champs.mensualite': 'Versement mensuel ({symbole})',
+  'champs.tauxAnnuel': 'Taux annuel (%)',
+  'champs.nombreAnnees': 'Durée (années)',
+  'champs.tauxInflation': 'Inflation annuelle (%)',
+  'champs.indexationAnnuelle': 'Indexation annuelle du versement (%)',
+  'champs.affichageReel': "Afficher en valeur constante (pouvoir d'achat d'aujourd'hui)",
+  'champs.comparerNominalReel': 'Superposer nominal et réel',
+  'champs.capitalisation': 'Capitalisation des intérêts',
+  'champs.momentVersement': 'Versements',
+  'champs.moisDepart': 'Premier mois',
+  'champs.fraisEntree': 'Frais sur versements (%)',
+  'champs.fraisGestion': 'Frais de gestion annuels (%)',
+  'champs.fraisFixesAnnuels': 'Frais de tenue de compte annuels ({symbole})',
+  'champs.momentArrondi': 'Arrondi des intérêts au centime',
+  'champs.regleArrondi': "Règle d'arrondi",
+  'capitalisations.quotidienne': 'Quotidienne',
+  'capitalisations.mensuelle': 'Mensuelle',
+  'capitalisations.trimestrielle': 'Trimestrielle',
+  'capitalisations.annuelle': 'Annuelle',
+  'capitalisations.quinzaine': 'Quinzaines (livrets réglementés)',
+  'moments.debut': 'En début de mois',
+  'moments.fin': 'En fin de mois',
+  'arrondis.moments.periode': 'À chaque crédit, comme un relevé',
+  'arrondis.moments.fin': 'Sur les montants finaux seulement',
+  'arrondis.regles.demi-haut': 'Au plus proche, demis vers le haut',
+  'arrondis.regles.demi-pair': 'Au plus proche, demis au pair (bancaire)',
+
+  // Erreurs de saisie
+  'erreurs.montantPositif': 'Le montant doit être positif',
+  'erreurs.versementPositif': 'Le versement doit être positif',
+  'erreurs.taux': 'Le taux doit être entre 0 et 100%',
+  'erreurs.duree': 'La durée doit être entre 1 et 50 ans',
+  'erreurs.inflation': "L'inflation doit être entre 0 et 20%",
+  'erreurs.indexation': "L'indexation doit être entre 0 et 20%",
+  'erreurs.volatilite': 'La volatilité doit être entre 0 et 100%',
+  'erreurs.nombreTirages': 'Entre 100 et 10 000 simulations',
+  'erreurs.fraisPourcentage': 'Les frais doivent être entre 0 et 10%',
+  'erreurs.fraisPositifs': 'Les frais doivent être positifs',
+  'erreurs.retraitPositif': 'Le retrait doit être positif',
+  'erreurs.tailleFoyer': 'Entre 1 et 10 personnes',
+  'erreurs.moisPrecaution': 'Entre 0 et 24 mois',
+  'erreurs.montantCible': 'Le montant cible doit être positif',
+  'erreurs.partsFiscales': 'Entre 1 et 10 parts',
+  'erreurs.moisRestants': 'Entre 1 et 600 mois',
+
+  // Mode Monte-Carlo
+  'monteCarlo.activer': 'Mode aléatoire (Monte-Carlo)',
+  'monteCarlo.explication': "Le taux annuel saisi sert de rendement espéré ; la volatilité mesure l'ampleur des variations d'une année sur l'autre.",
+  'monteCarlo.volatilite': 'Volatilité annuelle (%)',
+  'monteCarlo.volatilitePortefeuille': 'Celle du portefeuille, autour de ses {tauxAnnuel} % espérés',
+  'monteCarlo.nombreTirages': 'Nombre de simulations',
+  'monteCarlo.montantVise': 'Montant visé ({symbole})',
+  'monteCarlo.echec': 'La simulation a échoué : {erreur}',
+  'monteCarlo.pessimiste': 'Scénario pessimiste (10 %)',
+  'monteCarlo.mediane': 'Médiane',
+  'monteCarlo.optimiste': 'Scénario optimiste (90 %)',
+  'monteCarlo.probabilite': "Probabilité d'atteindre {montant:montant}",
+  'monteCarlo.pourcentage': '{pourcentage} %',
+  'monteCarlo.synthese': 'Sur {nombreTirages} trajectoires simulées, hors plafonds et fiscalité.',
+
+  // Portefeuille multi-actifs
+  'portefeuille.activer': "Répartir l'épargne entre plusieurs placements",
+  'portefeuille.placement': 'Placement',
+  'portefeuille.tauxAnnuel': 'Taux annuel',
+  'portefeuille.volatilite': 'Volatilité',
+  'portefeuille.poids': 'Poids cible',
+  'portefeuille.retirer': 'Retirer ce placement',
+  'portefeuille.retirerNom': 'Retirer {nom}',
+  'portefeuille.ajouter': 'Ajouter un placement',
+  'portefeuille.poidsAjustes': 'Les poids cibles totalisent {total} % : ils sont ramenés à 100 % pour la simulation.',
+  'portefeuille.repartition': 'Répartition des versements',
+  'portefeuille.repartitions.poids': 'Selon les poids cibles',
+  'portefeuille.repartitions.ecarts': 'Vers les actifs sous-pondérés',
+  'portefeuille.reequilibrage': 'Rééquilibrer chaque année',
+  'portefeuille.part': '{part} % du portefeuille',
+  'portefeuille.portefeuille': 'Portefeuille',
+  'portefeuille.caracteristiques': '{tauxAnnuel} % espérés, volatilité {volatilite} %',
+  'portefeuille.avertissement': 'Rendements espérés, hors plafonds, frais et fiscalité ; la volatilité suppose des placements indépendants.',
+
+  // Mode foyer
+  'foyer.activer': 'Épargner à plusieurs dans le foyer',
+  'foyer.nom': 'Membre',
+  'foyer.revenuNet': 'Revenu net mensuel',
+  'foyer.sommeInitiale': 'Capital placé',
+  'foyer.mensualite': 'Versement mensuel',
+  'foyer.tauxAnnuel': 'Taux',
+  'foyer.retirer': 'Retirer ce membre',
+  'foyer.retirerNom': 'Retirer {nom}',
+  'foyer.ajouter': 'Ajouter un membre',
+  'foyer.part': '{part} % du foyer',
+  'foyer.recommande': 'Épargne conseillée : {montant:montant} par mois',
+  'foyer.total': 'Total du foyer',
+  'foyer.investi': '{montant:montant} versés',
+  'foyer.hypotheses': "Chaque compte suit la durée, la capitalisation, les frais et l'inflation de la simulation ; les charges du budget sont celles du foyer et l'échéancier reste celui de la simulation principale.",
+  'foyer.objectifCommun': 'Objectif commun ({symbole})',
+  'foyer.repartition': "Part de chacun dans l'objectif",
+  'foyer.repartitions.solde': 'Au prorata des soldes projetés',
+  'foyer.repartitions.revenu': 'Au prorata des revenus',
+  'foyer.repartitions.egale': 'À parts égales',
+  'foyer.objectifAtteint': 'Le foyer atteint son objectif commun.',
+  'foyer.objectifManque': "Il manque {montant:montant} au foyer pour atteindre l'objectif.",
+  'foyer.partObjectif': '{nom} : part de {cible:montant}',
+  'foyer.progression': "Progression de {nom} vers sa part de l'objectif",
+
+  // Mode rétrospectif
+  'historique.activer': "Rejouer le plan sur l'historique",
+  'historique.explication': "Le plan de versements est rejoué à partir de chaque année entre {premiere} et {derniere}, avec les rendements et l'inflation réellement constatés.",
+  'historique.placement': 'Placement',
+  'historique.actifs.livret-a': 'Livret A',
+  'historique.actifs.actions': 'Actions françaises (CAC 40 dividendes réinvestis)',
+  'historique.anneeAffichee': 'Année de départ affichée',
+  'historique.parcours': '{annee} : {montant:montant}',
+  'historique.dureeTropLongue': "L'historique couvre {annees} ans : réduisez la durée pour le rejouer.",
+  'historique.pire': 'Pire départ',
+  'historique.median': 'Départ médian',
+  'historique.meilleur': 'Meilleur départ',
+  'historique.synthese': '{synthese} ({annee})',
+  'historique.periode': 'Sur {nombre} dates de départ, hors plafonds, frais et fiscalité.',
+  'historique.periodeReelle': "Sur {nombre} dates de départ, hors plafonds, frais et fiscalité, en valeur de l'année de départ.",
+
+  // Phase de retraits
+  'retraits.activer': "Simuler une phase de retraits après l'épargne",
+  'retraits.mode': 'Mode de retrait',
+  'retraits.modes.montant': 'Retrait mensuel fixe',
+  'retraits.modes.taux': 'Pourcentage annuel du capital',
+  'retraits.retraitMensuel': 'Retrait mensuel ({symbole})',
+  'retraits.tauxRetrait': 'Retrait annuel (% du capital)',
+  'retraits.tauxRendement': 'Rendement pendant les retraits (%)',
+  'retraits.duree': 'Horizon des retraits (années)',
+  'retraits.indexer': "Revaloriser les retraits de l'inflation chaque année",
+  'retraits.capitalDepart': 'Capital net au départ',
+  'retraits.dureeDeVie': 'Durée de vie du capital',
+  'retraits.revenuDurable': 'Revenu mensuel soutenable sur {annees} ans',
+  'retraits.totalRetire': 'Total retiré',
+  'retraits.premierRetrait': 'Premier retrait : {montant:montant} par mois, recalculé chaque année sur le capital restant.',
+  'retraits.capitalRestant': 'Capital restant après {annees} ans : {montant:montant}.',
+  'retraits.capitalEpuise': 'Au-delà, le capital est épuisé.',
+
+  // Plan d'épargne retraite
+  'per.titre': 'Déduction fiscale du PER',
+  'per.revenuImposable': 'Revenu net imposable annuel du foyer ({symbole})',
+  'per.partsFiscales': 'Parts fiscales',
+  'per.tauxMarginalRetraite': 'Tranche marginale à la retraite',
+  'per.tranche': '{taux} %',
+  'per.estimer': 'Estimer depuis le budget',
+  'per.tauxMarginal': "Tranche marginale d'imposition",
+  'per.plafond': 'Plafond de déduction annuel',
+  'per.economieAnnuelle': 'Impôt économisé la première année',
+  'per.economieTotale': 'Impôt économisé sur {annees} {annees:an|ans}',
+  'per.depassement': 'Versements au-delà du plafond, non déductibles : {montant:montant} sur la durée.',
+  'per.comparaison': 'Même mensualité',
+  'per.per': 'PER',
+  'per.compteTitres': 'Compte-titres',
+  'per.effortNet': "Effort d'épargne net de l'économie d'impôt",
+  'per.impotsSortie': 'Impôts à la sortie en capital',
+  'per.montantNet': 'Capital net',
+  'per.enrichissement': 'Enrichissement net',
+  'per.avantage': "Le PER rapporte {montant:montant} de plus que le compte-titres, économie d'impôt comprise.",
+  'per.desavantage': "Le PER rapporte {montant:montant} de moins que le compte-titres, économie d'impôt comprise.",
+  'per.hypotheses': "Revenu constant pendant l'épargne, barème 2025 sans plafonnement du quotient familial ni décote, plafonds non utilisés non reportés.",
+
+  // Remboursement anticipé d'un crédit
+  'credit.activer': "Comparer avec le remboursement anticipé d'un crédit",
+  'credit.capitalRestant': 'Capital restant dû ({symbole})',
+  'credit.tauxCredit': 'Taux du crédit (%)',
+  'credit.moisRestants': 'Échéances restantes (mois)',
+  'credit.indemniteRemboursement': 'Indemnités de remboursement anticipé (%)',
+  'credit.echeance': 'Échéance du crédit',
+  'credit.interetsEconomises': 'Intérêts économisés en remboursant',
+  'credit.indemnitesPayees': "Après {montant:montant} d'indemnités",
+  'credit.gainsPlacement': 'Gains en plaçant',
+  'credit.patrimoineRemboursement': 'Patrimoine net en remboursant',
+  'credit.patrimoinePlacement': 'Patrimoine net en plaçant',
+  'credit.moisGagnes': 'Le crédit est soldé {mois} mois plus tôt.',
+  'credit.verdictRemboursement': 'Rembourser par anticipation laisse {montant:montant} de plus après {annees} {annees:an|ans}.',
+  'credit.verdictPlacement': 'Placer la mensualité laisse {montant:montant} de plus après {annees} {annees:an|ans}.',
+  'credit.hypotheses': "Échéance inchangée, le remboursement raccourcit la durée du crédit ; l'échéance libérée est ensuite placée. Patrimoine : placement net d'impôt moins capital restant dû. Indemnités limitées à 3 % du capital remboursé et à 6 mois d'intérêts.",
+
+  // Suivi du plan
+  'suivi.titre': 'Suivi du plan',
+  'suivi.explication': "Importez l'historique du compte (CSV ou OFX) pour comparer les soldes réels à la projection. Le fichier reste sur cet appareil.",
+  'suivi.importer': 'Importer un relevé',
+  'suivi.fichier': '{nom} : format {format}, {nombre} {nombre:opération|opérations}',
+  'suivi.retirer': 'Retirer',
+  'suivi.fichierIllisible': 'Ce fichier ne peut pas être lu.',
+  'suivi.aucuneOperation': 'Aucune opération lue : vérifiez les colonnes date et montant.',
+  'suivi.horsPlan': 'Les opérations commencent après la fin du plan : vérifiez son premier mois.',
+  'suivi.debut': 'Premier mois du plan',
+  'suivi.colonnes.date': 'Colonne date',
+  'suivi.colonnes.montant': 'Colonne montant',
+  'suivi.colonnes.debit': 'Colonne débit',
+  'suivi.colonnes.credit': 'Colonne crédit',
+  'suivi.colonnes.solde': 'Colonne solde',
+  'suivi.colonnes.aucune': 'Aucune',
+  'suivi.formats.boursobank': 'BoursoBank',
+  'suivi.formats.creditAgricole': 'Crédit Agricole',
+  'suivi.formats.societeGenerale': 'Société Générale',
+  'suivi.formats.bnpParibas': 'BNP Paribas',
+  'suivi.formats.banquePostale': 'La Banque Postale',
+  'suivi.formats.caisseEpargne': "Caisse d'Épargne",
+  'suivi.formats.ofx': 'OFX',
+  'suivi.formats.inconnu': 'non reconnu',
+  'suivi.soldeReel': 'Solde réel fin {periode}',
+  'suivi.soldePrevu': 'Solde prévu',
+  'suivi.ecart': 'Écart',
+  'suivi.retard': '{mois} mois de retard sur le plan',
+  'suivi.avance': "{mois} mois d'avance sur le plan",
+  'suivi.avanceHorizon': "Au-delà de ce que le plan prévoyait à son terme",
+  'suivi.dansLesTemps': 'Dans les temps',
+  'suivi.prevision': 'Prévision actualisée',
+  'suivi.prevuInitialement': '{montant:montant} prévus initialement',
+  'suivi.hypotheses': "Soldes de fin de mois, le dernier mois pouvant être incomplet. Sans colonne solde, les soldes sont cumulés depuis la somme initiale. La prévision reprend les versements, taux et frais du plan depuis le dernier solde réel.",
+
+  // Échéancier des versements
+  'echeancier.titre': 'Échéancier des versements',
+  'echeancier.types.versement': 'Versement exceptionnel',
+  'echeancier.types.retrait': 'Retrait',
+  'echeancier.types.pause': 'Pause des versements',
+  'echeancier.frise': 'Frise de {mois} mois comportant {nombre} événement(s)',
+  'echeancier.pause': 'Pause : {debut} → {fin}',
+  'echeancier.mouvement': '{mois} : {signe}{montant:montant}',
+  'echeancier.type': "Type d'événement",
+  'echeancier.duMois': 'Du mois',
+  'echeancier.mois': 'Mois',
+  'echeancier.auMois': 'Au mois',
+  'echeancier.montant': 'Montant ({symbole})',
+  'echeancier.supprimer': "Supprimer l'événement",
+
+  // Résultats
+  'resultats.montantInvesti': 'Montant investi',
+  'resultats.dontCapitalInitial': 'dont {montant:montant} de capital initial',
+  'resultats.excedent': '{montant:montant} au-delà du plafond, non rémunérés',
+  'resultats.gains': 'Gains en intérêts',
+  'resultats.gainsNets': "soit {montant:montant} nets d'impôts",
+  'resultats.fiscalite': '({montant:montant} de fiscalité)',
+  'resultats.ecartReference': 'par rapport à une capitalisation mensuelle avec versements en début de mois',
+  'resultats.montantFinal': 'Montant final',
+  'resultats.montantNet': 'soit {montant:montant} nets après fiscalité',
+  'resultats.valeurNominale': '{montant:montant} en valeur nominale',
+  'resultats.annonce': 'Capital final : {total:montant}, dont {gains:montant} de gains pour {investi:montant} versés.',
+  'resultats.frais': 'Frais payés',
+  'resultats.detailFrais': 'entrée {entree:montant}, gestion {gestion:montant}, tenue de compte {fixes:montant}',
+  'resultats.sansFrais': 'Sans frais : {montant:montant} au final',
+
+  // Graphique
+  'graphique.titre': 'Évolution de votre investissement',
+  'graphique.vueParActif': 'Vue par placement',
+  'graphique.vueEmpilee': 'Versements et gains empilés',
+  'graphique.echelleLog': 'Échelle logarithmique',
+  'graphique.jalons': 'Jalons',
+  'graphique.gainsCumules': '📈 Gains cumulés',
+  'graphique.gainsCumulesReels': '📈 Gains cumulés en valeur constante',
+  'graphique.rapportPdf': 'Rapport PDF',
+  'graphique.description': "Graphique de l'évolution du solde ; le tableau d'amortissement ci-dessous en donne le détail chiffré",
+  'graphique.totalReel': '💰 Total en valeur constante',
+  'graphique.total': '💰 Total avec intérêts',
+  'graphique.investiReel': '💶 Capital investi en valeur constante',
+  'graphique.investi': '💶 Capital investi',
+  'graphique.totalNominal': '💰 Total nominal',
+  'graphique.reference': '📐 Capitalisation mensuelle',
+  'graphique.sansFrais': '🧾 Total sans frais',
+  'graphique.bandeMonteCarlo': '🎲 80 % des trajectoires',
+  'graphique.medianeMonteCarlo': '🎲 Trajectoire médiane',
+  'graphique.historique': '🏛️ Historique, départ en {annee}',
+  'graphique.patrimoineRemboursement': '🏠 Patrimoine en remboursant le crédit',
+  'graphique.patrimoinePlacement': '🏠 Patrimoine en plaçant',
+  'graphique.soldeReel': '🏦 Solde réel',
+  'graphique.previsionActualisee': '🏦 Prévision actualisée',
+  'graphique.debutRetraits': 'Début des retraits',
+  'graphique.objectif': '🎯 Objectif',
+  'graphique.intervalle': '{bas:montant} – {haut:montant}',
+
+  // Jalons de la projection
+  'jalons.seuil': 'Premiers {montant:montant} : {date}',
+  'jalons.interetsVersements': 'Les gains dépassent les versements : {date}',
+  'jalons.interetsMensuels': 'Les intérêts du mois dépassent la mensualité : {date}',
+  'jalons.court.interetsVersements': 'Gains > versements',
+  'jalons.court.interetsMensuels': 'Intérêts > mensualité',
+
+  // Tableau d'amortissement
+  'amortissement.titre': "Tableau d'amortissement",
+  'amortissement.regroupement': 'Regroupement des lignes',
+  'amortissement.granularites.mois': 'Mensuel',
+  'amortissement.granularites.annee': 'Annuel',
+  'amortissement.annee': 'Année',
+  'amortissement.mois': 'Mois',
+  'amortissement.soldeOuverture': "Solde d'ouverture",
+  'amortissement.versements': 'Versements',
+  'amortissement.interets': 'Intérêts',
+  'amortissement.frais': 'Frais',
+  'amortissement.soldeCloture': 'Solde de clôture',
+  'amortissement.legendeAnnuelle': 'Évolution du solde année par année, en valeur courante. Sélectionnez une ligne pour la repérer sur le graphique.',
+  'amortissement.legendeMensuelle': 'Évolution du solde mois par mois, en valeur courante. Sélectionnez une ligne pour la repérer sur le graphique.',
+  'amortissement.lignesParPage': 'Lignes par page',
+  'amortissement.lignesAffichees': '{de}–{a} sur {total}',
+  'amortissement.pageSuivante': 'Page suivante',
+  'amortissement.pagePrecedente': 'Page précédente',
+  'amortissement.impots': "{montant:montant} d'impôts et prélèvements sociaux dus à la sortie, non déduits du solde de clôture.",
+
+  // Exports
+  'export.mois': 'Mois',
+  'export.investi': 'Versements cumulés ({symbole})',
+  'export.interets': 'Intérêts du mois ({symbole})',
+  'export.interetsCumules': 'Intérêts cumulés ({symbole})',
+  'export.total': 'Solde ({symbole})',
+  'export.feuille': 'Échéancier',
+  'export.titre': "Simulation d'épargne",
+  'export.date': 'Établie le {date}',
+  'export.parametres': 'Paramètres',
+  'export.recommandation': 'Recommandation',
+  'export.epargneRecommandee': 'Épargne recommandée : {montant:montant} par mois ({pourcentage} % du revenu net).',
+  'export.resultats': 'Résultats',
+  'export.graphique': "Évolution de l'investissement",
+  'export.capitalInitial': 'Capital initial',
+  'export.versementMensuel': 'Versement mensuel',
+  'export.tauxAnnuel': 'Taux annuel',
+  'export.duree': 'Durée',
+  'export.enveloppe': 'Enveloppe',
+  'export.revenuNet': 'Revenu net mensuel',
+  'export.chargesFixes': 'Charges fixes',
+  'export.inflation': 'Inflation annuelle',
+  'export.indexation': 'Indexation du versement',
+  'export.fraisEntree': 'Frais sur versements',
+  'export.fraisGestion': 'Frais de gestion annuels',
+  'export.pourcentage': '{taux} %',
+  'export.imageImpossible': "Le graphique n'a pas pu être converti en image"
+};
+
+export default messages;
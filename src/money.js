@@ -0,0 +1,60 @@
+// Montants en centimes entiers et règles d'arrondi des relevés bancaires
+
+/**
+ * Règles d'arrondi au centime : au plus proche, les demis s'éloignant de zéro
+ * (demi-haut) ou allant au centime pair (demi-pair, dit arrondi bancaire).
+ */
+export const REGLES_ARRONDI = [
+  { id: 'demi-haut' },
+  { id: 'demi-pair' }
+];
+
+/**
+ * Moment de l'arrondi des intérêts : à chaque crédit sur le compte, comme sur un relevé,
+ * ou une seule fois sur les montants finaux.
+ */
+export const MOMENTS_ARRONDI = [
+  { id: 'periode' },
+  { id: 'fin' }
+];
+
+// Quinze chiffres significatifs effacent les résidus binaires : 1,005 € × 100 vaut
+// 100,49999999999999 en virgule flottante mais doit s'arrondir comme 100,5
+const normaliser = (valeur) => Number(valeur.toPrecision(15));
+
+/**
+ * Arrondit un nombre de centimes, éventuellement fractionnaire, à l'entier.
+ *
+ * @param {number} centimes
+ * @param {'demi-haut'|'demi-pair'} [regle]
+ * @returns {number}
+ */
+export const arrondirCentimes = (centimes, regle = 'demi-haut') => {
+  const valeur = normaliser(centimes);
+  const absolue = Math.abs(valeur);
+  const entier = Math.floor(absolue);
+  const reste = normaliser(absolue - entier);
+  let arrondi;
+  if (reste > 0.5) {
+    arrondi = entier + 1;
+  } else if (reste < 0.5) {
+    arrondi = entier;
+  } else {
+    arrondi = regle === 'demi-pair' && entier % 2 === 0 ? entier : entier + 1;
+  }
+  return valeur < 0 && arrondi !== 0 ? -arrondi : arrondi;
+};
+
+/**
+ * @param {number} euros
+ * @param {'demi-haut'|'demi-pair'} [regle]
+ * @returns {number} Centimes entiers.
+ */
+export const enCentimes = (euros, regle) => arrondirCentimes(euros * 100, regle);
+
+/**
+ * @param {number} centimes - Entier, ou fractionnaire s'il n'a pas encore été arrondi.
+ * @param {'demi-haut'|'demi-pair'} [regle]
+ * @returns {number} Euros au centime près.
+ */
+export const enEuros = (centimes, regle) => arrondirCentimes(centimes, regle) / 100;
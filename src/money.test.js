@@ -0,0 +1,29 @@
+import { arrondirCentimes, enCentimes, enEuros } from './money';
+
+describe('arrondirCentimes', () => {
+  test('arrondit les demis vers le haut ou vers le centime pair', () => {
+    expect(arrondirCentimes(62.5)).toBe(63);
+    expect(arrondirCentimes(62.5, 'demi-pair')).toBe(62);
+    expect(arrondirCentimes(63.5, 'demi-pair')).toBe(64);
+    expect(arrondirCentimes(62.4999, 'demi-pair')).toBe(62);
+    expect(arrondirCentimes(62.51, 'demi-pair')).toBe(63);
+  });
+
+  test("traite les montants négatifs symétriquement", () => {
+    expect(arrondirCentimes(-62.5)).toBe(-63);
+    expect(arrondirCentimes(-62.5, 'demi-pair')).toBe(-62);
+    expect(Object.is(arrondirCentimes(-0.2), 0)).toBe(true);
+  });
+
+  test('ignore les résidus de la virgule flottante', () => {
+    // 1,005 × 100 = 100,49999999999999 en virgule flottante
+    expect(enCentimes(1.005)).toBe(101);
+    expect(enCentimes(1.015, 'demi-pair')).toBe(102);
+    expect(enCentimes(0.1 + 0.2)).toBe(30);
+  });
+
+  test('convertit des centimes en euros au centime près', () => {
+    expect(enEuros(123456)).toBe(1234.56);
+    expect(enEuros(123456.5, 'demi-pair')).toBe(1234.56);
+  });
+});
@@ -0,0 +1,38 @@
+// Lance la simulation de Monte-Carlo dans un Web Worker pour ne pas bloquer l'interface
+
+import { simulerMonteCarlo } from './monte-carlo';
+import { creerWorkerMonteCarlo } from './monte-carlo-worker-factory';
+
+/**
+ * @param {import('./simulation-engine').ParametresSimulation} params
+ * @param {import('./monte-carlo').OptionsMonteCarlo} options
+ * @returns {{ promesse: Promise<import('./monte-carlo').ResultatMonteCarlo>, annuler: Function }}
+ */
+export const lancerMonteCarlo = (params, options) => {
+  // Sans Worker (navigateur ancien), calcul direct sur le thread principal
+  if (typeof Worker === 'undefined') {
+    return {
+      promesse: new Promise((resolve) => resolve(simulerMonteCarlo(params, options))),
+      annuler: () => {}
+    };
+  }
+
+  const worker = creerWorkerMonteCarlo();
+  const promesse = new Promise((resolve, reject) => {
+    worker.onmessage = ({ data }) => {
+      worker.terminate();
+      if (data.erreur) {
+        reject(new Error(data.erreur));
+      } else {
+        resolve(data.resultat);
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message));
+    };
+  });
+  worker.postMessage({ params, options });
+
+  return { promesse, annuler: () => worker.terminate() };
+};
@@ -0,0 +1,131 @@
+import React from 'react';
+import {
+  Box,
+  FormControlLabel,
+  Grid,
+  InputAdornment,
+  LinearProgress,
+  Switch,
+  TextField,
+  Typography
+} from '@mui/material';
+import { caracteristiquesPortefeuille } from './portfolio';
+
+// Réglages du mode Monte-Carlo et synthèse des trajectoires simulées
+const MonteCarloPanel = ({ inputs, errors, onChange, verrouille, monteCarlo, colors, i18n }) => {
+  const { t, symbole, formaterMontant } = i18n;
+  const resultat = monteCarlo?.resultat;
+  const portefeuille = inputs.modePortefeuille ? caracteristiquesPortefeuille(inputs.actifs) : null;
+
+  return (
+    <Grid container spacing={3} alignItems="center">
+      <Grid item xs={12}>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={inputs.modeMonteCarlo}
+              onChange={(e) => onChange('modeMonteCarlo', e.target.checked)}
+              disabled={verrouille('modeMonteCarlo')}
+            />
+          }
+          label={t('monteCarlo.activer')}
+        />
+        <Typography variant="body2" color="textSecondary">
+          {t('monteCarlo.explication')}
+        </Typography>
+      </Grid>
+
+      {inputs.modeMonteCarlo && (
+        <>
+          <Grid item xs={12} md={4}>
+            <TextField
+              fullWidth
+              label={t('monteCarlo.volatilite')}
+              type="number"
+              value={portefeuille ? portefeuille.volatilite : inputs.volatilite}
+              onChange={(e) => onChange('volatilite', parseFloat(e.target.value))}
+              disabled={!!portefeuille || verrouille('volatilite')}
+              error={!portefeuille && !!errors.volatilite}
+              helperText={portefeuille ? t('monteCarlo.volatilitePortefeuille', portefeuille) : errors.volatilite}
+              InputProps={{
+                endAdornment: <InputAdornment position="end">%</InputAdornment>,
+                inputProps: { min: 0, max: 100, step: "0.5" }
+              }}
+            />
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField
+              fullWidth
+              label={t('monteCarlo.nombreTirages')}
+              type="number"
+              value={inputs.nombreTirages}
+              onChange={(e) => onChange('nombreTirages', parseInt(e.target.value))}
+              disabled={verrouille('nombreTirages')}
+              error={!!errors.nombreTirages}
+              helperText={errors.nombreTirages}
+              inputProps={{ min: 100, max: 10000, step: 100 }}
+            />
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField
+              fullWidth
+              label={t('monteCarlo.montantVise', { symbole })}
+              type="number"
+              value={inputs.montantCible}
+              onChange={(e) => onChange('montantCible', parseFloat(e.target.value))}
+              disabled={verrouille('montantCible')}
+              error={!!errors.montantCible}
+              helperText={errors.montantCible}
+              InputProps={{
+                startAdornment: <InputAdornment position="start">{symbole}</InputAdornment>,
+                inputProps: { min: 0 }
+              }}
+            />
+          </Grid>
+
+          <Grid item xs={12}>
+            {monteCarlo?.enCours && <LinearProgress sx={{ mb: 2 }} />}
+            {monteCarlo?.erreur && (
+              <Typography sx={{ color: colors.error }}>
+                {t('monteCarlo.echec', { erreur: monteCarlo.erreur })}
+              </Typography>
+            )}
+            {resultat && (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+                <Box>
+                  <Typography variant="subtitle2" color="textSecondary">{t('monteCarlo.pessimiste')}</Typography>
+                  <Typography variant="h6">{formaterMontant(resultat.final.p10)}</Typography>
+                </Box>
+                <Box>
+                  <Typography variant="subtitle2" color="textSecondary">{t('monteCarlo.mediane')}</Typography>
+                  <Typography variant="h6">{formaterMontant(resultat.final.p50)}</Typography>
+                </Box>
+                <Box>
+                  <Typography variant="subtitle2" color="textSecondary">{t('monteCarlo.optimiste')}</Typography>
+                  <Typography variant="h6">{formaterMontant(resultat.final.p90)}</Typography>
+                </Box>
+                {resultat.probabiliteObjectif !== null && (
+                  <Box>
+                    <Typography variant="subtitle2" color="textSecondary">
+                      {t('monteCarlo.probabilite', { montant: inputs.montantCible })}
+                    </Typography>
+                    <Typography variant="h6" sx={{ color: colors.success }}>
+                      {t('monteCarlo.pourcentage', { pourcentage: Math.round(resultat.probabiliteObjectif * 100) })}
+                    </Typography>
+                  </Box>
+                )}
+              </Box>
+            )}
+            {resultat && (
+              <Typography variant="caption" color="textSecondary">
+                {t('monteCarlo.synthese', { nombreTirages: resultat.nombreTirages })}
+              </Typography>
+            )}
+          </Grid>
+        </>
+      )}
+    </Grid>
+  );
+};
+
+export default MonteCarloPanel;
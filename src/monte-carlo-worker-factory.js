@@ -0,0 +1,8 @@
+// Création du Web Worker de Monte-Carlo, isolée car Jest ne sait pas lire import.meta :
+// les tests remplacent ce module (voir setupTests.js)
+
+/**
+ * @returns {Worker}
+ */
+export const creerWorkerMonteCarlo = () =>
+  new Worker(new URL('./monte-carlo.worker.js', import.meta.url));
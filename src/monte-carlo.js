@@ -0,0 +1,129 @@
+// Simulation de Monte-Carlo : rendements mensuels aléatoires autour d'un rendement espéré
+// Module pur, exécuté dans un Web Worker par monte-carlo-client.js.
+
+import { mouvementsDuMois } from './contribution-schedule';
+import { arrondir } from './simulation-engine';
+
+export const PERCENTILES = [10, 50, 90];
+
+/**
+ * Options du tirage.
+ *
+ * @typedef {Object} OptionsMonteCarlo
+ * @property {number} volatilite - Écart-type annuel des rendements en pourcentage.
+ * @property {number} nombreTirages - Nombre de trajectoires simulées.
+ * @property {number} [montantCible] - Montant dont on estime la probabilité d'atteinte (€).
+ * @property {number} [graine] - Graine du générateur, pour des tirages reproductibles.
+ */
+
+/**
+ * Bande de percentiles pour un mois.
+ *
+ * @typedef {Object} BandeMonteCarlo
+ * @property {number} mois
+ * @property {number} p10
+ * @property {number} p50
+ * @property {number} p90
+ * @property {number} p10Reel - p10 en euros constants (idem p50Reel, p90Reel).
+ */
+
+/**
+ * Résultat d'une simulation de Monte-Carlo.
+ *
+ * @typedef {Object} ResultatMonteCarlo
+ * @property {BandeMonteCarlo[]} bandes - Percentiles du solde, mois par mois.
+ * @property {{ p10: number, p50: number, p90: number }} final - Percentiles du solde final (€).
+ * @property {?number} probabiliteObjectif - Part des trajectoires finissant au-dessus de montantCible (0 à 1).
+ * @property {number} nombreTirages
+ */
+
+// Générateur pseudo-aléatoire reproductible (mulberry32)
+export const creerGenerateur = (graine) => {
+  let etat = graine >>> 0;
+  return () => {
+    etat = (etat + 0x6D2B79F5) >>> 0;
+    let t = etat;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Loi normale centrée réduite par Box-Muller
+const tirageNormal = (aleatoire) => {
+  const u = 1 - aleatoire();
+  const v = aleatoire();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Percentile par interpolation linéaire sur un tableau trié
+export const percentile = (tries, p) => {
+  const rang = (p / 100) * (tries.length - 1);
+  const bas = Math.floor(rang);
+  const haut = Math.ceil(rang);
+  return tries[bas] + (tries[haut] - tries[bas]) * (rang - bas);
+};
+
+/**
+ * Simule nombreTirages trajectoires. Le log-rendement mensuel suit une loi normale
+ * dont l'espérance redonne le taux mensuel tauxAnnuel / 12 de simulerEpargne : à
+ * volatilité nulle, chaque trajectoire se confond avec la projection déterministe.
+ * Les versements suivent le même échéancier ; plafonds et fiscalité ne sont pas appliqués.
+ *
+ * @param {import('./simulation-engine').ParametresSimulation} params
+ * @param {OptionsMonteCarlo} options
+ * @returns {ResultatMonteCarlo}
+ */
+export const simulerMonteCarlo = (params, { volatilite, nombreTirages, montantCible = null, graine = Date.now() }) => {
+  const { sommeInitiale, tauxAnnuel, nombreAnnees, tauxInflation = 0 } = params;
+  const nombreMois = nombreAnnees * 12;
+  const ecartMensuel = volatilite / 100 / Math.sqrt(12);
+  const derive = Math.log(1 + tauxAnnuel / 100 / 12) - (ecartMensuel * ecartMensuel) / 2;
+  const aleatoire = creerGenerateur(graine);
+
+  // Mouvements identiques pour toutes les trajectoires
+  const mouvements = [];
+  for (let mois = 1; mois <= nombreMois; mois++) {
+    mouvements[mois] = mouvementsDuMois(params, mois);
+  }
+
+  // soldes[mois * nombreTirages + tirage]
+  const soldes = new Float64Array((nombreMois + 1) * nombreTirages);
+  for (let tirage = 0; tirage < nombreTirages; tirage++) {
+    let solde = sommeInitiale;
+    soldes[tirage] = solde;
+    for (let mois = 1; mois <= nombreMois; mois++) {
+      const { versement, retrait } = mouvements[mois];
+      solde = Math.max(0, solde + versement - retrait);
+      solde *= Math.exp(derive + ecartMensuel * tirageNormal(aleatoire));
+      soldes[mois * nombreTirages + tirage] = solde;
+    }
+  }
+
+  const bandes = [];
+  let finaux = null;
+  for (let mois = 0; mois <= nombreMois; mois++) {
+    const tries = soldes.subarray(mois * nombreTirages, (mois + 1) * nombreTirages).sort();
+    const deflateur = Math.pow(1 + tauxInflation / 100, mois / 12);
+    const bande = { mois };
+    PERCENTILES.forEach(p => {
+      const valeur = percentile(tries, p);
+      bande[`p${p}`] = arrondir(valeur);
+      bande[`p${p}Reel`] = arrondir(valeur / deflateur);
+    });
+    bandes.push(bande);
+    if (mois === nombreMois) finaux = tries;
+  }
+
+  const probabiliteObjectif = montantCible > 0
+    ? finaux.filter(solde => solde >= montantCible).length / nombreTirages
+    : null;
+
+  const dernier = bandes[bandes.length - 1];
+  return {
+    bandes,
+    final: { p10: dernier.p10, p50: dernier.p50, p90: dernier.p90 },
+    probabiliteObjectif,
+    nombreTirages
+  };
+};
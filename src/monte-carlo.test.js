@@ -0,0 +1,47 @@
+import { simulerMonteCarlo, percentile, creerGenerateur } from './monte-carlo';
+import { simulerEpargne } from './simulation-engine';
+
+const params = { sommeInitiale: 1000, mensualite: 200, tauxAnnuel: 6, nombreAnnees: 10 };
+
+describe('simulerMonteCarlo', () => {
+  test('sans volatilité, toutes les trajectoires suivent la projection déterministe', () => {
+    const { final, bandes } = simulerMonteCarlo(params, { volatilite: 0, nombreTirages: 10, graine: 1 });
+    const { montantTotal, graphData } = simulerEpargne(params);
+
+    expect(final.p10).toBeCloseTo(montantTotal, 1);
+    expect(final.p90).toBeCloseTo(montantTotal, 1);
+    expect(bandes[60].p50).toBeCloseTo(graphData[60].total, 1);
+  });
+
+  test('les bandes sont ordonnées et la médiane reste proche du déterministe', () => {
+    const { bandes, final } = simulerMonteCarlo(params, { volatilite: 15, nombreTirages: 2000, graine: 42 });
+    const { montantTotal } = simulerEpargne(params);
+
+    bandes.forEach(b => {
+      expect(b.p10).toBeLessThanOrEqual(b.p50);
+      expect(b.p50).toBeLessThanOrEqual(b.p90);
+    });
+    expect(final.p90 - final.p10).toBeGreaterThan(0);
+    expect(Math.abs(final.p50 - montantTotal) / montantTotal).toBeLessThan(0.1);
+  });
+
+  test("estime la probabilité d'atteindre la cible", () => {
+    const options = { volatilite: 15, nombreTirages: 1000, graine: 7 };
+    const { final } = simulerMonteCarlo(params, options);
+
+    expect(simulerMonteCarlo(params, { ...options, montantCible: final.p50 }).probabiliteObjectif).toBeCloseTo(0.5, 1);
+    expect(simulerMonteCarlo(params, { ...options, montantCible: 1 }).probabiliteObjectif).toBe(1);
+    expect(simulerMonteCarlo(params, options).probabiliteObjectif).toBeNull();
+  });
+
+  test('une même graine donne les mêmes tirages', () => {
+    const a = creerGenerateur(3);
+    const b = creerGenerateur(3);
+    expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+  });
+});
+
+test('percentile interpole entre deux valeurs', () => {
+  expect(percentile([0, 10, 20, 30], 50)).toBe(15);
+  expect(percentile([0, 10, 20, 30], 100)).toBe(30);
+});
@@ -0,0 +1,11 @@
+/* eslint-disable no-restricted-globals */
+import { simulerMonteCarlo } from './monte-carlo';
+
+self.onmessage = ({ data }) => {
+  const { params, options } = data;
+  try {
+    self.postMessage({ resultat: simulerMonteCarlo(params, options) });
+  } catch (error) {
+    self.postMessage({ erreur: error.message });
+  }
+};
@@ -0,0 +1,162 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  FormControl,
+  Grid,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+  Typography
+} from '@mui/material';
+import { UploadFile } from '@mui/icons-material';
+import { CHAMPS_CORRESPONDANCE } from './bank-statement';
+
+// Mois civil AAAA-MM écrit en toutes lettres
+const nomPeriode = (periode, nomsMois) => {
+  const [annee, mois] = periode.split('-').map(Number);
+  return `${nomsMois[mois - 1]} ${annee}`;
+};
+
+// Import d'un relevé de compte et suivi du plan face aux soldes réels
+const PlanTrackingPanel = ({ releve, suivi, erreur, onImporter, onModifier, onRetirer, montantPrevu, colors, i18n }) => {
+  const { t, formaterMontant, nomsMois } = i18n;
+  const comparaison = suivi?.comparaison;
+
+  const retard = () => {
+    if (comparaison.moisRetard === null) return t('suivi.avanceHorizon');
+    if (comparaison.moisRetard > 0) return t('suivi.retard', { mois: comparaison.moisRetard });
+    if (comparaison.moisRetard < 0) return t('suivi.avance', { mois: -comparaison.moisRetard });
+    return t('suivi.dansLesTemps');
+  };
+
+  return (
+    <Grid container spacing={3} alignItems="center">
+      <Grid item xs={12}>
+        <Typography variant="h6" gutterBottom>
+          {t('suivi.titre')}
+        </Typography>
+        <Typography variant="body2" color="textSecondary">
+          {t('suivi.explication')}
+        </Typography>
+      </Grid>
+
+      <Grid item xs={12} sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 2 }}>
+        <Button variant="outlined" component="label" startIcon={<UploadFile />}>
+          {t('suivi.importer')}
+          <input
+            hidden
+            type="file"
+            accept=".csv,.txt,.ofx,.qfx,text/csv"
+            onChange={(e) => {
+              if (e.target.files[0]) onImporter(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </Button>
+        {releve && (
+          <>
+            <Typography variant="body2">
+              {t('suivi.fichier', {
+                nom: releve.nom,
+                format: t(releve.format ? `suivi.formats.${releve.format}` : 'suivi.formats.inconnu'),
+                nombre: suivi?.operations ?? 0
+              })}
+            </Typography>
+            <Button size="small" color="inherit" onClick={onRetirer}>
+              {t('suivi.retirer')}
+            </Button>
+          </>
+        )}
+        {erreur && (
+          <Typography variant="body2" sx={{ color: colors.error }}>
+            {t(erreur)}
+          </Typography>
+        )}
+      </Grid>
+
+      {releve && (
+        <>
+          {releve.type === 'csv' && CHAMPS_CORRESPONDANCE.map(champ => (
+            <Grid item xs={12} sm={6} md={2} key={champ}>
+              <FormControl fullWidth size="small">
+                <InputLabel>{t(`suivi.colonnes.${champ}`)}</InputLabel>
+                <Select
+                  value={releve.correspondance[champ] ?? ''}
+                  label={t(`suivi.colonnes.${champ}`)}
+                  onChange={(e) => onModifier({
+                    correspondance: { ...releve.correspondance, [champ]: e.target.value === '' ? null : e.target.value }
+                  })}
+                >
+                  <MenuItem value="">{t('suivi.colonnes.aucune')}</MenuItem>
+                  {releve.colonnes.map((colonne, index) => (
+                    <MenuItem key={index} value={index}>{colonne || `#${index + 1}`}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+          ))}
+
+          <Grid item xs={12} sm={6} md={2}>
+            <TextField
+              fullWidth
+              size="small"
+              type="month"
+              label={t('suivi.debut')}
+              value={releve.debut}
+              onChange={(e) => onModifier({ debut: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+
+          <Grid item xs={12}>
+            {!comparaison ? (
+              <Typography sx={{ color: colors.error }}>
+                {t(suivi?.operations ? 'suivi.horsPlan' : 'suivi.aucuneOperation')}
+              </Typography>
+            ) : (
+              <>
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+                  <Box>
+                    <Typography variant="subtitle2" color="textSecondary">
+                      {t('suivi.soldeReel', { periode: nomPeriode(comparaison.periode, nomsMois) })}
+                    </Typography>
+                    <Typography variant="h6">{formaterMontant(comparaison.solde)}</Typography>
+                  </Box>
+                  <Box>
+                    <Typography variant="subtitle2" color="textSecondary">{t('suivi.soldePrevu')}</Typography>
+                    <Typography variant="h6">{formaterMontant(comparaison.prevu)}</Typography>
+                  </Box>
+                  <Box>
+                    <Typography variant="subtitle2" color="textSecondary">{t('suivi.ecart')}</Typography>
+                    <Typography variant="h6" sx={{ color: comparaison.ecart < 0 ? colors.error : colors.success }}>
+                      {comparaison.ecart > 0 && '+'}{formaterMontant(comparaison.ecart)}
+                    </Typography>
+                    <Typography variant="caption" color="textSecondary">{retard()}</Typography>
+                  </Box>
+                  {suivi.prevision && (
+                    <Box>
+                      <Typography variant="subtitle2" color="textSecondary">{t('suivi.prevision')}</Typography>
+                      <Typography variant="h6" sx={{ color: colors.info }}>
+                        {formaterMontant(suivi.prevision.montantTotal)}
+                      </Typography>
+                      <Typography variant="caption" color="textSecondary">
+                        {t('suivi.prevuInitialement', { montant: montantPrevu })}
+                      </Typography>
+                    </Box>
+                  )}
+                </Box>
+                <Typography variant="caption" color="textSecondary">
+                  {t('suivi.hypotheses')}
+                </Typography>
+              </>
+            )}
+          </Grid>
+        </>
+      )}
+    </Grid>
+  );
+};
+
+export default PlanTrackingPanel;
@@ -0,0 +1,171 @@
+// Suivi du plan : soldes réels du relevé comparés à la projection
+
+import { simulerEpargne, arrondir } from './simulation-engine';
+
+/**
+ * Solde réel à la fin d'un mois du plan.
+ *
+ * @typedef {Object} SoldeReel
+ * @property {number} mois - Mois du plan (0 = avant le premier mois, comme la projection).
+ * @property {string} periode - Mois civil, AAAA-MM.
+ * @property {number} solde - Solde du compte à la fin de ce mois (€).
+ */
+
+const periodeDe = (date) => date.slice(0, 7);
+
+/**
+ * Nombre de mois civils entre deux périodes AAAA-MM.
+ *
+ * @param {string} debut
+ * @param {string} fin
+ * @returns {number}
+ */
+export const moisEntre = (debut, fin) => {
+  const [anneeDebut, moisDebut] = debut.split('-').map(Number);
+  const [anneeFin, moisFin] = fin.split('-').map(Number);
+  return (anneeFin - anneeDebut) * 12 + moisFin - moisDebut;
+};
+
+const periodeApres = (periode, nombreMois) => {
+  const [annee, mois] = periode.split('-').map(Number);
+  const index = annee * 12 + mois - 1 + nombreMois;
+  return `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+};
+
+// Solde après chaque opération : lu dans le relevé, déduit du solde final en remontant
+// les opérations, ou à défaut cumulé depuis le solde initial
+const soldesApresOperations = (operations, soldeFinal, soldeInitial) => {
+  if (operations.every(operation => operation.solde !== null)) {
+    return operations.map(operation => operation.solde);
+  }
+  const soldes = new Array(operations.length);
+  if (soldeFinal) {
+    let solde = soldeFinal.montant;
+    for (let i = operations.length - 1; i >= 0; i--) {
+      soldes[i] = solde;
+      solde -= operations[i].montant;
+    }
+  } else {
+    let solde = soldeInitial;
+    operations.forEach((operation, i) => {
+      solde += operation.montant;
+      soldes[i] = solde;
+    });
+  }
+  return soldes;
+};
+
+/**
+ * Soldes de fin de mois du relevé, numérotés comme les mois de la projection : le mois 0
+ * est le solde avant le premier mois du plan, le mois 1 celui à la fin de ce premier mois.
+ * Le dernier mois peut n'être couvert qu'en partie par le relevé.
+ *
+ * @param {import('./bank-statement').Operation[]} operations - Triées par date.
+ * @param {Object} [options]
+ * @param {string} [options.debut] - Premier mois du plan, AAAA-MM ; par défaut celui de la première opération.
+ * @param {?{ montant: number }} [options.soldeFinal] - Solde après la dernière opération (OFX).
+ * @param {number} [options.soldeInitial] - Solde avant la première opération, si le relevé ne donne aucun solde.
+ * @returns {SoldeReel[]}
+ */
+export const soldesMensuels = (operations, { debut, soldeFinal = null, soldeInitial = 0 } = {}) => {
+  if (operations.length === 0) return [];
+  const soldes = soldesApresOperations(operations, soldeFinal, soldeInitial);
+  const premierMois = debut || periodeDe(operations[0].date);
+  const dernierMois = moisEntre(premierMois, periodeDe(operations[operations.length - 1].date)) + 1;
+  if (dernierMois < 1) return [];
+
+  // Solde à la fin du mois qui précède une période : celui de la dernière opération antérieure
+  const soldeAvant = (periode) => {
+    let solde = soldes[0] - operations[0].montant;
+    operations.forEach((operation, i) => {
+      if (periodeDe(operation.date) < periode) solde = soldes[i];
+    });
+    return solde;
+  };
+
+  return Array.from({ length: dernierMois + 1 }, (_, mois) => ({
+    mois,
+    periode: periodeApres(premierMois, mois - 1),
+    solde: arrondir(soldeAvant(periodeApres(premierMois, mois)))
+  }));
+};
+
+/**
+ * Écart entre le dernier solde réel et la projection, en euros et en mois : le retard
+ * est le nombre de mois, arrondi, écoulés depuis que la projection prévoyait ce solde ;
+ * négatif, c'est une avance.
+ *
+ * @param {SoldeReel[]} soldes
+ * @param {import('./simulation-engine').PointSimulation[]} graphData
+ * @returns {?{ mois: number, periode: string, solde: number, prevu: number, ecart: number, moisRetard: ?number }}
+ *   moisRetard vaut null si la projection n'atteint jamais ce solde avant son horizon.
+ */
+export const comparerAuPlan = (soldes, graphData) => {
+  const dernier = [...soldes].reverse().find(point => point.mois < graphData.length);
+  if (!dernier) return null;
+  const { mois, periode, solde } = dernier;
+  const prevu = graphData[mois].total;
+  const ecart = arrondir(solde - prevu);
+
+  // Mois où la projection atteint le solde, interpolé entre deux fins de mois
+  const atteint = (depuis) => {
+    const index = graphData.findIndex((point, i) => i >= depuis && point.total >= solde);
+    if (index <= 0) return index;
+    const avant = graphData[index - 1].total;
+    return index - 1 + (solde - avant) / (graphData[index].total - avant);
+  };
+
+  let moisRetard = 0;
+  if (ecart < 0) {
+    moisRetard = Math.round(mois - Math.max(0, atteint(0)));
+  } else if (ecart > 0) {
+    const moisPrevu = atteint(mois + 1);
+    moisRetard = moisPrevu < 0 ? null : Math.round(mois - moisPrevu);
+  }
+
+  return { mois, periode, solde, prevu, ecart, moisRetard };
+};
+
+/**
+ * Projection relancée depuis le solde réel pour le reste de la durée du plan : mêmes
+ * taux, versements et frais, événements de l'échéancier décalés d'autant, indexation
+ * aux dates anniversaires du plan. Faute de les lire dans le relevé, les versements
+ * comptés dans le plafond de l'enveloppe sont ceux que le plan prévoyait jusque-là :
+ * les intérêts du solde réel n'y entrent pas.
+ *
+ * @param {import('./simulation-engine').ParametresSimulation} params
+ * @param {number} mois - Mois du plan où le solde réel est connu.
+ * @param {number} solde
+ * @returns {?{ graphData: import('./simulation-engine').PointSimulation[], montantTotal: number }}
+ *   graphData numéroté comme la projection initiale, de mois à la fin du plan ; null
+ *   si le plan est déjà arrivé à son terme.
+ */
+export const actualiserPrevision = (params, mois, solde) => {
+  const moisRestants = params.nombreAnnees * 12 - mois;
+  if (moisRestants <= 0) return null;
+
+  const anneesEcoulees = Math.floor(mois / 12);
+  const simulation = simulerEpargne({
+    ...params,
+    sommeInitiale: Math.max(0, solde),
+    versementsAnterieurs: simulerEpargne(params).graphData[mois].investi,
+    nombreAnnees: moisRestants / 12,
+    // La mensualité reprend au niveau déjà atteint par l'indexation, revalorisée ensuite
+    // aux mêmes échéances que le plan d'origine
+    mensualite: params.mensualite * Math.pow(1 + (params.indexationAnnuelle || 0) / 100, anneesEcoulees),
+    moisIndexationEcoules: mois % 12,
+    evenements: (params.evenements || [])
+      .filter(evenement => (evenement.moisFin ?? evenement.mois) > mois)
+      .map(evenement => ({
+        ...evenement,
+        mois: Math.max(1, evenement.mois - mois),
+        ...(evenement.moisFin !== undefined && { moisFin: evenement.moisFin - mois })
+      })),
+    moisDepart: ((params.moisDepart || 1) - 1 + mois) % 12 + 1
+  });
+
+  return {
+    graphData: simulation.graphData.map(point => ({ ...point, mois: point.mois + mois })),
+    montantTotal: simulation.montantTotal
+  };
+};
@@ -0,0 +1,118 @@
+import { moisEntre, soldesMensuels, comparerAuPlan, actualiserPrevision } from './plan-tracking';
+import { simulerEpargne } from './simulation-engine';
+
+const PLAN = {
+  sommeInitiale: 1000,
+  mensualite: 100,
+  tauxAnnuel: 0,
+  nombreAnnees: 2,
+  momentArrondi: 'fin'
+};
+
+const projection = simulerEpargne(PLAN).graphData;
+
+describe('moisEntre', () => {
+  test('compte les mois civils, changement d\'année compris', () => {
+    expect(moisEntre('2023-11', '2024-02')).toBe(3);
+    expect(moisEntre('2024-02', '2024-02')).toBe(0);
+  });
+});
+
+describe('soldesMensuels', () => {
+  const operations = [
+    { date: '2024-01-03', montant: 100, solde: 1100 },
+    { date: '2024-01-20', montant: -30, solde: 1070 },
+    { date: '2024-03-02', montant: 100, solde: 1170 }
+  ];
+
+  test('garde le dernier solde de chaque mois, mois sans opération compris', () => {
+    expect(soldesMensuels(operations)).toEqual([
+      { mois: 0, periode: '2023-12', solde: 1000 },
+      { mois: 1, periode: '2024-01', solde: 1070 },
+      { mois: 2, periode: '2024-02', solde: 1070 },
+      { mois: 3, periode: '2024-03', solde: 1170 }
+    ]);
+  });
+
+  test('numérote les mois depuis le début du plan choisi', () => {
+    const soldes = soldesMensuels(operations, { debut: '2024-02' });
+
+    expect(soldes[0]).toEqual({ mois: 0, periode: '2024-01', solde: 1070 });
+    expect(soldes).toHaveLength(3);
+  });
+
+  test('remonte les opérations depuis le solde final d\'un OFX', () => {
+    const sansSolde = operations.map(o => ({ ...o, solde: null }));
+
+    expect(soldesMensuels(sansSolde, { soldeFinal: { montant: 2170 } })[0].solde).toBe(2000);
+    expect(soldesMensuels(sansSolde, { soldeInitial: 500 })[3].solde).toBe(670);
+  });
+});
+
+describe('comparerAuPlan', () => {
+  test('chiffre le retard en euros et en mois', () => {
+    // Solde prévu au mois 6 : 1 600 €, atteint au mois 3 seulement
+    const comparaison = comparerAuPlan([{ mois: 6, periode: '2024-06', solde: 1300 }], projection);
+
+    expect(comparaison).toEqual({ mois: 6, periode: '2024-06', solde: 1300, prevu: 1600, ecart: -300, moisRetard: 3 });
+  });
+
+  test('une avance se compte en mois négatifs', () => {
+    expect(comparerAuPlan([{ mois: 6, solde: 1800 }], projection).moisRetard).toBe(-2);
+    expect(comparerAuPlan([{ mois: 6, solde: 9000 }], projection).moisRetard).toBeNull();
+  });
+
+  test('arrondit le retard au mois le plus proche', () => {
+    // 1 450 € prévus au mois 4,5
+    expect(comparerAuPlan([{ mois: 6, solde: 1440 }], projection).moisRetard).toBe(2);
+    expect(comparerAuPlan([{ mois: 6, solde: 1560 }], projection).moisRetard).toBe(0);
+  });
+
+  test('ignore les soldes au-delà de l\'horizon', () => {
+    expect(comparerAuPlan([{ mois: 30, solde: 5000 }], projection)).toBeNull();
+  });
+});
+
+describe('actualiserPrevision', () => {
+  test('reprend la projection depuis le solde réel', () => {
+    const prevision = actualiserPrevision(PLAN, 6, 1300);
+
+    expect(prevision.graphData[0]).toMatchObject({ mois: 6, total: 1300 });
+    expect(prevision.graphData).toHaveLength(19);
+    expect(prevision.montantTotal).toBe(3100);
+  });
+
+  test('décale les événements de l\'échéancier', () => {
+    const prevision = actualiserPrevision({
+      ...PLAN,
+      evenements: [
+        { id: 1, type: 'versement', mois: 3, montant: 500 },
+        { id: 2, type: 'versement', mois: 10, montant: 500 }
+      ]
+    }, 6, 1300);
+
+    expect(prevision.montantTotal).toBe(3600);
+  });
+
+  test('compte dans le plafond les versements du plan, pas les intérêts du solde', () => {
+    const livret = { sommeInitiale: 20000, mensualite: 100, tauxAnnuel: 3, nombreAnnees: 3, enveloppe: 'livret-a' };
+    // 21 200 € versés au mois 12, 21 800 € sur le compte : 1 750 € de marge sous le plafond
+    const prevision = actualiserPrevision(livret, 12, 21800);
+
+    expect(prevision.graphData[0].investi).toBe(21200);
+    expect(prevision.graphData[12]).toMatchObject({ mois: 24, investi: 22400, excedent: 0 });
+  });
+
+  test("revalorise la mensualité aux dates anniversaires du plan d'origine", () => {
+    const prevision = actualiserPrevision({ ...PLAN, indexationAnnuelle: 10 }, 6, 1600);
+    const versement = (mois) => prevision.graphData[mois - 6].total - prevision.graphData[mois - 7].total;
+
+    expect(versement(12)).toBe(100);
+    expect(versement(13)).toBe(110);
+    expect(versement(24)).toBe(110);
+  });
+
+  test('ne prévoit rien une fois le plan terminé', () => {
+    expect(actualiserPrevision(PLAN, 24, 4000)).toBeNull();
+  });
+});
@@ -0,0 +1,198 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  FormControl,
+  FormControlLabel,
+  Grid,
+  IconButton,
+  InputAdornment,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { Add, Delete } from '@mui/icons-material';
+import {
+  REPARTITIONS,
+  creerActif,
+  couleurActif,
+  sommePoids,
+  caracteristiquesPortefeuille
+} from './portfolio';
+
+const borner = (valeur, min, max) => Math.min(max, Math.max(min, valeur || 0));
+
+// Composition du portefeuille, répartition des versements et soldes finaux par actif
+const PortfolioPanel = ({ inputs, onChange, verrouille, portefeuille, colors, i18n }) => {
+  const { t, formaterMontant } = i18n;
+  const { actifs } = inputs;
+  const actifsVerrouilles = verrouille('actifs');
+  const total = sommePoids(actifs);
+  const { tauxAnnuel, volatilite } = caracteristiquesPortefeuille(actifs);
+
+  const modifier = (id, champ, valeur) => {
+    onChange('actifs', actifs.map(a => a.id === id ? { ...a, [champ]: valeur } : a));
+  };
+
+  return (
+    <Grid container spacing={2} alignItems="center">
+      <Grid item xs={12}>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={inputs.modePortefeuille}
+              onChange={(e) => onChange('modePortefeuille', e.target.checked)}
+              disabled={verrouille('modePortefeuille')}
+            />
+          }
+          label={t('portefeuille.activer')}
+        />
+      </Grid>
+
+      {inputs.modePortefeuille && (
+        <>
+          {actifs.map(actif => (
+            <React.Fragment key={actif.id}>
+              <Grid item xs={12} md={4}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Box sx={{ width: 12, height: 12, flexShrink: 0, borderRadius: '50%', backgroundColor: couleurActif(actifs, actif.id) }} />
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label={t('portefeuille.placement')}
+                    value={actif.nom}
+                    onChange={(e) => modifier(actif.id, 'nom', e.target.value)}
+                    disabled={actifsVerrouilles}
+                  />
+                </Box>
+              </Grid>
+              <Grid item xs={4} md={2}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label={t('portefeuille.tauxAnnuel')}
+                  type="number"
+                  value={actif.tauxAnnuel}
+                  onChange={(e) => modifier(actif.id, 'tauxAnnuel', borner(parseFloat(e.target.value), -50, 100))}
+                  disabled={actifsVerrouilles}
+                  InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+                  inputProps={{ step: "0.1" }}
+                />
+              </Grid>
+              <Grid item xs={4} md={2}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label={t('portefeuille.volatilite')}
+                  type="number"
+                  value={actif.volatilite}
+                  onChange={(e) => modifier(actif.id, 'volatilite', borner(parseFloat(e.target.value), 0, 100))}
+                  disabled={actifsVerrouilles}
+                  InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+                  inputProps={{ step: "0.5" }}
+                />
+              </Grid>
+              <Grid item xs={4} md={2}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label={t('portefeuille.poids')}
+                  type="number"
+                  value={actif.poids}
+                  onChange={(e) => modifier(actif.id, 'poids', borner(parseFloat(e.target.value), 0, 100))}
+                  disabled={actifsVerrouilles}
+                  InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+                />
+              </Grid>
+              <Grid item xs={12} md={2}>
+                <Tooltip title={t('portefeuille.retirer')}>
+                  <span>
+                    <IconButton
+                      aria-label={t('portefeuille.retirerNom', { nom: actif.nom })}
+                      disabled={actifs.length <= 1 || actifsVerrouilles}
+                      onClick={() => onChange('actifs', actifs.filter(a => a.id !== actif.id))}
+                    >
+                      <Delete />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              </Grid>
+            </React.Fragment>
+          ))}
+
+          <Grid item xs={12}>
+            <Button size="small" startIcon={<Add />} disabled={actifsVerrouilles} onClick={() => onChange('actifs', [...actifs, creerActif(actifs, (numero) => t('portefeuille.nomActif', { numero }))])}>
+              {t('portefeuille.ajouter')}
+            </Button>
+            {total !== 100 && (
+              <Typography variant="body2" sx={{ color: colors.error }}>
+                {t('portefeuille.poidsAjustes', { total })}
+              </Typography>
+            )}
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <FormControl fullWidth size="small" disabled={verrouille('repartitionVersements')}>
+              <InputLabel>{t('portefeuille.repartition')}</InputLabel>
+              <Select
+                value={inputs.repartitionVersements}
+                label={t('portefeuille.repartition')}
+                onChange={(e) => onChange('repartitionVersements', e.target.value)}
+              >
+                {REPARTITIONS.map(r => (
+                  <MenuItem key={r.id} value={r.id}>{t(`portefeuille.repartitions.${r.id}`)}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={inputs.reequilibrage}
+                  onChange={(e) => onChange('reequilibrage', e.target.checked)}
+                  disabled={verrouille('reequilibrage')}
+                />
+              }
+              label={t('portefeuille.reequilibrage')}
+            />
+          </Grid>
+
+          {portefeuille && (
+            <Grid item xs={12}>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+                {portefeuille.soldes.map(solde => (
+                  <Box key={solde.id}>
+                    <Typography variant="subtitle2" color="textSecondary">{solde.nom}</Typography>
+                    <Typography variant="h6" sx={{ color: couleurActif(actifs, solde.id) }}>
+                      {formaterMontant(solde.solde)}
+                    </Typography>
+                    <Typography variant="caption" color="textSecondary">
+                      {t('portefeuille.part', { part: solde.part })}
+                    </Typography>
+                  </Box>
+                ))}
+                <Box>
+                  <Typography variant="subtitle2" color="textSecondary">{t('portefeuille.portefeuille')}</Typography>
+                  <Typography variant="h6">{formaterMontant(portefeuille.montantTotal)}</Typography>
+                  <Typography variant="caption" color="textSecondary">
+                    {t('portefeuille.caracteristiques', { tauxAnnuel, volatilite })}
+                  </Typography>
+                </Box>
+              </Box>
+              <Typography variant="caption" color="textSecondary">
+                {t('portefeuille.avertissement')}
+              </Typography>
+            </Grid>
+          )}
+        </>
+      )}
+    </Grid>
+  );
+};
+
+export default PortfolioPanel;
@@ -0,0 +1,179 @@
+// Portefeuille multi-actifs : répartition des versements et rééquilibrage annuel
+
+import { arrondir, totaliserProjection } from './simulation-engine';
+import { mouvementsDuMois } from './contribution-schedule';
+import { calculerFiscalite } from './enveloppes';
+
+export const COULEURS_ACTIFS = ['#60A5FA', '#34D399', '#F59E0B', '#A78BFA', '#F472B6', '#2DD4BF'];
+
+export const REPARTITIONS = [
+  { id: 'poids' },
+  { id: 'ecarts' }
+];
+
+/**
+ * Actif du portefeuille.
+ *
+ * @typedef {Object} Actif
+ * @property {number} id
+ * @property {string} nom
+ * @property {number} tauxAnnuel - Rendement annuel espéré (%).
+ * @property {number} volatilite - Écart-type annuel des rendements (%), 0 pour un actif sans risque.
+ * @property {number} poids - Poids cible dans le portefeuille (%).
+ */
+
+const NOMS_ACTIFS_PAR_DEFAUT = { livretA: 'Livret A', actionsMonde: 'ETF actions monde', fondsEuros: 'Fonds euros' };
+
+/**
+ * Portefeuille proposé au départ.
+ *
+ * @param {function(string): string} [nommer] - Nom affiché d'après le type d'actif (livretA, actionsMonde, fondsEuros).
+ * @returns {Actif[]}
+ */
+export const actifsParDefaut = (nommer = (type) => NOMS_ACTIFS_PAR_DEFAUT[type]) => [
+  { id: 1, nom: nommer('livretA'), tauxAnnuel: 1.7, volatilite: 0, poids: 40 },
+  { id: 2, nom: nommer('actionsMonde'), tauxAnnuel: 6, volatilite: 15, poids: 40 },
+  { id: 3, nom: nommer('fondsEuros'), tauxAnnuel: 2.5, volatilite: 0, poids: 20 }
+];
+
+export const creerActif = (actifs, nommer = (numero) => `Actif ${numero}`) => ({
+  id: Math.max(0, ...actifs.map(a => a.id)) + 1,
+  nom: nommer(actifs.length + 1),
+  tauxAnnuel: 3,
+  volatilite: 0,
+  poids: 0
+});
+
+export const couleurActif = (actifs, id) =>
+  COULEURS_ACTIFS[actifs.findIndex(a => a.id === id) % COULEURS_ACTIFS.length];
+
+// Clé du solde d'un actif dans les points du graphique
+export const cleActif = (id) => `actif${id}`;
+
+export const sommePoids = (actifs) => actifs.reduce((somme, a) => somme + a.poids, 0);
+
+// Poids ramenés à une somme de 1 ; à défaut de poids, répartition égale
+const poidsNormalises = (actifs) => {
+  const total = sommePoids(actifs);
+  return actifs.map(a => (total > 0 ? a.poids / total : 1 / actifs.length));
+};
+
+/**
+ * Rendement espéré et volatilité du portefeuille aux poids cibles, les actifs étant
+ * supposés indépendants entre eux.
+ *
+ * @param {Actif[]} actifs
+ * @returns {{ tauxAnnuel: number, volatilite: number }}
+ */
+export const caracteristiquesPortefeuille = (actifs) => {
+  const poids = poidsNormalises(actifs);
+  return {
+    tauxAnnuel: arrondir(actifs.reduce((somme, a, i) => somme + poids[i] * a.tauxAnnuel, 0)),
+    volatilite: arrondir(Math.sqrt(actifs.reduce((somme, a, i) => somme + Math.pow(poids[i] * a.volatilite, 2), 0)))
+  };
+};
+
+// Part du versement attribuée à chaque actif
+const repartirVersement = (montant, soldes, poids, repartition) => {
+  if (repartition !== 'ecarts') return poids.map(p => montant * p);
+
+  // Le versement comble d'abord l'écart de chaque actif à sa cible après versement
+  const totalApres = soldes.reduce((somme, s) => somme + s, 0) + montant;
+  const ecarts = poids.map((p, i) => Math.max(0, p * totalApres - soldes[i]));
+  const totalEcarts = ecarts.reduce((somme, e) => somme + e, 0);
+  return totalEcarts > 0 ? ecarts.map(e => montant * e / totalEcarts) : poids.map(p => montant * p);
+};
+
+/**
+ * Résultat d'une simulation de portefeuille.
+ *
+ * @typedef {import('./simulation-engine').ResultatSimulation & {
+ *   soldes: { id: number, nom: string, solde: number, part: number }[]
+ * }} ResultatPortefeuille
+ *   graphData : points de simulerEpargne complétés de actif<id> et actif<id>Reel ;
+ *   soldes : soldes finaux par actif, part en %.
+ */
+
+/**
+ * Projette le portefeuille avec les rendements espérés, capitalisés mensuellement comme
+ * simulerEpargne. Le capital initial suit les poids cibles, les retraits sont prélevés au
+ * prorata des soldes. Les gains sont imposés selon l'enveloppe du plan ; plafonds et
+ * frais ne sont pas appliqués.
+ *
+ * @param {Object} params - Paramètres de simulerEpargne (capital, versements, durée, inflation).
+ * @param {Actif[]} actifs
+ * @param {Object} options
+ * @param {'poids'|'ecarts'} [options.repartition] - Répartition des versements.
+ * @param {boolean} [options.reequilibrage] - Ramener les actifs à leurs poids cibles chaque année.
+ * @returns {ResultatPortefeuille}
+ */
+export const simulerPortefeuille = (params, actifs, { repartition = 'poids', reequilibrage = false } = {}) => {
+  const { sommeInitiale, nombreAnnees, enveloppe, tauxInflation = 0 } = params;
+  const poids = poidsNormalises(actifs);
+  const taux = actifs.map(a => a.tauxAnnuel / 100 / 12);
+  let soldes = poids.map(p => sommeInitiale * p);
+  let investi = sommeInitiale;
+  let investiReel = sommeInitiale;
+  let interets = 0;
+  let interetsCumules = 0;
+
+  const point = (mois) => {
+    const deflateur = Math.pow(1 + tauxInflation / 100, mois / 12);
+    const total = soldes.reduce((somme, s) => somme + s, 0);
+    const resultat = {
+      mois,
+      total: arrondir(total),
+      investi: arrondir(investi),
+      interets: arrondir(interets),
+      interetsCumules: arrondir(interetsCumules),
+      excedent: 0,
+      totalReel: arrondir(total / deflateur),
+      investiReel: arrondir(investiReel),
+      frais: 0
+    };
+    actifs.forEach((actif, i) => {
+      resultat[cleActif(actif.id)] = arrondir(soldes[i]);
+      resultat[`${cleActif(actif.id)}Reel`] = arrondir(soldes[i] / deflateur);
+    });
+    return resultat;
+  };
+
+  const graphData = [point(0)];
+  for (let mois = 1; mois <= nombreAnnees * 12; mois++) {
+    const { versement, retrait } = mouvementsDuMois(params, mois);
+    const parts = repartirVersement(versement, soldes, poids, repartition);
+    soldes = soldes.map((s, i) => s + parts[i]);
+
+    const total = soldes.reduce((somme, s) => somme + s, 0);
+    const retire = Math.min(retrait, total);
+    if (retire > 0) soldes = soldes.map(s => s - retire * s / total);
+    investi += versement - retire;
+    investiReel += (versement - retire) / Math.pow(1 + tauxInflation / 100, mois / 12);
+
+    interets = soldes.reduce((somme, s, i) => somme + s * taux[i], 0);
+    interetsCumules += interets;
+    soldes = soldes.map((s, i) => s * (1 + taux[i]));
+
+    if (reequilibrage && mois % 12 === 0) {
+      const totalAnnee = soldes.reduce((somme, s) => somme + s, 0);
+      soldes = poids.map(p => totalAnnee * p);
+    }
+    graphData.push(point(mois));
+  }
+
+  const dernier = graphData[graphData.length - 1];
+  const { impots, regime } = calculerFiscalite(enveloppe, dernier.total - dernier.investi, nombreAnnees);
+  return {
+    ...totaliserProjection(graphData, {
+      impots,
+      regimeFiscal: regime,
+      detailFrais: { entree: 0, gestion: 0, fixes: 0 }
+    }, tauxInflation),
+    soldes: actifs.map((actif, i) => ({
+      id: actif.id,
+      nom: actif.nom,
+      solde: arrondir(soldes[i]),
+      part: dernier.total > 0 ? arrondir(soldes[i] / dernier.total * 100) : 0
+    }))
+  };
+};
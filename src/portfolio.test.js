@@ -0,0 +1,61 @@
+import { simulerPortefeuille, caracteristiquesPortefeuille, cleActif } from './portfolio';
+import { simulerEpargne, remplacerProjection } from './simulation-engine';
+
+const PARAMS = { sommeInitiale: 1000, mensualite: 100, nombreAnnees: 5 };
+
+const actif = (id, tauxAnnuel, poids, volatilite = 0) => ({ id, nom: `Actif ${id}`, tauxAnnuel, volatilite, poids });
+
+describe('portefeuille multi-actifs', () => {
+  test('un seul actif reproduit la projection simple', () => {
+    const portefeuille = simulerPortefeuille(PARAMS, [actif(1, 4, 100)]);
+    const simple = simulerEpargne({ ...PARAMS, tauxAnnuel: 4 });
+
+    expect(portefeuille.montantTotal).toBeCloseTo(simple.montantTotal, 1);
+    expect(portefeuille.montantInvesti).toBe(simple.montantInvesti);
+  });
+
+  test('les soldes par actif s\'additionnent au total', () => {
+    const actifs = [actif(1, 1.7, 40), actif(2, 6, 40), actif(3, 2.5, 20)];
+    const { graphData, soldes, montantTotal } = simulerPortefeuille(PARAMS, actifs);
+    const point = graphData[30];
+
+    expect(actifs.reduce((somme, a) => somme + point[cleActif(a.id)], 0)).toBeCloseTo(point.total, 1);
+    expect(soldes.reduce((somme, s) => somme + s.part, 0)).toBeCloseTo(100, 1);
+    expect(soldes.reduce((somme, s) => somme + s.solde, 0)).toBeCloseTo(montantTotal, 1);
+  });
+
+  test("le total affiché est la somme des actifs, imposée selon l'enveloppe", () => {
+    const params = { ...PARAMS, tauxAnnuel: 3, enveloppe: 'cto', tauxInflation: 2 };
+    const actifs = [actif(1, 1.7, 40), actif(2, 6, 40), actif(3, 2.5, 20)];
+    const portefeuille = simulerPortefeuille(params, actifs);
+    const affiche = remplacerProjection(simulerEpargne(params), portefeuille);
+    const somme = (point) => actifs.reduce((total, a) => total + point[cleActif(a.id)], 0);
+
+    affiche.graphData.forEach(point => expect(point.total).toBeCloseTo(somme(point), 1));
+    expect(affiche.montantTotal).toBeCloseTo(somme(portefeuille.graphData[60]), 1);
+    expect(affiche.impots).toBeCloseTo(affiche.gains * 0.3, 2);
+    expect(affiche.montantNet).toBeCloseTo(affiche.montantTotal - affiche.impots, 2);
+  });
+
+  test('le rééquilibrage annuel ramène les poids à leur cible', () => {
+    const actifs = [actif(1, 0, 50), actif(2, 20, 50)];
+    const libre = simulerPortefeuille(PARAMS, actifs);
+    const reequilibre = simulerPortefeuille(PARAMS, actifs, { reequilibrage: true });
+
+    expect(libre.soldes[1].part).toBeGreaterThan(55);
+    expect(reequilibre.soldes[1].part).toBeCloseTo(50, 1);
+  });
+
+  test('les versements vers les actifs sous-pondérés corrigent la dérive', () => {
+    const actifs = [actif(1, 0, 50), actif(2, 20, 50)];
+    const parPoids = simulerPortefeuille(PARAMS, actifs);
+    const parEcarts = simulerPortefeuille(PARAMS, actifs, { repartition: 'ecarts' });
+
+    expect(Math.abs(parEcarts.soldes[1].part - 50)).toBeLessThan(Math.abs(parPoids.soldes[1].part - 50));
+    expect(parEcarts.montantInvesti).toBe(parPoids.montantInvesti);
+  });
+
+  test('ramène les poids à 100 % et combine les volatilités', () => {
+    expect(caracteristiquesPortefeuille([actif(1, 2, 30), actif(2, 6, 30, 20)])).toEqual({ tauxAnnuel: 4, volatilite: 10 });
+  });
+});
@@ -0,0 +1,244 @@
+// Export de la projection : échéancier en CSV et XLSX, rapport PDF. Tout est généré dans le navigateur.
+
+import { creerI18n } from './i18n';
+
+/**
+ * Colonnes de l'échéancier exporté, intitulées export.<champ> au catalogue.
+ * champ : clé du point de simulation ; euros : valeur monétaire.
+ */
+export const COLONNES_ECHEANCIER = [
+  { champ: 'mois', euros: false },
+  { champ: 'investi', euros: true },
+  { champ: 'interets', euros: true },
+  { champ: 'interetsCumules', euros: true },
+  { champ: 'total', euros: true }
+];
+
+// Excel attend le point-virgule là où la virgule est le séparateur décimal
+const SEPARATEURS_CSV = {
+  fr: { colonnes: ';', decimales: ',' },
+  en: { colonnes: ',', decimales: '.' }
+};
+
+const intitules = ({ t, symbole }) => COLONNES_ECHEANCIER.map(c => t(`export.${c.champ}`, { symbole }));
+
+/**
+ * Lignes de l'échéancier, sans la situation de départ (mois 0).
+ *
+ * @param {import('./simulation-engine').PointSimulation[]} graphData
+ * @returns {Object[]}
+ */
+export const lignesEcheancier = (graphData) =>
+  graphData
+    .filter(point => point.mois > 0)
+    .map(point => Object.fromEntries(COLONNES_ECHEANCIER.map(({ champ }) => [champ, point[champ]])));
+
+const celluleCsv = (valeur, { colonnes, decimales }) => {
+  const texte = typeof valeur === 'number' ? String(valeur).replace('.', decimales) : String(valeur);
+  return texte.includes(colonnes) || /["\n]/.test(texte) ? `"${texte.replace(/"/g, '""')}"` : texte;
+};
+
+/**
+ * Échéancier au format CSV, lisible directement par Excel dans la langue affichée.
+ *
+ * @param {import('./simulation-engine').PointSimulation[]} graphData
+ * @param {import('./i18n').I18n} [i18n]
+ * @returns {string}
+ */
+export const genererCsv = (graphData, i18n = creerI18n()) => {
+  const separateurs = SEPARATEURS_CSV[i18n.langue] || SEPARATEURS_CSV.fr;
+  const entete = intitules(i18n).map(intitule => celluleCsv(intitule, separateurs)).join(separateurs.colonnes);
+  const lignes = lignesEcheancier(graphData).map(ligne =>
+    COLONNES_ECHEANCIER.map(({ champ }) => celluleCsv(ligne[champ], separateurs)).join(separateurs.colonnes)
+  );
+  return [entete, ...lignes].join('\r\n');
+};
+
+// Texte lisible dans le PDF : les polices standard n'ont pas les espaces insécables fines
+export const textePdf = (texte) => texte.replace(/[\u00a0\u202f]/g, ' ');
+
+export const nomFichier = (extension, date = new Date()) =>
+  `simulation-epargne-${date.toISOString().slice(0, 10)}.${extension}`;
+
+const telecharger = (blob, nom) => {
+  const url = URL.createObjectURL(blob);
+  const lien = document.createElement('a');
+  lien.href = url;
+  lien.download = nom;
+  document.body.appendChild(lien);
+  lien.click();
+  lien.remove();
+  // Firefox et Safari annulent le téléchargement si l'URL est libérée dans la même tâche
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const exporterCsv = (graphData, i18n) => {
+  // BOM pour qu'Excel détecte l'UTF-8 (accents, symboles monétaires)
+  telecharger(new Blob(['\ufeff', genererCsv(graphData, i18n)], { type: 'text/csv;charset=utf-8' }), nomFichier('csv'));
+};
+
+// Bibliothèques chargées à la demande pour ne pas alourdir le premier affichage
+export const exporterXlsx = async (graphData, i18n = creerI18n()) => {
+  const { default: writeXlsxFile } = await import('write-excel-file');
+  const entete = intitules(i18n).map(intitule => ({ value: intitule, fontWeight: 'bold' }));
+  const lignes = lignesEcheancier(graphData).map(ligne =>
+    COLONNES_ECHEANCIER.map(({ champ, euros }) => ({
+      type: Number,
+      value: ligne[champ],
+      ...(euros && { format: '#,##0.00' })
+    }))
+  );
+
+  await writeXlsxFile([entete, ...lignes], {
+    columns: COLONNES_ECHEANCIER.map(() => ({ width: 22 })),
+    sheet: i18n.t('export.feuille'),
+    stickyRowsCount: 1,
+    fileName: nomFichier('xlsx')
+  });
+};
+
+/**
+ * Rend le SVG du graphique en PNG, sur fond uni pour rester lisible une fois imprimé.
+ *
+ * @param {SVGSVGElement} svg
+ * @param {string} fond - Couleur de fond.
+ * @returns {Promise<{ donnees: string, largeur: number, hauteur: number }>}
+ */
+export const svgEnImage = (svg, fond, message = "Le graphique n'a pas pu être converti en image") => new Promise((resolve, reject) => {
+  const { width: largeur, height: hauteur } = svg.getBoundingClientRect();
+  const source = new XMLSerializer().serializeToString(svg);
+  const image = new Image();
+  image.onload = () => {
+    const echelle = 2;
+    const canvas = document.createElement('canvas');
+    canvas.width = largeur * echelle;
+    canvas.height = hauteur * echelle;
+    const contexte = canvas.getContext('2d');
+    contexte.fillStyle = fond;
+    contexte.fillRect(0, 0, canvas.width, canvas.height);
+    contexte.drawImage(image, 0, 0, canvas.width, canvas.height);
+    resolve({ donnees: canvas.toDataURL('image/png'), largeur, hauteur });
+  };
+  image.onerror = () => reject(new Error(message));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(source)}`;
+});
+
+/**
+ * Paramètres repris en tête du rapport.
+ *
+ * @param {Object} inputs
+ * @param {import('./i18n').I18n} [i18n]
+ * @returns {[string, string][]}
+ */
+export const parametresRapport = (inputs, { t, formaterMontant } = creerI18n()) => [
+  [t('export.capitalInitial'), formaterMontant(inputs.sommeInitiale)],
+  [t('export.versementMensuel'), formaterMontant(inputs.mensualite)],
+  [t('export.tauxAnnuel'), t('export.pourcentage', { taux: inputs.tauxAnnuel })],
+  [t('export.duree'), t('duree.annees', { annees: inputs.nombreAnnees })],
+  [t('export.enveloppe'), t(`enveloppes.${inputs.enveloppe}`)],
+  [t('export.revenuNet'), formaterMontant(inputs.revenuNet)],
+  [t('export.chargesFixes'), formaterMontant(inputs.loyer + inputs.credits + inputs.autresCharges)],
+  [t('export.inflation'), t('export.pourcentage', { taux: inputs.tauxInflation })],
+  [t('export.indexation'), t('export.pourcentage', { taux: inputs.indexationAnnuelle })],
+  [t('export.fraisEntree'), t('export.pourcentage', { taux: inputs.fraisEntree })],
+  [t('export.fraisGestion'), t('export.pourcentage', { taux: inputs.fraisGestion })]
+].map(([libelle, valeur]) => [libelle, textePdf(valeur)]);
+
+/**
+ * Génère et télécharge le rapport PDF : paramètres, recommandation, résultats et graphique.
+ *
+ * @param {Object} rapport
+ * @param {Object} rapport.inputs
+ * @param {Object} rapport.results - Résultats de calculateInvestment ; leurs paramètres, où figure
+ *   la valeur résolue en mode objectif, priment sur les saisies.
+ * @param {?SVGSVGElement} rapport.graphique - SVG du graphique affiché, omis s'il est absent.
+ * @param {string} [rapport.fondGraphique] - Fond du graphique, pour garder le contraste du thème affiché.
+ * @param {import('./i18n').I18n} [rapport.i18n] - Langue et devise du rapport.
+ */
+export const exporterPdf = async ({ inputs, results, graphique, fondGraphique = '#ffffff', i18n = creerI18n() }) => {
+  const { jsPDF } = await import('jspdf');
+  const { t, formaterMontant, formaterDate } = i18n;
+  const parametres = results.parametres ?? inputs;
+  const montant = (valeur) => textePdf(formaterMontant(valeur));
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const marge = 15;
+  const largeurUtile = doc.internal.pageSize.getWidth() - 2 * marge;
+  let y = marge + 5;
+
+  const titre = (texte) => {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.text(texte, marge, y);
+    y += 7;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+  };
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text(t('export.titre'), marge, y);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.text(textePdf(t('export.date', { date: formaterDate(new Date()) })), marge + largeurUtile, y, { align: 'right' });
+  y += 12;
+
+  titre(t('export.parametres'));
+  parametresRapport(parametres, i18n).forEach(([libelle, valeur], index) => {
+    const colonne = index % 2;
+    doc.text(`${libelle} : ${valeur}`, marge + colonne * (largeurUtile / 2), y);
+    if (colonne === 1) y += 6;
+  });
+  y += 8;
+
+  titre(t('export.recommandation'));
+  const recommandation = doc.splitTextToSize(
+    [
+      t('export.epargneRecommandee', {
+        montant: results.recommandation.montantRecommande,
+        pourcentage: results.recommandation.pourcentageRevenu
+      }),
+      ...results.recommandation.explication.map(etape => t(etape))
+    ].map(textePdf).join('\n'),
+    largeurUtile
+  );
+  doc.text(recommandation, marge, y);
+  y += recommandation.length * 5 + 6;
+
+  titre(t('export.resultats'));
+  const cartes = [
+    [t('resultats.montantInvesti'), montant(results.montantInvesti), t('resultats.dontCapitalInitial', { montant: parametres.sommeInitiale })],
+    [t('resultats.gains'), montant(results.gains), t('resultats.gainsNets', { montant: results.gainsNets })],
+    [t('resultats.montantFinal'), montant(results.montantTotal), t('resultats.montantNet', { montant: results.montantNet })]
+  ];
+  const largeurCarte = (largeurUtile - 8) / 3;
+  cartes.forEach(([libelle, montant, detail], index) => {
+    const x = marge + index * (largeurCarte + 4);
+    doc.setDrawColor(200);
+    doc.roundedRect(x, y - 5, largeurCarte, 24, 2, 2);
+    doc.setFontSize(9);
+    doc.text(libelle, x + 3, y);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.text(montant, x + 3, y + 8);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.text(doc.splitTextToSize(textePdf(detail), largeurCarte - 6), x + 3, y + 14);
+  });
+  y += 26;
+  doc.text(textePdf(t(results.regimeFiscal)), marge, y);
+  doc.setFontSize(10);
+  y += 10;
+
+  if (graphique) {
+    titre(t('export.graphique'));
+    const image = await svgEnImage(graphique, fondGraphique, t('export.imageImpossible'));
+    const hauteurImage = (image.hauteur / image.largeur) * largeurUtile;
+    if (y + hauteurImage > doc.internal.pageSize.getHeight() - marge) {
+      doc.addPage();
+      y = marge;
+    }
+    doc.addImage(image.donnees, 'PNG', marge, y, largeurUtile, hauteurImage);
+  }
+
+  doc.save(nomFichier('pdf'));
+};
@@ -0,0 +1,98 @@
+import { genererCsv, lignesEcheancier, parametresRapport, nomFichier, exporterPdf, COLONNES_ECHEANCIER } from './projection-export';
+import { simulerEpargne } from './simulation-engine';
+import { simulerAvecObjectif } from './goal-solver';
+import { creerI18n } from './i18n';
+
+// Document factice : on relève seulement les textes écrits
+const textesPdf = [];
+jest.mock('jspdf', () => ({
+  jsPDF: class {
+    constructor() {
+      this.internal = { pageSize: { getWidth: () => 210, getHeight: () => 297 } };
+      ['setFont', 'setFontSize', 'setDrawColor', 'roundedRect', 'addPage', 'addImage', 'save']
+        .forEach(methode => { this[methode] = () => {}; });
+    }
+
+    text(texte) {
+      textesPdf.push(...[].concat(texte));
+    }
+
+    splitTextToSize(texte) {
+      return texte.split('\n');
+    }
+  }
+}));
+
+describe('export de la projection', () => {
+  const { graphData } = simulerEpargne({ sommeInitiale: 1000, mensualite: 100, tauxAnnuel: 3, nombreAnnees: 2 });
+
+  test("reprend l'échéancier complet, mois par mois", () => {
+    const lignes = lignesEcheancier(graphData);
+
+    expect(lignes).toHaveLength(24);
+    expect(Object.keys(lignes[0])).toEqual(COLONNES_ECHEANCIER.map(c => c.champ));
+    expect(lignes[23]).toEqual({
+      mois: 24,
+      investi: graphData[24].investi,
+      interets: graphData[24].interets,
+      interetsCumules: graphData[24].interetsCumules,
+      total: graphData[24].total
+    });
+  });
+
+  const points = [
+    { mois: 0, total: 0, investi: 0, interets: 0, interetsCumules: 0 },
+    { mois: 1, total: 100.25, investi: 100, interets: 0.25, interetsCumules: 0.25 }
+  ];
+
+  test('écrit un CSV au format français', () => {
+    expect(genererCsv(points).split('\r\n')).toEqual([
+      'Mois;Versements cumulés (€);Intérêts du mois (€);Intérêts cumulés (€);Solde (€)',
+      '1;100;0,25;0,25;100,25'
+    ]);
+  });
+
+  test('suit la langue et la devise affichées', () => {
+    expect(genererCsv(points, creerI18n('en', 'GBP')).split('\r\n')).toEqual([
+      'Month,Cumulative contributions (£),Interest for the month (£),Cumulative interest (£),Balance (£)',
+      '1,100,0.25,0.25,100.25'
+    ]);
+  });
+
+  test('formate les montants pour les polices standard du PDF', () => {
+    const inputs = {
+      sommeInitiale: 12345.5, mensualite: 100, tauxAnnuel: 3, nombreAnnees: 1, enveloppe: 'pea',
+      revenuNet: 2500, loyer: 800, credits: 0, autresCharges: 200,
+      tauxInflation: 2, indexationAnnuelle: 0, fraisEntree: 0, fraisGestion: 0
+    };
+
+    expect(parametresRapport(inputs).slice(0, 5)).toEqual([
+      ['Capital initial', '12 345,50 €'],
+      ['Versement mensuel', '100 €'],
+      ['Taux annuel', '3 %'],
+      ['Durée', '1 an'],
+      ['Enveloppe', 'PEA']
+    ]);
+    expect(nomFichier('pdf', new Date('2025-03-01T12:00:00Z'))).toBe('simulation-epargne-2025-03-01.pdf');
+  });
+
+  test('le rapport PDF reprend la valeur résolue en mode objectif', async () => {
+    const inputs = {
+      sommeInitiale: 0, mensualite: 100, tauxAnnuel: 0, nombreAnnees: 2, enveloppe: 'libre',
+      revenuNet: 2500, loyer: 800, credits: 0, autresCharges: 200, tailleFoyer: 1,
+      tauxInflation: 0, indexationAnnuelle: 0, fraisEntree: 0, fraisGestion: 0,
+      modeObjectif: true, montantCible: 4800, inconnue: 'mensualite'
+    };
+    const results = {
+      ...simulerAvecObjectif(inputs),
+      recommandation: { montantRecommande: 0, pourcentageRevenu: 0, explication: [] }
+    };
+    textesPdf.length = 0;
+
+    await exporterPdf({ inputs, results, graphique: null });
+
+    expect(results.parametres.mensualite).toBe(200);
+    expect(textesPdf).toContain('Versement mensuel : 200 €');
+    expect(textesPdf).not.toContain('Versement mensuel : 100 €');
+  });
+});
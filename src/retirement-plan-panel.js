@@ -0,0 +1,146 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  FormControl,
+  Grid,
+  InputAdornment,
+  InputLabel,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Check } from '@mui/icons-material';
+import { TAUX_MARGINAUX } from './retirement-plan';
+
+// Lignes du bilan, intitulées per.<id> au catalogue
+const LIGNES = ['effortNet', 'impotsSortie', 'montantNet', 'enrichissement'];
+
+// Foyer fiscal, économie d'impôt du PER et comparaison avec un compte-titres
+const RetirementPlanPanel = ({ inputs, errors, onChange, verrouille, onEstimer, per, colors, i18n: { t, symbole, formaterMontant } }) => (
+  <Grid container spacing={3} alignItems="center">
+    <Grid item xs={12}>
+      <Typography variant="h6">{t('per.titre')}</Typography>
+    </Grid>
+
+    <Grid item xs={12} md={4}>
+      <TextField
+        fullWidth
+        label={t('per.revenuImposable', { symbole })}
+        type="number"
+        value={inputs.revenuImposable}
+        onChange={(e) => onChange('revenuImposable', parseFloat(e.target.value))}
+        disabled={verrouille('revenuImposable')}
+        error={!!errors.revenuImposable}
+        helperText={errors.revenuImposable}
+        InputProps={{
+          startAdornment: <InputAdornment position="start">{symbole}</InputAdornment>,
+          inputProps: { min: 0 }
+        }}
+      />
+    </Grid>
+    <Grid item xs={12} sm={6} md={2}>
+      <TextField
+        fullWidth
+        label={t('per.partsFiscales')}
+        type="number"
+        value={inputs.partsFiscales}
+        onChange={(e) => onChange('partsFiscales', parseFloat(e.target.value))}
+        disabled={verrouille('partsFiscales')}
+        error={!!errors.partsFiscales}
+        helperText={errors.partsFiscales}
+        inputProps={{ min: 1, max: 10, step: "0.5" }}
+      />
+    </Grid>
+    <Grid item xs={12} sm={6} md={3}>
+      <FormControl fullWidth disabled={verrouille('tauxMarginalRetraite')}>
+        <InputLabel>{t('per.tauxMarginalRetraite')}</InputLabel>
+        <Select
+          value={inputs.tauxMarginalRetraite}
+          label={t('per.tauxMarginalRetraite')}
+          onChange={(e) => onChange('tauxMarginalRetraite', e.target.value)}
+        >
+          {TAUX_MARGINAUX.map(taux => (
+            <MenuItem key={taux} value={taux}>{t('per.tranche', { taux })}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+    </Grid>
+    <Grid item xs={12} md={3}>
+      <Button variant="outlined" startIcon={<Check />} onClick={onEstimer} disabled={verrouille('revenuImposable')}>
+        {t('per.estimer')}
+      </Button>
+    </Grid>
+
+    {per && (
+      <>
+        <Grid item xs={12}>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+            <Box>
+              <Typography variant="subtitle2" color="textSecondary">{t('per.tauxMarginal')}</Typography>
+              <Typography variant="h6">{t('per.tranche', { taux: per.tauxMarginal })}</Typography>
+            </Box>
+            <Box>
+              <Typography variant="subtitle2" color="textSecondary">{t('per.plafond')}</Typography>
+              <Typography variant="h6">{formaterMontant(per.plafond)}</Typography>
+            </Box>
+            <Box>
+              <Typography variant="subtitle2" color="textSecondary">{t('per.economieAnnuelle')}</Typography>
+              <Typography variant="h6" sx={{ color: colors.success }}>
+                {formaterMontant(per.annees[0]?.economie ?? 0)}
+              </Typography>
+            </Box>
+            <Box>
+              <Typography variant="subtitle2" color="textSecondary">
+                {t('per.economieTotale', { annees: per.annees.length })}
+              </Typography>
+              <Typography variant="h6" sx={{ color: colors.success }}>
+                {formaterMontant(per.economieImpot)}
+              </Typography>
+            </Box>
+          </Box>
+          {per.nonDeduits > 0 && (
+            <Typography variant="body2" sx={{ color: colors.error }}>
+              {t('per.depassement', { montant: per.nonDeduits })}
+            </Typography>
+          )}
+        </Grid>
+
+        <Grid item xs={12}>
+          <Table size="small" aria-label={t('per.comparaison')}>
+            <TableHead>
+              <TableRow>
+                <TableCell>{t('per.comparaison')}</TableCell>
+                <TableCell align="right">{t('per.per')}</TableCell>
+                <TableCell align="right">{t('per.compteTitres')}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {LIGNES.map(ligne => (
+                <TableRow key={ligne}>
+                  <TableCell>{t(`per.${ligne}`)}</TableCell>
+                  <TableCell align="right">{formaterMontant(per.per[ligne])}</TableCell>
+                  <TableCell align="right">{formaterMontant(per.compteTitres[ligne])}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          <Typography variant="body2" sx={{ mt: 1, color: per.avantage >= 0 ? colors.success : colors.error }}>
+            {t(per.avantage >= 0 ? 'per.avantage' : 'per.desavantage', { montant: Math.abs(per.avantage) })}
+          </Typography>
+          <Typography variant="caption" color="textSecondary">
+            {t('per.hypotheses')}
+          </Typography>
+        </Grid>
+      </>
+    )}
+  </Grid>
+);
+
+export default RetirementPlanPanel;
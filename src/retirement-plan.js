@@ -0,0 +1,168 @@
+// Plan d'épargne retraite : déduction des versements du revenu imposable et fiscalité à la sortie
+
+import { TAUX_PFU } from './enveloppes';
+import { arrondir } from './simulation-engine';
+
+/**
+ * Barème de l'impôt sur le revenu 2025 (revenus 2024), par part de quotient familial.
+ * Chaque tranche s'applique jusqu'à son plafond (€).
+ */
+export const BAREME_IMPOT = [
+  { plafond: 11497, taux: 0 },
+  { plafond: 29315, taux: 11 },
+  { plafond: 83823, taux: 30 },
+  { plafond: 180294, taux: 41 },
+  { plafond: Infinity, taux: 45 }
+];
+
+export const TAUX_MARGINAUX = BAREME_IMPOT.map(tranche => tranche.taux);
+
+// Plafond annuel de la sécurité sociale 2025, base du plafond de déduction
+export const PASS = 47100;
+
+/**
+ * Impôt sur le revenu du foyer, par le quotient familial. Le plafonnement des effets
+ * du quotient, la décote et les crédits d'impôt ne sont pas pris en compte.
+ *
+ * @param {number} revenuImposable - Revenu net imposable annuel du foyer (€).
+ * @param {number} [partsFiscales]
+ * @returns {number}
+ */
+export const impotSurLeRevenu = (revenuImposable, partsFiscales = 1) => {
+  const quotient = Math.max(0, revenuImposable) / partsFiscales;
+  let impot = 0;
+  let plancher = 0;
+
+  for (const { plafond, taux } of BAREME_IMPOT) {
+    if (quotient <= plancher) break;
+    impot += (Math.min(quotient, plafond) - plancher) * taux / 100;
+    plancher = plafond;
+  }
+
+  return arrondir(impot * partsFiscales);
+};
+
+/**
+ * Taux de la tranche où tombe le dernier euro du quotient familial.
+ *
+ * @param {number} revenuImposable
+ * @param {number} [partsFiscales]
+ * @returns {number} Taux en pourcentage.
+ */
+export const tauxMarginal = (revenuImposable, partsFiscales = 1) => {
+  const quotient = Math.max(0, revenuImposable) / partsFiscales;
+  return BAREME_IMPOT.find(tranche => quotient <= tranche.plafond).taux;
+};
+
+/**
+ * Plafond de déduction épargne retraite : 10 % des revenus professionnels, au moins
+ * 10 % du PASS et au plus 10 % de 8 PASS. Calculé sur le revenu du foyer, sans report
+ * des plafonds non utilisés ni mutualisation entre conjoints.
+ *
+ * @param {number} revenuImposable
+ * @returns {number}
+ */
+export const plafondDeduction = (revenuImposable) =>
+  arrondir(Math.min(8 * PASS, Math.max(PASS, revenuImposable)) * 0.1);
+
+// Abattement forfaitaire de 10 % pour frais professionnels sur les salaires
+export const ABATTEMENT_FRAIS_PROFESSIONNELS = 0.1;
+
+/**
+ * Revenu net imposable approché à partir du revenu net mensuel saisi dans le budget.
+ *
+ * @param {number} revenuNet - Revenu net mensuel du foyer (€).
+ * @returns {number}
+ */
+export const estimerRevenuImposable = (revenuNet) =>
+  Math.round(Math.max(0, revenuNet) * 12 * (1 - ABATTEMENT_FRAIS_PROFESSIONNELS));
+
+/**
+ * Bilan du PER face au même plan sur un compte-titres ordinaire.
+ *
+ * @typedef {Object} ComparaisonPer
+ * @property {number} tauxMarginal - Tranche marginale pendant l'épargne (%).
+ * @property {number} plafond - Plafond annuel de déduction (€).
+ * @property {{ annee: number, versements: number, deduction: number, economie: number }[]} annees
+ *   Versements, part déduite et impôt économisé année par année (€).
+ * @property {number} economieImpot - Total de l'impôt économisé pendant l'épargne (€).
+ * @property {number} versementsDeduits - Versements déduits, imposés au barème à la sortie (€).
+ * @property {number} nonDeduits - Versements au-delà du plafond, non déductibles (€).
+ * @property {{ effortNet: number, impotsSortie: number, montantNet: number, enrichissement: number }} per
+ * @property {{ effortNet: number, impotsSortie: number, montantNet: number, enrichissement: number }} compteTitres
+ *   Effort d'épargne après économie d'impôt, impôts dus à la sortie en capital, capital net
+ *   et enrichissement (capital net moins effort) de chaque placement (€).
+ * @property {number} avantage - Enrichissement du PER moins celui du compte-titres (€).
+ */
+
+/**
+ * Le revenu imposable est supposé constant pendant l'épargne. À la sortie en capital,
+ * les versements déduits sont imposés au taux marginal de la retraite, sans prélèvements
+ * sociaux, et les gains à la flat tax comme sur un compte-titres.
+ *
+ * @param {import('./simulation-engine').ResultatSimulation} simulation - Projection du plan.
+ * @param {Object} foyer
+ * @param {number} foyer.revenuImposable - Revenu net imposable annuel (€).
+ * @param {number} foyer.partsFiscales
+ * @param {number} foyer.tauxMarginalRetraite - Tranche marginale attendue à la retraite (%).
+ * @returns {ComparaisonPer}
+ */
+export const comparerPer = ({ graphData, montantTotal, montantInvesti }, { revenuImposable, partsFiscales, tauxMarginalRetraite }) => {
+  const plafond = plafondDeduction(revenuImposable);
+  const impotSansDeduction = impotSurLeRevenu(revenuImposable, partsFiscales);
+
+  // Le capital initial compte dans les versements de la première année
+  const annees = [];
+  for (let mois = 12; mois < graphData.length; mois += 12) {
+    const versements = Math.max(0, graphData[mois].investi - (mois > 12 ? graphData[mois - 12].investi : 0));
+    const deduction = Math.min(versements, plafond);
+    annees.push({
+      annee: mois / 12,
+      versements: arrondir(versements),
+      deduction: arrondir(deduction),
+      economie: arrondir(impotSansDeduction - impotSurLeRevenu(revenuImposable - deduction, partsFiscales))
+    });
+  }
+
+  const economieImpot = arrondir(annees.reduce((total, a) => total + a.economie, 0));
+  const versementsDeduits = arrondir(annees.reduce((total, a) => total + a.deduction, 0));
+  const nonDeduits = arrondir(annees.reduce((total, a) => total + a.versements, 0) - versementsDeduits);
+  const impotGains = Math.max(0, montantTotal - montantInvesti) * TAUX_PFU;
+
+  const bilan = (effortNet, impotsSortie) => ({
+    effortNet: arrondir(effortNet),
+    impotsSortie: arrondir(impotsSortie),
+    montantNet: arrondir(montantTotal - impotsSortie),
+    enrichissement: arrondir(montantTotal - impotsSortie - effortNet)
+  });
+
+  const per = bilan(montantInvesti - economieImpot, impotGains + versementsDeduits * tauxMarginalRetraite / 100);
+  const compteTitres = bilan(montantInvesti, impotGains);
+
+  return {
+    tauxMarginal: tauxMarginal(revenuImposable, partsFiscales),
+    plafond,
+    annees,
+    economieImpot,
+    versementsDeduits,
+    nonDeduits,
+    per,
+    compteTitres,
+    avantage: arrondir(per.enrichissement - compteTitres.enrichissement)
+  };
+};
+
+/**
+ * Résultats nets d'un PER : à la sortie, les versements déduits sont imposés en plus des
+ * gains. Ils remplacent ceux de la projection, qui ne taxe que les gains.
+ *
+ * @param {import('./simulation-engine').ResultatSimulation} simulation
+ * @param {ComparaisonPer} comparaison
+ * @returns {{ impots: number, gainsNets: number, montantNet: number, montantNetReel: number }}
+ */
+export const resultatsNetsPer = ({ montantInvesti, montantTotal, montantTotalReel }, { per }) => ({
+  impots: per.impotsSortie,
+  gainsNets: arrondir(per.montantNet - montantInvesti),
+  montantNet: per.montantNet,
+  montantNetReel: montantTotal > 0 ? arrondir(per.montantNet * montantTotalReel / montantTotal) : per.montantNet
+});
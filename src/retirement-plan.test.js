@@ -0,0 +1,78 @@
+import {
+  impotSurLeRevenu,
+  tauxMarginal,
+  plafondDeduction,
+  estimerRevenuImposable,
+  comparerPer,
+  resultatsNetsPer,
+  PASS
+} from './retirement-plan';
+import { simulerEpargne } from './simulation-engine';
+
+const FOYER = { revenuImposable: 30000, partsFiscales: 1, tauxMarginalRetraite: 11 };
+
+describe('impôt sur le revenu', () => {
+  test('applique le barème par tranches', () => {
+    // 11 % de 11 497 à 29 315 €, puis 30 % au-delà
+    expect(impotSurLeRevenu(30000)).toBeCloseTo(17818 * 0.11 + 685 * 0.3, 2);
+    expect(impotSurLeRevenu(10000)).toBe(0);
+  });
+
+  test('divise le revenu par le nombre de parts', () => {
+    expect(impotSurLeRevenu(60000, 2)).toBeCloseTo(2 * impotSurLeRevenu(30000), 2);
+    expect(tauxMarginal(30000, 1)).toBe(30);
+    expect(tauxMarginal(30000, 2)).toBe(11);
+  });
+
+  test('borne le plafond de déduction entre 10 % du PASS et 10 % de 8 PASS', () => {
+    expect(plafondDeduction(20000)).toBe(PASS * 0.1);
+    expect(plafondDeduction(100000)).toBe(10000);
+    expect(plafondDeduction(1000000)).toBe(PASS * 0.8);
+  });
+
+  test('estime le revenu imposable depuis le revenu net mensuel', () => {
+    expect(estimerRevenuImposable(2500)).toBe(27000);
+  });
+});
+
+describe('comparerPer', () => {
+  const simulation = simulerEpargne({ sommeInitiale: 0, mensualite: 500, tauxAnnuel: 0, nombreAnnees: 2 });
+
+  test("déduit les versements dans la limite du plafond et calcule l'impôt économisé", () => {
+    const per = comparerPer(simulation, FOYER);
+
+    expect(per.annees).toHaveLength(2);
+    expect(per.annees[0]).toMatchObject({ annee: 1, versements: 6000, deduction: 4710 });
+    // 30 % sur les 685 € de la tranche haute, 11 % sur le reste de la déduction
+    expect(per.annees[0].economie).toBeCloseTo(685 * 0.3 + 4025 * 0.11, 2);
+    expect(per.versementsDeduits).toBe(9420);
+    expect(per.nonDeduits).toBe(2580);
+  });
+
+  test('impose les versements déduits à la sortie et compare au compte-titres', () => {
+    const per = comparerPer(simulation, FOYER);
+
+    expect(per.per.impotsSortie).toBeCloseTo(9420 * 0.11, 2);
+    expect(per.per.effortNet).toBeCloseTo(12000 - per.economieImpot, 2);
+    expect(per.compteTitres).toMatchObject({ effortNet: 12000, impotsSortie: 0, enrichissement: 0 });
+    expect(per.avantage).toBeCloseTo(per.economieImpot - 9420 * 0.11, 2);
+  });
+
+  test("n'apporte rien quand la tranche marginale est la même à la retraite et sans rendement", () => {
+    const per = comparerPer(simulation, { revenuImposable: 20000, partsFiscales: 1, tauxMarginalRetraite: 11 });
+
+    expect(per.avantage).toBeCloseTo(0, 2);
+  });
+
+  test("le net du PER retient aussi l'impôt de sortie sur les versements déduits", () => {
+    const plan = simulerEpargne({ sommeInitiale: 0, mensualite: 500, tauxAnnuel: 4, nombreAnnees: 2, enveloppe: 'per', tauxInflation: 2 });
+    const per = comparerPer(plan, FOYER);
+    const nets = resultatsNetsPer(plan, per);
+
+    expect(nets.montantNet).toBe(per.per.montantNet);
+    expect(nets.montantNet).toBeLessThan(plan.montantNet);
+    expect(nets.impots).toBeCloseTo(plan.impots + per.versementsDeduits * 0.11, 1);
+    expect(nets.gainsNets).toBeCloseTo(nets.montantNet - plan.montantInvesti, 2);
+    expect(nets.montantNetReel).toBeCloseTo(nets.montantNet * plan.montantTotalReel / plan.montantTotal, 2);
+  });
+});
@@ -0,0 +1,61 @@
+import React from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+  Box
+} from '@mui/material';
+
+// Indicateurs comparés, intitulés resultats.<id> au catalogue
+const COLONNES = ['montantInvesti', 'gains', 'montantTotal'];
+
+// Tableau comparatif des scénarios, écarts exprimés par rapport au scénario actif
+const ScenarioComparison = ({ lignes, couleurs, colors, i18n: { t, formaterMontant } }) => (
+  <TableContainer>
+    <Table size="small" aria-label={t('scenarios.comparaison')}>
+      <TableHead>
+        <TableRow>
+          <TableCell>{t('scenarios.scenario')}</TableCell>
+          {COLONNES.map(colonne => (
+            <TableCell key={colonne} align="right">{t(`resultats.${colonne}`)}</TableCell>
+          ))}
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {lignes.map(ligne => (
+          <TableRow key={ligne.id} selected={ligne.estReference}>
+            <TableCell>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Box sx={{ width: 12, height: 12, borderRadius: '50%', backgroundColor: couleurs[ligne.id] }} />
+                {ligne.nom}
+              </Box>
+            </TableCell>
+            {COLONNES.map(colonne => {
+              const ecart = ligne[`ecart_${colonne}`];
+              return (
+                <TableCell key={colonne} align="right">
+                  {formaterMontant(ligne[colonne])}
+                  {!ligne.estReference && (
+                    <Typography
+                      variant="caption"
+                      component="div"
+                      sx={{ color: ecart >= 0 ? colors.success : colors.error }}
+                    >
+                      {`${ecart > 0 ? '+' : ''}${formaterMontant(ecart)}`}
+                    </Typography>
+                  )}
+                </TableCell>
+              );
+            })}
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  </TableContainer>
+);
+
+export default ScenarioComparison;
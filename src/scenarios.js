@@ -0,0 +1,84 @@
+// Gestion des scénarios comparés : création, duplication et fusion des courbes
+
+// Couleurs attribuées aux scénarios superposés sur le graphique
+export const COULEURS_SCENARIOS = ['#F59E0B', '#A78BFA', '#F472B6', '#2DD4BF', '#FB923C', '#FACC15'];
+
+/**
+ * @typedef {Object} Scenario
+ * @property {number} id
+ * @property {string} nom
+ * @property {Object} inputs - Saisies du formulaire propres au scénario.
+ */
+
+const prochainId = (scenarios) => Math.max(0, ...scenarios.map(s => s.id)) + 1;
+
+export const couleurScenario = (scenarios, id) =>
+  COULEURS_SCENARIOS[scenarios.findIndex(s => s.id === id) % COULEURS_SCENARIOS.length];
+
+/**
+ * @param {Scenario[]} scenarios - Scénarios existants, pour numéroter le nouveau.
+ * @param {Object} inputs - Saisies de départ.
+ * @param {(id: number) => string} [nommer] - Nom du scénario dans la langue affichée.
+ * @returns {Scenario}
+ */
+export const creerScenario = (scenarios, inputs, nommer = (id) => `Scénario ${id}`) => {
+  const id = prochainId(scenarios);
+  return { id, nom: nommer(id), inputs: { ...inputs } };
+};
+
+export const dupliquerScenario = (scenarios, source, nommer = (nom) => `${nom} (copie)`) => ({
+  id: prochainId(scenarios),
+  nom: nommer(source.nom),
+  inputs: { ...source.inputs }
+});
+
+// Clé d'une courbe de scénario dans les points fusionnés du graphique
+export const cleCourbe = (id, cle) => `scenario${id}_${cle}`;
+
+/**
+ * Ajoute aux points du scénario actif les soldes des autres scénarios, mois par mois.
+ * Les durées pouvant différer, la série résultante couvre la plus longue.
+ *
+ * @param {import('./simulation-engine').PointSimulation[]} graphData - Points du scénario actif.
+ * @param {{ id: number, graphData: Object[] }[]} autres - Simulations des autres scénarios.
+ * @param {string[]} cles - Champs à reprendre de chaque point (total, totalReel…).
+ * @returns {Object[]}
+ */
+export const fusionnerCourbes = (graphData, autres, cles) => {
+  const longueur = Math.max(graphData.length, ...autres.map(a => a.graphData.length));
+  return Array.from({ length: longueur }, (_, mois) => {
+    const point = { ...(graphData[mois] || { mois }) };
+    autres.forEach(({ id, graphData: points }) => {
+      if (points[mois]) {
+        cles.forEach(cle => {
+          point[cleCourbe(id, cle)] = points[mois][cle];
+        });
+      }
+    });
+    return point;
+  });
+};
+
+// Indicateurs comparés et champ du résultat qui les porte
+export const INDICATEURS_NOMINAUX = { montantInvesti: 'montantInvesti', gains: 'gains', montantTotal: 'montantTotal' };
+export const INDICATEURS_REELS = { montantInvesti: 'montantInvestiReel', gains: 'gainsReels', montantTotal: 'montantTotalReel' };
+
+/**
+ * Lignes du tableau comparatif, avec l'écart de chaque indicateur par rapport à la référence.
+ *
+ * @param {{ id: number, nom: string, resultat: Object }[]} simulations
+ * @param {number} referenceId - Scénario servant de base aux écarts.
+ * @param {Object<string, string>} [indicateurs] - INDICATEURS_NOMINAUX ou INDICATEURS_REELS.
+ * @returns {Object[]}
+ */
+export const comparerScenarios = (simulations, referenceId, indicateurs = INDICATEURS_NOMINAUX) => {
+  const reference = simulations.find(s => s.id === referenceId) || simulations[0];
+  return simulations.map(({ id, nom, resultat }) => {
+    const ligne = { id, nom, estReference: id === reference.id };
+    Object.entries(indicateurs).forEach(([indicateur, champ]) => {
+      ligne[indicateur] = resultat[champ];
+      ligne[`ecart_${indicateur}`] = parseFloat((resultat[champ] - reference.resultat[champ]).toFixed(2));
+    });
+    return ligne;
+  });
+};
@@ -0,0 +1,32 @@
+import { creerScenario, dupliquerScenario, fusionnerCourbes, comparerScenarios, cleCourbe } from './scenarios';
+
+describe('scénarios', () => {
+  test('numérote les nouveaux scénarios et copie les saisies', () => {
+    const existants = [{ id: 1, nom: 'Scénario 1', inputs: { mensualite: 120 } }];
+    const copie = dupliquerScenario(existants, existants[0]);
+
+    expect(creerScenario(existants, { mensualite: 50 })).toEqual({ id: 2, nom: 'Scénario 2', inputs: { mensualite: 50 } });
+    expect(copie).toMatchObject({ id: 2, nom: 'Scénario 1 (copie)', inputs: { mensualite: 120 } });
+    expect(copie.inputs).not.toBe(existants[0].inputs);
+  });
+
+  test('fusionne des courbes de durées différentes', () => {
+    const actif = [{ mois: 0, total: 0 }, { mois: 1, total: 100 }];
+    const autre = { id: 2, graphData: [{ mois: 0, total: 0 }, { mois: 1, total: 200 }, { mois: 2, total: 400 }] };
+    const points = fusionnerCourbes(actif, [autre], ['total']);
+
+    expect(points).toHaveLength(3);
+    expect(points[1]).toEqual({ mois: 1, total: 100, [cleCourbe(2, 'total')]: 200 });
+    expect(points[2]).toEqual({ mois: 2, [cleCourbe(2, 'total')]: 400 });
+  });
+
+  test('calcule les écarts par rapport au scénario de référence', () => {
+    const lignes = comparerScenarios([
+      { id: 1, nom: 'A', resultat: { montantInvesti: 1000, gains: 50, montantTotal: 1050 } },
+      { id: 2, nom: 'B', resultat: { montantInvesti: 1500, gains: 80.5, montantTotal: 1580.5 } }
+    ], 1);
+
+    expect(lignes[0]).toMatchObject({ estReference: true, ecart_montantTotal: 0 });
+    expect(lignes[1]).toMatchObject({ estReference: false, ecart_montantInvesti: 500, ecart_gains: 30.5, ecart_montantTotal: 530.5 });
+  });
+});
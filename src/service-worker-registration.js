@@ -0,0 +1,19 @@
+// Enregistrement du service worker qui rend l'application installable et utilisable hors ligne
+
+/**
+ * Enregistre le service worker généré par le build de production, une fois la page
+ * chargée pour ne pas retarder le premier affichage. Sans effet en développement, ou si
+ * le bundle est servi depuis une autre origine (CDN) : un service worker ne peut pas
+ * contrôler une origine qui n'est pas la sienne.
+ */
+export const enregistrerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  const urlPublique = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (urlPublique.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error("Erreur lors de l'enregistrement du service worker:", error));
+  });
+};
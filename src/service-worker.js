@@ -0,0 +1,32 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker de l'application installée : le bundle (séries historiques comprises) et
+// le worker Monte-Carlo sont précachés au build, la simulation fonctionne donc hors ligne.
+// Une nouvelle version attend la fermeture des onglets ouverts pour prendre la main.
+// Compilé par react-scripts build, qui y injecte la liste des fichiers (self.__WB_MANIFEST).
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Toute navigation est servie par index.html, le lien partagé restant dans la query string
+const fichierOuApi = /\/[^/?]+\.[^/]+$|^\/_/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !fichierOuApi.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Fichiers de public/ hors build (icônes, manifeste) : servis du cache, rafraîchis en tâche de fond
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|ico|svg|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'fichiers-publics',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })]
+  })
+);
@@ -3,3 +3,20 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// Jest ne lit pas import.meta ; jsdom n'a de toute façon pas de Worker, et le client
+// calcule alors sur le thread principal
+jest.mock('./monte-carlo-worker-factory', () => ({
+  creerWorkerMonteCarlo: () => {
+    throw new Error('Pas de Web Worker dans les tests');
+  }
+}));
+
+// Le graphique suit la taille de son conteneur, ce que jsdom ne mesure pas
+if (typeof window.ResizeObserver === 'undefined') {
+  window.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+}
@@ -0,0 +1,335 @@
+// Moteur de simulation d'épargne
+// Module pur, sans dépendance à React : utilisable dans les composants comme dans des scripts Node.
+
+import { trouverEnveloppe, calculerFiscalite } from './enveloppes';
+import { mouvementsDuMois } from './contribution-schedule';
+import { arrondirCentimes, enCentimes, enEuros } from './money';
+
+/**
+ * Paramètres d'entrée d'une simulation.
+ *
+ * @typedef {Object} ParametresSimulation
+ * @property {number} sommeInitiale - Capital placé au mois 0 (€).
+ * @property {number} mensualite - Versement effectué au début de chaque mois de la première année (€).
+ * @property {number} tauxAnnuel - Taux de rendement annuel en pourcentage (3 pour 3 %).
+ * @property {number} nombreAnnees - Durée de la simulation en années.
+ * @property {string} [enveloppe] - Identifiant d'enveloppe (voir ENVELOPPES) : plafond et fiscalité.
+ * @property {number} [tauxInflation] - Inflation annuelle en pourcentage, pour les montants en euros constants.
+ * @property {number} [indexationAnnuelle] - Revalorisation annuelle de la mensualité en pourcentage.
+ * @property {import('./contribution-schedule').Evenement[]} [evenements] - Versements exceptionnels, retraits et pauses.
+ * @property {number} [moisIndexationEcoules] - Mois déjà écoulés dans l'année d'indexation en cours
+ *   au départ : la mensualité est revalorisée aux dates anniversaires du plan d'origine.
+ * @property {?number} [versementsAnterieurs] - Versements déjà effectués quand sommeInitiale est
+ *   le solde d'un plan en cours, intérêts compris : ce sont eux qui comptent dans le plafond
+ *   et dans le montant investi. Par défaut, sommeInitiale est un premier versement.
+ * @property {string} [capitalisation] - Fréquence de capitalisation (voir CAPITALISATIONS), mensuelle par défaut.
+ * @property {'debut'|'fin'} [momentVersement] - Versement en début ou en fin de mois.
+ * @property {number} [moisDepart] - Mois calendaire du premier mois simulé (1 = janvier), pour le crédit au 31 décembre.
+ * @property {number} [fraisEntree] - Frais prélevés sur chaque versement, en pourcentage.
+ * @property {number} [fraisGestion] - Frais de gestion annuels sur l'encours, en pourcentage, prélevés chaque mois.
+ * @property {number} [fraisFixesAnnuels] - Frais de tenue de compte prélevés en fin d'année (€).
+ * @property {'demi-haut'|'demi-pair'} [regleArrondi] - Arrondi au centime (voir REGLES_ARRONDI), demi-haut par défaut.
+ * @property {'periode'|'fin'} [momentArrondi] - Intérêts et frais arrondis à chaque opération
+ *   (par défaut) ou seulement sur les montants finaux (voir MOMENTS_ARRONDI).
+ */
+
+/**
+ * Un point de l'échéancier mensuel.
+ *
+ * @typedef {Object} PointSimulation
+ * @property {number} mois - Numéro du mois (0 = situation de départ).
+ * @property {number} total - Solde en fin de mois, intérêts crédités compris (€).
+ * @property {number} investi - Cumul des versements nets des retraits depuis le départ (€).
+ * @property {number} interets - Intérêts acquis pendant le mois, crédités ou non (€).
+ * @property {number} interetsCumules - Cumul des intérêts acquis depuis le départ (€).
+ * @property {number} excedent - Versements au-delà du plafond de l'enveloppe, non rémunérés (€).
+ * @property {number} totalReel - Solde en euros d'aujourd'hui (€ constants).
+ * @property {number} investiReel - Versements cumulés, chacun ramené en euros d'aujourd'hui (€ constants).
+ * @property {number} frais - Cumul des frais prélevés depuis le départ (€).
+ */
+
+/**
+ * Résultat d'une simulation.
+ *
+ * @typedef {Object} ResultatSimulation
+ * @property {number} montantTotal - Solde final (€).
+ * @property {number} montantInvesti - Total des versements nets des retraits, capital initial compris (€).
+ * @property {number} gains - Intérêts acquis sur toute la durée, nets des frais (€).
+ * @property {number} excedent - Versements refusés par le plafond de l'enveloppe (€), inclus dans montantTotal.
+ * @property {number} impots - Impôts et prélèvements sociaux dus sur les gains à la sortie (€).
+ * @property {number} gainsNets - Gains après fiscalité (€).
+ * @property {number} montantNet - Solde final après fiscalité (€).
+ * @property {import('./i18n').Message} regimeFiscal - Description de la fiscalité appliquée.
+ * @property {number} montantTotalReel - montantTotal en euros d'aujourd'hui.
+ * @property {number} montantInvestiReel - montantInvesti en euros d'aujourd'hui.
+ * @property {number} gainsReels - Gain de pouvoir d'achat : montantTotalReel - montantInvestiReel.
+ * @property {number} montantNetReel - montantNet en euros d'aujourd'hui.
+ * @property {number} frais - Total des frais prélevés (€).
+ * @property {{ entree: number, gestion: number, fixes: number }} detailFrais - Frais par nature (€).
+ * @property {PointSimulation[]} graphData - Échéancier mois par mois, de 0 à nombreAnnees * 12.
+ */
+
+export const arrondir = (valeur) => parseFloat(valeur.toFixed(2));
+
+/**
+ * Fréquences de capitalisation. periode : nombre de mois entre deux crédits d'intérêts.
+ * Les intérêts acquis entre deux crédits ne produisent pas eux-mêmes d'intérêts.
+ */
+export const CAPITALISATIONS = [
+  { id: 'quotidienne', periode: 1 },
+  { id: 'mensuelle', periode: 1 },
+  { id: 'trimestrielle', periode: 3 },
+  { id: 'annuelle', periode: 12 },
+  // Livrets réglementés : intérêts par quinzaine, crédités au 31 décembre
+  { id: 'quinzaine', periode: null }
+];
+
+export const MOMENTS_VERSEMENT = [
+  { id: 'debut' },
+  { id: 'fin' }
+];
+
+// Intérêts acquis sur un mois selon la convention de capitalisation
+const interetsDuMois = (capitalisation, taux, solde, versementDuMois) => {
+  switch (capitalisation) {
+    case 'quotidienne':
+      return solde * (Math.pow(1 + taux / 365, 365 / 12) - 1);
+    case 'quinzaine':
+      // Un versement porte intérêt à partir de la quinzaine suivante : seconde quinzaine seulement
+      return ((solde - versementDuMois) + solde) * taux / 24;
+    default:
+      return solde * taux / 12;
+  }
+};
+
+/**
+ * Projette l'épargne mois par mois : versement en début (ou fin) de mois puis intérêts
+ * au taux mensuel tauxAnnuel / 12, crédités selon la fréquence de capitalisation. En mode
+ * quinzaine, les intérêts sont calculés par quinzaine et crédités au 31 décembre. Les
+ * intérêts acquis non encore crédités le sont au dernier mois, comme à la clôture.
+ * Les versements qui dépassent le plafond de l'enveloppe sont conservés à part, sans
+ * rémunération. Chaque montant est aussi exprimé en euros constants en le divisant
+ * par (1 + inflation) ^ (mois / 12).
+ * Les retraits puisent d'abord dans l'excédent non rémunéré, puis dans l'enveloppe.
+ * Les frais d'entrée sont retenus sur la part versée dans l'enveloppe, les frais de
+ * gestion prélevés chaque mois après les intérêts, les frais fixes à chaque fin d'année.
+ * Les calculs se font en centimes entiers, comme sur un relevé : chaque versement est
+ * arrondi au centime, et les intérêts le sont à chaque crédit sauf si momentArrondi
+ * vaut 'fin'.
+ *
+ * @param {ParametresSimulation} params
+ * @returns {ResultatSimulation}
+ */
+export const simulerEpargne = ({
+  sommeInitiale,
+  mensualite,
+  tauxAnnuel,
+  nombreAnnees,
+  enveloppe = 'libre',
+  tauxInflation = 0,
+  indexationAnnuelle = 0,
+  evenements = [],
+  moisIndexationEcoules = 0,
+  versementsAnterieurs = null,
+  capitalisation = 'mensuelle',
+  momentVersement = 'debut',
+  moisDepart = 1,
+  fraisEntree = 0,
+  fraisGestion = 0,
+  fraisFixesAnnuels = 0,
+  regleArrondi = 'demi-haut',
+  momentArrondi = 'periode'
+}) => {
+  const nombreMois = nombreAnnees * 12;
+  const taux = tauxAnnuel / 100;
+  const { periode } = CAPITALISATIONS.find(c => c.id === capitalisation) || CAPITALISATIONS[1];
+  const deflateur = (mois) => Math.pow(1 + tauxInflation / 100, mois / 12);
+
+  // Tous les montants sont tenus en centimes ; intérêts et frais calculés sur un solde
+  // sont arrondis à chaque opération, ou gardés exacts jusqu'aux montants affichés
+  const centimes = (montant) => enCentimes(montant, regleArrondi);
+  const euros = (montant) => enEuros(montant, regleArrondi);
+  const arrondirOperation = (montant) =>
+    momentArrondi === 'periode' ? arrondirCentimes(montant, regleArrondi) : montant;
+  const { plafond } = trouverEnveloppe(enveloppe);
+  const plafondCentimes = plafond === null ? Infinity : centimes(plafond);
+
+  // Répartit un versement entre l'enveloppe et l'excédent hors plafond,
+  // et renvoie la part placée nette des frais d'entrée
+  const detailFrais = { entree: 0, gestion: 0, fixes: 0 };
+  let versementsPlaces = 0;
+  let excedent = 0;
+  const verser = (montant) => {
+    const place = Math.max(0, Math.min(montant, plafondCentimes - versementsPlaces));
+    versementsPlaces += place;
+    excedent += montant - place;
+    const frais = arrondirOperation(place * fraisEntree / 100);
+    detailFrais.entree += frais;
+    return place - frais;
+  };
+
+  const prelever = (nature, montant) => {
+    const preleve = Math.min(Math.max(0, arrondirOperation(montant)), solde);
+    solde -= preleve;
+    detailFrais[nature] += preleve;
+  };
+  const totalFrais = () => detailFrais.entree + detailFrais.gestion + detailFrais.fixes;
+
+  // Retire au plus ce qui est disponible et libère d'autant le plafond
+  const retirer = (montant) => {
+    const depuisExcedent = Math.min(montant, excedent);
+    excedent -= depuisExcedent;
+    const depuisSolde = Math.min(montant - depuisExcedent, solde);
+    solde -= depuisSolde;
+    versementsPlaces = Math.max(0, versementsPlaces - depuisSolde);
+    return depuisExcedent + depuisSolde;
+  };
+
+  // Un intérêt est crédité à la fin de chaque période, ou en décembre en mode quinzaine
+  const estMoisDeCredit = (mois) => (periode === null
+    ? (moisDepart - 1 + mois) % 12 === 0
+    : mois % periode === 0);
+
+  let investi;
+  let solde;
+  if (versementsAnterieurs === null) {
+    investi = centimes(sommeInitiale);
+    solde = verser(investi);
+  } else {
+    // Solde d'un plan en cours : ses frais d'entrée sont déjà payés
+    investi = centimes(versementsAnterieurs);
+    versementsPlaces = Math.min(investi, plafondCentimes);
+    solde = centimes(sommeInitiale);
+  }
+  let investiReel = investi;
+  let interetsCourus = 0;
+  let interetsCumules = 0;
+  const graphData = [{
+    mois: 0,
+    total: euros(solde + excedent),
+    investi: euros(investi),
+    interets: 0,
+    interetsCumules: 0,
+    excedent: euros(excedent),
+    totalReel: euros(solde + excedent),
+    investiReel: euros(investiReel),
+    frais: euros(totalFrais())
+  }];
+
+  for (let mois = 1; mois <= nombreMois; mois++) {
+    const mouvements = mouvementsDuMois({ mensualite, indexationAnnuelle, evenements, moisIndexationEcoules }, mois);
+    const versement = centimes(mouvements.versement);
+    const placeDebut = momentVersement === 'debut' ? verser(versement) : 0;
+    solde += placeDebut;
+    const retire = retirer(centimes(mouvements.retrait));
+    const interets = interetsDuMois(capitalisation, taux, solde, placeDebut);
+    if (momentVersement === 'fin') {
+      solde += verser(versement);
+    }
+    interetsCourus += interets;
+    interetsCumules += interets;
+    if (estMoisDeCredit(mois) || mois === nombreMois) {
+      solde += arrondirOperation(interetsCourus);
+      interetsCourus = 0;
+    }
+    prelever('gestion', solde * fraisGestion / 100 / 12);
+    if (mois % 12 === 0) {
+      prelever('fixes', centimes(fraisFixesAnnuels));
+    }
+    investi += versement - retire;
+    investiReel += (versement - retire) / deflateur(mois);
+
+    graphData.push({
+      mois: mois,
+      total: euros(solde + excedent),
+      investi: euros(investi),
+      interets: euros(interets),
+      interetsCumules: euros(interetsCumules),
+      excedent: euros(excedent),
+      totalReel: euros((solde + excedent) / deflateur(mois)),
+      investiReel: euros(investiReel),
+      frais: euros(totalFrais())
+    });
+  }
+
+  const montantTotal = solde + excedent;
+  const gains = euros(montantTotal - investi);
+  const { impots, gainsNets, regime } = calculerFiscalite(enveloppe, gains, nombreAnnees);
+  const montantNet = montantTotal - centimes(impots);
+  const deflateurFinal = deflateur(nombreMois);
+
+  return {
+    montantTotal: euros(montantTotal),
+    montantInvesti: euros(investi),
+    gains,
+    excedent: euros(excedent),
+    impots,
+    gainsNets,
+    montantNet: euros(montantNet),
+    regimeFiscal: regime,
+    montantTotalReel: euros(montantTotal / deflateurFinal),
+    montantInvestiReel: euros(investiReel),
+    gainsReels: euros(montantTotal / deflateurFinal - investiReel),
+    montantNetReel: euros(montantNet / deflateurFinal),
+    frais: euros(totalFrais()),
+    detailFrais: {
+      entree: euros(detailFrais.entree),
+      gestion: euros(detailFrais.gestion),
+      fixes: euros(detailFrais.fixes)
+    },
+    graphData
+  };
+};
+
+/**
+ * Totaux d'une projection recomposée à partir de ses points (portefeuille, foyer), sous
+ * la forme du résultat de simulerEpargne.
+ *
+ * @param {PointSimulation[]} graphData
+ * @param {Object} bilan
+ * @param {number} bilan.impots - Impôts dus à la sortie (€).
+ * @param {import('./i18n').Message} bilan.regimeFiscal
+ * @param {{ entree: number, gestion: number, fixes: number }} bilan.detailFrais
+ * @param {number} [tauxInflation]
+ * @returns {ResultatSimulation}
+ */
+export const totaliserProjection = (graphData, { impots, regimeFiscal, detailFrais }, tauxInflation = 0) => {
+  const { mois, total, investi, excedent, totalReel, investiReel, frais } = graphData[graphData.length - 1];
+  const montantNet = total - impots;
+  return {
+    montantTotal: total,
+    montantInvesti: investi,
+    gains: arrondir(total - investi),
+    excedent,
+    impots: arrondir(impots),
+    gainsNets: arrondir(total - investi - impots),
+    montantNet: arrondir(montantNet),
+    regimeFiscal,
+    montantTotalReel: totalReel,
+    montantInvestiReel: investiReel,
+    gainsReels: arrondir(totalReel - investiReel),
+    montantNetReel: arrondir(montantNet / Math.pow(1 + tauxInflation / 100, mois / 12)),
+    frais,
+    detailFrais,
+    graphData
+  };
+};
+
+/**
+ * Résultat affiché quand une autre projection porte le plan : ses points et ses totaux
+ * remplacent ceux du taux unique, les paramètres et l'objectif de la simulation restent.
+ *
+ * @param {ResultatSimulation} simulation
+ * @param {?ResultatSimulation} projection - Résultat de simulerPortefeuille ou simulerFoyer.
+ * @returns {ResultatSimulation}
+ */
+export const remplacerProjection = (simulation, projection) => {
+  if (!projection) return simulation;
+  const { montantTotal, montantInvesti, gains, excedent, impots, gainsNets, montantNet, regimeFiscal,
+    montantTotalReel, montantInvestiReel, gainsReels, montantNetReel, frais, detailFrais, graphData } = projection;
+  return {
+    ...simulation,
+    montantTotal, montantInvesti, gains, excedent, impots, gainsNets, montantNet, regimeFiscal,
+    montantTotalReel, montantInvestiReel, gainsReels, montantNetReel, frais, detailFrais, graphData
+  };
+};
@@ -0,0 +1,288 @@
+import { simulerEpargne } from './simulation-engine';
+
+// Valeur acquise fermée : capital composé + annuité de début de période
+const valeurAcquise = ({ sommeInitiale, mensualite, tauxAnnuel, nombreAnnees }) => {
+  const n = nombreAnnees * 12;
+  const r = tauxAnnuel / 100 / 12;
+  if (r === 0) return sommeInitiale + mensualite * n;
+  const facteur = Math.pow(1 + r, n);
+  return sommeInitiale * facteur + mensualite * ((facteur - 1) / r) * (1 + r);
+};
+
+// Les formules fermées donnent la valeur exacte : les comparaisons se font sans
+// arrondir les intérêts au centime à chaque crédit
+const EXACT = { momentArrondi: 'fin' };
+
+describe('simulerEpargne', () => {
+  test.each([
+    { sommeInitiale: 0, mensualite: 120, tauxAnnuel: 3, nombreAnnees: 3 },
+    { sommeInitiale: 10000, mensualite: 0, tauxAnnuel: 5, nombreAnnees: 10 },
+    { sommeInitiale: 2500, mensualite: 300, tauxAnnuel: 7.5, nombreAnnees: 50 },
+    { sommeInitiale: 1000, mensualite: 50, tauxAnnuel: 0, nombreAnnees: 20 }
+  ])('rejoint la formule de valeur acquise pour %o', (params) => {
+    const { montantTotal, montantInvesti, gains } = simulerEpargne({ ...params, ...EXACT });
+    const attendu = valeurAcquise(params);
+
+    expect(montantTotal).toBeCloseTo(attendu, 2);
+    expect(montantInvesti).toBe(params.sommeInitiale + params.mensualite * params.nombreAnnees * 12);
+    expect(gains).toBeCloseTo(attendu - montantInvesti, 2);
+  });
+
+  test("produit un point par mois, du mois 0 à la fin de la durée", () => {
+    const { graphData, montantTotal } = simulerEpargne({
+      sommeInitiale: 500, mensualite: 100, tauxAnnuel: 4, nombreAnnees: 2, ...EXACT
+    });
+
+    expect(graphData).toHaveLength(25);
+    expect(graphData[0]).toEqual({
+      mois: 0, total: 500, investi: 500, interets: 0, interetsCumules: 0, excedent: 0, totalReel: 500, investiReel: 500, frais: 0
+    });
+    expect(graphData[24].total).toBe(montantTotal);
+    expect(graphData[12].total).toBeCloseTo(valeurAcquise({
+      sommeInitiale: 500, mensualite: 100, tauxAnnuel: 4, nombreAnnees: 1
+    }), 2);
+  });
+
+  test('les intérêts cumulés expliquent l\'écart entre solde et versements', () => {
+    const { graphData } = simulerEpargne({
+      sommeInitiale: 1000, mensualite: 200, tauxAnnuel: 6, nombreAnnees: 5, ...EXACT
+    });
+
+    graphData.forEach(point => {
+      expect(point.total - point.investi).toBeCloseTo(point.interetsCumules, 1);
+    });
+  });
+
+  test("met de côté les versements au-delà du plafond de l'enveloppe", () => {
+    const { graphData, excedent, montantInvesti, gains, impots, gainsNets } = simulerEpargne({
+      sommeInitiale: 20000, mensualite: 500, tauxAnnuel: 3, nombreAnnees: 1, enveloppe: 'livret-a'
+    });
+
+    // 20 000 + 12 × 500 = 26 000 versés pour un plafond de 22 950
+    expect(montantInvesti).toBe(26000);
+    expect(excedent).toBe(3050);
+    expect(graphData[5].excedent).toBe(0);
+    expect(graphData[6].excedent).toBe(50);
+    // L'excédent ne rapporte rien et le livret est exonéré
+    expect(gains).toBeLessThan(22950 * 0.03);
+    expect(impots).toBe(0);
+    expect(gainsNets).toBe(gains);
+  });
+});
+
+describe('simulerEpargne en euros constants', () => {
+  test("sans inflation, les montants réels égalent les montants nominaux", () => {
+    const resultat = simulerEpargne({ sommeInitiale: 1000, mensualite: 100, tauxAnnuel: 3, nombreAnnees: 10 });
+
+    expect(resultat.montantTotalReel).toBe(resultat.montantTotal);
+    expect(resultat.gainsReels).toBe(resultat.gains);
+    resultat.graphData.forEach(point => expect(point.totalReel).toBe(point.total));
+  });
+
+  test("un capital placé au taux de l'inflation garde son pouvoir d'achat", () => {
+    // Capitalisation mensuelle à 2 % contre inflation annuelle équivalente
+    const tauxInflation = (Math.pow(1 + 0.02 / 12, 12) - 1) * 100;
+    const { montantTotalReel, gainsReels, graphData } = simulerEpargne({
+      sommeInitiale: 10000, mensualite: 0, tauxAnnuel: 2, nombreAnnees: 30, tauxInflation, ...EXACT
+    });
+
+    expect(montantTotalReel).toBeCloseTo(10000, 1);
+    expect(gainsReels).toBeCloseTo(0, 1);
+    expect(graphData[180].totalReel).toBeCloseTo(10000, 1);
+  });
+
+  test('les versements sont ramenés en euros du jour où ils sont faits', () => {
+    const { montantInvesti, montantInvestiReel } = simulerEpargne({
+      sommeInitiale: 0, mensualite: 100, tauxAnnuel: 0, nombreAnnees: 1, tauxInflation: 2
+    });
+    const attendu = Array.from({ length: 12 }, (_, i) => 100 / Math.pow(1.02, (i + 1) / 12))
+      .reduce((a, b) => a + b, 0);
+
+    expect(montantInvesti).toBe(1200);
+    expect(montantInvestiReel).toBeCloseTo(attendu, 2);
+  });
+});
+
+describe('simulerEpargne avec échéancier variable', () => {
+  const base = { sommeInitiale: 0, mensualite: 100, tauxAnnuel: 0, nombreAnnees: 3 };
+
+  test('revalorise la mensualité chaque année', () => {
+    const { montantInvesti, graphData } = simulerEpargne({ ...base, indexationAnnuelle: 10 });
+
+    expect(graphData[12].investi).toBe(1200);
+    expect(graphData[13].investi).toBe(1310);
+    expect(montantInvesti).toBeCloseTo(1200 + 1320 + 1452, 2);
+  });
+
+  test('ajoute les versements exceptionnels et suspend les versements en pause', () => {
+    const { montantInvesti, graphData } = simulerEpargne({
+      ...base,
+      evenements: [
+        { id: 1, type: 'versement', mois: 6, montant: 5000 },
+        { id: 2, type: 'pause', mois: 13, moisFin: 24 }
+      ]
+    });
+
+    expect(graphData[6].investi - graphData[5].investi).toBe(5100);
+    expect(graphData[24].investi).toBe(graphData[12].investi);
+    expect(montantInvesti).toBe(100 * 24 + 5000);
+  });
+
+  test('les retraits réduisent le solde et les versements nets', () => {
+    const { montantTotal, montantInvesti, gains, graphData } = simulerEpargne({
+      ...base,
+      sommeInitiale: 10000,
+      tauxAnnuel: 3,
+      evenements: [{ id: 1, type: 'retrait', mois: 12, montant: 4000 }]
+    });
+
+    expect(graphData[12].total).toBeLessThan(graphData[11].total);
+    expect(montantInvesti).toBe(10000 + 3600 - 4000);
+    expect(gains).toBeCloseTo(montantTotal - montantInvesti, 2);
+  });
+
+  test('un retrait ne peut dépasser le solde disponible', () => {
+    const { montantTotal, montantInvesti } = simulerEpargne({
+      ...base,
+      sommeInitiale: 1000,
+      mensualite: 0,
+      nombreAnnees: 1,
+      evenements: [{ id: 1, type: 'retrait', mois: 1, montant: 5000 }]
+    });
+
+    expect(montantTotal).toBe(0);
+    expect(montantInvesti).toBe(0);
+  });
+});
+
+describe('simulerEpargne selon la capitalisation', () => {
+  const base = { sommeInitiale: 10000, mensualite: 0, tauxAnnuel: 4, nombreAnnees: 10, ...EXACT };
+
+  test.each([
+    ['annuelle', 1],
+    ['trimestrielle', 4],
+    ['mensuelle', 12]
+  ])('capitalisation %s : formule des intérêts composés', (capitalisation, n) => {
+    const { montantTotal } = simulerEpargne({ ...base, capitalisation });
+    expect(montantTotal).toBeCloseTo(10000 * Math.pow(1 + 0.04 / n, n * 10), 2);
+  });
+
+  test('capitalisation quotidienne', () => {
+    const { montantTotal } = simulerEpargne({ ...base, capitalisation: 'quotidienne' });
+    expect(montantTotal).toBeCloseTo(10000 * Math.pow(1 + 0.04 / 365, 3650), 2);
+  });
+
+  test("les intérêts ne sont crédités qu'en fin de période", () => {
+    const { graphData } = simulerEpargne({ ...base, capitalisation: 'annuelle' });
+
+    expect(graphData[11].total).toBe(10000);
+    expect(graphData[12].total).toBe(10400);
+  });
+
+  test('un versement en fin de mois rapporte un mois de moins', () => {
+    const params = { sommeInitiale: 0, mensualite: 100, tauxAnnuel: 3, nombreAnnees: 5, ...EXACT };
+    const debut = simulerEpargne(params).montantTotal;
+    const fin = simulerEpargne({ ...params, momentVersement: 'fin' }).montantTotal;
+    const r = 0.03 / 12;
+
+    expect(fin).toBeCloseTo(100 * (Math.pow(1 + r, 60) - 1) / r, 2);
+    expect(fin).toBeCloseTo(debut / (1 + r), 2);
+  });
+
+  test('quinzaines : un versement de janvier rapporte la seconde quinzaine, crédit au 31 décembre', () => {
+    const { graphData, gains } = simulerEpargne({
+      sommeInitiale: 0, mensualite: 0, tauxAnnuel: 2.4, nombreAnnees: 2, capitalisation: 'quinzaine', moisDepart: 1,
+      evenements: [{ id: 1, type: 'versement', mois: 1, montant: 1000 }]
+    });
+
+    // 1 quinzaine en janvier + 22 jusqu'au 31 décembre, au taux de 2,4 % / 24
+    expect(graphData[11].total).toBe(1000);
+    expect(graphData[12].total).toBeCloseTo(1000 + 1000 * 0.001 * 23, 2);
+    expect(gains).toBeCloseTo(23 + 1023 * 0.024, 2);
+  });
+
+  test('quinzaines : le crédit suit le calendrier du mois de départ', () => {
+    const { graphData } = simulerEpargne({
+      sommeInitiale: 1000, mensualite: 0, tauxAnnuel: 2.4, nombreAnnees: 1, capitalisation: 'quinzaine', moisDepart: 10
+    });
+
+    // Départ en octobre : crédit fin décembre, au 3e mois
+    expect(graphData[2].total).toBe(1000);
+    expect(graphData[3].total).toBeCloseTo(1006, 2);
+  });
+});
+
+describe('simulerEpargne avec frais', () => {
+  const base = { sommeInitiale: 10000, mensualite: 0, tauxAnnuel: 0, nombreAnnees: 2 };
+
+  test("retient les frais d'entrée sur chaque versement", () => {
+    const { montantTotal, frais, detailFrais, gains } = simulerEpargne({
+      ...base, mensualite: 100, fraisEntree: 3
+    });
+
+    expect(detailFrais.entree).toBeCloseTo((10000 + 2400) * 0.03, 2);
+    expect(frais).toBe(detailFrais.entree);
+    expect(montantTotal).toBeCloseTo(12400 * 0.97, 2);
+    expect(gains).toBeCloseTo(-frais, 2);
+  });
+
+  test("prélève les frais de gestion chaque mois sur l'encours", () => {
+    const { montantTotal, detailFrais } = simulerEpargne({ ...base, fraisGestion: 1.2, ...EXACT });
+
+    expect(montantTotal).toBeCloseTo(10000 * Math.pow(1 - 0.001, 24), 2);
+    expect(detailFrais.gestion).toBeCloseTo(10000 - montantTotal, 2);
+  });
+
+  test('prélève les frais fixes en fin de chaque année', () => {
+    const { graphData, detailFrais } = simulerEpargne({ ...base, fraisFixesAnnuels: 30 });
+
+    expect(graphData[11].total).toBe(10000);
+    expect(graphData[12].total).toBe(9970);
+    expect(detailFrais.fixes).toBe(60);
+  });
+
+  test('des frais réduisent le solde par rapport à la même projection sans frais', () => {
+    const params = { sommeInitiale: 5000, mensualite: 200, tauxAnnuel: 4, nombreAnnees: 20 };
+    const sansFrais = simulerEpargne(params);
+    const avecFrais = simulerEpargne({ ...params, fraisEntree: 2, fraisGestion: 0.85, fraisFixesAnnuels: 12 });
+
+    expect(avecFrais.montantTotal).toBeLessThan(sansFrais.montantTotal - avecFrais.frais + 1);
+    expect(avecFrais.montantInvesti).toBe(sansFrais.montantInvesti);
+  });
+});
+
+describe('simulerEpargne au centime', () => {
+  test('arrondit les intérêts à chaque crédit, comme un relevé de compte', () => {
+    // 1 234,56 € à 3 % : 3,0864 € d'intérêts le premier mois, crédités 3,09 €
+    const { graphData } = simulerEpargne({ sommeInitiale: 1234.56, mensualite: 0, tauxAnnuel: 3, nombreAnnees: 1 });
+
+    expect(graphData[1].total).toBe(1237.65);
+  });
+
+  test("les soldes restent des multiples du centime sur toute la durée", () => {
+    const { graphData } = simulerEpargne({
+      sommeInitiale: 1000, mensualite: 123.45, tauxAnnuel: 4.7, nombreAnnees: 50, indexationAnnuelle: 1.3, fraisGestion: 0.6
+    });
+
+    graphData.forEach(point => {
+      expect(Math.abs(point.total * 100 - Math.round(point.total * 100))).toBeLessThan(1e-6);
+    });
+  });
+
+  test("sans arrondi périodique, l'écart avec le relevé reste de quelques centimes par an", () => {
+    const params = { sommeInitiale: 2500, mensualite: 300, tauxAnnuel: 7.5, nombreAnnees: 50 };
+    const releve = simulerEpargne(params).montantTotal;
+    const exact = simulerEpargne({ ...params, ...EXACT }).montantTotal;
+
+    expect(Math.abs(releve - exact)).toBeGreaterThan(0);
+    expect(Math.abs(releve - exact)).toBeLessThan(600 * 0.005);
+  });
+
+  test("l'arrondi bancaire envoie les demi-centimes au centime pair", () => {
+    // 500 € à 1,5 % sur un mois : 0,625 € d'intérêts
+    const params = { sommeInitiale: 500, mensualite: 0, tauxAnnuel: 1.5, nombreAnnees: 1 / 12 };
+
+    expect(simulerEpargne(params).montantTotal).toBe(500.63);
+    expect(simulerEpargne({ ...params, regleArrondi: 'demi-pair' }).montantTotal).toBe(500.62);
+  });
+});
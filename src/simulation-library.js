@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { Delete, Edit, Link as LinkIcon, Save, Check, FolderOpen } from '@mui/icons-material';
+
+// Bibliothèque locale des simulations enregistrées et copie du lien partageable
+const SimulationLibrary = ({ simulations, nomParDefaut, onEnregistrer, onCharger, onRenommer, onSupprimer, onCopierLien, lienCopie, i18n }) => {
+  const { t, formaterDate } = i18n;
+  const [nom, setNom] = useState('');
+  const [enEdition, setEnEdition] = useState(null);
+
+  const enregistrer = () => {
+    onEnregistrer(nom.trim() || nomParDefaut);
+    setNom('');
+  };
+
+  const validerRenommage = () => {
+    if (enEdition.nom.trim()) onRenommer(enEdition.id, enEdition.nom.trim());
+    setEnEdition(null);
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1 }}>
+        <TextField
+          size="small"
+          label={t('bibliotheque.nom')}
+          placeholder={nomParDefaut}
+          value={nom}
+          onChange={(e) => setNom(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && enregistrer()}
+          sx={{ flexGrow: 1 }}
+        />
+        <Button size="small" startIcon={<Save />} onClick={enregistrer}>
+          {t('bibliotheque.enregistrer')}
+        </Button>
+        <Button size="small" startIcon={lienCopie ? <Check /> : <LinkIcon />} onClick={onCopierLien}>
+          {t(lienCopie ? 'bibliotheque.lienCopie' : 'bibliotheque.copierLien')}
+        </Button>
+      </Box>
+
+      {simulations.length === 0 ? (
+        <Typography variant="body2" color="textSecondary" sx={{ mt: 2 }}>
+          {t('bibliotheque.aucune')}
+        </Typography>
+      ) : (
+        <List dense>
+          {simulations.map(simulation => (
+            <ListItem
+              key={simulation.id}
+              disableGutters
+              secondaryAction={
+                <>
+                  <Tooltip title={t('bibliotheque.charger')}>
+                    <IconButton edge="end" aria-label={t('bibliotheque.chargerNom', { nom: simulation.nom })} onClick={() => onCharger(simulation)}>
+                      <FolderOpen />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title={t('bibliotheque.renommer')}>
+                    <IconButton
+                      edge="end"
+                      aria-label={t('bibliotheque.renommerNom', { nom: simulation.nom })}
+                      onClick={() => setEnEdition({ id: simulation.id, nom: simulation.nom })}
+                    >
+                      <Edit />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title={t('bibliotheque.supprimer')}>
+                    <IconButton edge="end" aria-label={t('bibliotheque.supprimerNom', { nom: simulation.nom })} onClick={() => onSupprimer(simulation.id)}>
+                      <Delete />
+                    </IconButton>
+                  </Tooltip>
+                </>
+              }
+            >
+              {enEdition?.id === simulation.id ? (
+                <TextField
+                  size="small"
+                  autoFocus
+                  value={enEdition.nom}
+                  onChange={(e) => setEnEdition({ ...enEdition, nom: e.target.value })}
+                  onBlur={validerRenommage}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') validerRenommage();
+                    if (e.key === 'Escape') setEnEdition(null);
+                  }}
+                  sx={{ mr: 16 }}
+                />
+              ) : (
+                <ListItemText
+                  primary={simulation.nom}
+                  secondary={t('bibliotheque.enregistreeLe', { date: formaterDate(simulation.date) })}
+                />
+              )}
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default SimulationLibrary;
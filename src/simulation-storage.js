@@ -0,0 +1,319 @@
+// Persistance des saisies : lien partageable dans l'URL, bibliothèque locale de simulations,
+// dernières saisies et préférences d'affichage d'une visite à l'autre
+
+import { CAPITALISATIONS, MOMENTS_VERSEMENT } from './simulation-engine';
+import { ENVELOPPES } from './enveloppes';
+import { INCONNUES } from './goal-solver';
+import { TYPES_EVENEMENTS } from './contribution-schedule';
+import { MODES_RETRAIT } from './decumulation';
+import { ACTIFS_HISTORIQUES } from './backtest';
+import { REPARTITIONS } from './portfolio';
+import { REPARTITIONS_OBJECTIF } from './household';
+
+// À incrémenter quand un champ est renommé ou change de sens, avec la migration associée
+export const VERSION_SCHEMA = 2;
+
+export const CLE_BIBLIOTHEQUE = 'simulateur-epargne:simulations';
+export const CLE_DERNIERES_SAISIES = 'simulateur-epargne:saisies';
+export const CLE_PREFERENCES = 'simulateur-epargne:preferences';
+
+// Thème choisi par l'utilisateur ; « systeme » suit prefers-color-scheme
+export const THEMES = ['systeme', 'clair', 'sombre'];
+
+// Paramètre de l'URL portant la version du schéma
+const PARAMETRE_VERSION = 'v';
+
+// Valeurs admises pour les champs à choix
+const CHOIX = {
+  enveloppe: ENVELOPPES.map(e => e.id),
+  inconnue: INCONNUES.map(i => i.id),
+  capitalisation: CAPITALISATIONS.map(c => c.id),
+  momentVersement: MOMENTS_VERSEMENT.map(m => m.id),
+  modeRetrait: MODES_RETRAIT.map(m => m.id),
+  actifHistorique: ACTIFS_HISTORIQUES.map(a => a.id),
+  repartitionVersements: REPARTITIONS.map(r => r.id),
+  repartitionObjectif: REPARTITIONS_OBJECTIF.map(r => r.id)
+};
+
+// Revenu retenu pour les anciennes tranches de revenus (version 1)
+const REVENUS_DES_TRANCHES = {
+  'moins-2000': 1500,
+  '2000-4000': 3000,
+  '4000-6000': 5000,
+  '6000-8000': 7000,
+  'plus-8000': 9000
+};
+
+// Migrations d'une version du schéma à la suivante : MIGRATIONS[n] passe de n à n + 1
+const MIGRATIONS = {
+  // La tranche de revenus laisse place au revenu net exact
+  1: ({ trancheRevenu, ...inputs }) => (
+    trancheRevenu in REVENUS_DES_TRANCHES
+      ? { ...inputs, revenuNet: REVENUS_DES_TRANCHES[trancheRevenu] }
+      : inputs
+  )
+};
+
+/**
+ * Simulation enregistrée dans la bibliothèque.
+ *
+ * @typedef {Object} SimulationEnregistree
+ * @property {string} id
+ * @property {string} nom
+ * @property {number} version - Version du schéma des saisies.
+ * @property {string} date - Date d'enregistrement (ISO 8601).
+ * @property {Object} inputs
+ */
+
+/**
+ * Amène des saisies d'une ancienne version du schéma à la version courante.
+ *
+ * @param {Object} inputs
+ * @param {number} version
+ * @returns {Object}
+ */
+export const migrerInputs = (inputs, version) => {
+  let resultat = { ...inputs };
+  for (let v = version; v < VERSION_SCHEMA; v++) {
+    if (MIGRATIONS[v]) resultat = MIGRATIONS[v](resultat);
+  }
+  return resultat;
+};
+
+const estObjet = (valeur) => valeur !== null && typeof valeur === 'object';
+
+// Validation des éléments des champs listes
+const ELEMENTS_VALIDES = {
+  evenements: (e) => estObjet(e)
+    && Number.isFinite(e.id)
+    && TYPES_EVENEMENTS.some(t => t.id === e.type)
+    && Number.isInteger(e.mois) && e.mois >= 1
+    && (e.type === 'pause' ? Number.isInteger(e.moisFin) && e.moisFin >= e.mois : Number.isFinite(e.montant)),
+  actifs: (a) => estObjet(a)
+    && Number.isFinite(a.id)
+    && typeof a.nom === 'string'
+    && Number.isFinite(a.tauxAnnuel)
+    && Number.isFinite(a.volatilite) && a.volatilite >= 0
+    && Number.isFinite(a.poids) && a.poids >= 0,
+  membres: (m) => estObjet(m)
+    && Number.isFinite(m.id)
+    && typeof m.nom === 'string'
+    && Number.isFinite(m.revenuNet) && m.revenuNet >= 0
+    && Number.isFinite(m.sommeInitiale) && m.sommeInitiale >= 0
+    && Number.isFinite(m.mensualite) && m.mensualite >= 0
+    && Number.isFinite(m.tauxAnnuel)
+    && ENVELOPPES.some(e => e.id === m.enveloppe)
+};
+
+// Valeur brute convertie au type du champ par défaut, undefined si elle est inutilisable
+const convertir = (nom, brute, defaut) => {
+  if (Array.isArray(defaut)) {
+    let liste = brute;
+    if (typeof brute === 'string') {
+      try {
+        liste = JSON.parse(brute);
+      } catch {
+        return undefined;
+      }
+    }
+    if (!Array.isArray(liste) || !ELEMENTS_VALIDES[nom]) return undefined;
+    const elements = liste.filter(ELEMENTS_VALIDES[nom]);
+    // Un portefeuille vide n'a pas de sens : on garde alors celui par défaut
+    return elements.length > 0 || defaut.length === 0 ? elements : undefined;
+  }
+
+  switch (typeof defaut) {
+    case 'number': {
+      const nombre = typeof brute === 'number' ? brute : parseFloat(brute);
+      return Number.isFinite(nombre) ? nombre : undefined;
+    }
+    case 'boolean':
+      if (brute === true || brute === '1' || brute === 'true') return true;
+      if (brute === false || brute === '0' || brute === 'false') return false;
+      return undefined;
+    case 'string':
+      if (typeof brute !== 'string') return undefined;
+      return !CHOIX[nom] || CHOIX[nom].includes(brute) ? brute : undefined;
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Ne garde que les champs connus, convertis au bon type, et complète avec les valeurs
+ * par défaut. Les bornes des champs sont ensuite vérifiées par la validation du formulaire.
+ *
+ * @param {Object} brutes - Saisies lues depuis l'URL ou le stockage local.
+ * @param {Object} defauts - Saisies par défaut, qui donnent la liste et le type des champs.
+ * @returns {Object}
+ */
+export const normaliserInputs = (brutes, defauts) => {
+  const inputs = { ...defauts };
+  Object.keys(defauts).forEach(nom => {
+    if (brutes[nom] === undefined || brutes[nom] === null) return;
+    const valeur = convertir(nom, brutes[nom], defauts[nom]);
+    if (valeur !== undefined) inputs[nom] = valeur;
+  });
+  return inputs;
+};
+
+/**
+ * Encode les saisies dans une query string.
+ *
+ * @param {Object} inputs
+ * @returns {string} Query string sans le « ? » initial.
+ */
+export const encoderInputs = (inputs) => {
+  const parametres = new URLSearchParams();
+  parametres.set(PARAMETRE_VERSION, String(VERSION_SCHEMA));
+  Object.entries(inputs).forEach(([nom, valeur]) => {
+    if (Array.isArray(valeur)) {
+      if (valeur.length > 0) parametres.set(nom, JSON.stringify(valeur));
+    } else if (typeof valeur === 'boolean') {
+      parametres.set(nom, valeur ? '1' : '0');
+    } else {
+      parametres.set(nom, String(valeur));
+    }
+  });
+  return parametres.toString();
+};
+
+/**
+ * Lit les saisies d'une query string.
+ *
+ * @param {string} recherche - Query string, avec ou sans « ? ».
+ * @param {Object} defauts
+ * @returns {?Object} Saisies normalisées, null si l'URL n'en contient pas.
+ */
+export const decoderInputs = (recherche, defauts) => {
+  const parametres = new URLSearchParams(recherche);
+  if (!parametres.has(PARAMETRE_VERSION)) return null;
+
+  const version = parseInt(parametres.get(PARAMETRE_VERSION), 10) || 1;
+  const brutes = {};
+  parametres.forEach((valeur, nom) => {
+    if (nom !== PARAMETRE_VERSION) brutes[nom] = valeur;
+  });
+  return normaliserInputs(migrerInputs(brutes, version), defauts);
+};
+
+/**
+ * Stockage local du navigateur. Son simple accès lève une SecurityError quand le
+ * navigateur le bloque (iframe tierce en bac à sable, cookies refusés).
+ *
+ * @returns {?Storage} null si le stockage est inaccessible ; les fonctions de lecture
+ *   renvoient alors leur valeur par défaut et celles d'écriture ne font rien.
+ */
+export const stockageLocal = () => {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Lit la bibliothèque. Un contenu illisible donne une bibliothèque vide.
+ *
+ * @param {?Storage} stockage
+ * @returns {SimulationEnregistree[]}
+ */
+export const lireBibliotheque = (stockage) => {
+  try {
+    const contenu = JSON.parse(stockage.getItem(CLE_BIBLIOTHEQUE));
+    return Array.isArray(contenu?.simulations)
+      ? contenu.simulations.filter(s => s && typeof s.nom === 'string' && s.inputs)
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * @param {?Storage} stockage
+ * @param {SimulationEnregistree[]} simulations
+ */
+export const ecrireBibliotheque = (stockage, simulations) => {
+  stockage?.setItem(CLE_BIBLIOTHEQUE, JSON.stringify({ version: VERSION_SCHEMA, simulations }));
+};
+
+/**
+ * @param {SimulationEnregistree[]} simulations
+ * @param {string} nom
+ * @param {Object} inputs
+ * @returns {SimulationEnregistree[]}
+ */
+export const ajouterSimulation = (simulations, nom, inputs) => [
+  ...simulations,
+  {
+    id: `${Date.now().toString(36)}-${simulations.length}`,
+    nom,
+    version: VERSION_SCHEMA,
+    date: new Date().toISOString(),
+    inputs: { ...inputs }
+  }
+];
+
+export const renommerSimulation = (simulations, id, nom) =>
+  simulations.map(s => s.id === id ? { ...s, nom } : s);
+
+export const supprimerSimulation = (simulations, id) =>
+  simulations.filter(s => s.id !== id);
+
+/**
+ * Saisies d'une simulation enregistrée, migrées et complétées pour le schéma courant.
+ *
+ * @param {SimulationEnregistree} simulation
+ * @param {Object} defauts
+ * @returns {Object}
+ */
+export const inputsEnregistres = (simulation, defauts) =>
+  normaliserInputs(migrerInputs(simulation.inputs, simulation.version || 1), defauts);
+
+/**
+ * Saisies de la dernière visite, migrées et complétées pour le schéma courant.
+ *
+ * @param {?Storage} stockage
+ * @param {Object} defauts
+ * @returns {?Object} null si aucune saisie n'a été enregistrée ou si elle est illisible.
+ */
+export const lireDernieresSaisies = (stockage, defauts) => {
+  try {
+    const contenu = JSON.parse(stockage.getItem(CLE_DERNIERES_SAISIES));
+    if (!contenu?.inputs || typeof contenu.inputs !== 'object') return null;
+    return normaliserInputs(migrerInputs(contenu.inputs, contenu.version || 1), defauts);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @param {?Storage} stockage
+ * @param {Object} inputs
+ */
+export const ecrireDernieresSaisies = (stockage, inputs) => {
+  stockage?.setItem(CLE_DERNIERES_SAISIES, JSON.stringify({ version: VERSION_SCHEMA, inputs }));
+};
+
+/**
+ * Préférences d'affichage. Une valeur inconnue redonne la valeur par défaut.
+ *
+ * @param {?Storage} stockage
+ * @returns {{ theme: string }}
+ */
+export const lirePreferences = (stockage) => {
+  try {
+    const contenu = JSON.parse(stockage.getItem(CLE_PREFERENCES));
+    return { theme: THEMES.includes(contenu?.theme) ? contenu.theme : 'systeme' };
+  } catch {
+    return { theme: 'systeme' };
+  }
+};
+
+/**
+ * @param {?Storage} stockage
+ * @param {{ theme: string }} preferences
+ */
+export const ecrirePreferences = (stockage, preferences) => {
+  stockage?.setItem(CLE_PREFERENCES, JSON.stringify(preferences));
+};
@@ -0,0 +1,163 @@
+import {
+  VERSION_SCHEMA,
+  CLE_BIBLIOTHEQUE,
+  CLE_DERNIERES_SAISIES,
+  CLE_PREFERENCES,
+  encoderInputs,
+  decoderInputs,
+  normaliserInputs,
+  lireBibliotheque,
+  ecrireBibliotheque,
+  ajouterSimulation,
+  renommerSimulation,
+  supprimerSimulation,
+  inputsEnregistres,
+  lireDernieresSaisies,
+  ecrireDernieresSaisies,
+  lirePreferences,
+  ecrirePreferences,
+  stockageLocal
+} from './simulation-storage';
+
+const DEFAUTS = {
+  sommeInitiale: 0,
+  mensualite: 120,
+  enveloppe: 'libre',
+  modeObjectif: false,
+  evenements: []
+};
+
+const stockageMemoire = () => {
+  const donnees = {};
+  return {
+    getItem: (cle) => (cle in donnees ? donnees[cle] : null),
+    setItem: (cle, valeur) => { donnees[cle] = String(valeur); }
+  };
+};
+
+describe('lien partageable', () => {
+  test("restitue les saisies encodées dans l'URL", () => {
+    const inputs = {
+      sommeInitiale: 1500.5,
+      mensualite: 200,
+      enveloppe: 'pea',
+      modeObjectif: true,
+      evenements: [{ id: 1, type: 'versement', mois: 6, montant: 1000 }]
+    };
+    const recherche = `?${encoderInputs(inputs)}`;
+
+    expect(recherche).toContain(`v=${VERSION_SCHEMA}`);
+    expect(decoderInputs(recherche, DEFAUTS)).toEqual(inputs);
+  });
+
+  test("ignore une URL sans saisies", () => {
+    expect(decoderInputs('', DEFAUTS)).toBeNull();
+    expect(decoderInputs('?utm_source=mail', DEFAUTS)).toBeNull();
+  });
+
+  test('écarte les valeurs invalides et les champs inconnus', () => {
+    const inputs = decoderInputs(
+      '?v=1&mensualite=abc&enveloppe=coffre-fort&modeObjectif=peut-etre&evenements=%5Bnope&inconnu=1',
+      DEFAUTS
+    );
+    expect(inputs).toEqual(DEFAUTS);
+  });
+
+  test("ne garde que les événements bien formés", () => {
+    const inputs = normaliserInputs({
+      evenements: [
+        { id: 1, type: 'pause', mois: 3, moisFin: 5 },
+        { id: 2, type: 'pause', mois: 3 },
+        { id: 3, type: 'cadeau', mois: 1, montant: 10 },
+        { id: 4, type: 'retrait', mois: 0, montant: 10 }
+      ]
+    }, DEFAUTS);
+    expect(inputs.evenements).toEqual([{ id: 1, type: 'pause', mois: 3, moisFin: 5 }]);
+  });
+});
+
+describe('bibliothèque de simulations', () => {
+  test('enregistre, renomme et supprime des simulations', () => {
+    const stockage = stockageMemoire();
+    let simulations = ajouterSimulation(lireBibliotheque(stockage), 'Retraite', { mensualite: 300 });
+    simulations = ajouterSimulation(simulations, 'Voiture', { mensualite: 150 });
+    const [retraite, voiture] = simulations;
+
+    simulations = renommerSimulation(simulations, retraite.id, 'Retraite anticipée');
+    simulations = supprimerSimulation(simulations, voiture.id);
+    ecrireBibliotheque(stockage, simulations);
+
+    const relues = lireBibliotheque(stockage);
+    expect(relues).toHaveLength(1);
+    expect(relues[0]).toMatchObject({ nom: 'Retraite anticipée', version: VERSION_SCHEMA, inputs: { mensualite: 300 } });
+  });
+
+  test('complète une simulation enregistrée avant l\'ajout de nouveaux champs', () => {
+    const ancienne = { id: 'a', nom: 'Ancienne', version: 1, inputs: { mensualite: 80, champSupprime: true } };
+    expect(inputsEnregistres(ancienne, DEFAUTS)).toEqual({ ...DEFAUTS, mensualite: 80 });
+  });
+
+  test('convertit la tranche de revenus des simulations de la version 1', () => {
+    const ancienne = { id: 'b', nom: 'Tranche', version: 1, inputs: { trancheRevenu: '2000-4000' } };
+    expect(inputsEnregistres(ancienne, { ...DEFAUTS, revenuNet: 2500 })).toEqual({ ...DEFAUTS, revenuNet: 3000 });
+  });
+
+  test('garde le portefeuille par défaut si aucun actif enregistré n\'est valide', () => {
+    const defauts = { ...DEFAUTS, actifs: [{ id: 1, nom: 'Livret A', tauxAnnuel: 1.7, volatilite: 0, poids: 100 }] };
+    const simulation = { id: 'c', nom: 'Actifs', version: 2, inputs: { actifs: [{ id: 1, nom: 'Sans poids' }] } };
+    expect(inputsEnregistres(simulation, defauts).actifs).toEqual(defauts.actifs);
+  });
+
+  test('tolère un stockage corrompu', () => {
+    const stockage = stockageMemoire();
+    stockage.setItem(CLE_BIBLIOTHEQUE, '{pas du json');
+    expect(lireBibliotheque(stockage)).toEqual([]);
+  });
+});
+
+describe('dernière visite', () => {
+  test('restaure les dernières saisies, complétées par les valeurs par défaut', () => {
+    const stockage = stockageMemoire();
+    expect(lireDernieresSaisies(stockage, DEFAUTS)).toBeNull();
+
+    ecrireDernieresSaisies(stockage, { mensualite: 250, enveloppe: 'pea', champRetire: 1 });
+    expect(lireDernieresSaisies(stockage, DEFAUTS)).toEqual({ ...DEFAUTS, mensualite: 250, enveloppe: 'pea' });
+  });
+
+  test('ignore des saisies illisibles', () => {
+    const stockage = stockageMemoire();
+    stockage.setItem(CLE_DERNIERES_SAISIES, '{pas du json');
+    expect(lireDernieresSaisies(stockage, DEFAUTS)).toBeNull();
+  });
+
+  test('retient le thème choisi, et suit le système par défaut', () => {
+    const stockage = stockageMemoire();
+    expect(lirePreferences(stockage)).toEqual({ theme: 'systeme' });
+
+    ecrirePreferences(stockage, { theme: 'clair' });
+    expect(lirePreferences(stockage)).toEqual({ theme: 'clair' });
+
+    stockage.setItem(CLE_PREFERENCES, JSON.stringify({ theme: 'fluo' }));
+    expect(lirePreferences(stockage)).toEqual({ theme: 'systeme' });
+  });
+});
+
+describe('stockage inaccessible', () => {
+  test("se rabat sur les valeurs par défaut quand le navigateur bloque le stockage", () => {
+    const descripteur = Object.getOwnPropertyDescriptor(window, 'localStorage');
+    Object.defineProperty(window, 'localStorage', {
+      configurable: true,
+      get: () => { throw new DOMException('Accès refusé', 'SecurityError'); }
+    });
+    try {
+      const stockage = stockageLocal();
+      expect(stockage).toBeNull();
+      expect(lireBibliotheque(stockage)).toEqual([]);
+      expect(lireDernieresSaisies(stockage, DEFAUTS)).toBeNull();
+      expect(lirePreferences(stockage)).toEqual({ theme: 'systeme' });
+      expect(() => ecrireBibliotheque(stockage, [])).not.toThrow();
+    } finally {
+      Object.defineProperty(window, 'localStorage', descripteur);
+    }
+  });
+});